@@ -5,10 +5,28 @@
 import * as fileSystem from './services/fileSystem.js';
 import * as storage from './services/storage.js';
 import * as studyIndex from './services/studyIndex.js';
-import { createChart, destroyChart, updateChartTheme } from './charts/chartFactory.js';
-import { calculateStats, formatNumber, formatDecimal, calculateReportStatistics, aggregateDaily, aggregateHourly } from './utils/stats.js';
+import * as aadtFactors from './services/aadtFactors.js';
+import * as exclusionRules from './services/exclusionRules.js';
+import * as qualityScores from './services/qualityScores.js';
+import * as speedBinSchemes from './services/speedBinSchemes.js';
+import * as vendorImport from './services/vendorImport.js';
+import { createChart, createComparisonChart, destroyChart, updateChartTheme } from './charts/chartFactory.js';
+import { calculateStats, formatNumber, formatDecimal, calculateReportStatistics, aggregateDaily, aggregateHourly, aggregateTimeSeries, getSeriesInterval, getSpeedDistribution, formatPace, calculateSpeedHistogram, aggregateByWeekdayHour, COMPLIANCE_TIERS } from './utils/stats.js';
+import { calculateClassification, hasClassificationData } from './utils/classification.js';
+import { calculatePeakHours, calculateDirectionalSplit } from './utils/peakHour.js';
+import { calculateVolumeStats } from './utils/volume.js';
+import { buildComparison, formatComparisonLabel } from './utils/comparison.js';
+import { buildBeforeAfter } from './utils/beforeAfter.js';
+import { calculateWhatIf, parseSpeedLimits, describeWhatIfSource } from './utils/whatIf.js';
 import { formatDateRange, formatDate } from './utils/dateUtils.js';
-import { MARKER_COLORS, MAP_CENTER, VOLUME_STUDY_TYPES, DATA_TABLE_TYPES, CHART_COLORS, CHART_TYPES } from './config.js';
+import { formatSpeedSchedule } from './utils/speedLimit.js';
+import { formatExclusionRule, formatExclusionNote } from './utils/exclusions.js';
+import { checkDataQuality } from './utils/dataQuality.js';
+import { findPartialDays } from './utils/volume.js';
+import { calculateHeadways } from './utils/headway.js';
+import { getDirectionalSets, aggregateDirectional, calculateVolumeSplit } from './utils/directional.js';
+import { buildLinkGroup } from './utils/linkGroup.js';
+import { MARKER_COLORS, MAP_CENTER, VOLUME_STUDY_TYPES, DATA_TABLE_TYPES, CHART_COLORS, CHART_TYPES, PERCENTILE_SOURCES, PERCENTILE_METHODS, COMPARISON_METRICS, COMPARISON_ALIGNMENTS, COMPARISON_COLORS, PLATOON_HEADWAY_SECONDS, TIME_AGGREGATIONS, DEFAULT_INTERVAL_MINUTES } from './config.js';
 import * as pdfGen from './pdf/pdfGenerator.js';
 
 // ============ Utilities ============
@@ -26,7 +44,14 @@ function debounce(fn, delay) {
 let currentStudy = null;
 let currentStudyData = null;
 let filteredStudyData = null;
+let intervalStudyData = null; // Current study's data at a sub-hour bucket size: {studyId, minutes, data, linked}
+let filteredIntervalData = null;
+let filteredIntervalLinked = null;
 let extractedPercentiles = null; // For Radar studies - extracted from raw file
+let perVehicleData = null; // Per-vehicle speeds from raw file, when the study has one
+let filteredVehicleData = null;
+let linkedStudyData = null; // Other studies in the same link group: [{study, data, vehicles}]
+let filteredLinkedData = null;
 let map = null;
 let markersLayer = null;
 let streetLayer = null;
@@ -73,10 +98,16 @@ const elements = {
     chartCanvas: document.getElementById('main-chart'),
     chartTypeSelect: document.getElementById('chart-type-select'),
     timeAggSelect: document.getElementById('time-agg-select'),
+    histogramBinSelect: document.getElementById('histogram-bin-select'),
+    platoonThresholdSelect: document.getElementById('platoon-threshold-select'),
     chartStartDate: document.getElementById('chart-start-date'),
     chartEndDate: document.getElementById('chart-end-date'),
     resetDateRangeBtn: document.getElementById('reset-date-range-btn'),
     chartWarning: document.getElementById('chart-warning'),
+    compareStudiesBtn: document.getElementById('compare-studies-btn'),
+    comparisonBanner: document.getElementById('comparison-banner'),
+    comparisonBannerText: document.getElementById('comparison-banner-text'),
+    exitComparisonBtn: document.getElementById('exit-comparison-btn'),
 
     // Study info
     studyTitle: document.getElementById('study-title'),
@@ -88,11 +119,66 @@ const elements = {
 
     // Stats
     statTotal: document.getElementById('stat-total'),
+    statAdt: document.getElementById('stat-adt'),
+    statAdtDays: document.getElementById('stat-adt-days'),
+    statAadt: document.getElementById('stat-aadt'),
+    statAadtSource: document.getElementById('stat-aadt-source'),
     statViolators: document.getElementById('stat-violators'),
     statPct: document.getElementById('stat-pct'),
+    statCompliance: document.getElementById('stat-compliance'),
+    statComplianceSource: document.getElementById('stat-compliance-source'),
+
+    // What-if speed limit panel
+    whatIfPanel: document.getElementById('what-if-panel'),
+    whatIfLimits: document.getElementById('what-if-limits'),
+    whatIfRunBtn: document.getElementById('what-if-run-btn'),
+    whatIfAddBtn: document.getElementById('what-if-add-btn'),
+    whatIfResults: document.getElementById('what-if-results'),
+
+    // Exclusions panel
+    exclusionsHolidays: document.getElementById('exclusions-holidays'),
+    exclusionsHolidayCount: document.getElementById('exclusions-holiday-count'),
+    exclusionsTrimPartial: document.getElementById('exclusions-trim-partial'),
+    exclusionsPartialDays: document.getElementById('exclusions-partial-days'),
+    exclusionsList: document.getElementById('exclusions-list'),
+    exclusionType: document.getElementById('exclusion-type'),
+    exclusionStartDate: document.getElementById('exclusion-start-date'),
+    exclusionStartTime: document.getElementById('exclusion-start-time'),
+    exclusionEndGroup: document.getElementById('exclusion-end-group'),
+    exclusionEndDate: document.getElementById('exclusion-end-date'),
+    exclusionEndTime: document.getElementById('exclusion-end-time'),
+    exclusionReason: document.getElementById('exclusion-reason'),
+    exclusionAddBtn: document.getElementById('exclusion-add-btn'),
+
+    // Data quality panel
+    qualityScore: document.getElementById('quality-score'),
+    qualityIssues: document.getElementById('quality-issues'),
+    qualityCheckAllBtn: document.getElementById('quality-check-all-btn'),
     statAvgSpeed: document.getElementById('stat-avg-speed'),
     stat85th: document.getElementById('stat-85th'),
+    stat85thSource: document.getElementById('stat-85th-source'),
     statPeak: document.getElementById('stat-peak'),
+    stat10th: document.getElementById('stat-10th'),
+    stat15th: document.getElementById('stat-15th'),
+    stat50th: document.getElementById('stat-50th'),
+    stat95th: document.getElementById('stat-95th'),
+    statPace: document.getElementById('stat-pace'),
+    statPaceSource: document.getElementById('stat-pace-source'),
+    statPctPace: document.getElementById('stat-pct-pace'),
+    statMedian: document.getElementById('stat-median'),
+    statStdDev: document.getElementById('stat-std-dev'),
+    statSkew: document.getElementById('stat-skew'),
+    statTrucks: document.getElementById('stat-trucks'),
+    statTrucksCount: document.getElementById('stat-trucks-count'),
+    statAmPeak: document.getElementById('stat-am-peak'),
+    statAmPeakDetail: document.getElementById('stat-am-peak-detail'),
+    statPmPeak: document.getElementById('stat-pm-peak'),
+    statPmPeakDetail: document.getElementById('stat-pm-peak-detail'),
+    statKFactor: document.getElementById('stat-k-factor'),
+    statDFactor: document.getElementById('stat-d-factor'),
+    statDFactorDetail: document.getElementById('stat-d-factor-detail'),
+    statDirectionSplit: document.getElementById('stat-direction-split'),
+    statDirectionSplitDetail: document.getElementById('stat-direction-split-detail'),
 
     // Map
     mapContainer: document.getElementById('map-container'),
@@ -102,6 +188,7 @@ const elements = {
     addChartBtn: document.getElementById('add-chart-btn'),
     reportItemsList: document.getElementById('report-items-list'),
     reportChartsPerPage: document.getElementById('report-charts-per-page'),
+    reportIncludeQuality: document.getElementById('report-include-quality'),
     pageCountDisplay: document.getElementById('page-count-display'),
     generateReportBtn: document.getElementById('generate-report-btn'),
     reportStatus: document.getElementById('report-status'),
@@ -117,6 +204,11 @@ const elements = {
     chartSelectedStudy: document.getElementById('chart-selected-study'),
     chartModalType: document.getElementById('chart-modal-type'),
     chartModalTimeAgg: document.getElementById('chart-modal-time-agg'),
+    chartModalTimeAggGroup: document.getElementById('chart-modal-time-agg-group'),
+    chartModalBinSize: document.getElementById('chart-modal-bin-size'),
+    chartModalBinSizeGroup: document.getElementById('chart-modal-bin-size-group'),
+    chartModalPlatoon: document.getElementById('chart-modal-platoon'),
+    chartModalPlatoonGroup: document.getElementById('chart-modal-platoon-group'),
     chartModalFullRange: document.getElementById('chart-modal-full-range'),
     chartModalDateRange: document.getElementById('chart-modal-date-range'),
     chartModalStartDate: document.getElementById('chart-modal-start-date'),
@@ -157,11 +249,96 @@ const elements = {
     tableStudyList: document.getElementById('table-study-list'),
     tableSelectedStudy: document.getElementById('table-selected-study'),
     tableModalType: document.getElementById('table-modal-type'),
+    tableModalPlatoon: document.getElementById('table-modal-platoon'),
+    tableModalPlatoonGroup: document.getElementById('table-modal-platoon-group'),
+    tableModalBinScheme: document.getElementById('table-modal-bin-scheme'),
+    tableModalBinSchemeGroup: document.getElementById('table-modal-bin-scheme-group'),
     tableModalStartDate: document.getElementById('table-modal-start-date'),
     tableModalEndDate: document.getElementById('table-modal-end-date'),
     tableFullRangeBtn: document.getElementById('table-full-range-btn'),
     tablePageCount: document.getElementById('table-page-count'),
 
+    // Study Comparison Modal
+    addComparisonBtn: document.getElementById('add-comparison-btn'),
+    compareModal: document.getElementById('compare-modal'),
+    compareModalTitle: document.getElementById('compare-modal-title'),
+    closeCompareModal: document.getElementById('close-compare-modal'),
+    cancelCompareModal: document.getElementById('cancel-compare-modal'),
+    showCompareChart: document.getElementById('show-compare-chart'),
+    saveCompareModal: document.getElementById('save-compare-modal'),
+    compareStudySearch: document.getElementById('compare-study-search'),
+    compareStudyList: document.getElementById('compare-study-list'),
+    compareSelectedList: document.getElementById('compare-selected-list'),
+    compareAddLinkedBtn: document.getElementById('compare-add-linked-btn'),
+    compareAlignBy: document.getElementById('compare-align-by'),
+    compareMetric: document.getElementById('compare-metric'),
+    compareShowLabels: document.getElementById('compare-show-labels'),
+
+    // Before/After Modal
+    addBeforeAfterBtn: document.getElementById('add-before-after-btn'),
+    addLinkGroupBtn: document.getElementById('add-link-group-btn'),
+    beforeAfterModal: document.getElementById('before-after-modal'),
+    beforeAfterModalTitle: document.getElementById('before-after-modal-title'),
+    closeBeforeAfterModal: document.getElementById('close-before-after-modal'),
+    cancelBeforeAfterModal: document.getElementById('cancel-before-after-modal'),
+    saveBeforeAfterModal: document.getElementById('save-before-after-modal'),
+    beforeStudySearch: document.getElementById('before-study-search'),
+    beforeStudyList: document.getElementById('before-study-list'),
+    beforeSelectedStudy: document.getElementById('before-selected-study'),
+    afterStudySearch: document.getElementById('after-study-search'),
+    afterStudyList: document.getElementById('after-study-list'),
+    afterSelectedStudy: document.getElementById('after-selected-study'),
+    beforeAfterShowLabels: document.getElementById('before-after-show-labels'),
+
+    // Raw File Import
+    importFileBtn: document.getElementById('import-file-btn'),
+    importModal: document.getElementById('import-modal'),
+    closeImportModal: document.getElementById('close-import-modal'),
+    cancelImportModal: document.getElementById('cancel-import-modal'),
+    saveImportModal: document.getElementById('save-import-modal'),
+    importStudySearch: document.getElementById('import-study-search'),
+    importStudyList: document.getElementById('import-study-list'),
+    importSelectedStudy: document.getElementById('import-selected-study'),
+    importFileInput: document.getElementById('import-file-input'),
+    importFormat: document.getElementById('import-format'),
+    importMappingSection: document.getElementById('import-mapping'),
+    importHeaderRow: document.getElementById('import-header-row'),
+    importTimeEnd: document.getElementById('import-time-end'),
+    importMappingFields: document.getElementById('import-mapping-fields'),
+    importBins: document.getElementById('import-bins'),
+    importRawPreview: document.getElementById('import-raw-preview'),
+    importSummary: document.getElementById('import-summary'),
+    importPreview: document.getElementById('import-preview'),
+    importEditMappingBtn: document.getElementById('import-edit-mapping-btn'),
+
+    // Study Details (New Study / Edit)
+    newStudyBtn: document.getElementById('new-study-btn'),
+    editStudyBtn: document.getElementById('edit-study-btn'),
+    studyModal: document.getElementById('study-modal'),
+    studyModalTitle: document.getElementById('study-modal-title'),
+    studyModalFileGroup: document.getElementById('study-modal-file-group'),
+    studyModalIdGroup: document.getElementById('study-modal-id-group'),
+    studyModalId: document.getElementById('study-modal-id'),
+    studyModalFilePath: document.getElementById('study-modal-file-path'),
+    closeStudyModal: document.getElementById('close-study-modal'),
+    cancelStudyModal: document.getElementById('cancel-study-modal'),
+    saveStudyModal: document.getElementById('save-study-modal'),
+    studyModalFileInput: document.getElementById('study-modal-file-input'),
+    studyModalFormat: document.getElementById('study-modal-format'),
+    studyModalType: document.getElementById('study-modal-type'),
+    studyModalCounter: document.getElementById('study-modal-counter'),
+    studyModalLocation: document.getElementById('study-modal-location'),
+    studyModalDirection: document.getElementById('study-modal-direction'),
+    studyModalSpeedLimit: document.getElementById('study-modal-speed-limit'),
+    studyModalLinkGroup: document.getElementById('study-modal-link-group'),
+    studyModalLinkGroups: document.getElementById('study-modal-link-groups'),
+    studyModalStart: document.getElementById('study-modal-start'),
+    studyModalEnd: document.getElementById('study-modal-end'),
+    studyModalMap: document.getElementById('study-modal-map'),
+    studyModalLat: document.getElementById('study-modal-lat'),
+    studyModalLon: document.getElementById('study-modal-lon'),
+    studyModalSummary: document.getElementById('study-modal-summary'),
+
     // Pending Studies
     addPendingBtn: document.getElementById('add-pending-btn'),
     pendingList: document.getElementById('pending-list'),
@@ -196,6 +373,28 @@ let tableModalSelectedStudyId = null;
 let tableModalSelectedStudyMeta = null;
 let editingTableItemIndex = -1;
 
+// Comparison modal state
+let compareStudies = []; // [{studyId, studyMeta}]
+let editingComparisonIndex = -1;
+
+// Before/after modal state
+let beforeAfterSelection = { before: null, after: null }; // {studyId, studyMeta} per side
+let editingBeforeAfterIndex = -1;
+
+// Raw file import state
+let importStudy = null;
+let importFile = null; // {name, text, rows}
+let importMapping = null; // Output of vendorImport.guessMapping(), as edited
+let importParsed = null; // Output of vendorImport.parseRows()
+let importNewStudy = null; // Index row of a new study, added to study_index.csv once its file is imported
+
+// Study modal state
+let editingStudyId = null; // Null when adding a new study
+let studyModalInitial = null; // Form values when editing began, so only changed fields are written
+let newStudyFile = null; // {name, text, rows, clean, detected, mapping}
+let studyModalMap = null;
+let studyModalMarker = null;
+
 // Pending studies state
 let pendingStudies = [];
 let editingPendingId = null;
@@ -249,12 +448,26 @@ function setupEventListeners() {
 
     elements.chartTypeSelect.addEventListener('change', updateChart);
     elements.timeAggSelect.addEventListener('change', updateChart);
+    elements.histogramBinSelect.addEventListener('change', updateChart);
+    elements.platoonThresholdSelect.addEventListener('change', updateChart);
     elements.chartStartDate.addEventListener('change', handleDateRangeChange);
     elements.chartEndDate.addEventListener('change', handleDateRangeChange);
     elements.resetDateRangeBtn.addEventListener('click', () => {
         setDateRangeFromData();
         handleDateRangeChange();
     });
+    elements.compareStudiesBtn.addEventListener('click', () => openCompareModal(false));
+    elements.whatIfRunBtn.addEventListener('click', updateWhatIf);
+    elements.whatIfAddBtn.addEventListener('click', addWhatIfToReport);
+    elements.whatIfLimits.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') updateWhatIf();
+    });
+    elements.exclusionType.addEventListener('change', updateExclusionForm);
+    elements.exclusionAddBtn.addEventListener('click', addExclusionRule);
+    elements.exclusionsHolidays.addEventListener('change', toggleHolidayExclusions);
+    elements.exclusionsTrimPartial.addEventListener('change', toggleTrimPartialDays);
+    elements.qualityCheckAllBtn.addEventListener('click', checkAllStudiesQuality);
+    elements.exitComparisonBtn.addEventListener('click', updateChart);
 
     // Report Builder
     elements.addChartBtn.addEventListener('click', openAddChartModal);
@@ -263,16 +476,45 @@ function setupEventListeners() {
     elements.saveChartModal.addEventListener('click', saveChartItem);
     elements.generateReportBtn.addEventListener('click', generateReport);
     elements.reportChartsPerPage.addEventListener('change', updatePageCount);
+    elements.reportIncludeQuality.addEventListener('change', updatePageCount);
 
     // Chart Modal interactions
     elements.chartStudySearch.addEventListener('input', debounce(filterStudyDropdown, 200));
     elements.chartStudySearch.addEventListener('focus', filterStudyDropdown);
     elements.chartModalFullRange.addEventListener('change', toggleDateRange);
+    elements.chartModalType.addEventListener('change', toggleChartModalOptions);
+
+    // Study Comparison Modal
+    elements.addComparisonBtn.addEventListener('click', () => openCompareModal(true));
+    elements.closeCompareModal.addEventListener('click', closeCompareModal);
+    elements.cancelCompareModal.addEventListener('click', closeCompareModal);
+    elements.showCompareChart.addEventListener('click', showComparisonChart);
+    elements.saveCompareModal.addEventListener('click', saveComparisonItem);
+    elements.compareStudySearch.addEventListener('input', debounce(filterCompareStudyDropdown, 200));
+    elements.compareStudySearch.addEventListener('focus', filterCompareStudyDropdown);
+    elements.compareAddLinkedBtn.addEventListener('click', addLinkedCompareStudies);
+
+    // Before/After Modal
+    elements.addBeforeAfterBtn.addEventListener('click', openBeforeAfterModal);
+    elements.closeBeforeAfterModal.addEventListener('click', closeBeforeAfterModal);
+    elements.cancelBeforeAfterModal.addEventListener('click', closeBeforeAfterModal);
+    elements.saveBeforeAfterModal.addEventListener('click', saveBeforeAfterItem);
+    ['before', 'after'].forEach(side => {
+        const { search } = getBeforeAfterControls(side);
+        search.addEventListener('input', debounce(() => filterBeforeAfterDropdown(side), 200));
+        search.addEventListener('focus', () => filterBeforeAfterDropdown(side));
+    });
+
+    // Link Group
+    elements.addLinkGroupBtn.addEventListener('click', addLinkGroupToReport);
 
     // Close dropdown when clicking outside
     document.addEventListener('click', (e) => {
         if (!e.target.closest('.study-selector')) {
             elements.chartStudyList.classList.remove('show');
+            elements.compareStudyList.classList.remove('show');
+            elements.beforeStudyList.classList.remove('show');
+            elements.afterStudyList.classList.remove('show');
             if (elements.tableStudyList) {
                 elements.tableStudyList.classList.remove('show');
             }
@@ -350,6 +592,29 @@ function setupEventListeners() {
         });
     }
 
+    // Raw File Import
+    elements.importFileBtn.addEventListener('click', () => openImportModal());
+    elements.closeImportModal.addEventListener('click', closeImportModal);
+    elements.cancelImportModal.addEventListener('click', closeImportModal);
+    elements.saveImportModal.addEventListener('click', saveImport);
+    elements.importStudySearch.addEventListener('input', debounce(filterImportStudyDropdown, 200));
+    elements.importStudySearch.addEventListener('focus', filterImportStudyDropdown);
+    elements.importFileInput.addEventListener('change', handleImportFileChange);
+    elements.importHeaderRow.addEventListener('change', onImportHeaderRowChange);
+    elements.importTimeEnd.addEventListener('change', onImportMappingChange);
+    elements.importMappingFields.addEventListener('change', onImportMappingChange);
+    elements.importEditMappingBtn.addEventListener('click', showImportMapping);
+
+    // Study Details (New Study / Edit)
+    elements.newStudyBtn.addEventListener('click', () => openStudyModal());
+    elements.editStudyBtn.addEventListener('click', () => openStudyModal(currentStudy));
+    elements.closeStudyModal.addEventListener('click', closeStudyModal);
+    elements.cancelStudyModal.addEventListener('click', closeStudyModal);
+    elements.saveStudyModal.addEventListener('click', saveStudyModal);
+    elements.studyModalFileInput.addEventListener('change', handleNewStudyFileChange);
+    elements.studyModalLat.addEventListener('change', onStudyModalCoordsChange);
+    elements.studyModalLon.addEventListener('change', onStudyModalCoordsChange);
+
     // Pending Studies
     if (elements.addPendingBtn) {
         elements.addPendingBtn.addEventListener('click', openAddPendingModal);
@@ -496,6 +761,7 @@ async function loadAndShowApp() {
 
     showLoading('Loading studies...');
     await studyIndex.loadIndex();
+    await qualityScores.loadQualityScores();
 
     elements.folderScreen.style.display = 'none';
     elements.appScreen.style.display = 'flex';
@@ -511,6 +777,13 @@ async function loadAndShowApp() {
     // Load report presets
     await loadPresets();
 
+    // Load AADT adjustment factors (optional file)
+    await aadtFactors.loadFactors();
+
+    // Load speed bin schemes for speed tables (optional file)
+    await speedBinSchemes.loadSchemes();
+    populateBinSchemeSelect();
+
     hideLoading();
 }
 
@@ -622,6 +895,8 @@ function createStudyItem(study) {
                 ${study.counter_number ? `<span>#${study.counter_number}</span>` : ''}
                 ${study.direction ? `<span>${study.direction}</span>` : ''}
                 <span>${formatDateRange(study.start_datetime, study.end_datetime)}</span>
+                ${study.lat === null || study.lon === null ? '<span class="no-location" title="No coordinates in study_index.csv, so the study is not on the map">No location</span>' : ''}
+                ${createQualityBadge(study.study_id)}
             </div>
         </div>
     `;
@@ -654,6 +929,7 @@ function createLinkedGroupItem(linkGroup, studies) {
                     <span class="type-badge ${typeClass}">${study.study_type}</span>
                     ${study.counter_number ? `<span>#${study.counter_number}</span>` : ''}
                     <span>${formatDateRange(study.start_datetime, study.end_datetime)}</span>
+                    ${createQualityBadge(study.study_id)}
                 </div>
             </div>
         `;
@@ -663,6 +939,18 @@ function createLinkedGroupItem(linkGroup, studies) {
     return html;
 }
 
+/**
+ * Sidebar badge with a study's saved data quality score
+ * @param {string} studyId
+ * @returns {string} Empty until the study has been checked
+ */
+function createQualityBadge(studyId) {
+    const quality = qualityScores.getQualityScore(studyId);
+    if (!quality) return '';
+    const issues = quality.issues.map(issue => issue.label).join(', ') || 'No issues found';
+    return `<span class="quality-badge ${quality.rating}" data-quality-id="${studyId}" title="Data quality: ${escapeHtml(issues)}">${quality.score}</span>`;
+}
+
 function toggleGroup(linkGroup) {
     if (expandedGroups.has(linkGroup)) {
         expandedGroups.delete(linkGroup);
@@ -693,6 +981,13 @@ async function selectStudy(studyId) {
             extractedPercentiles = await studyIndex.extractRadarPercentiles(studyId);
         }
 
+        // Per-vehicle speeds give true percentiles when a raw file exists
+        perVehicleData = await studyIndex.loadRawData(studyId);
+        filteredVehicleData = perVehicleData;
+
+        // Other directions of a linked study, for the directional split
+        linkedStudyData = await loadLinkedStudyData(currentStudy);
+
         // Set date range - preserve if switching between studies and ranges overlap
         setDateRangeFromData(hadPreviousStudy);
 
@@ -729,7 +1024,14 @@ function clearStudySelection() {
     currentStudy = null;
     currentStudyData = null;
     filteredStudyData = null;
+    intervalStudyData = null;
+    filteredIntervalData = null;
+    filteredIntervalLinked = null;
     extractedPercentiles = null;
+    perVehicleData = null;
+    filteredVehicleData = null;
+    linkedStudyData = null;
+    filteredLinkedData = null;
 
     // Reset UI
     elements.chartContainer.style.display = 'none';
@@ -808,18 +1110,64 @@ function handleDateRangeChange() {
     const startDate = elements.chartStartDate.value ? new Date(elements.chartStartDate.value + 'T00:00:00') : null;
     const endDate = elements.chartEndDate.value ? new Date(elements.chartEndDate.value + 'T23:59:59') : null;
 
-    filteredStudyData = currentStudyData.filter(d => {
+    const inRange = (d) => {
         if (!d.datetime) return false;
         const dt = new Date(d.datetime);
         if (startDate && dt < startDate) return false;
         if (endDate && dt > endDate) return false;
         return true;
-    });
+    };
+
+    filteredStudyData = currentStudyData.filter(inRange);
+    filteredIntervalData = intervalStudyData ? intervalStudyData.data.filter(inRange) : null;
+    filteredIntervalLinked = intervalStudyData ? filterLinkedData(intervalStudyData.linked, inRange) : null;
+    filteredVehicleData = perVehicleData ? perVehicleData.filter(inRange) : null;
+    filteredLinkedData = filterLinkedData(linkedStudyData, inRange);
 
     updateChart();
     updateStats();
 }
 
+/**
+ * Linked study data limited to the chart's date range
+ * @param {Array|null} linked - Output of loadLinkedStudyData()
+ * @param {Function} inRange - row => boolean
+ * @returns {Array|null} [{direction, data, perVehicleData}]
+ */
+function filterLinkedData(linked, inRange) {
+    return linked ? linked.map(other => ({
+        direction: other.study.direction,
+        data: other.data.filter(inRange),
+        perVehicleData: other.vehicles ? other.vehicles.filter(inRange) : null
+    })) : null;
+}
+
+/**
+ * Load clean and per-vehicle data for the other studies in a study's link group
+ * @param {Object} study
+ * @param {number} bucketMinutes - Bucket size for per-vehicle clean files
+ * @returns {Promise<Array|null>} [{study, data, vehicles}], or null if the study is not linked
+ */
+async function loadLinkedStudyData(study, bucketMinutes = DEFAULT_INTERVAL_MINUTES) {
+    const others = studyIndex.getLinkedStudies(study.link_group)
+        .filter(s => s.study_id !== study.study_id);
+    if (others.length === 0) return null;
+
+    const linked = [];
+    for (const other of others) {
+        try {
+            linked.push({
+                study: other,
+                data: await studyIndex.loadStudyData(other.study_id, bucketMinutes),
+                vehicles: await studyIndex.loadRawData(other.study_id)
+            });
+        } catch (error) {
+            console.warn(`Could not load linked study ${other.study_id}:`, error);
+        }
+    }
+    return linked.length > 0 ? linked : null;
+}
+
 function updateStudyInfo() {
     if (!currentStudy) return;
 
@@ -831,74 +1179,289 @@ function updateStudyInfo() {
 
     elements.studyCounterNumber.textContent = currentStudy.counter_number ? `Counter #${currentStudy.counter_number}` : '';
     elements.studyDirection.textContent = currentStudy.direction || 'N/A';
-    elements.studyDates.textContent = formatDateRange(currentStudy.start_datetime, currentStudy.end_datetime);
-    elements.studySpeedLimit.textContent = currentStudy.speed_limit ? `${currentStudy.speed_limit} mph` : 'N/A';
+    elements.studyDates.textContent = formatStudyDates(currentStudy);
+    const schedule = formatSpeedSchedule(currentStudy.speed_schedule);
+    elements.studySpeedLimit.textContent = currentStudy.speed_limit
+        ? `${currentStudy.speed_limit} mph${schedule ? ` (${schedule})` : ''}`
+        : 'N/A';
+
+    // What-if needs speeds; start from 5 mph above the posted limit
+    elements.whatIfPanel.style.display = VOLUME_STUDY_TYPES.includes(currentStudy.study_type) ? 'none' : '';
+    elements.whatIfLimits.value = currentStudy.speed_limit ? String(currentStudy.speed_limit + 5) : '';
+
+    renderExclusions();
+    updateDataQuality();
+}
+
+/**
+ * Study dates for the info bar, naming any trimmed partial days
+ * @param {Object} study
+ * @returns {string}
+ */
+function formatStudyDates(study) {
+    const range = formatDateRange(study.start_datetime, study.end_datetime);
+    const trimmed = exclusionRules.getTrimmedDays(study.study_id) || [];
+    if (trimmed.length === 0) return range;
+    return `${range} (partial days trimmed: ${trimmed.map(date => formatDate(date + 'T12:00:00')).join(', ')})`;
 }
 
 function updateChartTypeOptions() {
     if (!currentStudy) return;
 
     const isVolumeOnly = VOLUME_STUDY_TYPES.includes(currentStudy.study_type);
+    const hasClasses = hasClassificationData(perVehicleData);
+    const hasDirections = getDirectionalSets(currentStudyData, currentStudy.direction, filterLinkedData(linkedStudyData, () => true)).length > 1;
     const select = elements.chartTypeSelect;
 
     Array.from(select.options).forEach(option => {
-        option.disabled = option.value !== 'volume-only' && isVolumeOnly;
+        const chartType = CHART_TYPES[option.value];
+        option.disabled = (chartType?.requiresSpeed && isVolumeOnly) ||
+                          (chartType?.requiresClassification && !hasClasses) ||
+                          (chartType?.requiresPerVehicle && !perVehicleData) ||
+                          (chartType?.requiresDirection && !hasDirections);
     });
 
     if (isVolumeOnly) {
-        select.value = 'volume-only';
-    } else if (select.value === 'volume-only') {
+        if (select.selectedOptions[0]?.disabled) select.value = 'volume-only';
+    } else if (select.value === 'volume-only' || select.selectedOptions[0]?.disabled) {
         select.value = 'vehicles-violators';
     }
+
+    // Interval files cannot be shown finer than they were recorded
+    const finest = studyIndex.getFinestInterval(currentStudy.study_id);
+    Array.from(elements.timeAggSelect.options).forEach(option => {
+        const minutes = TIME_AGGREGATIONS[option.value]?.minutes;
+        option.disabled = minutes !== null && minutes < finest;
+    });
+    if (elements.timeAggSelect.selectedOptions[0]?.disabled) elements.timeAggSelect.value = 'hourly';
 }
 
 // ============ Charts ============
 
+/**
+ * Load the current study's data at a sub-hour bucket size, then redraw the chart
+ * @param {number} minutes
+ */
+async function loadIntervalStudyData(minutes) {
+    const study = currentStudy;
+    const studyId = study.study_id;
+    try {
+        const data = await studyIndex.loadStudyData(studyId, minutes);
+        const linked = await loadLinkedStudyData(study, minutes);
+        // The study or time aggregation may have changed while loading
+        if (currentStudy?.study_id !== studyId) return;
+        intervalStudyData = { studyId, minutes, data, linked };
+        handleDateRangeChange();
+    } catch (error) {
+        console.error('Error loading interval data:', error);
+        alert(`Error loading ${minutes}-minute data: ${error.message}`);
+    }
+}
+
 function updateChart() {
     if (!currentStudy || !filteredStudyData) return;
 
     const chartType = elements.chartTypeSelect.value;
     const timeAgg = elements.timeAggSelect.value;
+    const directional = !!CHART_TYPES[chartType]?.requiresDirection;
+
+    // Directional charts include linked studies, so are no finer than the coarsest of them
+    const finestMinutes = Math.max(
+        studyIndex.getFinestInterval(currentStudy.study_id),
+        ...(directional && linkedStudyData ? linkedStudyData.map(l => studyIndex.getFinestInterval(l.study.study_id)) : [])
+    );
+
+    // Drawing a normal chart ends any study comparison
+    elements.comparisonBanner.style.display = 'none';
 
-    // Show warning for 85th percentile chart on hourly view for Radar studies
+    // Speed-binned charts have a bin size instead of a time aggregation, headway charts a
+    // platoon threshold; heatmaps have neither
+    const speedBinned = !!CHART_TYPES[chartType]?.speedBinned;
+    const headway = chartType === 'headway-distribution';
+    elements.timeAggSelect.style.display = speedBinned || headway || CHART_TYPES[chartType]?.heatmap ? 'none' : '';
+    elements.histogramBinSelect.style.display = speedBinned ? '' : 'none';
+    elements.platoonThresholdSelect.style.display = headway ? '' : 'none';
+
+    // Show warning for 85th percentile chart on hourly or finer views for Radar studies
     const showWarning = chartType === 'avg-vs-85th' &&
-                        timeAgg === 'hourly' &&
+                        TIME_AGGREGATIONS[timeAgg]?.minutes &&
                         currentStudy.study_type === 'Radar';
     elements.chartWarning.style.display = showWarning ? 'flex' : 'none';
 
+    // Sub-hour time series need per-vehicle clean files bucketed to match
+    let chartData = filteredStudyData;
+    let chartLinked = filteredLinkedData;
+    const timeSeries = !(speedBinned || headway || CHART_TYPES[chartType]?.heatmap || chartType === 'vehicle-classification');
+    const minutes = getSeriesInterval(timeAgg, finestMinutes);
+    if (timeSeries && minutes !== null && minutes < DEFAULT_INTERVAL_MINUTES) {
+        if (intervalStudyData?.studyId !== currentStudy.study_id || intervalStudyData.minutes !== minutes) {
+            loadIntervalStudyData(minutes);
+            return;
+        }
+        chartData = filteredIntervalData;
+        chartLinked = filteredIntervalLinked;
+    }
+
     createChart(
         elements.chartCanvas,
         chartType,
-        filteredStudyData,
+        chartData,
         timeAgg,
         {
             showLabels: true,
             speedLimit: currentStudy.speed_limit || 0,
-            extractedPercentiles: extractedPercentiles
+            speedSchedule: currentStudy.speed_schedule || [],
+            exclusions: exclusionRules.getExclusions(currentStudy.study_id),
+            extractedPercentiles: extractedPercentiles,
+            perVehicleData: filteredVehicleData,
+            binSize: parseInt(elements.histogramBinSelect.value, 10),
+            platoonSeconds: parseFloat(elements.platoonThresholdSelect.value),
+            finestMinutes,
+            directionalSets: directional ? getDirectionalSets(chartData, currentStudy.direction, chartLinked) : null
         }
     );
 }
 
 function updateStats() {
+    const percentileElements = {
+        p10: elements.stat10th,
+        p15: elements.stat15th,
+        p50: elements.stat50th,
+        p95: elements.stat95th
+    };
+
     if (!filteredStudyData) {
         elements.statTotal.textContent = '-';
+        elements.statAdt.textContent = '-';
+        elements.statAdtDays.textContent = '';
+        elements.statAadt.textContent = '-';
+        elements.statAadtSource.textContent = '';
         elements.statViolators.textContent = '-';
         elements.statPct.textContent = '-';
+        elements.statCompliance.textContent = '-';
+        elements.statComplianceSource.textContent = '';
+        elements.whatIfResults.innerHTML = '';
         elements.statAvgSpeed.textContent = '-';
         elements.stat85th.textContent = '-';
+        elements.stat85thSource.textContent = '';
         elements.statPeak.textContent = '-';
+        Object.values(percentileElements).forEach(el => el.textContent = '-');
+        updateDistributionStats(null);
+        elements.statTrucks.textContent = '-';
+        elements.statTrucksCount.textContent = '';
+        updatePeakHourStats(null, null);
+        updateVolumeSplitStats(null);
         return;
     }
 
-    // Pass extracted percentiles for Radar studies
-    const stats = calculateStats(filteredStudyData, null, extractedPercentiles);
+    // Per-vehicle speeds take priority, then extracted percentiles for Radar studies
+    const stats = calculateStats(filteredStudyData, filteredVehicleData, extractedPercentiles, currentStudy.speed_limit);
 
     elements.statTotal.textContent = formatNumber(stats.totalVehicles);
+
+    // ADT counts complete days only; partial days (setup, takedown, outages) are left out
+    const volumeStats = calculateVolumeStats(filteredStudyData, aadtFactors.getFactors(), currentStudy.study_type);
+    elements.statAdt.textContent = volumeStats.adt !== null ? formatNumber(Math.round(volumeStats.adt)) : 'N/A';
+    elements.statAdtDays.textContent = `${volumeStats.completeDays} full day${volumeStats.completeDays === 1 ? '' : 's'}` +
+        (volumeStats.partialDays.length > 0 ? `, ${volumeStats.partialDays.length} partial` : '');
+    elements.statAadt.textContent = volumeStats.aadt !== null ? formatNumber(Math.round(volumeStats.aadt)) : 'N/A';
+    elements.statAadtSource.textContent = aadtFactors.getFactors() ? 'adjusted' : `no ${aadtFactors.FACTORS_FILE}`;
     elements.statViolators.textContent = formatNumber(stats.totalViolators);
     elements.statPct.textContent = stats.totalVehicles > 0 ? formatDecimal(stats.pctSpeeders) + '%' : '-';
+    elements.statCompliance.textContent = stats.compliance
+        ? (stats.compliance.tiers[0].pct !== null ? stats.compliance.tiers.map(t => formatDecimal(t.pct)).join(' / ') + '%' : 'n/a')
+        : '-';
+    elements.statComplianceSource.textContent = stats.compliance ? PERCENTILE_SOURCES[stats.compliance.source] : '';
     elements.statAvgSpeed.textContent = stats.avgSpeed > 0 ? formatDecimal(stats.avgSpeed) + ' mph' : '-';
     elements.stat85th.textContent = stats.p85 ? formatDecimal(stats.p85) + ' mph' : 'N/A';
+    elements.stat85thSource.textContent = stats.p85Source ? PERCENTILE_SOURCES[stats.p85Source] : '';
+    elements.stat85thSource.title = stats.p85Method ? `85th percentile ${PERCENTILE_METHODS[stats.p85Method]}` : '';
     elements.statPeak.textContent = stats.peakSpeed > 0 ? formatDecimal(stats.peakSpeed) + ' mph' : '-';
+
+    // Other percentiles are only meaningful with per-vehicle speeds
+    Object.entries(percentileElements).forEach(([key, el]) => {
+        el.textContent = stats.percentiles ? formatDecimal(stats.percentiles[key]) + ' mph' : 'N/A';
+    });
+
+    updateDistributionStats(getSpeedDistribution(filteredStudyData, filteredVehicleData), 'N/A');
+
+    // Truck percentage needs per-vehicle class or axle data
+    if (hasClassificationData(filteredVehicleData)) {
+        const classification = calculateClassification(filteredVehicleData);
+        elements.statTrucks.textContent = classification.pctTrucks !== null ? formatDecimal(classification.pctTrucks) + '%' : '-';
+        elements.statTrucksCount.textContent = `${formatNumber(classification.trucks)} trucks`;
+    } else {
+        elements.statTrucks.textContent = 'N/A';
+        elements.statTrucksCount.textContent = '';
+    }
+
+    // Directional split combines this study with the rest of its link group
+    const directional = filteredLinkedData
+        ? calculateDirectionalSplit([
+            { direction: currentStudy.direction, data: filteredStudyData, perVehicleData: filteredVehicleData },
+            ...filteredLinkedData
+        ])
+        : null;
+    updatePeakHourStats(calculatePeakHours(filteredStudyData, filteredVehicleData), directional);
+    updateVolumeSplitStats(calculateVolumeSplit(getDirectionalSets(filteredStudyData, currentStudy.direction, filteredLinkedData)));
+    updateWhatIf();
+}
+
+/**
+ * Show each direction's share of volume in the stats panel
+ * @param {Object|null} split - Output of calculateVolumeSplit()
+ */
+function updateVolumeSplitStats(split) {
+    if (split && split.total > 0) {
+        elements.statDirectionSplit.textContent = split.directions.map(d => d.pct.toFixed(0)).join(' / ') + '%';
+        elements.statDirectionSplitDetail.textContent = `${split.directions.map(d => d.direction).join(' / ')}, ${split.days} day${split.days === 1 ? '' : 's'}`;
+    } else {
+        elements.statDirectionSplit.textContent = split ? '-' : 'N/A';
+        elements.statDirectionSplitDetail.textContent = '';
+    }
+}
+
+/**
+ * Show pace, median, standard deviation and skew in the stats panel
+ * @param {Object|null} distribution - Output of getSpeedDistribution()
+ * @param {string} missing - Shown when there is no distribution ('N/A' when the data cannot give one)
+ */
+function updateDistributionStats(distribution, missing = '-') {
+    elements.statPace.textContent = distribution ? formatPace(distribution) : missing;
+    elements.statPaceSource.textContent = distribution?.source === 'device' ? 'from device speed bins'
+        : !distribution && missing === 'N/A' ? 'needs per-vehicle speeds or device speed bins' : '';
+    elements.statPctPace.textContent = distribution ? formatDecimal(distribution.pctInPace) + '%' : missing;
+    elements.statMedian.textContent = distribution ? formatDecimal(distribution.median) + ' mph' : missing;
+    elements.statStdDev.textContent = distribution ? formatDecimal(distribution.stdDev) + ' mph' : missing;
+    elements.statSkew.textContent = distribution ? formatDecimal(distribution.skew, 2) : missing;
+}
+
+/**
+ * Show AM/PM peak hours, K-factor and D-factor in the stats panel
+ * @param {Object|null} peakHours - Output of calculatePeakHours()
+ * @param {Object|null} directional - Output of calculateDirectionalSplit()
+ */
+function updatePeakHourStats(peakHours, directional) {
+    const showPeak = (valueEl, detailEl, peak) => {
+        valueEl.textContent = peak ? peak.label : '-';
+        detailEl.textContent = peak
+            ? `${formatNumber(Math.round(peak.volume))} veh` + (peak.phf !== null ? ` • PHF ${peak.phf.toFixed(2)}` : '')
+            : '';
+    };
+
+    showPeak(elements.statAmPeak, elements.statAmPeakDetail, peakHours?.am);
+    showPeak(elements.statPmPeak, elements.statPmPeakDetail, peakHours?.pm);
+    elements.statKFactor.textContent = peakHours?.kFactor != null ? formatDecimal(peakHours.kFactor) + '%' : '-';
+
+    // D-factor of the higher two-way peak hour
+    const peak = directional && ((directional.pm?.volume || 0) > (directional.am?.volume || 0) ? directional.pm : directional.am);
+    if (peak) {
+        elements.statDFactor.textContent = formatDecimal(peak.dFactor) + '%';
+        elements.statDFactorDetail.textContent = `${peak.peakDirection}, ${peak === directional.am ? 'AM' : 'PM'} peak`;
+    } else {
+        elements.statDFactor.textContent = currentStudy?.link_group ? '-' : 'N/A';
+        elements.statDFactorDetail.textContent = '';
+    }
 }
 
 // ============ Tabs ============
@@ -1176,6 +1739,13 @@ async function selectStudyFromMap(studyId, skipZoom = false) {
             extractedPercentiles = await studyIndex.extractRadarPercentiles(studyId);
         }
 
+        // Per-vehicle speeds give true percentiles when a raw file exists
+        perVehicleData = await studyIndex.loadRawData(studyId);
+        filteredVehicleData = perVehicleData;
+
+        // Other directions of a linked study, for the directional split
+        linkedStudyData = await loadLinkedStudyData(currentStudy);
+
         // Set date range - preserve if switching between studies and ranges overlap
         setDateRangeFromData(hadPreviousStudy);
 
@@ -1567,9 +2137,18 @@ window.viewStudy = function(studyId) {
 const CHART_TYPE_NAMES = {
     'vehicles-violators': 'Vehicles & Violators',
     'pct-speeders': '% Speeders',
+    'compliance-tiers': 'Compliance Tiers',
     'avg-peak-speeds': 'Average & Peak Speeds',
     'avg-vs-85th': 'Avg vs 85th Percentile',
-    'volume-only': 'Volume Only'
+    'volume-only': 'Volume Only',
+    'vehicle-classification': 'Vehicle Classification',
+    'speed-distribution': 'Speed Distribution',
+    'cumulative-speed': 'Cumulative Speed Curve',
+    'heatmap-volume': 'Volume Heatmap (Day × Hour)',
+    'heatmap-speeders': '% Speeders Heatmap (Day × Hour)',
+    'headway-distribution': 'Headway Distribution',
+    'direction-stacked': 'Directional Volume (Stacked)',
+    'direction-grouped': 'Directional Volume (Side by Side)'
 };
 
 function openAddChartModal() {
@@ -1604,6 +2183,9 @@ window.openEditChartModal = function(index) {
 
     elements.chartModalType.value = item.chartType;
     elements.chartModalTimeAgg.value = item.timeAgg;
+    elements.chartModalBinSize.value = String(item.binSize || 5);
+    elements.chartModalPlatoon.value = String(item.platoonSeconds || PLATOON_HEADWAY_SECONDS);
+    toggleChartModalOptions();
     elements.chartModalFullRange.checked = item.fullRange;
     elements.chartModalDateRange.style.display = item.fullRange ? 'none' : 'flex';
     elements.chartModalStartDate.value = item.startDate || '';
@@ -1627,6 +2209,9 @@ function resetChartModal() {
     elements.chartStudySearch.value = '';
     elements.chartModalType.value = 'vehicles-violators';
     elements.chartModalTimeAgg.value = 'daily';
+    elements.chartModalBinSize.value = '5';
+    elements.chartModalPlatoon.value = String(PLATOON_HEADWAY_SECONDS);
+    toggleChartModalOptions();
     elements.chartModalFullRange.checked = true;
     elements.chartModalDateRange.style.display = 'none';
     elements.chartModalStartDate.value = '';
@@ -1640,6 +2225,15 @@ function toggleDateRange() {
     elements.chartModalDateRange.style.display = elements.chartModalFullRange.checked ? 'none' : 'flex';
 }
 
+function toggleChartModalOptions() {
+    const chartType = CHART_TYPES[elements.chartModalType.value];
+    const speedBinned = !!chartType?.speedBinned;
+    const headway = elements.chartModalType.value === 'headway-distribution';
+    elements.chartModalTimeAggGroup.style.display = speedBinned || headway || chartType?.heatmap ? 'none' : 'block';
+    elements.chartModalBinSizeGroup.style.display = speedBinned ? 'block' : 'none';
+    elements.chartModalPlatoonGroup.style.display = headway ? 'block' : 'none';
+}
+
 function filterStudyDropdown() {
     const query = elements.chartStudySearch.value.toLowerCase().trim();
     let studies = studyIndex.getAll();
@@ -1709,6 +2303,8 @@ function saveChartItem() {
         studyMeta: modalSelectedStudyMeta,
         chartType: elements.chartModalType.value,
         timeAgg: elements.chartModalTimeAgg.value,
+        binSize: parseInt(elements.chartModalBinSize.value, 10),
+        platoonSeconds: parseFloat(elements.chartModalPlatoon.value),
         fullRange: elements.chartModalFullRange.checked,
         startDate: elements.chartModalStartDate.value,
         startTime: elements.chartModalStartTime.value,
@@ -1733,7 +2329,11 @@ function saveChartItem() {
 const TABLE_TYPE_NAMES = {
     'speed-summary': 'Speed Summary (24-Hour)',
     'volume-summary': 'Volume Summary (24-Hour)',
-    'daily-speed-bins': 'Daily Speed Bins'
+    'volume-15min': 'Volume Summary (15-Minute)',
+    'daily-speed-bins': 'Daily Speed Bins',
+    'classification-summary': 'Vehicle Classification Summary',
+    'peak-hour-summary': 'Peak Hour Summary',
+    'headway-summary': 'Headway & Gap Summary'
 };
 
 function renderReportItems() {
@@ -1747,6 +2347,19 @@ function renderReportItems() {
         const location = item.studyMeta?.location || 'Unknown';
         const direction = item.studyMeta?.direction || '';
 
+        if (item.type === 'comparison') {
+            return renderComparisonItem(item, index);
+        }
+        if (item.type === 'before-after') {
+            return renderBeforeAfterItem(item, index);
+        }
+        if (item.type === 'what-if') {
+            return renderWhatIfItem(item, index);
+        }
+        if (item.type === 'link-group') {
+            return renderLinkGroupItem(item, index);
+        }
+
         // Check if this is a table or chart item
         const isTable = item.type === 'table';
         const itemTypeName = isTable
@@ -1756,10 +2369,18 @@ function renderReportItems() {
         // Build description line
         let metaStr = itemTypeName;
         if (!isTable) {
-            metaStr += ` | ${item.timeAgg}`;
+            if (CHART_TYPES[item.chartType]?.speedBinned) {
+                metaStr += ` | ${item.binSize || 5} mph bins`;
+            } else if (item.chartType === 'headway-distribution') {
+                metaStr += ` | platoon < ${item.platoonSeconds || PLATOON_HEADWAY_SECONDS} s`;
+            } else if (!CHART_TYPES[item.chartType]?.heatmap) {
+                metaStr += ` | ${item.timeAgg}`;
+            }
             if (item.eachDay) {
                 metaStr += ' | per-day';
             }
+        } else if (item.binScheme) {
+            metaStr += ` | ${speedBinSchemes.getSchemeName(item.binScheme) || item.binScheme}`;
         }
 
         // Build filter description
@@ -1809,7 +2430,19 @@ window.moveReportItem = function(index, direction) {
 };
 
 window.duplicateReportItem = function(index) {
-    const copy = { ...reportItems[index], studyMeta: { ...reportItems[index].studyMeta } };
+    const item = reportItems[index];
+    let copy;
+    if (item.type === 'comparison') {
+        copy = { ...item, studies: item.studies.map(s => ({ ...s, studyMeta: { ...s.studyMeta } })) };
+    } else if (item.type === 'before-after') {
+        copy = {
+            ...item,
+            before: { ...item.before, studyMeta: { ...item.before.studyMeta } },
+            after: { ...item.after, studyMeta: { ...item.after.studyMeta } }
+        };
+    } else {
+        copy = { ...item, studyMeta: { ...item.studyMeta } };
+    }
     reportItems.splice(index + 1, 0, copy);
     renderReportItems();
     updatePageCount();
@@ -1824,18 +2457,20 @@ window.deleteReportItem = function(index) {
 function updatePageCount() {
     const chartsPerPage = parseInt(elements.reportChartsPerPage.value);
 
-    // Separate charts and tables
-    const charts = reportItems.filter(item => item.type !== 'table');
-    const tables = reportItems.filter(item => item.type === 'table');
+    // Separate charts, comparisons, link groups and tables (chart items have no type)
+    const charts = reportItems.filter(item => !item.type);
+    const comparisons = reportItems.filter(item => item.type === 'comparison');
+    const linkGroups = reportItems.filter(item => item.type === 'link-group');
+    const tables = reportItems.filter(item => item.type === 'table' || item.type === 'before-after' || item.type === 'what-if');
 
-    // Calculate chart pages
-    const chartPages = charts.length > 0 ? Math.ceil(charts.length / chartsPerPage) : 0;
+    // Calculate chart pages (each comparison gets its own page, each link group two)
+    const chartPages = (charts.length > 0 ? Math.ceil(charts.length / chartsPerPage) : 0) + comparisons.length + linkGroups.length * 2;
 
     // Calculate table pages
     let tablePages = 0;
     tables.forEach(table => {
-        if (table.tableType === 'daily-speed-bins') {
-            // Daily Speed Bins is always 1 page
+        if (table.type === 'before-after' || table.type === 'what-if' || DATA_TABLE_TYPES[table.tableType]?.pagesPerDay === 0) {
+            // Range tables (Daily Speed Bins, Classification, Before/After, What-If) are always 1 page
             tablePages += 1;
         } else {
             // Speed Summary and Volume Summary: 1 page per day
@@ -1844,13 +2479,17 @@ function updatePageCount() {
         }
     });
 
-    const totalPages = chartPages + tablePages;
+    const qualityPages = elements.reportIncludeQuality.checked ? 1 : 0;
+    const totalPages = chartPages + tablePages + qualityPages;
     const chartCount = charts.length;
     const tableCount = tables.length;
 
     let description = [];
     if (chartCount > 0) description.push(`${chartCount} chart${chartCount !== 1 ? 's' : ''}`);
+    if (comparisons.length > 0) description.push(`${comparisons.length} comparison${comparisons.length !== 1 ? 's' : ''}`);
+    if (linkGroups.length > 0) description.push(`${linkGroups.length} link group${linkGroups.length !== 1 ? 's' : ''}`);
     if (tableCount > 0) description.push(`${tableCount} table${tableCount !== 1 ? 's' : ''}`);
+    if (qualityPages > 0) description.push('data quality');
 
     elements.pageCountDisplay.textContent = `Total pages: ${totalPages} (${description.join(', ')})`;
 }
@@ -1864,105 +2503,51 @@ function calculateDayCount(startDate, endDate) {
     return diffDays;
 }
 
-// ============ Data Table Modal Functions ============
-
-function openAddTableModal() {
-    editingTableItemIndex = -1;
-    elements.tableModalTitle.textContent = 'Add Data Table';
-    elements.saveTableModal.textContent = 'Add Table';
+// ============ Study Comparison ============
 
-    // Reset form
-    resetTableModal();
+function openCompareModal(forReport) {
+    editingComparisonIndex = -1;
+    compareStudies = currentStudy ? [{ studyId: currentStudy.study_id, studyMeta: currentStudy }] : [];
+    elements.compareAlignBy.value = 'hour';
+    elements.compareMetric.value = 'vehicles';
+    elements.compareShowLabels.checked = false;
+    elements.compareStudySearch.value = '';
 
-    // If we have a current study, pre-select it
-    if (currentStudy) {
-        tableModalSelectedStudyId = currentStudy.study_id;
-        tableModalSelectedStudyMeta = currentStudy;
-        updateTableSelectedStudyDisplay();
-        updateTableTypeOptions();
-        setTableFullRange();
-    }
+    elements.compareModalTitle.textContent = 'Compare Studies';
+    elements.saveCompareModal.textContent = 'Add to Report';
+    elements.showCompareChart.style.display = forReport || !currentStudy ? 'none' : '';
 
-    elements.tableModal.style.display = 'flex';
+    renderCompareSelected();
+    elements.compareModal.style.display = 'flex';
 }
 
-window.openEditTableModal = function(index) {
-    editingTableItemIndex = index;
+window.openEditComparisonModal = function(index) {
+    editingComparisonIndex = index;
     const item = reportItems[index];
 
-    elements.tableModalTitle.textContent = 'Edit Data Table';
-    elements.saveTableModal.textContent = 'Save Changes';
-
-    // Populate form with item data
-    tableModalSelectedStudyId = item.studyId;
-    tableModalSelectedStudyMeta = item.studyMeta;
-    updateTableSelectedStudyDisplay();
-    updateTableTypeOptions();
-
-    elements.tableModalType.value = item.tableType;
-    elements.tableModalStartDate.value = item.startDate || '';
-    elements.tableModalEndDate.value = item.endDate || '';
+    compareStudies = item.studies.map(s => ({ ...s }));
+    elements.compareAlignBy.value = item.alignBy;
+    elements.compareMetric.value = item.metric;
+    elements.compareShowLabels.checked = item.showLabels;
+    elements.compareStudySearch.value = '';
 
-    updateTablePageCount();
+    elements.compareModalTitle.textContent = 'Edit Comparison';
+    elements.saveCompareModal.textContent = 'Save Changes';
+    elements.showCompareChart.style.display = 'none';
 
-    elements.tableModal.style.display = 'flex';
+    renderCompareSelected();
+    elements.compareModal.style.display = 'flex';
 };
 
-function closeTableModal() {
-    elements.tableModal.style.display = 'none';
-    if (elements.tableStudyList) {
-        elements.tableStudyList.classList.remove('show');
-    }
-}
-
-function resetTableModal() {
-    tableModalSelectedStudyId = null;
-    tableModalSelectedStudyMeta = null;
-    elements.tableSelectedStudy.textContent = 'No study selected';
-    elements.tableStudySearch.value = '';
-    elements.tableModalType.value = 'speed-summary';
-    elements.tableModalStartDate.value = '';
-    elements.tableModalEndDate.value = '';
-    elements.tablePageCount.textContent = '(0 pages)';
-}
-
-function updateTableSelectedStudyDisplay() {
-    if (tableModalSelectedStudyMeta) {
-        elements.tableSelectedStudy.innerHTML = `
-            <strong>${escapeHtml(tableModalSelectedStudyMeta.location)}</strong>
-            <span style="color: var(--text-secondary); font-size: 0.85rem;">
-                ${tableModalSelectedStudyMeta.direction || ''} | ${tableModalSelectedStudyMeta.study_type}
-            </span>
-        `;
-    } else {
-        elements.tableSelectedStudy.textContent = 'No study selected';
-    }
-}
-
-function updateTableTypeOptions() {
-    if (!tableModalSelectedStudyMeta) return;
-
-    const studyType = tableModalSelectedStudyMeta.study_type;
-    const select = elements.tableModalType;
-
-    // Enable/disable options based on study type
-    Array.from(select.options).forEach(option => {
-        const tableType = DATA_TABLE_TYPES[option.value];
-        if (tableType) {
-            option.disabled = !tableType.allowedStudyTypes.includes(studyType);
-        }
-    });
-
-    // If current selection is disabled, select first enabled option
-    if (select.selectedOptions[0]?.disabled) {
-        const firstEnabled = Array.from(select.options).find(opt => !opt.disabled);
-        if (firstEnabled) select.value = firstEnabled.value;
-    }
+function closeCompareModal() {
+    elements.compareModal.style.display = 'none';
+    elements.compareStudyList.classList.remove('show');
 }
 
-function filterTableStudyDropdown() {
-    const query = elements.tableStudySearch.value.toLowerCase().trim();
-    let studies = studyIndex.getAll();
+function filterCompareStudyDropdown() {
+    const query = elements.compareStudySearch.value.toLowerCase().trim();
+    const selectedIds = new Set(compareStudies.map(s => String(s.studyId)));
+    let studies = studyIndex.getAll().filter(s => !selectedIds.has(String(s.study_id)));
 
     if (query) {
         studies = studies.filter(s => {
@@ -1976,80 +2561,1054 @@ function filterTableStudyDropdown() {
     // Limit to 20 results
     studies = studies.slice(0, 20);
 
-    elements.tableStudyList.innerHTML = studies.map(s => `
-        <div class="study-dropdown-item" onclick="selectTableModalStudy('${s.study_id}')">
+    elements.compareStudyList.innerHTML = studies.map(s => `
+        <div class="study-dropdown-item" onclick="addCompareStudy('${s.study_id}')">
             <div class="location">${escapeHtml(s.location)}</div>
-            <div class="meta">${s.direction || ''} | ${s.study_type}</div>
+            <div class="meta">${s.direction || ''} | ${s.study_type} | ${formatDateRange(s.start_datetime, s.end_datetime)}</div>
         </div>
     `).join('');
 
-    elements.tableStudyList.classList.add('show');
+    elements.compareStudyList.classList.add('show');
 }
 
-window.selectTableModalStudy = function(studyId) {
+window.addCompareStudy = function(studyId) {
     const study = studyIndex.getById(studyId);
-    if (study) {
-        tableModalSelectedStudyId = studyId;
-        tableModalSelectedStudyMeta = study;
-        updateTableSelectedStudyDisplay();
-        updateTableTypeOptions();
-        setTableFullRange();
+    if (study && !compareStudies.some(s => String(s.studyId) === String(studyId))) {
+        compareStudies.push({ studyId: study.study_id, studyMeta: study });
+        renderCompareSelected();
     }
-    elements.tableStudyList.classList.remove('show');
-    elements.tableStudySearch.value = '';
+    elements.compareStudyList.classList.remove('show');
+    elements.compareStudySearch.value = '';
 };
 
-function setTableFullRange() {
-    if (!tableModalSelectedStudyMeta) return;
+window.removeCompareStudy = function(index) {
+    compareStudies.splice(index, 1);
+    renderCompareSelected();
+};
 
-    if (tableModalSelectedStudyMeta.start_datetime) {
-        elements.tableModalStartDate.value = formatDateForInput(new Date(tableModalSelectedStudyMeta.start_datetime));
-    }
-    if (tableModalSelectedStudyMeta.end_datetime) {
-        elements.tableModalEndDate.value = formatDateForInput(new Date(tableModalSelectedStudyMeta.end_datetime));
+/**
+ * Add the other directions of every selected study's link group
+ */
+function addLinkedCompareStudies() {
+    const groups = new Set(compareStudies.map(s => s.studyMeta.link_group).filter(Boolean));
+    if (groups.size === 0) {
+        alert('None of the selected studies is part of a link group.');
+        return;
     }
-    updateTablePageCount();
+
+    groups.forEach(group => {
+        studyIndex.getLinkedStudies(group).forEach(study => {
+            if (!compareStudies.some(s => String(s.studyId) === String(study.study_id))) {
+                compareStudies.push({ studyId: study.study_id, studyMeta: study });
+            }
+        });
+    });
+    renderCompareSelected();
 }
 
-function onTableTypeChange() {
-    updateTablePageCount();
+function renderCompareSelected() {
+    if (compareStudies.length === 0) {
+        elements.compareSelectedList.innerHTML = '<div class="selected-study-display">No studies selected</div>';
+        return;
+    }
+
+    elements.compareSelectedList.innerHTML = compareStudies.map((s, i) => `
+        <div class="selected-study-display">
+            <span>
+                <span class="swatch" style="background: ${COMPARISON_COLORS[i % COMPARISON_COLORS.length]};"></span>
+                <strong>${escapeHtml(s.studyMeta.location)}</strong>
+                <span style="color: var(--text-secondary); font-size: 0.85rem;">
+                    ${s.studyMeta.direction || ''} | ${s.studyMeta.study_type} | ${formatDateRange(s.studyMeta.start_datetime, s.studyMeta.end_datetime)}
+                </span>
+            </span>
+            <button type="button" class="btn-close" onclick="removeCompareStudy(${i})" title="Remove">&times;</button>
+        </div>
+    `).join('');
 }
 
-function updateTablePageCount() {
-    const tableType = elements.tableModalType.value;
-    const startDate = elements.tableModalStartDate.value;
-    const endDate = elements.tableModalEndDate.value;
+/**
+ * Read the comparison settings from the modal
+ * @returns {Object|null} Comparison report item, or null if the selection is invalid
+ */
+function getComparisonFromModal() {
+    if (compareStudies.length < 2) {
+        alert('Please select at least two studies to compare');
+        return null;
+    }
 
-    let pages = 0;
-    if (tableType === 'daily-speed-bins') {
-        pages = 1; // Always 1 page
-    } else {
-        pages = calculateDayCount(startDate, endDate);
+    const metric = elements.compareMetric.value;
+    if (COMPARISON_METRICS[metric].requiresSpeed &&
+        compareStudies.every(s => VOLUME_STUDY_TYPES.includes(s.studyMeta.study_type))) {
+        alert(`None of the selected studies has speed data for ${COMPARISON_METRICS[metric].label}.`);
+        return null;
     }
 
-    elements.tablePageCount.textContent = `(${pages} page${pages !== 1 ? 's' : ''})`;
+    return {
+        type: 'comparison',
+        studies: compareStudies.map(s => ({ studyId: s.studyId, studyMeta: { ...s.studyMeta } })),
+        alignBy: elements.compareAlignBy.value,
+        metric,
+        showLabels: elements.compareShowLabels.checked
+    };
 }
 
-function saveTableItem() {
-    if (!tableModalSelectedStudyId || !tableModalSelectedStudyMeta) {
-        alert('Please select a study');
-        return;
+/**
+ * Load every study in a comparison item over its full range and align them
+ * @param {Object} item - Comparison report item
+ * @returns {Promise<Object>} Output of buildComparison()
+ */
+async function loadComparison(item) {
+    const sets = [];
+    for (const study of item.studies) {
+        try {
+            sets.push({
+                studyMeta: study.studyMeta,
+                data: await studyIndex.loadStudyData(study.studyId),
+                perVehicleData: await studyIndex.loadRawData(study.studyId),
+                extractedPercentiles: study.studyMeta?.study_type === 'Radar'
+                    ? await studyIndex.extractRadarPercentiles(study.studyId)
+                    : null
+            });
+        } catch (error) {
+            console.warn(`Could not load study ${study.studyId} for comparison:`, error);
+        }
     }
+    return buildComparison(sets, item.alignBy);
+}
 
-    const startDate = elements.tableModalStartDate.value;
-    const endDate = elements.tableModalEndDate.value;
+async function showComparisonChart() {
+    const item = getComparisonFromModal();
+    if (!item) return;
 
-    if (!startDate || !endDate) {
-        alert('Please select a date range');
-        return;
-    }
+    closeCompareModal();
+    showLoading('Loading studies for comparison...');
+    try {
+        const comparison = await loadComparison(item);
+        createComparisonChart(elements.chartCanvas, comparison, item.metric);
 
-    if (new Date(startDate) > new Date(endDate)) {
-        alert('Start date must be before end date');
-        return;
+        elements.chartWarning.style.display = 'none';
+        elements.comparisonBannerText.textContent =
+            `Comparing ${comparison.series.length} studies: ${COMPARISON_METRICS[item.metric].label} by ${COMPARISON_ALIGNMENTS[item.alignBy]}`;
+        elements.comparisonBanner.style.display = 'flex';
+    } catch (error) {
+        console.error('Error building comparison:', error);
+        alert('Error loading studies for comparison: ' + error.message);
+    } finally {
+        hideLoading();
     }
+}
 
-    const item = {
+function saveComparisonItem() {
+    const item = getComparisonFromModal();
+    if (!item) return;
+
+    if (editingComparisonIndex >= 0) {
+        reportItems[editingComparisonIndex] = item;
+    } else {
+        reportItems.push(item);
+    }
+
+    closeCompareModal();
+    renderReportItems();
+    updatePageCount();
+}
+
+/**
+ * Report list entry for a comparison item
+ */
+function renderComparisonItem(item, index) {
+    const title = item.studies.map(s => formatComparisonLabel(s.studyMeta)).join(' vs ');
+    const metaStr = `Comparison | ${COMPARISON_METRICS[item.metric].label} by ${COMPARISON_ALIGNMENTS[item.alignBy]} | ${item.studies.length} studies`;
+
+    return `
+        <div class="report-item report-item-comparison">
+            <span class="report-item-number">📈 ${index + 1}</span>
+            <div class="report-item-info">
+                <div class="report-item-title">${escapeHtml(title)}</div>
+                <div class="report-item-meta">${metaStr}</div>
+            </div>
+            <div class="report-item-actions">
+                <button onclick="moveReportItem(${index}, -1)" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button onclick="moveReportItem(${index}, 1)" title="Move down" ${index === reportItems.length - 1 ? 'disabled' : ''}>↓</button>
+                <button onclick="openEditComparisonModal(${index})" title="Edit">✎</button>
+                <button onclick="duplicateReportItem(${index})" title="Duplicate">⧉</button>
+                <button class="delete" onclick="deleteReportItem(${index})" title="Delete">✕</button>
+            </div>
+        </div>
+    `;
+}
+
+// ============ Excluded Data ============
+
+/**
+ * List the current study's exclusion rules in the sidebar panel
+ */
+function renderExclusions() {
+    if (!currentStudy) return;
+
+    const entry = exclusionRules.getStudyExclusions(currentStudy.study_id);
+    const holidayCount = exclusionRules.getHolidays().length;
+    elements.exclusionsHolidays.checked = entry.holidays;
+    elements.exclusionsHolidays.disabled = holidayCount === 0 && !entry.holidays;
+    elements.exclusionsHolidayCount.textContent = holidayCount > 0
+        ? `${holidayCount} in ${exclusionRules.HOLIDAYS_FILE}`
+        : `no ${exclusionRules.HOLIDAYS_FILE}`;
+
+    // While trimming is off the loaded data still has its partial days
+    const partialDays = entry.trimPartialDays
+        ? exclusionRules.getTrimmedDays(currentStudy.study_id) || []
+        : findPartialDays(currentStudyData || []);
+    elements.exclusionsTrimPartial.checked = entry.trimPartialDays;
+    elements.exclusionsPartialDays.textContent = partialDays.length === 0
+        ? 'none found'
+        : `${partialDays.length} ${entry.trimPartialDays ? 'trimmed' : 'found'}`;
+
+    elements.exclusionsList.innerHTML = entry.rules.length === 0
+        ? '<div class="exclusions-empty">No dates or hours excluded</div>'
+        : entry.rules.map((rule, index) => `
+            <div class="exclusion-item">
+                <span>${escapeHtml(formatExclusionRule(rule))}</span>
+                <button onclick="deleteExclusionRule(${index})" title="Include again">✕</button>
+            </div>
+        `).join('');
+
+    updateExclusionForm();
+}
+
+/**
+ * Show the inputs the selected rule type needs
+ */
+function updateExclusionForm() {
+    const type = elements.exclusionType.value;
+    elements.exclusionStartTime.style.display = type === 'window' ? '' : 'none';
+    elements.exclusionEndTime.style.display = type === 'window' ? '' : 'none';
+    elements.exclusionEndGroup.style.display = type === 'date' ? 'none' : '';
+
+    // Default to the first day of the chart range
+    if (!elements.exclusionStartDate.value) elements.exclusionStartDate.value = elements.chartStartDate.value;
+}
+
+async function addExclusionRule() {
+    if (!currentStudy) return;
+
+    const type = elements.exclusionType.value;
+    const startDate = elements.exclusionStartDate.value;
+    const endDate = elements.exclusionEndDate.value || startDate;
+    const reason = elements.exclusionReason.value.trim();
+
+    if (!startDate) {
+        alert('Please choose a date to exclude');
+        return;
+    }
+
+    let rule;
+    if (type === 'date') {
+        rule = { type, date: startDate };
+    } else if (type === 'range') {
+        if (endDate < startDate) {
+            alert('The end date must be on or after the start date');
+            return;
+        }
+        rule = { type, start: startDate, end: endDate };
+    } else {
+        const start = `${startDate}T${elements.exclusionStartTime.value || '00:00'}`;
+        const end = `${endDate}T${elements.exclusionEndTime.value || '23:59'}`;
+        if (end <= start) {
+            alert('The end time must be after the start time');
+            return;
+        }
+        rule = { type, start, end };
+    }
+    if (reason) rule.reason = reason;
+
+    const entry = exclusionRules.getStudyExclusions(currentStudy.study_id);
+    await saveExclusions({ ...entry, rules: [...entry.rules, rule] });
+    elements.exclusionReason.value = '';
+}
+
+window.deleteExclusionRule = async function(index) {
+    if (!currentStudy) return;
+    const entry = exclusionRules.getStudyExclusions(currentStudy.study_id);
+    await saveExclusions({ ...entry, rules: entry.rules.filter((_, i) => i !== index) });
+};
+
+async function toggleHolidayExclusions() {
+    if (!currentStudy) return;
+    const entry = exclusionRules.getStudyExclusions(currentStudy.study_id);
+    await saveExclusions({ ...entry, holidays: elements.exclusionsHolidays.checked });
+}
+
+async function toggleTrimPartialDays() {
+    if (!currentStudy) return;
+    const entry = exclusionRules.getStudyExclusions(currentStudy.study_id);
+    await saveExclusions({ ...entry, trimPartialDays: elements.exclusionsTrimPartial.checked }, true);
+}
+
+/**
+ * Write the current study's rules to the data folder and reload its data without the excluded spans
+ * @param {{holidays: boolean, trimPartialDays: boolean, rules: Array}} entry
+ * @param {boolean} resetRange - Reset the chart range to the reloaded data, as when the study's first or last day changes
+ */
+async function saveExclusions(entry, resetRange = false) {
+    const studyId = currentStudy.study_id;
+    try {
+        await exclusionRules.setStudyExclusions(studyId, entry);
+    } catch (error) {
+        console.error('Error saving exclusions:', error);
+        alert('Failed to save exclusions: ' + error.message);
+        renderExclusions();
+        return;
+    }
+
+    // Cached data was loaded with the old rules
+    studyIndex.clearCache();
+    intervalStudyData = null;
+    currentStudyData = await studyIndex.loadStudyData(studyId);
+    perVehicleData = await studyIndex.loadRawData(studyId);
+    linkedStudyData = await loadLinkedStudyData(currentStudy);
+
+    if (resetRange) setDateRangeFromData();
+    elements.studyDates.textContent = formatStudyDates(currentStudy);
+    renderExclusions();
+    updateDataQuality();
+    handleDateRangeChange();
+}
+
+// ============ Data Quality ============
+
+/**
+ * Run the data quality checks on a study's loaded data
+ * @param {Object} study
+ * @param {Array} data - Clean data rows
+ * @param {Array|null} vehicles - Per-vehicle records
+ * @param {Array|null} linked - Output of loadLinkedStudyData()
+ * @returns {Object|null} Output of checkDataQuality()
+ */
+function runQualityCheck(study, data, vehicles, linked) {
+    return checkDataQuality(data, vehicles, {
+        exclusions: exclusionRules.getExclusions(study.study_id),
+        direction: study.direction,
+        linked: linked ? linked.map(l => ({ direction: l.study.direction, data: l.data })) : null
+    });
+}
+
+/**
+ * Load a study and its linked directions, then check its data quality
+ * @param {Object} study
+ * @returns {Promise<Object|null>}
+ */
+async function loadQualityCheck(study) {
+    if (currentStudy && currentStudy.study_id === study.study_id) {
+        return runQualityCheck(study, currentStudyData, perVehicleData, linkedStudyData);
+    }
+    return runQualityCheck(
+        study,
+        await studyIndex.loadStudyData(study.study_id),
+        await studyIndex.loadRawData(study.study_id),
+        await loadLinkedStudyData(study)
+    );
+}
+
+/**
+ * Check the current study, show the result in the sidebar panel and save its score
+ */
+async function updateDataQuality() {
+    if (!currentStudy) return;
+
+    const studyId = currentStudy.study_id;
+    const quality = runQualityCheck(currentStudy, currentStudyData, perVehicleData, linkedStudyData);
+    renderDataQuality(quality);
+    if (!quality) return;
+
+    try {
+        await qualityScores.setQualityScore(studyId, quality);
+    } catch (error) {
+        console.warn('Could not save data quality score:', error);
+    }
+
+    // Refresh the badge in place; the list itself may not be re-rendered
+    elements.studyList.querySelectorAll(`.study-item[data-id="${studyId}"] .study-item-meta`).forEach(meta => {
+        meta.querySelector('.quality-badge')?.remove();
+        meta.insertAdjacentHTML('beforeend', createQualityBadge(studyId));
+    });
+}
+
+/**
+ * List a study's data quality issues in the sidebar panel
+ * @param {Object|null} quality - Output of checkDataQuality()
+ */
+function renderDataQuality(quality) {
+    if (!quality) {
+        elements.qualityScore.textContent = '';
+        elements.qualityScore.className = 'quality-badge';
+        elements.qualityIssues.innerHTML = '<div class="quality-empty">No data to check</div>';
+        return;
+    }
+
+    elements.qualityScore.textContent = `${quality.score} - ${quality.label}`;
+    elements.qualityScore.className = `quality-badge ${quality.rating}`;
+    elements.qualityIssues.innerHTML = quality.issues.length === 0
+        ? '<div class="quality-empty">No issues found</div>'
+        : quality.issues.map(issue => `
+            <div class="quality-issue">
+                <span class="quality-issue-label">${escapeHtml(issue.label)}</span>
+                <span class="quality-issue-penalty">-${Math.round(issue.penalty)}</span>
+                <div class="quality-issue-detail">${escapeHtml(issue.detail)}</div>
+            </div>
+        `).join('');
+}
+
+/**
+ * Check every study in the index so the sidebar shows a score for each
+ */
+async function checkAllStudiesQuality() {
+    const studies = studyIndex.getAll();
+    const results = [];
+    let failed = 0;
+
+    for (let i = 0; i < studies.length; i++) {
+        showLoading(`Checking data quality ${i + 1} of ${studies.length}...`);
+        try {
+            const quality = await loadQualityCheck(studies[i]);
+            if (quality) results.push([studies[i].study_id, quality]);
+        } catch (error) {
+            console.warn(`Could not check study ${studies[i].study_id}:`, error);
+            failed++;
+        }
+    }
+
+    // Every study's data is now cached; keep only what is in use
+    studyIndex.clearCache();
+
+    // One write of data_quality.json for the whole run
+    try {
+        await qualityScores.setQualityScores(results);
+    } catch (error) {
+        console.error(`Error saving ${qualityScores.QUALITY_FILE}:`, error);
+        alert(`Failed to save ${qualityScores.QUALITY_FILE}: ` + error.message);
+    }
+    hideLoading();
+    updateStudyList();
+    if (failed > 0) alert(`${failed} ${failed === 1 ? 'study' : 'studies'} could not be checked. See the console for details.`);
+}
+
+// ============ What-If Speed Limit ============
+
+/**
+ * Recompute compliance for the current study against the limits in the what-if panel
+ */
+function updateWhatIf() {
+    if (!currentStudy || !filteredStudyData || VOLUME_STUDY_TYPES.includes(currentStudy.study_type)) {
+        elements.whatIfResults.innerHTML = '';
+        return;
+    }
+
+    const whatIf = calculateWhatIf(
+        filteredStudyData,
+        filteredVehicleData,
+        currentStudy.speed_limit,
+        parseSpeedLimits(elements.whatIfLimits.value)
+    );
+    if (!whatIf) {
+        elements.whatIfResults.innerHTML = '<div class="what-if-note">No speed data in the selected date range.</div>';
+        return;
+    }
+
+    const formatPct = v => (v !== null ? `${formatDecimal(v)}%` : 'n/a');
+    const rows = whatIf.rows.map(r => `
+        <tr class="${r.posted ? 'posted' : ''}">
+            <td>${r.limit} mph${r.posted ? ' (posted)' : ''}${r.estimated ? ' *' : ''}</td>
+            <td>${r.violators !== null ? formatNumber(Math.round(r.violators)) : 'n/a'}</td>
+            <td>${formatPct(r.pctSpeeders)}</td>
+            <td>${r.change !== null ? `${r.change > 0 ? '+' : ''}${formatDecimal(r.change)} pts` : '-'}</td>
+            ${r.compliance.tiers.map(t => `<td>${formatPct(t.pct)}</td>`).join('')}
+        </tr>
+    `).join('');
+
+    elements.whatIfResults.innerHTML = `
+        <table class="what-if-table">
+            <thead>
+                <tr>
+                    <th>Limit</th><th>Violators</th><th>% Speeders</th><th>Change</th>
+                    ${COMPLIANCE_TIERS.map(m => `<th>${m}+ Over</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <div class="what-if-note">
+            ${describeWhatIfSource(whatIf, currentStudy.speed_schedule)}${whatIf.rows.some(r => r.estimated) ? ' Estimated rows are starred.' : ''}
+            Selected dates only; study_index.csv is not changed.
+        </div>
+    `;
+}
+
+function addWhatIfToReport() {
+    if (!currentStudy) return;
+
+    const limits = parseSpeedLimits(elements.whatIfLimits.value);
+    if (limits.length === 0) {
+        alert('Enter at least one hypothetical speed limit');
+        return;
+    }
+
+    reportItems.push({
+        type: 'what-if',
+        studyId: currentStudy.study_id,
+        studyMeta: { ...currentStudy },
+        limits,
+        startDate: elements.chartStartDate.value,
+        endDate: elements.chartEndDate.value
+    });
+    renderReportItems();
+    updatePageCount();
+
+    elements.whatIfResults.insertAdjacentHTML('beforeend',
+        `<div class="what-if-note">Added to report as item ${reportItems.length}.</div>`);
+}
+
+window.openEditWhatIfItem = function(index) {
+    const item = reportItems[index];
+    const input = prompt('Hypothetical speed limits (mph), separated by commas:', item.limits.join(', '));
+    if (input === null) return;
+
+    const limits = parseSpeedLimits(input);
+    if (limits.length === 0) {
+        alert('Enter at least one hypothetical speed limit');
+        return;
+    }
+    item.limits = limits;
+    renderReportItems();
+};
+
+/**
+ * Report list entry for a what-if item
+ */
+function renderWhatIfItem(item, index) {
+    const location = item.studyMeta?.location || 'Unknown';
+    const direction = item.studyMeta?.direction || '';
+    const limitsStr = item.limits.map(l => `${l} mph`).join(', ');
+    const metaStr = `What-If Speed Limit | posted ${item.studyMeta?.speed_limit || '-'} mph vs ${limitsStr} (${item.startDate} to ${item.endDate})`;
+
+    return `
+        <div class="report-item report-item-what-if">
+            <span class="report-item-number">⚖ ${index + 1}</span>
+            <div class="report-item-info">
+                <div class="report-item-title">${escapeHtml(location)}${direction ? ' - ' + direction : ''}</div>
+                <div class="report-item-meta">${metaStr}</div>
+            </div>
+            <div class="report-item-actions">
+                <button onclick="moveReportItem(${index}, -1)" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button onclick="moveReportItem(${index}, 1)" title="Move down" ${index === reportItems.length - 1 ? 'disabled' : ''}>↓</button>
+                <button onclick="openEditWhatIfItem(${index})" title="Edit limits">✎</button>
+                <button onclick="duplicateReportItem(${index})" title="Duplicate">⧉</button>
+                <button class="delete" onclick="deleteReportItem(${index})" title="Delete">✕</button>
+            </div>
+        </div>
+    `;
+}
+
+// ============ Before/After Comparison ============
+
+function openBeforeAfterModal() {
+    editingBeforeAfterIndex = -1;
+    beforeAfterSelection = {
+        before: currentStudy ? { studyId: currentStudy.study_id, studyMeta: currentStudy } : null,
+        after: null
+    };
+    elements.beforeAfterShowLabels.checked = false;
+
+    elements.beforeAfterModalTitle.textContent = 'Before/After Comparison';
+    elements.saveBeforeAfterModal.textContent = 'Add to Report';
+
+    renderBeforeAfterSelection();
+    elements.beforeAfterModal.style.display = 'flex';
+}
+
+window.openEditBeforeAfterModal = function(index) {
+    editingBeforeAfterIndex = index;
+    const item = reportItems[index];
+
+    beforeAfterSelection = { before: { ...item.before }, after: { ...item.after } };
+    elements.beforeAfterShowLabels.checked = item.showLabels;
+
+    elements.beforeAfterModalTitle.textContent = 'Edit Before/After Comparison';
+    elements.saveBeforeAfterModal.textContent = 'Save Changes';
+
+    renderBeforeAfterSelection();
+    elements.beforeAfterModal.style.display = 'flex';
+};
+
+function closeBeforeAfterModal() {
+    elements.beforeAfterModal.style.display = 'none';
+    elements.beforeStudyList.classList.remove('show');
+    elements.afterStudyList.classList.remove('show');
+}
+
+/**
+ * Search input, dropdown and selection display for one side of the pair
+ * @param {string} side - 'before' or 'after'
+ * @returns {{search: HTMLInputElement, list: HTMLElement, display: HTMLElement}}
+ */
+function getBeforeAfterControls(side) {
+    return side === 'before'
+        ? { search: elements.beforeStudySearch, list: elements.beforeStudyList, display: elements.beforeSelectedStudy }
+        : { search: elements.afterStudySearch, list: elements.afterStudyList, display: elements.afterSelectedStudy };
+}
+
+function renderBeforeAfterSelection() {
+    ['before', 'after'].forEach(side => {
+        const selected = beforeAfterSelection[side];
+        const { search, display } = getBeforeAfterControls(side);
+        search.value = '';
+
+        if (selected) {
+            const meta = selected.studyMeta;
+            display.innerHTML = `
+                <strong>${escapeHtml(meta.location)}</strong>
+                <span style="color: var(--text-secondary); font-size: 0.85rem;">
+                    ${meta.direction || ''} | ${meta.study_type} | ${formatDateRange(meta.start_datetime, meta.end_datetime)}
+                </span>
+            `;
+        } else {
+            display.textContent = 'No study selected';
+        }
+    });
+}
+
+/**
+ * Study search for one side of the pair. Studies at the other side's location are listed first.
+ * @param {string} side - 'before' or 'after'
+ */
+function filterBeforeAfterDropdown(side) {
+    const { search, list } = getBeforeAfterControls(side);
+    const query = search.value.toLowerCase().trim();
+    const other = beforeAfterSelection[side === 'before' ? 'after' : 'before'];
+    let studies = studyIndex.getAll().filter(s => !other || String(s.study_id) !== String(other.studyId));
+
+    if (query) {
+        studies = studies.filter(s => {
+            const location = (s.location || '').toLowerCase();
+            const counter = String(s.counter_number ?? '').toLowerCase();
+            const id = String(s.study_id ?? '').toLowerCase();
+            return location.includes(query) || counter.includes(query) || id.includes(query);
+        });
+    }
+
+    if (other) {
+        const sameSite = s => s.location === other.studyMeta.location && s.direction === other.studyMeta.direction;
+        studies = [...studies.filter(sameSite), ...studies.filter(s => !sameSite(s))];
+    }
+
+    // Limit to 20 results
+    studies = studies.slice(0, 20);
+
+    list.innerHTML = studies.map(s => `
+        <div class="study-dropdown-item" onclick="selectBeforeAfterStudy('${side}', '${s.study_id}')">
+            <div class="location">${escapeHtml(s.location)}</div>
+            <div class="meta">${s.direction || ''} | ${s.study_type} | ${formatDateRange(s.start_datetime, s.end_datetime)}</div>
+        </div>
+    `).join('');
+
+    list.classList.add('show');
+}
+
+window.selectBeforeAfterStudy = function(side, studyId) {
+    const study = studyIndex.getById(studyId);
+    if (study) {
+        beforeAfterSelection[side] = { studyId: study.study_id, studyMeta: study };
+        renderBeforeAfterSelection();
+    }
+    getBeforeAfterControls(side).list.classList.remove('show');
+};
+
+function saveBeforeAfterItem() {
+    const { before, after } = beforeAfterSelection;
+    if (!before || !after) {
+        alert('Please select both a before and an after study');
+        return;
+    }
+
+    const item = {
+        type: 'before-after',
+        before: { studyId: before.studyId, studyMeta: { ...before.studyMeta } },
+        after: { studyId: after.studyId, studyMeta: { ...after.studyMeta } },
+        showLabels: elements.beforeAfterShowLabels.checked
+    };
+
+    if (editingBeforeAfterIndex >= 0) {
+        reportItems[editingBeforeAfterIndex] = item;
+    } else {
+        reportItems.push(item);
+    }
+
+    closeBeforeAfterModal();
+    renderReportItems();
+    updatePageCount();
+}
+
+/**
+ * Load both studies of a before/after item over their full ranges and compare them
+ * @param {Object} item - Before/after report item
+ * @returns {Promise<Object>} Output of buildBeforeAfter()
+ */
+async function loadBeforeAfter(item) {
+    const load = async (side) => ({
+        studyMeta: side.studyMeta,
+        data: await studyIndex.loadStudyData(side.studyId),
+        perVehicleData: await studyIndex.loadRawData(side.studyId),
+        extractedPercentiles: side.studyMeta?.study_type === 'Radar'
+            ? await studyIndex.extractRadarPercentiles(side.studyId)
+            : null
+    });
+    return buildBeforeAfter(await load(item.before), await load(item.after));
+}
+
+/**
+ * Report list entry for a before/after item
+ */
+function renderBeforeAfterItem(item, index) {
+    const title = `${formatComparisonLabel(item.before.studyMeta)} → ${formatDate(item.after.studyMeta.start_datetime) || 'after'}`;
+    const metaStr = `Before/After | ${item.before.studyMeta.study_type} vs ${item.after.studyMeta.study_type} | 1 page`;
+
+    return `
+        <div class="report-item report-item-before-after">
+            <span class="report-item-number">⇄ ${index + 1}</span>
+            <div class="report-item-info">
+                <div class="report-item-title">${escapeHtml(title)}</div>
+                <div class="report-item-meta">${metaStr}</div>
+            </div>
+            <div class="report-item-actions">
+                <button onclick="moveReportItem(${index}, -1)" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button onclick="moveReportItem(${index}, 1)" title="Move down" ${index === reportItems.length - 1 ? 'disabled' : ''}>↓</button>
+                <button onclick="openEditBeforeAfterModal(${index})" title="Edit">✎</button>
+                <button onclick="duplicateReportItem(${index})" title="Duplicate">⧉</button>
+                <button class="delete" onclick="deleteReportItem(${index})" title="Delete">✕</button>
+            </div>
+        </div>
+    `;
+}
+
+// ============ Link Group Report ============
+
+/**
+ * Add the current study's link group to the report as one two-way section,
+ * over the chart's date range and time aggregation
+ */
+function addLinkGroupToReport() {
+    if (!currentStudy) {
+        alert('Please select a study from the sidebar first');
+        return;
+    }
+    if (studyIndex.getLinkedStudies(currentStudy.link_group).length < 2) {
+        alert('The selected study is not linked to a study in the other direction');
+        return;
+    }
+
+    reportItems.push({
+        type: 'link-group',
+        linkGroup: String(currentStudy.link_group).trim(),
+        studyId: currentStudy.study_id,
+        studyMeta: { ...currentStudy },
+        startDate: elements.chartStartDate.value,
+        endDate: elements.chartEndDate.value,
+        timeAgg: elements.timeAggSelect.value,
+        showLabels: false
+    });
+    renderReportItems();
+    updatePageCount();
+}
+
+window.openEditLinkGroupItem = function(index) {
+    const item = reportItems[index];
+    const input = prompt('Date range (YYYY-MM-DD to YYYY-MM-DD):', `${item.startDate} to ${item.endDate}`);
+    if (input === null) return;
+
+    const match = input.match(/^\s*(\d{4}-\d{2}-\d{2})\s+to\s+(\d{4}-\d{2}-\d{2})\s*$/);
+    if (!match || match[1] > match[2]) {
+        alert('Enter a start and end date as YYYY-MM-DD to YYYY-MM-DD');
+        return;
+    }
+    item.startDate = match[1];
+    item.endDate = match[2];
+    renderReportItems();
+};
+
+/**
+ * Load every study of a link group item over the item's dates and combine them
+ * @param {Object} item - Link group report item
+ * @returns {Promise<Object|null>} Output of buildLinkGroup()
+ */
+async function loadLinkGroup(item) {
+    const studies = [];
+    for (const study of studyIndex.getLinkedStudies(item.linkGroup)) {
+        try {
+            // The default load finds each study's finest interval
+            await studyIndex.loadStudyData(study.study_id);
+            studies.push(study);
+        } catch (error) {
+            console.warn(`Could not load linked study ${study.study_id}:`, error);
+        }
+    }
+
+    // Charts are no finer than the coarsest study in the group
+    const finestMinutes = Math.max(...studies.map(s => studyIndex.getFinestInterval(s.study_id)));
+    const minutes = getSeriesInterval(item.timeAgg, finestMinutes);
+    const bucketMinutes = minutes !== null && minutes < DEFAULT_INTERVAL_MINUTES ? minutes : DEFAULT_INTERVAL_MINUTES;
+
+    const sets = [];
+    for (const study of studies) {
+        const vehicles = await studyIndex.loadRawData(study.study_id);
+        sets.push({
+            studyMeta: study,
+            data: filterDataForItem(await studyIndex.loadStudyData(study.study_id, bucketMinutes), item),
+            perVehicleData: vehicles ? filterDataForItem(vehicles, item) : null,
+            extractedPercentiles: study.study_type === 'Radar' ? await studyIndex.extractRadarPercentiles(study.study_id) : null
+        });
+    }
+
+    return buildLinkGroup(sets, {
+        timeAgg: item.timeAgg,
+        finestMinutes,
+        factors: aadtFactors.getFactors()
+    });
+}
+
+/**
+ * Report list entry for a link group item
+ */
+function renderLinkGroupItem(item, index) {
+    const directions = studyIndex.getLinkedStudies(item.linkGroup).map(s => s.direction || '?').join(' / ');
+    const aggLabel = TIME_AGGREGATIONS[item.timeAgg]?.label || item.timeAgg;
+    const metaStr = `Link Group | ${directions} | ${aggLabel} | 2 pages (${item.startDate} to ${item.endDate})`;
+
+    return `
+        <div class="report-item report-item-link-group">
+            <span class="report-item-number">⇅ ${index + 1}</span>
+            <div class="report-item-info">
+                <div class="report-item-title">${escapeHtml(item.studyMeta?.location || 'Unknown')} - Two-Way</div>
+                <div class="report-item-meta">${escapeHtml(metaStr)}</div>
+            </div>
+            <div class="report-item-actions">
+                <button onclick="moveReportItem(${index}, -1)" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button onclick="moveReportItem(${index}, 1)" title="Move down" ${index === reportItems.length - 1 ? 'disabled' : ''}>↓</button>
+                <button onclick="openEditLinkGroupItem(${index})" title="Edit dates">✎</button>
+                <button onclick="duplicateReportItem(${index})" title="Duplicate">⧉</button>
+                <button class="delete" onclick="deleteReportItem(${index})" title="Delete">✕</button>
+            </div>
+        </div>
+    `;
+}
+
+// ============ Data Table Modal Functions ============
+
+function openAddTableModal() {
+    editingTableItemIndex = -1;
+    elements.tableModalTitle.textContent = 'Add Data Table';
+    elements.saveTableModal.textContent = 'Add Table';
+
+    // Reset form
+    resetTableModal();
+
+    // If we have a current study, pre-select it
+    if (currentStudy) {
+        tableModalSelectedStudyId = currentStudy.study_id;
+        tableModalSelectedStudyMeta = currentStudy;
+        updateTableSelectedStudyDisplay();
+        updateTableTypeOptions();
+        setTableFullRange();
+    }
+
+    elements.tableModal.style.display = 'flex';
+}
+
+window.openEditTableModal = function(index) {
+    editingTableItemIndex = index;
+    const item = reportItems[index];
+
+    elements.tableModalTitle.textContent = 'Edit Data Table';
+    elements.saveTableModal.textContent = 'Save Changes';
+
+    // Populate form with item data
+    tableModalSelectedStudyId = item.studyId;
+    tableModalSelectedStudyMeta = item.studyMeta;
+    updateTableSelectedStudyDisplay();
+    updateTableTypeOptions();
+
+    elements.tableModalType.value = item.tableType;
+    elements.tableModalPlatoon.value = String(item.platoonSeconds || PLATOON_HEADWAY_SECONDS);
+    elements.tableModalBinScheme.value = item.binScheme || DATA_TABLE_TYPES[item.tableType]?.binScheme || '';
+    elements.tableModalStartDate.value = item.startDate || '';
+    elements.tableModalEndDate.value = item.endDate || '';
+
+    updateTablePageCount();
+
+    elements.tableModal.style.display = 'flex';
+};
+
+function closeTableModal() {
+    elements.tableModal.style.display = 'none';
+    if (elements.tableStudyList) {
+        elements.tableStudyList.classList.remove('show');
+    }
+}
+
+function resetTableModal() {
+    tableModalSelectedStudyId = null;
+    tableModalSelectedStudyMeta = null;
+    elements.tableSelectedStudy.textContent = 'No study selected';
+    elements.tableStudySearch.value = '';
+    elements.tableModalType.value = 'speed-summary';
+    elements.tableModalPlatoon.value = String(PLATOON_HEADWAY_SECONDS);
+    elements.tableModalBinScheme.value = DATA_TABLE_TYPES['speed-summary'].binScheme;
+    elements.tableModalStartDate.value = '';
+    elements.tableModalEndDate.value = '';
+    elements.tablePageCount.textContent = '(0 pages)';
+}
+
+function updateTableSelectedStudyDisplay() {
+    if (tableModalSelectedStudyMeta) {
+        elements.tableSelectedStudy.innerHTML = `
+            <strong>${escapeHtml(tableModalSelectedStudyMeta.location)}</strong>
+            <span style="color: var(--text-secondary); font-size: 0.85rem;">
+                ${tableModalSelectedStudyMeta.direction || ''} | ${tableModalSelectedStudyMeta.study_type}
+            </span>
+        `;
+    } else {
+        elements.tableSelectedStudy.textContent = 'No study selected';
+    }
+}
+
+function updateTableTypeOptions() {
+    if (!tableModalSelectedStudyMeta) return;
+
+    const studyType = tableModalSelectedStudyMeta.study_type;
+    const select = elements.tableModalType;
+
+    // Enable/disable options based on study type
+    Array.from(select.options).forEach(option => {
+        const tableType = DATA_TABLE_TYPES[option.value];
+        if (tableType) {
+            option.disabled = !tableType.allowedStudyTypes.includes(studyType);
+        }
+    });
+
+    // If current selection is disabled, select first enabled option
+    if (select.selectedOptions[0]?.disabled) {
+        const firstEnabled = Array.from(select.options).find(opt => !opt.disabled);
+        if (firstEnabled) select.value = firstEnabled.value;
+    }
+}
+
+function filterTableStudyDropdown() {
+    const query = elements.tableStudySearch.value.toLowerCase().trim();
+    let studies = studyIndex.getAll();
+
+    if (query) {
+        studies = studies.filter(s => {
+            const location = (s.location || '').toLowerCase();
+            const counter = String(s.counter_number ?? '').toLowerCase();
+            const id = String(s.study_id ?? '').toLowerCase();
+            return location.includes(query) || counter.includes(query) || id.includes(query);
+        });
+    }
+
+    // Limit to 20 results
+    studies = studies.slice(0, 20);
+
+    elements.tableStudyList.innerHTML = studies.map(s => `
+        <div class="study-dropdown-item" onclick="selectTableModalStudy('${s.study_id}')">
+            <div class="location">${escapeHtml(s.location)}</div>
+            <div class="meta">${s.direction || ''} | ${s.study_type}</div>
+        </div>
+    `).join('');
+
+    elements.tableStudyList.classList.add('show');
+}
+
+window.selectTableModalStudy = function(studyId) {
+    const study = studyIndex.getById(studyId);
+    if (study) {
+        tableModalSelectedStudyId = studyId;
+        tableModalSelectedStudyMeta = study;
+        updateTableSelectedStudyDisplay();
+        updateTableTypeOptions();
+        setTableFullRange();
+    }
+    elements.tableStudyList.classList.remove('show');
+    elements.tableStudySearch.value = '';
+};
+
+function setTableFullRange() {
+    if (!tableModalSelectedStudyMeta) return;
+
+    if (tableModalSelectedStudyMeta.start_datetime && tableModalSelectedStudyMeta.end_datetime) {
+        // Skips trimmed partial days at either end
+        const days = getStudyDays(tableModalSelectedStudyMeta);
+        if (days.length > 0) {
+            elements.tableModalStartDate.value = formatDateForInput(days[0]);
+            elements.tableModalEndDate.value = formatDateForInput(days[days.length - 1]);
+        }
+    } else if (tableModalSelectedStudyMeta.start_datetime) {
+        elements.tableModalStartDate.value = formatDateForInput(new Date(tableModalSelectedStudyMeta.start_datetime));
+    } else if (tableModalSelectedStudyMeta.end_datetime) {
+        elements.tableModalEndDate.value = formatDateForInput(new Date(tableModalSelectedStudyMeta.end_datetime));
+    }
+    updateTablePageCount();
+}
+
+function onTableTypeChange() {
+    // Each speed table starts on its own default bin scheme
+    const binScheme = DATA_TABLE_TYPES[elements.tableModalType.value]?.binScheme;
+    if (binScheme) elements.tableModalBinScheme.value = binScheme;
+    updateTablePageCount();
+}
+
+/**
+ * Fill the table modal's bin scheme select with the loaded schemes
+ */
+function populateBinSchemeSelect() {
+    elements.tableModalBinScheme.innerHTML = speedBinSchemes.getSchemes()
+        .map(scheme => `<option value="${escapeHtml(scheme.id)}">${escapeHtml(scheme.name)}</option>`)
+        .join('');
+}
+
+function updateTablePageCount() {
+    const tableType = elements.tableModalType.value;
+    elements.tableModalPlatoonGroup.style.display = tableType === 'headway-summary' ? 'block' : 'none';
+    elements.tableModalBinSchemeGroup.style.display = DATA_TABLE_TYPES[tableType]?.binScheme ? 'block' : 'none';
+    const startDate = elements.tableModalStartDate.value;
+    const endDate = elements.tableModalEndDate.value;
+
+    let pages = 0;
+    if (DATA_TABLE_TYPES[tableType]?.pagesPerDay === 0) {
+        pages = 1; // Always 1 page
+    } else {
+        pages = calculateDayCount(startDate, endDate);
+    }
+
+    elements.tablePageCount.textContent = `(${pages} page${pages !== 1 ? 's' : ''})`;
+}
+
+function saveTableItem() {
+    if (!tableModalSelectedStudyId || !tableModalSelectedStudyMeta) {
+        alert('Please select a study');
+        return;
+    }
+
+    const startDate = elements.tableModalStartDate.value;
+    const endDate = elements.tableModalEndDate.value;
+
+    if (!startDate || !endDate) {
+        alert('Please select a date range');
+        return;
+    }
+
+    if (new Date(startDate) > new Date(endDate)) {
+        alert('Start date must be before end date');
+        return;
+    }
+
+    const item = {
         type: 'table',
         studyId: tableModalSelectedStudyId,
         studyMeta: tableModalSelectedStudyMeta,
@@ -2057,6 +3616,12 @@ function saveTableItem() {
         startDate: startDate,
         endDate: endDate
     };
+    if (item.tableType === 'headway-summary') {
+        item.platoonSeconds = parseFloat(elements.tableModalPlatoon.value);
+    }
+    if (DATA_TABLE_TYPES[item.tableType]?.binScheme) {
+        item.binScheme = elements.tableModalBinScheme.value;
+    }
 
     if (editingTableItemIndex >= 0) {
         reportItems[editingTableItemIndex] = item;
@@ -2069,6 +3634,19 @@ function saveTableItem() {
     updatePageCount();
 }
 
+/**
+ * Speed bins for a speed table item: its chosen scheme, or the table's default when the
+ * scheme is no longer in the settings file or needs a posted limit the study lacks
+ * @param {Object} item - Table report item
+ * @returns {Array} Bin definitions
+ */
+function getTableItemBins(item) {
+    const fallback = DATA_TABLE_TYPES[item.tableType].binScheme;
+    const speedLimit = item.studyMeta.speed_limit || null;
+    return speedBinSchemes.getSchemeBins(item.binScheme || fallback, speedLimit)
+        || speedBinSchemes.getSchemeBins(fallback);
+}
+
 function filterDataForItem(data, item) {
     return data.filter(d => {
         if (!d.datetime) return false;
@@ -2092,6 +3670,38 @@ function filterDataForItem(data, item) {
     });
 }
 
+/**
+ * Directional split for a report item whose study is part of a link group
+ * @param {Object} item - Report item
+ * @param {Array} filteredData - The item's study data, already filtered to its range
+ * @param {Array|null} filteredVehicles - The item's per-vehicle data, already filtered
+ * @returns {Promise<Object|null>}
+ */
+/**
+ * Other directions of a report item's link group, limited to the item's date range
+ * @param {Object} item - Report item with studyMeta
+ * @param {number} bucketMinutes - Bucket size for per-vehicle clean files
+ * @returns {Promise<Array|null>} [{direction, data}] for getDirectionalSets()
+ */
+async function loadItemLinkedSets(item, bucketMinutes = DEFAULT_INTERVAL_MINUTES) {
+    const linked = await loadLinkedStudyData(item.studyMeta, bucketMinutes);
+    return linked ? linked.map(l => ({ direction: l.study.direction, data: filterDataForItem(l.data, item) })) : null;
+}
+
+async function calculateItemDirectionalSplit(item, filteredData, filteredVehicles) {
+    const linked = await loadLinkedStudyData(item.studyMeta);
+    if (!linked) return null;
+
+    return calculateDirectionalSplit([
+        { direction: item.studyMeta.direction, data: filteredData, perVehicleData: filteredVehicles },
+        ...linked.map(l => ({
+            direction: l.study.direction,
+            data: filterDataForItem(l.data, item),
+            perVehicleData: l.vehicles ? filterDataForItem(l.vehicles, item) : null
+        }))
+    ]);
+}
+
 async function generateReport() {
     if (reportItems.length === 0) {
         alert('Please add at least one item to the report');
@@ -2127,9 +3737,11 @@ async function generateReport() {
         const pageHeight = doc.internal.pageSize.getHeight();
         const chartsPerPage = parseInt(elements.reportChartsPerPage.value);
 
-        // Separate charts and tables
-        const chartItems = reportItems.filter(item => item.type !== 'table');
-        const tableItems = reportItems.filter(item => item.type === 'table');
+        // Separate charts, comparisons, link groups and tables (chart items have no type)
+        const chartItems = reportItems.filter(item => !item.type);
+        const comparisonItems = reportItems.filter(item => item.type === 'comparison');
+        const linkGroupItems = reportItems.filter(item => item.type === 'link-group');
+        const tableItems = reportItems.filter(item => item.type === 'table' || item.type === 'before-after' || item.type === 'what-if');
 
         // Get first study info for header
         let firstStudy = null;
@@ -2147,7 +3759,15 @@ async function generateReport() {
             if (firstStudy?.study_type === 'Radar') {
                 firstPercentiles = await studyIndex.extractRadarPercentiles(chartItems[0].studyId);
             }
-            overallStats = pdfGen.calculateReportStatistics(firstFiltered, firstPercentiles);
+            const firstVehicles = await studyIndex.loadRawData(chartItems[0].studyId);
+            const firstFilteredVehicles = firstVehicles ? filterDataForItem(firstVehicles, chartItems[0]) : null;
+            overallStats = pdfGen.calculateReportStatistics(firstFiltered, firstPercentiles, firstFilteredVehicles, {
+                factors: aadtFactors.getFactors(),
+                studyType: firstStudy?.study_type
+            }, firstStudy?.speed_limit);
+            if (overallStats.peakHours) {
+                overallStats.peakHours.directional = await calculateItemDirectionalSplit(chartItems[0], firstFiltered, firstFilteredVehicles);
+            }
         }
 
         // Calculate date range for header - only show if all items share the same range
@@ -2176,8 +3796,10 @@ async function generateReport() {
                 return { start: item.startDate || '', end: item.endDate || '' };
             };
 
-            const firstDates = getEffectiveDates(reportItems[0]);
-            const allSameRange = reportItems.every(item => {
+            // Comparisons span each study's own range, so they don't count here
+            const rangedItems = reportItems.filter(item => item.type !== 'comparison' && item.type !== 'before-after');
+            const firstDates = rangedItems.length > 0 ? getEffectiveDates(rangedItems[0]) : { start: '', end: '' };
+            const allSameRange = rangedItems.every(item => {
                 const dates = getEffectiveDates(item);
                 return dates.start === firstDates.start && dates.end === firstDates.end;
             });
@@ -2194,6 +3816,7 @@ async function generateReport() {
 
         let chartsOnPage = 0;
         let chartY = 0;
+        let pageNotes = []; // Exclusion footnotes already on the current chart page
 
         // Draw header on first page and get dynamic Y position
         if (chartItems.length > 0) {
@@ -2204,6 +3827,7 @@ async function generateReport() {
                 dateRange: dateRangeStr,
                 counter: firstStudy?.counter_number,
                 speedLimit: firstStudy?.speed_limit,
+                speedSchedule: firstStudy?.speed_schedule,
                 stats: overallStats,
                 isFirstPage: true
             });
@@ -2227,16 +3851,73 @@ async function generateReport() {
                 continue;
             }
 
+            if (item.chartType === 'vehicle-classification' && !hasClassificationData(await studyIndex.loadRawData(item.studyId))) {
+                console.warn(`No per-vehicle class data for chart ${i + 1}`);
+                continue;
+            }
+
             // Extract percentiles for Radar studies
             let itemPercentiles = null;
             if (item.studyMeta?.study_type === 'Radar') {
                 itemPercentiles = await studyIndex.extractRadarPercentiles(item.studyId);
             }
 
-            // Aggregate data with extracted percentiles for accurate p85
-            const aggregatedData = item.timeAgg === 'hourly'
-                ? pdfGen.aggregateHourly(filteredData, itemPercentiles)
-                : pdfGen.aggregateDaily(filteredData, itemPercentiles);
+            // Per-vehicle speeds for true percentiles, when the study has a raw file
+            const itemVehicles = await studyIndex.loadRawData(item.studyId);
+            const filteredVehicles = itemVehicles ? filterDataForItem(itemVehicles, item) : null;
+
+            // Classification bins vehicles by class; heatmaps use a weekday x hour grid;
+            // speed charts bin vehicles by speed; other charts aggregate with per-vehicle speeds or extracted percentiles for accurate p85
+            let aggregatedData;
+            if (item.chartType === 'vehicle-classification') {
+                aggregatedData = calculateClassification(filteredVehicles).classes;
+            } else if (CHART_TYPES[item.chartType]?.heatmap) {
+                aggregatedData = aggregateByWeekdayHour(filteredData);
+            } else if (item.chartType === 'headway-distribution') {
+                aggregatedData = calculateHeadways(filteredVehicles, item.platoonSeconds);
+                if (!aggregatedData) {
+                    console.warn(`No per-vehicle timestamps for chart ${i + 1}`);
+                    continue;
+                }
+            } else if (CHART_TYPES[item.chartType]?.speedBinned) {
+                const histogram = calculateSpeedHistogram(filteredData, filteredVehicles, item.binSize || 5);
+                if (!histogram) {
+                    console.warn(`No speed data for chart ${i + 1}`);
+                    continue;
+                }
+                aggregatedData = histogram;
+            } else if (CHART_TYPES[item.chartType]?.requiresDirection) {
+                const linked = await loadLinkedStudyData(item.studyMeta);
+                const finestMinutes = Math.max(
+                    studyIndex.getFinestInterval(item.studyId),
+                    ...(linked || []).map(l => studyIndex.getFinestInterval(l.study.study_id))
+                );
+                const minutes = getSeriesInterval(item.timeAgg, finestMinutes);
+                const bucketMinutes = minutes !== null && minutes < DEFAULT_INTERVAL_MINUTES ? minutes : DEFAULT_INTERVAL_MINUTES;
+                const sets = getDirectionalSets(
+                    filterDataForItem(await studyIndex.loadStudyData(item.studyId, bucketMinutes), item),
+                    item.studyMeta?.direction,
+                    await loadItemLinkedSets(item, bucketMinutes)
+                );
+                if (sets.length < 2) {
+                    console.warn(`No second direction for chart ${i + 1}`);
+                    continue;
+                }
+                aggregatedData = aggregateDirectional(sets, item.timeAgg, finestMinutes);
+            } else {
+                const itemSpeedLimit = CHART_TYPES[item.chartType]?.compliance ? item.studyMeta?.speed_limit : null;
+                const finestMinutes = studyIndex.getFinestInterval(item.studyId);
+                const minutes = getSeriesInterval(item.timeAgg, finestMinutes);
+                const seriesData = minutes !== null && minutes < DEFAULT_INTERVAL_MINUTES
+                    ? filterDataForItem(await studyIndex.loadStudyData(item.studyId, minutes), item)
+                    : filteredData;
+                aggregatedData = aggregateTimeSeries(seriesData, item.timeAgg, {
+                    extractedPercentiles: itemPercentiles,
+                    perVehicleData: filteredVehicles,
+                    speedLimit: itemSpeedLimit,
+                    finestMinutes
+                });
+            }
 
             if (aggregatedData.length === 0) continue;
 
@@ -2250,7 +3931,13 @@ async function generateReport() {
                 currentStudyId = item.studyId;
 
                 // Calculate stats for this study
-                const studyStats = pdfGen.calculateReportStatistics(filteredData, itemPercentiles);
+                const studyStats = pdfGen.calculateReportStatistics(filteredData, itemPercentiles, filteredVehicles, {
+                    factors: aadtFactors.getFactors(),
+                    studyType: item.studyMeta?.study_type
+                }, item.studyMeta?.speed_limit);
+                if (studyStats.peakHours) {
+                    studyStats.peakHours.directional = await calculateItemDirectionalSplit(item, filteredData, filteredVehicles);
+                }
 
                 // Format date range for this study
                 let studyDateRange = '';
@@ -2265,6 +3952,7 @@ async function generateReport() {
                 // New page with full study header
                 doc.addPage();
                 chartsOnPage = 0;
+                pageNotes = [];
 
                 const headerEndY = pdfGen.drawHeader(doc, {
                     logoDataUrl,
@@ -2273,6 +3961,7 @@ async function generateReport() {
                     dateRange: studyDateRange,
                     counter: item.studyMeta?.counter_number,
                     speedLimit: item.studyMeta?.speed_limit,
+                    speedSchedule: item.studyMeta?.speed_schedule,
                     stats: studyStats,
                     isFirstPage: true
                 });
@@ -2282,6 +3971,7 @@ async function generateReport() {
             else if (chartsOnPage >= chartsPerPage) {
                 doc.addPage();
                 chartsOnPage = 0;
+                pageNotes = [];
 
                 // Continuation header
                 const headerEndY = pdfGen.drawHeader(doc, {
@@ -2304,13 +3994,67 @@ async function generateReport() {
                 height: chartHeight,
                 title: chartTitle,
                 speedLimit: item.studyMeta.speed_limit || 0,
+                speedSchedule: item.studyMeta.speed_schedule || [],
+                exclusions: exclusionRules.getExclusions(item.studyId),
                 showLabels: item.showLabels
             });
 
+            const note = formatExclusionNote(
+                exclusionRules.getExclusions(item.studyId),
+                item.fullRange ? null : item.startDate,
+                item.fullRange ? null : item.endDate
+            );
+            if (note && !pageNotes.includes(note)) {
+                pdfGen.drawExclusionFootnote(doc, note, pageNotes.length);
+                pageNotes.push(note);
+            }
+
             chartY += chartSpacing;
             chartsOnPage++;
         }
 
+        // Process comparison items, one page each
+        for (let i = 0; i < comparisonItems.length; i++) {
+            const item = comparisonItems[i];
+            elements.reportStatus.textContent = `Generating comparison ${i + 1} of ${comparisonItems.length}...`;
+
+            const comparison = await loadComparison(item);
+            if (chartItems.length > 0 || i > 0) doc.addPage();
+            pdfGen.generateComparisonPage(doc, comparison, item.metric, {
+                logoDataUrl,
+                showLabels: item.showLabels
+            });
+            footnoteExclusions(doc, item.studies.map(s => ({ studyId: s.studyId, prefix: s.studyMeta?.location })));
+        }
+
+        // Process link group items, a two-way section of two pages each
+        let pagesStarted = chartItems.length > 0 || comparisonItems.length > 0;
+        for (let i = 0; i < linkGroupItems.length; i++) {
+            const item = linkGroupItems[i];
+            elements.reportStatus.textContent = `Generating link group ${i + 1} of ${linkGroupItems.length}...`;
+
+            const group = await loadLinkGroup(item);
+            if (!group) {
+                console.warn(`No dates recorded in both directions for link group ${i + 1}`);
+                continue;
+            }
+            const notes = group.directions.map(d => ({
+                studyId: d.studyMeta.study_id,
+                startDate: item.startDate,
+                endDate: item.endDate,
+                prefix: d.direction
+            }));
+
+            if (pagesStarted) doc.addPage();
+            pagesStarted = true;
+            pdfGen.generateLinkGroupPage(doc, group, { logoDataUrl, showLabels: item.showLabels });
+            footnoteExclusions(doc, notes);
+
+            doc.addPage();
+            pdfGen.generateLinkGroupSpeedTable(doc, group, { logoDataUrl });
+            footnoteExclusions(doc, notes);
+        }
+
         // Process table items
         for (let i = 0; i < tableItems.length; i++) {
             const item = tableItems[i];
@@ -2318,9 +4062,75 @@ async function generateReport() {
 
             elements.reportStatus.textContent = `Generating table ${i + 1} of ${tableItems.length}...`;
 
+            if (item.type === 'before-after') {
+                const result = await loadBeforeAfter(item);
+                doc.addPage();
+                pdfGen.generateBeforeAfterPage(doc, result, {
+                    logoDataUrl,
+                    showLabels: item.showLabels
+                });
+                footnoteExclusions(doc, [
+                    { studyId: item.before.studyId, prefix: 'Before' },
+                    { studyId: item.after.studyId, prefix: 'After' }
+                ]);
+                continue;
+            }
+
             const studyData = await studyIndex.loadStudyData(item.studyId);
+            const aadtOptions = { factors: aadtFactors.getFactors(), studyType: item.studyMeta.study_type };
 
-            if (tableType === 'daily-speed-bins') {
+            if (item.type === 'what-if') {
+                doc.addPage();
+                pdfGen.generateWhatIfTable(
+                    doc,
+                    studyData,
+                    await studyIndex.loadRawData(item.studyId),
+                    item.startDate,
+                    item.endDate,
+                    item.studyMeta,
+                    item.limits,
+                    logoDataUrl
+                );
+            } else if (tableType === 'peak-hour-summary') {
+                const itemVehicles = await studyIndex.loadRawData(item.studyId);
+                doc.addPage();
+                pdfGen.generatePeakHourTable(
+                    doc,
+                    studyData,
+                    itemVehicles,
+                    item.startDate,
+                    item.endDate,
+                    item.studyMeta,
+                    logoDataUrl,
+                    await calculateItemDirectionalSplit(
+                        item,
+                        filterDataForItem(studyData, item),
+                        itemVehicles ? filterDataForItem(itemVehicles, item) : null
+                    ),
+                    aadtOptions
+                );
+            } else if (tableType === 'headway-summary') {
+                doc.addPage();
+                pdfGen.generateHeadwayTable(
+                    doc,
+                    await studyIndex.loadRawData(item.studyId),
+                    item.startDate,
+                    item.endDate,
+                    item.studyMeta,
+                    item.platoonSeconds || PLATOON_HEADWAY_SECONDS,
+                    logoDataUrl
+                );
+            } else if (tableType === 'classification-summary') {
+                doc.addPage();
+                pdfGen.generateClassificationSummaryTable(
+                    doc,
+                    await studyIndex.loadRawData(item.studyId),
+                    item.startDate,
+                    item.endDate,
+                    item.studyMeta,
+                    logoDataUrl
+                );
+            } else if (tableType === 'daily-speed-bins') {
                 doc.addPage();
                 pdfGen.generateDailySpeedBinsTable(
                     doc,
@@ -2329,12 +4139,19 @@ async function generateReport() {
                     item.endDate,
                     item.studyMeta.speed_limit || 25,
                     item.studyMeta,
-                    logoDataUrl
+                    logoDataUrl,
+                    getTableItemBins(item),
+                    aadtOptions
                 );
             } else {
                 const startDate = new Date(item.startDate);
                 const endDate = new Date(item.endDate);
 
+                // Volume tables of linked pairs and two-direction files show each direction
+                const directionalSets = tableType === 'volume-summary'
+                    ? getDirectionalSets(studyData, item.studyMeta.direction, await loadItemLinkedSets(item))
+                    : null;
+
                 for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
                     const dateStr = d.toISOString().split('T')[0];
                     doc.addPage();
@@ -2346,7 +4163,21 @@ async function generateReport() {
                             dateStr,
                             item.studyMeta.speed_limit || 25,
                             item.studyMeta,
-                            logoDataUrl
+                            logoDataUrl,
+                            await studyIndex.loadRawData(item.studyId),
+                            getTableItemBins(item),
+                            aadtOptions
+                        );
+                    } else if (tableType === 'volume-15min') {
+                        const minutes = DATA_TABLE_TYPES[tableType].intervalMinutes;
+                        pdfGen.generateFifteenMinuteVolumeTable(
+                            doc,
+                            await studyIndex.loadStudyData(item.studyId, minutes),
+                            dateStr,
+                            item.studyMeta,
+                            Math.max(minutes, studyIndex.getFinestInterval(item.studyId)),
+                            logoDataUrl,
+                            aadtOptions
                         );
                     } else {
                         pdfGen.generateVolumeSummaryTable(
@@ -2354,11 +4185,30 @@ async function generateReport() {
                             studyData,
                             dateStr,
                             item.studyMeta,
-                            logoDataUrl
+                            logoDataUrl,
+                            directionalSets,
+                            aadtOptions
                         );
                     }
+                    footnoteExclusions(doc, [{ studyId: item.studyId, startDate: dateStr, endDate: dateStr }]);
                 }
+                continue;
+            }
+
+            // Single-page tables cover the item's date range
+            footnoteExclusions(doc, [{ studyId: item.studyId, startDate: item.startDate, endDate: item.endDate }]);
+        }
+
+        // Data quality page for every study in the report
+        if (elements.reportIncludeQuality.checked) {
+            elements.reportStatus.textContent = 'Checking data quality...';
+            const entries = [];
+            for (const studyId of getReportStudyIds()) {
+                const study = studyIndex.getById(studyId);
+                if (study) entries.push({ studyMeta: study, quality: await loadQualityCheck(study) });
             }
+            doc.addPage();
+            pdfGen.generateDataQualityPage(doc, entries, { logoDataUrl });
         }
 
         // Restore chart view if a study is selected
@@ -2394,6 +4244,33 @@ async function generateReport() {
     }
 }
 
+/**
+ * Studies used anywhere in the report, in item order
+ * @returns {string[]}
+ */
+function getReportStudyIds() {
+    const ids = reportItems.flatMap(item => {
+        if (item.type === 'comparison') return item.studies.map(s => s.studyId);
+        if (item.type === 'before-after') return [item.before.studyId, item.after.studyId];
+        if (item.type === 'link-group') return studyIndex.getLinkedStudies(item.linkGroup).map(s => s.study_id);
+        return [item.studyId];
+    });
+    return [...new Set(ids.map(String))];
+}
+
+/**
+ * Footnote the current report page with each study's excluded dates and time windows
+ * @param {Array} sources - [{studyId, startDate, endDate, prefix}]; missing dates mean the whole study
+ */
+function footnoteExclusions(doc, sources) {
+    let line = 0;
+    sources.forEach(source => {
+        const note = formatExclusionNote(exclusionRules.getExclusions(source.studyId), source.startDate || null, source.endDate || null);
+        if (!note) return;
+        pdfGen.drawExclusionFootnote(doc, source.prefix ? `${source.prefix} - ${note}` : note, line++);
+    });
+}
+
 // Auto-add current study chart when switching to reports tab
 function updateReportPanel() {
     // If no items and we have a current study, suggest adding it
@@ -2450,6 +4327,7 @@ function onPresetSelectChange() {
 function getStudyDays(study) {
     const start = new Date(study.start_datetime);
     const end = new Date(study.end_datetime);
+    const trimmed = exclusionRules.getTrimmedDays(study.study_id) || [];
     const days = [];
 
     // Normalize to start of day
@@ -2457,7 +4335,7 @@ function getStudyDays(study) {
     end.setHours(0, 0, 0, 0);
 
     for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-        days.push(new Date(d));
+        if (!trimmed.includes(formatDateForInput(d))) days.push(new Date(d));
     }
     return days;
 }
@@ -2492,6 +4370,8 @@ function applyPreset() {
                     studyMeta: { ...currentStudy },
                     chartType: presetItem.chartType,
                     timeAgg: presetItem.timeAgg,
+                    binSize: presetItem.binSize,
+                    platoonSeconds: presetItem.platoonSeconds,
                     fullRange: false,
                     startDate: dateStr,
                     startTime: '00:00',
@@ -2509,6 +4389,8 @@ function applyPreset() {
                 studyMeta: { ...currentStudy },
                 chartType: presetItem.chartType,
                 timeAgg: presetItem.timeAgg,
+                binSize: presetItem.binSize,
+                platoonSeconds: presetItem.platoonSeconds,
                 fullRange: true,
                 startDate: '',
                 startTime: '00:00',
@@ -2561,10 +4443,12 @@ async function confirmSavePreset() {
     } else {
         // Creating new preset from current reportItems
         const presetItems = reportItems
-            .filter(item => item.type !== 'table') // Only charts, not tables
+            .filter(item => !item.type) // Only single-study charts
             .map(item => ({
                 chartType: item.chartType,
                 timeAgg: item.timeAgg,
+                binSize: item.binSize,
+                platoonSeconds: item.platoonSeconds,
                 showLabels: item.showLabels,
                 eachDay: item.eachDay || false
             }));
@@ -2661,6 +4545,577 @@ function clearReportItems() {
     updatePageCount();
 }
 
+// ============ Raw File Import ============
+
+/**
+ * Open the import modal
+ * @param {Object|null} study - Study to import into; defaults to the current study
+ * @param {Object|null} newStudy - Index row to add for a study not yet in study_index.csv
+ */
+function openImportModal(study = currentStudy, newStudy = null) {
+    importStudy = study;
+    importNewStudy = newStudy;
+    importFile = null;
+    importMapping = null;
+    importParsed = null;
+
+    elements.importStudySearch.value = '';
+    elements.importFileInput.value = '';
+    elements.importFormat.textContent = '';
+    elements.importFormat.className = 'import-format';
+    elements.importMappingSection.style.display = 'none';
+    elements.importEditMappingBtn.style.display = 'none';
+
+    renderImportSelectedStudy();
+    renderImportPreview();
+    elements.importModal.style.display = 'flex';
+}
+
+function closeImportModal() {
+    elements.importModal.style.display = 'none';
+    elements.importStudyList.classList.remove('show');
+    importNewStudy = null;
+}
+
+function filterImportStudyDropdown() {
+    const query = elements.importStudySearch.value.toLowerCase().trim();
+    let studies = studyIndex.getAll();
+
+    if (query) {
+        studies = studies.filter(s => {
+            const location = (s.location || '').toLowerCase();
+            const counter = String(s.counter_number ?? '').toLowerCase();
+            const id = String(s.study_id ?? '').toLowerCase();
+            return location.includes(query) || counter.includes(query) || id.includes(query);
+        });
+    }
+
+    // Limit to 20 results
+    studies = studies.slice(0, 20);
+
+    elements.importStudyList.innerHTML = studies.map(s => `
+        <div class="study-dropdown-item" onclick="selectImportStudy('${s.study_id}')">
+            <div class="location">${escapeHtml(s.location)}</div>
+            <div class="meta">${s.study_id} | ${s.direction || ''} | ${s.study_type}</div>
+        </div>
+    `).join('');
+
+    elements.importStudyList.classList.add('show');
+}
+
+window.selectImportStudy = function(studyId) {
+    const study = studyIndex.getById(studyId);
+    if (study) {
+        importStudy = study;
+        importNewStudy = null;
+        renderImportSelectedStudy();
+        // Violators counted from speed bins use the study's limit
+        renderImportPreview();
+    }
+    elements.importStudyList.classList.remove('show');
+    elements.importStudySearch.value = '';
+};
+
+function renderImportSelectedStudy() {
+    if (importStudy) {
+        elements.importSelectedStudy.innerHTML = `
+            <strong>${escapeHtml(importStudy.location)}</strong>
+            <span style="color: var(--text-secondary); font-size: 0.85rem;">
+                Study ${escapeHtml(importStudy.study_id)} | ${importStudy.direction || ''} | ${importStudy.study_type}
+            </span>
+        `;
+    } else {
+        elements.importSelectedStudy.textContent = 'No study selected';
+    }
+}
+
+async function handleImportFileChange() {
+    const file = elements.importFileInput.files[0];
+    if (!file) return;
+
+    try {
+        showImportFile(file.name, await file.text());
+    } catch (error) {
+        console.error('Error reading import file:', error);
+        alert('Failed to read file: ' + error.message);
+    }
+}
+
+/**
+ * Recognize a file's format and preview it; unrecognized files go straight to the column mapping
+ * @param {string} name - File name
+ * @param {string} text - File content
+ */
+function showImportFile(name, text) {
+    const rows = vendorImport.readTable(text);
+    const detected = vendorImport.detectFormat(rows);
+    importFile = { name, text, rows };
+    importMapping = detected.mapping;
+
+    elements.importFormat.textContent = detected.format
+        ? `${name}: recognized as ${detected.label}`
+        : `${name}: format not recognized. Pick the header row and the column that holds each field.`;
+    elements.importFormat.className = detected.format ? 'import-format' : 'import-format unrecognized';
+    if (detected.format) {
+        elements.importMappingSection.style.display = 'none';
+        elements.importEditMappingBtn.style.display = '';
+    } else {
+        showImportMapping();
+    }
+    renderImportPreview();
+}
+
+function showImportMapping() {
+    elements.importEditMappingBtn.style.display = 'none';
+    elements.importMappingSection.style.display = 'block';
+    renderImportMapping();
+}
+
+/**
+ * Fill the mapping controls from the current mapping, with the file's first rows for reference
+ */
+function renderImportMapping() {
+    const headers = importFile.rows[importMapping.headerRow] || [];
+    elements.importHeaderRow.max = importFile.rows.length;
+    elements.importHeaderRow.value = importMapping.headerRow + 1;
+    elements.importTimeEnd.checked = importMapping.timeIsEnd;
+
+    const options = headers.map((header, i) => `<option value="${i}">${escapeHtml(header || `Column ${i + 1}`)}</option>`).join('');
+    elements.importMappingFields.innerHTML = Object.entries(vendorImport.IMPORT_FIELDS).map(([field, def]) => `
+        <div>
+            <label for="import-field-${field}">${def.label}</label>
+            <select id="import-field-${field}" class="control-select" data-field="${field}">
+                <option value="">(none)</option>
+                ${options}
+            </select>
+        </div>
+    `).join('');
+    Object.entries(importMapping.columns).forEach(([field, index]) => {
+        elements.importMappingFields.querySelector(`[data-field="${field}"]`).value = String(index);
+    });
+
+    elements.importBins.textContent = importMapping.bins.length > 0
+        ? `Speed bin columns: ${importMapping.bins.map(bin => headers[bin.index]).join(', ')}`
+        : '';
+
+    // A few rows either side of the header row, numbered like the Header Row field
+    const start = Math.max(0, importMapping.headerRow - 2);
+    const rows = importFile.rows.slice(start, importMapping.headerRow + 4);
+    elements.importRawPreview.innerHTML = `<table>${rows.map((row, i) => `
+        <tr class="${start + i === importMapping.headerRow ? 'header-row' : ''}">
+            <th>${start + i + 1}</th>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}
+        </tr>`).join('')}
+    </table>`;
+}
+
+function onImportHeaderRowChange() {
+    if (!importFile) return;
+    const row = Math.min(Math.max(1, parseInt(elements.importHeaderRow.value) || 1), importFile.rows.length);
+    importMapping = vendorImport.guessMapping(importFile.rows, row - 1);
+    renderImportMapping();
+    renderImportPreview();
+}
+
+function onImportMappingChange() {
+    if (!importFile) return;
+    const columns = {};
+    elements.importMappingFields.querySelectorAll('select').forEach(select => {
+        if (select.value !== '') columns[select.dataset.field] = parseInt(select.value);
+    });
+
+    // A speed bin column mapped to a field is no longer a bin
+    const bins = vendorImport.guessMapping(importFile.rows, importMapping.headerRow).bins
+        .filter(bin => !Object.values(columns).includes(bin.index));
+
+    importMapping = {
+        ...importMapping,
+        columns,
+        bins: bins.length >= 2 ? bins : [],
+        timeIsEnd: elements.importTimeEnd.checked
+    };
+    renderImportPreview();
+}
+
+/**
+ * Parse the file with the current mapping and show the first clean rows
+ */
+function renderImportPreview() {
+    importParsed = null;
+    elements.saveImportModal.disabled = true;
+    elements.importPreview.innerHTML = '';
+
+    if (!importFile) {
+        elements.importSummary.textContent = 'Choose a raw file to preview its clean data.';
+        return;
+    }
+
+    importParsed = vendorImport.parseRows(importFile.rows, importMapping, { speedLimit: importStudy?.speed_limit || 0 });
+    const { kind, records, skipped, intervalMinutes } = importParsed;
+    if (records.length === 0) {
+        elements.importSummary.textContent = 'No rows with a date and time. Check the header row and the Date, Time and Vehicles or Speed columns.';
+        return;
+    }
+
+    const parts = [kind === 'per-vehicle'
+        ? `${records.length.toLocaleString()} vehicles`
+        : `${records.length.toLocaleString()} ${intervalMinutes ? `${intervalMinutes}-minute ` : ''}intervals`];
+    parts.push(formatDateRange(records[0].datetime, records[records.length - 1].datetime));
+    if (skipped > 0) parts.push(`${skipped.toLocaleString()} row${skipped !== 1 ? 's' : ''} without a date and time skipped`);
+    elements.importSummary.textContent = parts.join(' | ');
+
+    const table = vendorImport.toCleanTable({ ...importParsed, records: records.slice(0, 10) });
+    elements.importPreview.innerHTML = `<table>
+        <tr>${table.fields.map(field => `<th>${escapeHtml(field)}</th>`).join('')}</tr>
+        ${table.data.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(String(cell))}</td>`).join('')}</tr>`).join('')}
+    </table>`;
+    elements.saveImportModal.disabled = !importStudy;
+}
+
+/**
+ * Write the study's clean file (and raw copy) from the imported file, then show the study
+ */
+async function saveImport() {
+    if (!importStudy || !importParsed || importParsed.records.length === 0) return;
+
+    const studyId = importStudy.study_id;
+    const cleanPath = `clean/${studyId}_clean.csv`;
+    if (await fileSystem.fileExists(cleanPath) && !confirm(`${cleanPath} already exists. Replace it with the imported data?`)) {
+        return;
+    }
+
+    showLoading('Writing clean data...');
+    try {
+        const { rawPath } = await vendorImport.writeStudyFiles(studyId, importFile.name, importFile.text, importParsed);
+        // A new study joins study_index.csv only once its clean file exists
+        if (importNewStudy) {
+            await studyIndex.addStudy({ ...importNewStudy, file_path: rawPath });
+            await studyIndex.loadIndex();
+            updateStudyList();
+        }
+    } catch (error) {
+        hideLoading();
+        console.error('Error importing file:', error);
+        alert('Failed to import file: ' + error.message);
+        return;
+    }
+    hideLoading();
+    closeImportModal();
+
+    // Cached data was loaded from the old files
+    studyIndex.clearCache();
+    intervalStudyData = null;
+    await selectStudy(studyId);
+}
+
+// ============ Study Details (New Study / Edit) ============
+
+/**
+ * Open the study modal
+ * @param {Object|null} study - Study whose index entry to edit; a new study when omitted
+ */
+function openStudyModal(study = null) {
+    editingStudyId = study ? study.study_id : null;
+    newStudyFile = null;
+
+    elements.studyModalTitle.textContent = study ? 'Edit Study Details' : 'New Study';
+    elements.saveStudyModal.textContent = study ? 'Save Changes' : 'Add Study';
+    elements.studyModalFileGroup.style.display = study ? 'none' : '';
+    elements.studyModalIdGroup.style.display = study ? '' : 'none';
+    elements.studyModalSummary.textContent = study
+        ? 'Changes are written to study_index.csv. The previous file is kept in backups/.'
+        : 'The study is added to study_index.csv under the next free study ID. The previous file is kept in backups/.';
+
+    elements.studyModalFileInput.value = '';
+    elements.studyModalFormat.textContent = '';
+    elements.studyModalFormat.className = 'import-format';
+    elements.studyModalId.value = study ? study.study_id : '';
+    elements.studyModalFilePath.value = study?.file_path || '';
+    setStudyModalSelect(elements.studyModalType, study?.study_type || 'Radar');
+    elements.studyModalCounter.value = study?.counter_number || '';
+    elements.studyModalLocation.value = study?.location || '';
+    setStudyModalSelect(elements.studyModalDirection, study?.direction || '');
+    elements.studyModalSpeedLimit.value = study?.speed_limit || '';
+    elements.studyModalLinkGroup.value = study?.link_group || '';
+    elements.studyModalStart.value = study ? toDateTimeInputValue(new Date(study.start_datetime)) : '';
+    elements.studyModalEnd.value = study ? toDateTimeInputValue(new Date(study.end_datetime)) : '';
+    elements.studyModalLat.value = study?.lat ?? '';
+    elements.studyModalLon.value = study?.lon ?? '';
+
+    // Existing link groups, to pair a new direction with its opposite
+    const linkGroups = [...new Set(studyIndex.getAll().map(s => String(s.link_group || '').trim()).filter(g => g))].sort();
+    elements.studyModalLinkGroups.innerHTML = linkGroups.map(g => `<option value="${escapeHtml(g)}">`).join('');
+
+    // Only fields changed from here are written back, so untouched values keep their text
+    studyModalInitial = study ? getStudyModalValues() : null;
+
+    elements.studyModal.style.display = 'flex';
+    initStudyModalMap();
+    if (studyModalMarker) {
+        studyModalMarker.remove();
+        studyModalMarker = null;
+    }
+    if (study && study.lat !== null && study.lon !== null) {
+        setStudyModalLocation(study.lat, study.lon);
+        studyModalMap.setView([study.lat, study.lon], 16);
+    } else if (map) {
+        // Start where the main map is looking
+        studyModalMap.setView(map.getCenter(), Math.max(map.getZoom(), 14));
+    }
+    setTimeout(() => studyModalMap.invalidateSize(), 100);
+}
+
+/**
+ * Select a value, adding it as an option first if the list lacks it (e.g. an unusual direction)
+ * @param {HTMLSelectElement} select
+ * @param {string} value
+ */
+function setStudyModalSelect(select, value) {
+    if (![...select.options].some(option => option.value === value)) {
+        select.add(new Option(value, value));
+    }
+    select.value = value;
+}
+
+/**
+ * Index values entered in the study modal, as written to study_index.csv
+ * @returns {Object} Values by column name, study_id excluded
+ */
+function getStudyModalValues() {
+    const speedLimit = parseFloat(elements.studyModalSpeedLimit.value);
+    const lat = parseFloat(elements.studyModalLat.value);
+    const lon = parseFloat(elements.studyModalLon.value);
+    const toIndexDateTime = value => value ? `${value.replace('T', ' ')}:00` : '';
+
+    return {
+        file_path: elements.studyModalFilePath.value.trim(),
+        study_type: elements.studyModalType.value,
+        counter_number: elements.studyModalCounter.value.trim(),
+        location: elements.studyModalLocation.value.trim(),
+        direction: elements.studyModalDirection.value,
+        speed_limit: speedLimit > 0 ? String(speedLimit) : '',
+        start_datetime: toIndexDateTime(elements.studyModalStart.value),
+        end_datetime: toIndexDateTime(elements.studyModalEnd.value),
+        lat: isNaN(lat) ? '' : String(lat),
+        lon: isNaN(lon) ? '' : String(lon),
+        link_group: elements.studyModalLinkGroup.value.trim()
+    };
+}
+
+function closeStudyModal() {
+    elements.studyModal.style.display = 'none';
+}
+
+function initStudyModalMap() {
+    if (studyModalMap) return;
+
+    studyModalMap = L.map(elements.studyModalMap).setView([MAP_CENTER.lat, MAP_CENTER.lon], MAP_CENTER.zoom);
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        attribution: '&copy; OpenStreetMap contributors'
+    }).addTo(studyModalMap);
+
+    studyModalMap.on('click', (e) => {
+        setStudyModalLocation(e.latlng.lat, e.latlng.lng);
+        elements.studyModalLat.value = e.latlng.lat.toFixed(6);
+        elements.studyModalLon.value = e.latlng.lng.toFixed(6);
+    });
+}
+
+/**
+ * Place (or move) the study's marker
+ * @param {number} lat
+ * @param {number} lon
+ */
+function setStudyModalLocation(lat, lon) {
+    if (studyModalMarker) {
+        studyModalMarker.setLatLng([lat, lon]);
+    } else {
+        studyModalMarker = L.marker([lat, lon], { draggable: true }).addTo(studyModalMap);
+        studyModalMarker.on('dragend', () => {
+            const position = studyModalMarker.getLatLng();
+            elements.studyModalLat.value = position.lat.toFixed(6);
+            elements.studyModalLon.value = position.lng.toFixed(6);
+        });
+    }
+}
+
+function onStudyModalCoordsChange() {
+    const lat = parseFloat(elements.studyModalLat.value);
+    const lon = parseFloat(elements.studyModalLon.value);
+    if (isNaN(lat) || isNaN(lon)) return;
+    setStudyModalLocation(lat, lon);
+    studyModalMap.panTo([lat, lon]);
+}
+
+/**
+ * Read the chosen data file, recognize it and fill the study type and dates from it
+ */
+async function handleNewStudyFileChange() {
+    const file = elements.studyModalFileInput.files[0];
+    newStudyFile = null;
+    if (!file) return;
+
+    try {
+        const text = await file.text();
+        const rows = vendorImport.readTable(text);
+        const clean = vendorImport.isCleanTable(rows);
+        const detected = clean ? null : vendorImport.detectFormat(rows);
+        const mapping = clean ? vendorImport.guessMapping(rows, 0) : detected.mapping;
+        newStudyFile = { name: file.name, text, rows, clean, detected, mapping };
+
+        if (!clean && !detected.format) {
+            elements.studyModalFormat.textContent = 'Format not recognized. Enter the start and end; the study is added once its columns are mapped and imported.';
+            elements.studyModalFormat.className = 'import-format unrecognized';
+            return;
+        }
+
+        const parsed = vendorImport.parseRows(rows, mapping);
+        const { records, intervalMinutes } = parsed;
+        if (detected?.studyType) elements.studyModalType.value = detected.studyType;
+
+        const parts = [clean ? 'Clean data file' : `Recognized as ${detected.label}`];
+        if (records.length > 0) {
+            // Interval rows are stamped with their start, so the study ends one interval after the last
+            const last = records[records.length - 1].datetime;
+            const end = parsed.kind === 'interval' && intervalMinutes ? new Date(last.getTime() + intervalMinutes * 60000) : last;
+            elements.studyModalStart.value = toDateTimeInputValue(records[0].datetime);
+            elements.studyModalEnd.value = toDateTimeInputValue(end);
+            parts.push(parsed.kind === 'per-vehicle'
+                ? `${records.length.toLocaleString()} vehicles`
+                : `${records.length.toLocaleString()} intervals`);
+            parts.push(formatDateRange(records[0].datetime, end));
+        } else {
+            parts.push('no rows with a date and time');
+        }
+        elements.studyModalFormat.textContent = parts.join(' | ');
+        elements.studyModalFormat.className = records.length > 0 ? 'import-format' : 'import-format unrecognized';
+    } catch (error) {
+        console.error('Error reading new study file:', error);
+        alert('Failed to read file: ' + error.message);
+    }
+}
+
+/**
+ * Format a date for a datetime-local input (local time, to the minute)
+ * @param {Date} date
+ * @returns {string} Empty for an invalid date
+ */
+function toDateTimeInputValue(date) {
+    if (isNaN(date.getTime())) return '';
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+async function saveStudyModal() {
+    const values = getStudyModalValues();
+    if (!editingStudyId && !newStudyFile) {
+        alert('Choose a data file for the study');
+        return;
+    }
+    if (!values.location) {
+        alert('Location is required');
+        return;
+    }
+    if (!editingStudyId && (!values.start_datetime || !values.end_datetime)) {
+        alert('Enter the start and end of the study');
+        return;
+    }
+    if (values.start_datetime && values.end_datetime && new Date(values.end_datetime) <= new Date(values.start_datetime)) {
+        alert('The end must be after the start');
+        return;
+    }
+    if ((values.lat === '' || values.lon === '') && !confirm('The study has not been placed on the map. Save it without a location?')) {
+        return;
+    }
+
+    if (editingStudyId) {
+        await saveStudyDetails(values);
+    } else {
+        await addNewStudy(values);
+    }
+}
+
+/**
+ * Allocate the next study ID, copy the data file into clean/ and raw/ and append the study to study_index.csv
+ * @param {Object} values - Output of getStudyModalValues()
+ */
+async function addNewStudy(values) {
+    const recognized = newStudyFile.clean || newStudyFile.detected.format;
+
+    showLoading('Adding study...');
+    let studyId;
+    try {
+        studyId = await studyIndex.getNextStudyId();
+
+        // Data files first, so a failed copy leaves study_index.csv untouched
+        let filePath = '';
+        if (newStudyFile.clean) {
+            await fileSystem.writeFile(`clean/${studyId}_clean.csv`, newStudyFile.text);
+            filePath = await vendorImport.writeRawCopy(studyId, newStudyFile.name, newStudyFile.text);
+        } else if (recognized) {
+            const parsed = vendorImport.parseRows(newStudyFile.rows, newStudyFile.mapping, { speedLimit: parseFloat(values.speed_limit) || 0 });
+            filePath = (await vendorImport.writeStudyFiles(studyId, newStudyFile.name, newStudyFile.text, parsed)).rawPath;
+        }
+
+        // An unrecognized file is added from the import modal, once it is mapped
+        if (recognized) {
+            await studyIndex.addStudy({ ...values, study_id: studyId, file_path: filePath });
+            await studyIndex.loadIndex();
+        }
+    } catch (error) {
+        hideLoading();
+        console.error('Error adding study:', error);
+        alert('Failed to add study: ' + error.message);
+        return;
+    }
+    hideLoading();
+    closeStudyModal();
+
+    if (recognized) {
+        updateStudyList();
+        await selectStudy(studyId);
+    } else {
+        // Map the unrecognized file's columns into the new study's clean file
+        const study = { ...values, study_id: studyId, speed_limit: parseFloat(values.speed_limit) || 0 };
+        openImportModal(study, { ...values, study_id: studyId });
+        showImportFile(newStudyFile.name, newStudyFile.text);
+    }
+}
+
+/**
+ * Write the edited fields back to study_index.csv and reload the index, sidebar and map
+ * @param {Object} values - Output of getStudyModalValues()
+ */
+async function saveStudyDetails(values) {
+    const studyId = editingStudyId;
+    const changes = Object.fromEntries(Object.entries(values).filter(([field, value]) => value !== studyModalInitial[field]));
+    if (Object.keys(changes).length === 0) {
+        closeStudyModal();
+        return;
+    }
+
+    showLoading('Saving study details...');
+    try {
+        await studyIndex.updateStudy(studyId, changes);
+        await studyIndex.loadIndex();
+    } catch (error) {
+        hideLoading();
+        console.error('Error saving study details:', error);
+        alert('Failed to save study details: ' + error.message);
+        return;
+    }
+    hideLoading();
+    closeStudyModal();
+
+    // The speed limit and study type feed the loaded data, so the current study is reloaded
+    studyIndex.clearCache();
+    intervalStudyData = null;
+    if (currentStudy) {
+        await selectStudy(currentStudy.study_id);
+    } else {
+        updateStudyList();
+    }
+}
+
 // ============ Pending Studies ============
 
 function setupButtonGroupToggles() {
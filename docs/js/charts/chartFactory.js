@@ -2,20 +2,158 @@
  * Chart.js factory for creating and updating charts
  */
 
-import { CHART_COLORS } from '../config.js';
-import { aggregateDaily, aggregateHourly } from '../utils/stats.js';
+import { CHART_COLORS, PERCENTILE_SOURCES, CHART_TYPES, COMPARISON_METRICS, COMPARISON_ALIGNMENTS, COMPARISON_COLORS, COMPLIANCE_TIER_COLORS, DIRECTION_COLORS } from '../config.js';
+import { aggregateTimeSeries, calculateSpeedHistogram, aggregateByWeekdayHour } from '../utils/stats.js';
+import { calculateClassification } from '../utils/classification.js';
+import { getSeriesSpeedLimits } from '../utils/speedLimit.js';
+import { getExcludedPoints } from '../utils/exclusions.js';
+import { calculateHeadways } from '../utils/headway.js';
+import { aggregateDirectional } from '../utils/directional.js';
 
 let currentChart = null;
 
+/**
+ * Inline plugin that draws dashed vertical markers at given speeds
+ * @param {Array} markers - [{speed, label, color, level}] level is an optional y value to stop at
+ * @param {Function} speedToPixel - Maps a speed to an x pixel for the chart
+ * @returns {Object} Chart.js plugin
+ */
+function speedMarkersPlugin(markers, speedToPixel) {
+    return {
+        id: 'speedMarkers',
+        afterDatasetsDraw(chart) {
+            const { ctx, chartArea, scales } = chart;
+            ctx.save();
+            ctx.setLineDash([5, 5]);
+            ctx.lineWidth = 2;
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'left';
+
+            markers.forEach(marker => {
+                const px = speedToPixel(chart, marker.speed);
+                if (px === null || px < chartArea.left || px > chartArea.right) return;
+                const top = marker.level !== undefined ? scales.y.getPixelForValue(marker.level) : chartArea.top;
+
+                ctx.strokeStyle = marker.color;
+                ctx.beginPath();
+                ctx.moveTo(px, chartArea.bottom);
+                ctx.lineTo(px, top);
+                if (marker.level !== undefined) ctx.lineTo(chartArea.left, top);
+                ctx.stroke();
+
+                ctx.fillStyle = marker.color;
+                ctx.fillText(marker.label, px + 4, Math.max(chartArea.top + 12, top - 4));
+            });
+            ctx.restore();
+        }
+    };
+}
+
+/**
+ * Inline plugin that shades the category slots of excluded points behind the data
+ * @param {boolean[]} flags - One per point, true where the point overlaps an exclusion
+ * @returns {Object} Chart.js plugin
+ */
+function exclusionShadingPlugin(flags) {
+    return {
+        id: 'exclusionShading',
+        beforeDatasetsDraw(chart) {
+            const { ctx, chartArea, scales } = chart;
+            const slot = flags.length > 1
+                ? Math.abs(scales.x.getPixelForValue(1) - scales.x.getPixelForValue(0))
+                : chartArea.right - chartArea.left;
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+            ctx.clip();
+            ctx.fillStyle = CHART_COLORS.excluded;
+            flags.forEach((excluded, i) => {
+                if (!excluded) return;
+                const px = scales.x.getPixelForValue(i);
+                ctx.fillRect(px - slot / 2, chartArea.top, slot, chartArea.bottom - chartArea.top);
+            });
+            ctx.restore();
+        }
+    };
+}
+
+/**
+ * Blend from white toward a hex color
+ * @param {string} hex - Full-strength color (e.g. '#EE6666')
+ * @param {number} t - Intensity 0-1
+ * @returns {string} rgb() color
+ */
+function heatColor(hex, t) {
+    const channel = i => {
+        const full = parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16);
+        return Math.round(255 + (full - 255) * t);
+    };
+    return `rgb(${channel(0)}, ${channel(1)}, ${channel(2)})`;
+}
+
+/**
+ * Inline plugin that paints day-of-week x hour cells behind a scatter dataset
+ * @param {Array} cells - [{x, y, v}] cell centers (hour + 0.5, row + 0.5) and values
+ * @param {number} maxValue - Value drawn at full color
+ * @param {string} color - Full-strength hex color
+ * @param {Function|null} formatValue - Cell label formatter, or null for no labels
+ * @returns {Object} Chart.js plugin
+ */
+function heatmapCellsPlugin(cells, maxValue, color, formatValue) {
+    return {
+        id: 'heatmapCells',
+        beforeDatasetsDraw(chart) {
+            const { ctx, scales } = chart;
+            ctx.save();
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.font = '10px sans-serif';
+
+            cells.forEach(cell => {
+                const left = scales.x.getPixelForValue(cell.x - 0.5);
+                const right = scales.x.getPixelForValue(cell.x + 0.5);
+                const top = scales.y.getPixelForValue(cell.y - 0.5);
+                const bottom = scales.y.getPixelForValue(cell.y + 0.5);
+                const t = cell.v !== null ? Math.min(1, cell.v / (maxValue || 1)) : 0;
+
+                ctx.fillStyle = cell.v !== null ? heatColor(color, t) : '#f0f0f0';
+                ctx.fillRect(left, top, right - left - 1, bottom - top - 1);
+
+                if (formatValue && cell.v !== null && right - left > 22) {
+                    ctx.fillStyle = t > 0.6 ? '#ffffff' : '#1a1a1a';
+                    ctx.fillText(formatValue(cell.v), (left + right) / 2, (top + bottom) / 2);
+                }
+            });
+            ctx.restore();
+        }
+    };
+}
+
+/**
+ * Speed markers for the posted limit and any lower time-of-day limits
+ * @param {number} speedLimit
+ * @param {Array} speedSchedule - Normalized schedule windows
+ * @returns {Array} [{speed, label, color}]
+ */
+function speedLimitMarkers(speedLimit, speedSchedule = []) {
+    if (!(speedLimit > 0)) return [];
+    const scheduled = [...new Set(speedSchedule.map(w => w.limit))].filter(l => l !== speedLimit);
+    return [
+        { speed: speedLimit, label: `${speedLimit} mph limit`, color: CHART_COLORS.speedLimit },
+        ...scheduled.map(l => ({ speed: l, label: `${l} mph scheduled`, color: CHART_COLORS.speedLimit }))
+    ];
+}
+
 /**
  * Get Chart.js configuration based on chart type
  * @param {string} chartType
  * @param {Array} data - Aggregated data
- * @param {Object} options - Additional options (showLabels, speedLimit)
+ * @param {Object} options - Additional options (showLabels, speedLimit, speedSchedule)
  * @returns {Object} Chart.js configuration
  */
 function getChartConfig(chartType, data, options = {}) {
-    const { showLabels = true, speedLimit = 0 } = options;
+    const { showLabels = true, speedLimit = 0, speedSchedule = [] } = options;
     const labels = data.map(d => d.label);
 
     const baseConfig = {
@@ -116,6 +254,50 @@ function getChartConfig(chartType, data, options = {}) {
                 }
             };
 
+        case 'compliance-tiers':
+            // Speeders split into exclusive bands, stacked to the period's % over the limit
+            return {
+                type: 'bar',
+                data: {
+                    labels,
+                    datasets: COMPLIANCE_TIER_COLORS.map((color, i) => ({
+                        label: data.find(d => d.compliance)?.compliance.bands[i].label || '',
+                        data: data.map(d => d.compliance ? d.compliance.bands[i].pct : null),
+                        backgroundColor: color,
+                        stack: 'tiers'
+                    }))
+                },
+                options: {
+                    ...baseConfig,
+                    scales: {
+                        x: { stacked: true, grid: { display: false } },
+                        y: {
+                            stacked: true,
+                            beginAtZero: true,
+                            title: { display: true, text: '% of Vehicles Over Limit' },
+                            ticks: { callback: v => v + '%' }
+                        }
+                    },
+                    plugins: {
+                        ...baseConfig.plugins,
+                        tooltip: {
+                            ...baseConfig.plugins.tooltip,
+                            callbacks: {
+                                label: (item) => `${item.dataset.label}: ${item.raw?.toFixed(1)}%`,
+                                footer: (items) => {
+                                    const compliance = data[items[0].dataIndex]?.compliance;
+                                    return compliance ? `Over limit: ${compliance.overLimit.pct.toFixed(1)}%` : '';
+                                }
+                            }
+                        },
+                        datalabels: showLabels ? {
+                            display: true,
+                            formatter: (value) => value?.toFixed(1) + '%'
+                        } : { display: false }
+                    }
+                }
+            };
+
         case 'avg-peak-speeds':
             const datasets = [
                 {
@@ -138,22 +320,25 @@ function getChartConfig(chartType, data, options = {}) {
                 }
             ];
 
-            // Add speed limit line if provided
+            // Add speed limit line if provided, stepping down in hours or days
+            // where a time-of-day schedule (school zone) lowers the limit
+            const limitValues = speedLimit > 0 ? getSeriesSpeedLimits(data, speedLimit, speedSchedule) : [];
             if (speedLimit > 0) {
                 datasets.push({
                     label: 'Speed Limit',
-                    data: data.map(() => speedLimit),
+                    data: limitValues,
                     borderColor: CHART_COLORS.speedLimit,
                     borderDash: [5, 5],
                     borderWidth: 2,
                     pointRadius: 0,
+                    stepped: 'after',
                     fill: false
                 });
             }
 
             // Calculate axis range for better detail
             const avgPeakValues = data.flatMap(d => [d.avg_speed, d.peak_speed]).filter(v => v > 0);
-            if (speedLimit > 0) avgPeakValues.push(speedLimit);
+            avgPeakValues.push(...limitValues);
             const avgPeakMin = Math.min(...avgPeakValues);
             const avgPeakMax = Math.max(...avgPeakValues);
             const avgPeakRange = avgPeakMax - avgPeakMin;
@@ -200,8 +385,9 @@ function getChartConfig(chartType, data, options = {}) {
             // Only add 85th percentile if we have data
             const has85th = data.some(d => d.p85 !== null && d.p85 > 0);
             if (has85th) {
+                const p85Source = data.find(d => d.p85_source)?.p85_source;
                 avgVs85thDatasets.push({
-                    label: '85th Percentile',
+                    label: p85Source ? `85th Percentile (${PERCENTILE_SOURCES[p85Source]})` : '85th Percentile',
                     data: data.map(d => d.p85 ? Math.round(d.p85) : null),
                     backgroundColor: CHART_COLORS.percentile85,
                     borderRadius: 4
@@ -277,6 +463,361 @@ function getChartConfig(chartType, data, options = {}) {
                 }
             };
 
+        case 'direction-stacked':
+        case 'direction-grouped': {
+            // One series per direction; stacked bars add up to the two-way volume
+            const stacked = chartType === 'direction-stacked';
+            const directions = Object.keys(data[0]?.directions || {});
+            return {
+                type: 'bar',
+                data: {
+                    labels,
+                    datasets: directions.map((direction, i) => ({
+                        label: direction,
+                        data: data.map(d => d.directions[direction] > 0 ? Math.round(d.directions[direction]) : null),
+                        backgroundColor: DIRECTION_COLORS[i % DIRECTION_COLORS.length],
+                        borderRadius: stacked ? 0 : 4,
+                        ...(stacked ? { stack: 'directions' } : {})
+                    }))
+                },
+                options: {
+                    ...baseConfig,
+                    scales: {
+                        x: { stacked, grid: { display: false } },
+                        y: {
+                            stacked,
+                            beginAtZero: true,
+                            title: { display: true, text: 'Vehicle Count' },
+                            ticks: { callback: v => Math.round(v).toLocaleString() }
+                        }
+                    },
+                    plugins: {
+                        ...baseConfig.plugins,
+                        tooltip: {
+                            ...baseConfig.plugins.tooltip,
+                            callbacks: {
+                                footer: (items) => {
+                                    const point = data[items[0].dataIndex];
+                                    if (!point || !(point.vehicles > 0)) return '';
+                                    const split = directions
+                                        .map(direction => `${direction} ${(((point.directions[direction] || 0) / point.vehicles) * 100).toFixed(0)}%`)
+                                        .join(' / ');
+                                    return `Two-way: ${Math.round(point.vehicles).toLocaleString()} (${split})`;
+                                }
+                            }
+                        },
+                        datalabels: showLabels ? {
+                            display: true,
+                            formatter: (value) => Math.round(value).toLocaleString()
+                        } : { display: false }
+                    }
+                }
+            };
+        }
+
+        case 'vehicle-classification':
+            return {
+                type: 'bar',
+                data: {
+                    labels,
+                    datasets: [
+                        {
+                            label: 'Vehicles',
+                            data: data.map(d => d.vehicles),
+                            backgroundColor: data.map(d => d.isTruck ? CHART_COLORS.trucks : CHART_COLORS.volume),
+                            borderRadius: 4
+                        }
+                    ]
+                },
+                options: {
+                    ...baseConfig,
+                    scales: {
+                        x: { grid: { display: false } },
+                        y: {
+                            beginAtZero: true,
+                            title: { display: true, text: 'Vehicle Count' },
+                            ticks: { callback: v => Math.round(v).toLocaleString() }
+                        }
+                    },
+                    plugins: {
+                        ...baseConfig.plugins,
+                        legend: { display: false },
+                        tooltip: {
+                            callbacks: {
+                                title: (items) => `Class ${data[items[0].dataIndex].id}: ${data[items[0].dataIndex].description}`,
+                                label: (item) => `${item.raw.toLocaleString()} vehicles (${data[item.dataIndex].pct.toFixed(1)}%)`
+                            }
+                        },
+                        datalabels: showLabels ? {
+                            display: true,
+                            formatter: (value) => value > 0 ? value.toLocaleString() : ''
+                        } : { display: false }
+                    }
+                }
+            };
+
+        case 'speed-distribution': {
+            // Data is the histogram from calculateSpeedHistogram()
+            const bins = data.bins;
+            const overLimit = bin => speedLimit > 0 && bin.min >= speedLimit;
+
+            // Category axis: place a speed within its bin's slot
+            const speedToPixel = (chart, speed) => {
+                const x = chart.scales.x;
+                const index = Math.floor((speed - bins[0].min) / data.binSize);
+                if (index < 0 || index >= bins.length) return null;
+                const slot = bins.length > 1 ? x.getPixelForValue(1) - x.getPixelForValue(0) : x.width;
+                const fraction = (speed - bins[index].min) / data.binSize;
+                return x.getPixelForValue(index) + (fraction - 0.5) * slot;
+            };
+
+            return {
+                type: 'bar',
+                data: {
+                    labels: bins.map(b => b.label),
+                    datasets: [
+                        {
+                            label: 'Vehicles',
+                            data: bins.map(b => Math.round(b.vehicles)),
+                            backgroundColor: bins.map(b => overLimit(b) ? CHART_COLORS.violators : CHART_COLORS.lawAbiding),
+                            categoryPercentage: 1,
+                            barPercentage: 0.95
+                        }
+                    ]
+                },
+                options: {
+                    ...baseConfig,
+                    scales: {
+                        x: {
+                            grid: { display: false },
+                            title: { display: true, text: 'Speed (mph)' }
+                        },
+                        y: {
+                            beginAtZero: true,
+                            title: { display: true, text: 'Vehicles' },
+                            ticks: { callback: v => Math.round(v).toLocaleString() }
+                        }
+                    },
+                    plugins: {
+                        ...baseConfig.plugins,
+                        legend: { display: false },
+                        tooltip: {
+                            callbacks: {
+                                title: (items) => `${bins[items[0].dataIndex].label} mph`,
+                                label: (item) => `${item.raw.toLocaleString()} vehicles (${bins[item.dataIndex].pct.toFixed(1)}%)`
+                            }
+                        },
+                        datalabels: showLabels ? {
+                            display: true,
+                            formatter: (value) => value > 0 ? value.toLocaleString() : ''
+                        } : { display: false }
+                    }
+                },
+                plugins: speedLimit > 0
+                    ? [speedMarkersPlugin(speedLimitMarkers(speedLimit, speedSchedule), speedToPixel)]
+                    : []
+            };
+        }
+
+        case 'cumulative-speed': {
+            // Data is the histogram from calculateSpeedHistogram(); plot cumulative % at each bin's upper edge
+            const bins = data.bins;
+            const points = [{ x: bins[0].min, y: bins[0].cumulativePct - bins[0].pct }, ...bins.map(b => ({ x: b.max, y: b.cumulativePct }))];
+            const sourceLabel = data.source === 'per-vehicle' ? '' : ` (${PERCENTILE_SOURCES[data.source]})`;
+
+            const markers = [
+                { speed: data.p50, level: 50, label: `50th: ${Math.round(data.p50)} mph`, color: CHART_COLORS.avgSpeed },
+                { speed: data.p85, level: 85, label: `85th: ${Math.round(data.p85)} mph${sourceLabel}`, color: CHART_COLORS.percentile85 }
+            ];
+            markers.push(...speedLimitMarkers(speedLimit, speedSchedule));
+
+            return {
+                type: 'line',
+                data: {
+                    datasets: [
+                        {
+                            label: 'Cumulative %',
+                            data: points,
+                            borderColor: CHART_COLORS.pctSpeeders,
+                            backgroundColor: CHART_COLORS.pctSpeeders + '40',
+                            fill: false,
+                            tension: 0.3,
+                            pointRadius: data.binSize === 1 ? 0 : 3
+                        }
+                    ]
+                },
+                options: {
+                    ...baseConfig,
+                    scales: {
+                        x: {
+                            type: 'linear',
+                            min: points[0].x,
+                            max: points[points.length - 1].x,
+                            grid: { display: false },
+                            title: { display: true, text: 'Speed (mph)' },
+                            ticks: { stepSize: 5 }
+                        },
+                        y: {
+                            beginAtZero: true,
+                            max: 100,
+                            title: { display: true, text: 'Cumulative Percentage' },
+                            ticks: { callback: v => v + '%' }
+                        }
+                    },
+                    plugins: {
+                        ...baseConfig.plugins,
+                        legend: { display: false },
+                        tooltip: {
+                            callbacks: {
+                                title: (items) => `${items[0].raw.x} mph`,
+                                label: (item) => `${item.raw.y.toFixed(1)}% at or below`
+                            }
+                        }
+                    }
+                },
+                plugins: [speedMarkersPlugin(markers, (chart, speed) => chart.scales.x.getPixelForValue(speed))]
+            };
+        }
+
+        case 'headway-distribution': {
+            // Data is the output of calculateHeadways(); bins are uneven, so place the threshold within its bin
+            const bins = data.bins;
+            const secondsToPixel = (chart, seconds) => {
+                const x = chart.scales.x;
+                const index = bins.findIndex(b => seconds >= b.min && seconds < b.max);
+                if (index < 0) return null;
+                const slot = bins.length > 1 ? x.getPixelForValue(1) - x.getPixelForValue(0) : x.width;
+                const fraction = (seconds - bins[index].min) / (bins[index].max - bins[index].min);
+                return x.getPixelForValue(index) + (fraction - 0.5) * slot;
+            };
+            const marker = {
+                speed: data.platoonSeconds,
+                label: `Platooned (< ${data.platoonSeconds} s): ${data.pctPlatooned.toFixed(1)}%`,
+                color: CHART_COLORS.violators
+            };
+
+            return {
+                type: 'bar',
+                data: {
+                    labels: bins.map(b => b.label),
+                    datasets: [
+                        {
+                            label: 'Headways',
+                            data: bins.map(b => b.count),
+                            backgroundColor: bins.map(b => b.platoon ? CHART_COLORS.violators : CHART_COLORS.volume),
+                            categoryPercentage: 1,
+                            barPercentage: 0.95
+                        }
+                    ]
+                },
+                options: {
+                    ...baseConfig,
+                    scales: {
+                        x: {
+                            grid: { display: false },
+                            title: { display: true, text: 'Headway (seconds)' }
+                        },
+                        y: {
+                            beginAtZero: true,
+                            title: { display: true, text: 'Vehicles' },
+                            ticks: { callback: v => Math.round(v).toLocaleString() }
+                        }
+                    },
+                    plugins: {
+                        ...baseConfig.plugins,
+                        legend: { display: false },
+                        tooltip: {
+                            callbacks: {
+                                title: (items) => `${bins[items[0].dataIndex].label} s`,
+                                label: (item) => `${item.raw.toLocaleString()} vehicles (${bins[item.dataIndex].pct.toFixed(1)}%)`
+                            }
+                        },
+                        datalabels: showLabels ? {
+                            display: true,
+                            formatter: (value) => value > 0 ? value.toLocaleString() : ''
+                        } : { display: false }
+                    }
+                },
+                plugins: [speedMarkersPlugin([marker], secondsToPixel)]
+            };
+        }
+
+        case 'heatmap-volume':
+        case 'heatmap-speeders': {
+            // Data is the 7 x 24 grid from aggregateByWeekdayHour()
+            const valueKey = CHART_TYPES[chartType].heatmap;
+            const isPct = valueKey === 'pct_speeders';
+            const color = isPct ? CHART_COLORS.violators : CHART_COLORS.volume;
+            const formatValue = v => isPct ? `${Math.round(v)}%` : Math.round(v).toLocaleString();
+
+            const cells = data.flatMap((row, r) => row.hours.map(h => ({
+                x: h.hour + 0.5,
+                y: r + 0.5,
+                v: h[valueKey],
+                row,
+                hourLabel: h.label,
+                days: h.days
+            })));
+            const values = cells.map(c => c.v).filter(v => v !== null);
+            const maxValue = Math.max(...values, 1);
+
+            return {
+                type: 'scatter',
+                data: {
+                    datasets: [
+                        {
+                            label: isPct ? '% Speeders' : 'Avg Hourly Volume',
+                            data: cells,
+                            pointRadius: 0,
+                            pointHitRadius: 12
+                        }
+                    ]
+                },
+                options: {
+                    ...baseConfig,
+                    scales: {
+                        x: {
+                            type: 'linear',
+                            min: 0,
+                            max: 24,
+                            grid: { display: false },
+                            title: { display: true, text: 'Hour of Day' },
+                            ticks: {
+                                stepSize: 1,
+                                callback: v => v < 24 && v % 2 === 0 ? data[0].hours[v].label : ''
+                            }
+                        },
+                        y: {
+                            type: 'linear',
+                            min: 0,
+                            max: 7,
+                            reverse: true,
+                            grid: { display: false },
+                            ticks: {
+                                stepSize: 0.5,
+                                callback: v => (v % 1 === 0.5 ? data[Math.floor(v)].dayName : '')
+                            }
+                        }
+                    },
+                    plugins: {
+                        ...baseConfig.plugins,
+                        legend: { display: false },
+                        tooltip: {
+                            mode: 'nearest',
+                            intersect: true,
+                            callbacks: {
+                                title: (items) => `${items[0].raw.row.dayName} ${items[0].raw.hourLabel}`,
+                                label: (item) => item.raw.v === null
+                                    ? 'No data'
+                                    : `${isPct ? '% Speeders' : 'Avg volume'}: ${formatValue(item.raw.v)} (${item.raw.days} day${item.raw.days === 1 ? '' : 's'})`
+                            }
+                        }
+                    }
+                },
+                plugins: [heatmapCellsPlugin(cells, maxValue, color, showLabels ? formatValue : null)]
+            };
+        }
+
         default:
             throw new Error(`Unknown chart type: ${chartType}`);
     }
@@ -287,20 +828,54 @@ function getChartConfig(chartType, data, options = {}) {
  * @param {HTMLCanvasElement} canvas
  * @param {string} chartType
  * @param {Array} rawData - Raw study data
- * @param {string} timeAgg - 'daily' or 'hourly'
- * @param {Object} options - Additional options (showLabels, speedLimit, extractedPercentiles)
+ * @param {string} timeAgg - Key of TIME_AGGREGATIONS
+ * @param {Object} options - Additional options (showLabels, speedLimit, speedSchedule, extractedPercentiles, perVehicleData, binSize, platoonSeconds, exclusions,
+ *                           finestMinutes: smallest bucket the data supports, directionalSets: output of getDirectionalSets())
+ * @returns {Chart|null} The chart, or null when a speed-binned or headway chart has no data
  */
 export function createChart(canvas, chartType, rawData, timeAgg = 'daily', options = {}) {
-    const { extractedPercentiles = null } = options;
+    const { extractedPercentiles = null, perVehicleData = null, binSize = 5, platoonSeconds, exclusions = [], finestMinutes = 0, directionalSets = null } = options;
 
-    // Aggregate data with extracted percentiles for accurate p85
-    const aggregatedData = timeAgg === 'hourly'
-        ? aggregateHourly(rawData, extractedPercentiles)
-        : aggregateDaily(rawData, extractedPercentiles);
+    // Classification bins vehicles by class; heatmaps use a weekday x hour grid;
+    // directional charts split the time series by direction; speed charts bin vehicles
+    // by speed; headway charts bin the time between vehicles; other charts are time series.
+    // Time series use per-vehicle speeds or extracted percentiles for accurate p85
+    let aggregatedData;
+    let excludedPoints = null;
+    if (chartType === 'vehicle-classification') {
+        aggregatedData = calculateClassification(perVehicleData).classes;
+    } else if (CHART_TYPES[chartType]?.heatmap) {
+        aggregatedData = aggregateByWeekdayHour(rawData);
+    } else if (chartType === 'headway-distribution') {
+        aggregatedData = calculateHeadways(perVehicleData, platoonSeconds);
+        if (!aggregatedData) {
+            destroyChart();
+            return null;
+        }
+    } else if (CHART_TYPES[chartType]?.requiresDirection) {
+        aggregatedData = aggregateDirectional(directionalSets || [], timeAgg, finestMinutes);
+        excludedPoints = getExcludedPoints(aggregatedData, exclusions);
+    } else if (CHART_TYPES[chartType]?.speedBinned) {
+        aggregatedData = calculateSpeedHistogram(rawData, perVehicleData, binSize);
+        if (!aggregatedData) {
+            destroyChart();
+            return null;
+        }
+    } else {
+        // Compliance tiers need the speed limit to split speeders by mph over it
+        const speedLimit = CHART_TYPES[chartType]?.compliance ? options.speedLimit : null;
+        aggregatedData = aggregateTimeSeries(rawData, timeAgg, { extractedPercentiles, perVehicleData, speedLimit, finestMinutes });
+        excludedPoints = getExcludedPoints(aggregatedData, exclusions);
+    }
 
     // Get chart configuration
     const config = getChartConfig(chartType, aggregatedData, options);
 
+    // Shade excluded days or hours on time series
+    if (excludedPoints) {
+        config.plugins = [...(config.plugins || []), exclusionShadingPlugin(excludedPoints)];
+    }
+
     // Destroy existing chart
     if (currentChart) {
         currentChart.destroy();
@@ -314,6 +889,74 @@ export function createChart(canvas, chartType, rawData, timeAgg = 'daily', optio
     return currentChart;
 }
 
+/**
+ * Create or update the main chart as a multi-study overlay
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} comparison - Output of buildComparison()
+ * @param {string} metric - Key of COMPARISON_METRICS
+ * @returns {Chart}
+ */
+export function createComparisonChart(canvas, comparison, metric = 'vehicles') {
+    const metricInfo = COMPARISON_METRICS[metric];
+    const format = v => metric === 'vehicles' ? Math.round(v).toLocaleString() : v.toFixed(1);
+
+    const config = {
+        type: 'line',
+        data: {
+            labels: comparison.labels,
+            datasets: comparison.series.map((series, i) => {
+                const color = COMPARISON_COLORS[i % COMPARISON_COLORS.length];
+                return {
+                    label: series.label,
+                    data: series.points.map(p => p[metric]),
+                    borderColor: color,
+                    backgroundColor: color + '40',
+                    fill: false,
+                    tension: 0.3,
+                    spanGaps: false
+                };
+            })
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    position: 'top',
+                    labels: {
+                        usePointStyle: true,
+                        padding: 15
+                    }
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: (item) => item.raw === null
+                            ? `${item.dataset.label}: no data`
+                            : `${item.dataset.label}: ${format(item.raw)}${metricInfo.unit}`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: { display: false },
+                    title: { display: true, text: COMPARISON_ALIGNMENTS[comparison.alignBy] }
+                },
+                y: {
+                    beginAtZero: metric === 'vehicles' || metric === 'pct_speeders',
+                    title: { display: true, text: metricInfo.label + (metricInfo.unit ? ` (${metricInfo.unit.trim()})` : '') },
+                    ticks: { callback: v => metric === 'vehicles' ? Math.round(v).toLocaleString() : Math.round(v) }
+                }
+            }
+        }
+    };
+
+    destroyChart();
+    currentChart = new Chart(canvas.getContext('2d'), config);
+    return currentChart;
+}
+
 /**
  * Destroy the current chart
  */
@@ -26,6 +26,11 @@ export const CHART_TYPES = {
         label: '% Speeders',
         requiresSpeed: true
     },
+    'compliance-tiers': {
+        label: 'Compliance Tiers',
+        requiresSpeed: true,
+        compliance: true  // Aggregated with speeders split by mph over the limit
+    },
     'avg-peak-speeds': {
         label: 'Average & Peak Speeds',
         requiresSpeed: true
@@ -37,15 +42,83 @@ export const CHART_TYPES = {
     'volume-only': {
         label: 'Volume Only',
         requiresSpeed: false
+    },
+    'vehicle-classification': {
+        label: 'Vehicle Classification',
+        requiresSpeed: false,
+        requiresClassification: true  // Needs per-vehicle class or axle data
+    },
+    'speed-distribution': {
+        label: 'Speed Distribution',
+        requiresSpeed: true,
+        speedBinned: true  // Speed bins on the x-axis instead of time
+    },
+    'cumulative-speed': {
+        label: 'Cumulative Speed Curve',
+        requiresSpeed: true,
+        speedBinned: true
+    },
+    'heatmap-volume': {
+        label: 'Volume Heatmap (Day × Hour)',
+        requiresSpeed: false,
+        heatmap: 'vehicles'  // Day-of-week x hour grid of this aggregated field
+    },
+    'heatmap-speeders': {
+        label: '% Speeders Heatmap (Day × Hour)',
+        requiresSpeed: true,
+        heatmap: 'pct_speeders'
+    },
+    'headway-distribution': {
+        label: 'Headway Distribution',
+        requiresSpeed: false,
+        requiresPerVehicle: true  // Needs per-vehicle timestamps
+    },
+    'direction-stacked': {
+        label: 'Directional Volume (Stacked)',
+        requiresSpeed: false,
+        requiresDirection: true  // Needs a direction column or a linked study in the other direction
+    },
+    'direction-grouped': {
+        label: 'Directional Volume (Side by Side)',
+        requiresSpeed: false,
+        requiresDirection: true
     }
 };
 
+// Time aggregations for time series charts; minutes is the bucket size (null for daily)
+export const TIME_AGGREGATIONS = {
+    'daily': { label: 'Daily', minutes: null },
+    'hourly': { label: 'Hourly', minutes: 60 },
+    '30min': { label: '30-Minute', minutes: 30 },
+    '15min': { label: '15-Minute', minutes: 15 },
+    '5min': { label: '5-Minute', minutes: 5 }
+};
+
+// Bucket size (minutes) per-vehicle clean files are aggregated to for stats and hourly views.
+// Finer buckets are loaded on demand; interval files keep their recorded interval.
+export const DEFAULT_INTERVAL_MINUTES = 60;
+
+// Series compared in multi-study overlay charts
+export const COMPARISON_METRICS = {
+    'vehicles': { label: 'Average Volume', unit: '', requiresSpeed: false },
+    'avg_speed': { label: 'Average Speed', unit: ' mph', requiresSpeed: true },
+    'p85': { label: '85th Percentile Speed', unit: ' mph', requiresSpeed: true },
+    'pct_speeders': { label: '% Speeders', unit: '%', requiresSpeed: true }
+};
+
+// How compared studies are lined up on the x-axis
+export const COMPARISON_ALIGNMENTS = {
+    'hour': 'Hour of Day',
+    'weekday': 'Day of Week'
+};
+
 // Data table types for report builder
 export const DATA_TABLE_TYPES = {
     'speed-summary': {
         label: 'Speed Summary (24-Hour)',
         requiresSpeed: true,
         allowedStudyTypes: ['Radar', 'TimeMark Speed', 'JAMAR Tube'],
+        binScheme: 'standard-8',  // Default speed bin scheme (see speedBinSchemes.js)
         pagesPerDay: 1
     },
     'volume-summary': {
@@ -54,14 +127,108 @@ export const DATA_TABLE_TYPES = {
         allowedStudyTypes: ['Radar', 'TimeMark Speed', 'TimeMark Volume', 'JAMAR Tube'],
         pagesPerDay: 1
     },
+    'volume-15min': {
+        label: 'Volume Summary (15-Minute)',
+        requiresSpeed: false,
+        allowedStudyTypes: ['Radar', 'TimeMark Speed', 'TimeMark Volume', 'JAMAR Tube'],
+        intervalMinutes: 15,  // Loaded at 15-minute buckets; hourly files fall back to hourly rows
+        pagesPerDay: 1
+    },
     'daily-speed-bins': {
         label: 'Daily Speed Bins',
         requiresSpeed: true,
         allowedStudyTypes: ['Radar'],  // Radar only - has pre-binned data
+        binScheme: 'standard-12',
         pagesPerDay: 0  // Always 1 page regardless of date range
+    },
+    'classification-summary': {
+        label: 'Vehicle Classification Summary',
+        requiresSpeed: false,
+        requiresClassification: true,
+        allowedStudyTypes: ['TimeMark Speed', 'JAMAR Tube'],  // Per-vehicle tube data only
+        pagesPerDay: 0
+    },
+    'peak-hour-summary': {
+        label: 'Peak Hour Summary',
+        requiresSpeed: false,
+        allowedStudyTypes: ['Radar', 'TimeMark Speed', 'TimeMark Volume', 'JAMAR Tube'],
+        pagesPerDay: 0  // One row per day on a single page
+    },
+    'headway-summary': {
+        label: 'Headway & Gap Summary',
+        requiresSpeed: false,
+        requiresPerVehicle: true,
+        allowedStudyTypes: ['TimeMark Speed', 'JAMAR Tube'],  // Per-vehicle tube data only
+        pagesPerDay: 0
     }
 };
 
+// FHWA Scheme F vehicle classes
+export const FHWA_CLASSES = [
+    { id: 1, short: 'MC', description: 'Motorcycles' },
+    { id: 2, short: 'Car', description: 'Passenger Cars' },
+    { id: 3, short: 'Pickup', description: 'Pickups, Panels, Vans' },
+    { id: 4, short: 'Bus', description: 'Buses' },
+    { id: 5, short: 'SU2', description: 'Two-Axle, Six-Tire, Single-Unit Trucks' },
+    { id: 6, short: 'SU3', description: 'Three-Axle Single-Unit Trucks' },
+    { id: 7, short: 'SU4+', description: 'Four or More Axle Single-Unit Trucks' },
+    { id: 8, short: 'ST4-', description: 'Four or Fewer Axle Single-Trailer Trucks' },
+    { id: 9, short: 'ST5', description: 'Five-Axle Single-Trailer Trucks' },
+    { id: 10, short: 'ST6+', description: 'Six or More Axle Single-Trailer Trucks' },
+    { id: 11, short: 'MT5-', description: 'Five or Fewer Axle Multi-Trailer Trucks' },
+    { id: 12, short: 'MT6', description: 'Six-Axle Multi-Trailer Trucks' },
+    { id: 13, short: 'MT7+', description: 'Seven or More Axle Multi-Trailer Trucks' }
+];
+
+// Lowest FHWA class counted as a truck (buses and everything heavier)
+export const TRUCK_CLASS_MIN = 4;
+
+// Headways under this many seconds count as vehicles travelling in a platoon (default; charts and tables can override)
+export const PLATOON_HEADWAY_SECONDS = 2;
+
+// Lower edges of the headway distribution bins in seconds; the last bin is open-ended
+export const HEADWAY_BINS = [0, 1, 2, 3, 4, 5, 6, 8, 10, 15, 20, 30, 60];
+
+// Longer spacings between vehicles are breaks in the recording, not headways
+export const HEADWAY_MAX_SECONDS = 3600;
+
+// Days recording less than this share of their intervals are partial and left out of ADT
+export const PARTIAL_DAY_MIN_COVERAGE = 0.9;
+
+// Percentile sources, most accurate first (short labels shown next to stats)
+export const PERCENTILE_SOURCES = {
+    'per-vehicle': 'per-vehicle',
+    'device': 'radar summary',
+    'device-bins': 'counter speed bins',
+    'modelled': 'modelled from radar daily p85',
+    'interval': 'interval data',
+    'estimated': 'estimated'
+};
+
+// Where Speed Summary bin counts came from (footnote text for reports)
+export const SPEED_BIN_SOURCES = {
+    'per-vehicle': 'counted from individual vehicle speeds',
+    'device': 'from the counter\'s own speed bin counts',
+    'estimated': 'estimated: each interval\'s vehicles are counted in the bin of its average speed'
+};
+
+// Where over-limit compliance tiers came from when not counted from vehicle speeds (footnote text for reports)
+export const COMPLIANCE_TIER_SOURCES = {
+    'device-bins': 'estimated from the counter\'s speed bin counts',
+    'modelled': 'modelled from the radar\'s daily 85th percentile around each interval\'s average speed',
+    'interval': 'estimated from a normal spread around each interval\'s average and 85th percentile speeds',
+    'estimated': 'not available: interval average speeds alone cannot place vehicles above the limit'
+};
+
+// How a whole-period percentile was combined (footnote text for reports)
+export const PERCENTILE_METHODS = {
+    'pooled': 'pooled from every individual vehicle speed in the period',
+    'single-period': 'reported by the device for the single day in the period',
+    'binned': 'read from the merged speed bins (interval volumes counted into 1 mph bins)',
+    'weighted': 'volume-weighted average of the measured 85th percentiles (daily or per interval)',
+    'unweighted': 'estimated from interval average speeds (no volumes to weight by)'
+};
+
 // Chart colors (matching desktop app exactly)
 export const CHART_COLORS = {
     lawAbiding: '#5470C6',    // Blue - law-abiding vehicles
@@ -71,9 +238,22 @@ export const CHART_COLORS = {
     peakSpeed: '#EE6666',      // Red - peak speed
     percentile85: '#9A60B4',   // Purple - 85th percentile
     speedLimit: '#000000',     // Black - speed limit line (dashed)
-    volume: '#5470C6'          // Blue - volume bars
+    volume: '#5470C6',         // Blue - volume bars
+    trucks: '#FAC858',         // Yellow - truck classes
+    excluded: 'rgba(128, 128, 128, 0.15)'  // Gray - shaded excluded days/hours
 };
 
+// Series colors for multi-study comparison charts
+export const COMPARISON_COLORS = [
+    '#5470C6', '#EE6666', '#91CC75', '#FAC858', '#9A60B4', '#73C0DE', '#FC8452', '#3BA272'
+];
+
+// Compliance tier band colors, least to most over the limit (0-5, 5-10, 10-15, 15-20, 20+ mph over)
+export const COMPLIANCE_TIER_COLORS = ['#FAC858', '#FC8452', '#EE6666', '#C23531', '#7A1F1F'];
+
+// Directional volume series, in the order directions are listed
+export const DIRECTION_COLORS = ['#5470C6', '#91CC75', '#FAC858', '#73C0DE'];
+
 // Table colors for PDF report tables
 export const TABLE_COLORS = {
     headerBg: '#4472C4',       // Dark blue - table header background
@@ -3,17 +3,36 @@
  * Uses jsPDF's native drawing methods for clean, small PDFs
  */
 
-import { CHART_COLORS, TABLE_COLORS } from '../config.js';
+import { CHART_COLORS, TABLE_COLORS, PERCENTILE_SOURCES, PERCENTILE_METHODS, COMPARISON_METRICS, COMPARISON_ALIGNMENTS, COMPARISON_COLORS, COMPLIANCE_TIER_COLORS, DIRECTION_COLORS, SPEED_BIN_SOURCES } from '../config.js';
 import {
     aggregateDaily,
     aggregateHourly,
+    aggregateByInterval,
     aggregateBy24Hour,
     calculateReportStatistics,
     SPEED_BINS_8,
     SPEED_BINS_12,
     calculate85thFromBins,
-    calculate50thFromBins
+    calculate50thFromBins,
+    calculateSpeedDistributionFromBins,
+    sumBinCounts,
+    calculateBinCounts,
+    getSpeedDistribution,
+    formatPace,
+    calculateComplianceTiers,
+    formatComplianceTiers,
+    formatComplianceNote,
+    COMPLIANCE_TIERS
 } from '../utils/stats.js';
+import { calculateClassification } from '../utils/classification.js';
+import { calculatePeakHours } from '../utils/peakHour.js';
+import { calculateVolumeStats } from '../utils/volume.js';
+import { SIGNIFICANCE_LEVEL } from '../utils/beforeAfter.js';
+import { calculateWhatIf, describeWhatIfSource } from '../utils/whatIf.js';
+import { formatDateRange, formatHour, getDateKey } from '../utils/dateUtils.js';
+import { calculateHeadways, formatSeconds } from '../utils/headway.js';
+import { getSeriesSpeedLimits, formatSpeedSchedule } from '../utils/speedLimit.js';
+import { getExcludedPoints } from '../utils/exclusions.js';
 
 // PDF Colors (RGB 0-255)
 const COLORS = {
@@ -25,6 +44,7 @@ const COLORS = {
     percentile85: [154, 96, 180],     // Purple
     speedLimit: [0, 0, 0],            // Black
     volume: [84, 112, 198],           // Blue
+    trucks: [250, 200, 88],           // Yellow
     gridLine: [220, 220, 220],        // Light gray
     axisLine: [100, 100, 100],        // Dark gray
     text: [0, 0, 0],                  // Black
@@ -33,6 +53,7 @@ const COLORS = {
     headerText: [255, 255, 255],      // White
     totalsBg: [217, 226, 243],        // Light blue
     altRowBg: [245, 247, 250],        // Very light gray
+    excluded: [232, 232, 232],        // Gray - shaded excluded days/hours
     white: [255, 255, 255]
 };
 
@@ -50,6 +71,7 @@ export function drawHeader(doc, options = {}) {
         dateRange = '',
         counter = '',
         speedLimit = '',
+        speedSchedule = [],
         stats = null,
         isFirstPage = true,
         isContinuation = false
@@ -84,6 +106,10 @@ export function drawHeader(doc, options = {}) {
     doc.setFont(undefined, 'normal');
 
     if (isFirstPage && !isContinuation) {
+        // Tighten line spacing when a volume line is added below the stats
+        const volumeLine = stats ? formatVolumeLine(stats) : '';
+        const lineY = volumeLine ? [19, 24, 28.5] : [20, 26];
+
         // Details line
         if (dateRange || counter || speedLimit) {
             doc.setFontSize(9);
@@ -91,8 +117,16 @@ export function drawHeader(doc, options = {}) {
             let details = [];
             if (dateRange) details.push(`Date Range: ${dateRange}`);
             if (counter) details.push(`Counter: ${counter}`);
-            if (speedLimit) details.push(`Speed Limit: ${speedLimit} mph`);
-            doc.text(details.join('   •   '), textStartX, 20);
+            if (speedLimit) {
+                const schedule = formatSpeedSchedule(speedSchedule);
+                details.push(`Speed Limit: ${speedLimit} mph${schedule ? ` (${schedule})` : ''}`);
+            }
+            const detailsLine = details.join('   •   ');
+            // Shrink to fit when a time-of-day schedule makes the line long
+            if (doc.getTextWidth(detailsLine) > pageWidth - leftMargin - textStartX) {
+                doc.setFontSize(7);
+            }
+            doc.text(detailsLine, textStartX, lineY[0]);
         }
 
         // Stats line
@@ -102,14 +136,48 @@ export function drawHeader(doc, options = {}) {
             doc.setFont(undefined, 'bold');
             let statsLine = `Study Totals:  Vehicles: ${stats.totalVehicles.toLocaleString()}`;
             statsLine += `   •   Violators: ${stats.totalViolators.toLocaleString()} (${stats.violationRate.toFixed(1)}%)`;
+            if (stats.compliance) {
+                statsLine += `   •   ${formatComplianceTiers(stats.compliance)}`;
+            }
             if (stats.avgSpeed > 0) {
                 statsLine += `   •   Avg Speed: ${stats.avgSpeed.toFixed(1)} mph`;
             }
             if (stats.p85Speed) {
                 statsLine += `   •   85th Percentile: ${Math.round(stats.p85Speed)} mph`;
+                if (stats.p85Source) {
+                    statsLine += ` (${PERCENTILE_SOURCES[stats.p85Source]})`;
+                }
+                if (PERCENTILE_METHODS[stats.p85Method]) {
+                    statsLine += ' *';
+                }
+            }
+            // Shrink to fit when the line runs past the right margin
+            if (doc.getTextWidth(statsLine) > pageWidth - leftMargin - textStartX) {
+                doc.setFontSize(8);
+            }
+            if (doc.getTextWidth(statsLine) > pageWidth - leftMargin - textStartX) {
+                doc.setFontSize(7);
             }
-            doc.text(statsLine, textStartX, 26);
+            doc.text(statsLine, textStartX, lineY[1]);
             doc.setFont(undefined, 'normal');
+
+            // Footnote how the whole-period percentile was combined
+            if (stats.p85Speed && PERCENTILE_METHODS[stats.p85Method]) {
+                const pageHeight = doc.internal.pageSize.getHeight();
+                doc.setFontSize(7);
+                doc.setTextColor(...COLORS.textGray);
+                doc.text(`* 85th percentile ${PERCENTILE_METHODS[stats.p85Method]}.`, leftMargin, pageHeight - 13);
+            }
+        }
+
+        // ADT / peak hour line
+        if (volumeLine) {
+            doc.setFontSize(8);
+            doc.setTextColor(44, 82, 130);
+            if (doc.getTextWidth(volumeLine) > pageWidth - leftMargin - textStartX) {
+                doc.setFontSize(7);
+            }
+            doc.text(volumeLine, textStartX, lineY[2]);
         }
 
         // Separator line
@@ -128,6 +196,60 @@ export function drawHeader(doc, options = {}) {
     }
 }
 
+/**
+ * Build the one-line ADT/AADT and peak hour summary for the report header
+ * @param {Object} stats - Header stats with optional adt, aadt and peakHours
+ *                         (output of calculatePeakHours(), optionally with a directional split)
+ * @returns {string} Empty when there is nothing to show
+ */
+function formatVolumeLine(stats) {
+    const parts = [];
+    if (stats.adt != null) {
+        parts.push(`ADT: ${Math.round(stats.adt).toLocaleString()} (${stats.completeDays} full day${stats.completeDays === 1 ? '' : 's'})`);
+    } else if (stats.adt === null) {
+        parts.push('ADT: N/A (no complete 24-hour days)');
+    }
+    if (stats.aadt != null) {
+        parts.push(`AADT: ${Math.round(stats.aadt).toLocaleString()}`);
+    }
+
+    const peakHours = stats.peakHours;
+    if (!peakHours) return parts.join('   •   ');
+
+    const formatPeak = (name, peak) => {
+        if (!peak) return null;
+        let text = `${name} Peak: ${peak.label} (${Math.round(peak.volume).toLocaleString()} veh`;
+        if (peak.phf !== null) text += `, PHF ${peak.phf.toFixed(2)}`;
+        return text + ')';
+    };
+
+    parts.push(...[formatPeak('AM', peakHours.am), formatPeak('PM', peakHours.pm)].filter(Boolean));
+
+    if (peakHours.kFactor !== null) {
+        parts.push(`K-Factor: ${peakHours.kFactor.toFixed(1)}%`);
+    }
+
+    // D-factor of the higher two-way peak, when the study is part of a link group
+    const split = peakHours.directional;
+    if (split) {
+        const peak = (split.pm?.volume || 0) > (split.am?.volume || 0) ? split.pm : split.am;
+        if (peak) parts.push(`D-Factor: ${peak.dFactor.toFixed(0)}% ${peak.peakDirection}`);
+    }
+
+    return parts.join('   •   ');
+}
+
+/**
+ * ADT/AADT for a table header
+ * @param {Array} data - Clean data rows to average over
+ * @param {Object} studyMeta
+ * @param {Object|null} aadtOptions - Optional {factors, studyType} for AADT estimation
+ * @returns {{adt: number|null, aadt: number|null, completeDays: number, partialDays: string[]}}
+ */
+function getVolumeStats(data, studyMeta, aadtOptions) {
+    return calculateVolumeStats(data, aadtOptions?.factors, aadtOptions?.studyType ?? studyMeta.study_type);
+}
+
 // ============ Chart Drawing ============
 
 /**
@@ -142,6 +264,7 @@ export function drawBarChart(doc, data, options = {}) {
         title = '',
         yAxisLabel = '',
         color = COLORS.volume,
+        barColors = null, // Optional per-bar colors, overrides color
         showValues = true,
         valueKey = 'value'
     } = options;
@@ -212,7 +335,7 @@ export function drawBarChart(doc, data, options = {}) {
         const barY = chartBottom - 15 - barHeight;
 
         // Bar
-        doc.setFillColor(...color);
+        doc.setFillColor(...(barColors ? barColors[i] : color));
         doc.rect(barX, barY, effectiveBarWidth, barHeight, 'F');
 
         // Value on top (rounded)
@@ -232,6 +355,112 @@ export function drawBarChart(doc, data, options = {}) {
     });
 }
 
+/**
+ * Draw a stacked bar chart with a legend
+ * @param {Array} data - Rows with a label
+ * @param {Array} series - [{label, color, value: row => number|null}] bottom to top
+ */
+export function drawStackedBarChart(doc, data, series, options = {}) {
+    const {
+        x = 15,
+        y = 40,
+        width = 180,
+        height = 100,
+        title = '',
+        yAxisLabel = '',
+        showValues = false,
+        formatValue = v => v.toFixed(1)
+    } = options;
+
+    if (!data || data.length === 0) return;
+
+    const totals = data.map(d => series.reduce((sum, s) => sum + (s.value(d) || 0), 0));
+    const maxValue = Math.max(Math.ceil(Math.max(...totals) * 1.1 / 5) * 5, 5);
+    const chartBottom = y + height;
+    const chartLeft = x + 15;
+    const chartWidth = width - 20;
+    const chartHeight = height - 30;
+    const axisY = chartBottom - 15;
+
+    // Title
+    if (title) {
+        doc.setFontSize(11);
+        doc.setFont(undefined, 'bold');
+        doc.setTextColor(...COLORS.text);
+        doc.text(title, x + width / 2, y - 5, { align: 'center' });
+        doc.setFont(undefined, 'normal');
+    }
+
+    // Legend
+    const legendWidth = chartWidth / series.length;
+    series.forEach((s, i) => {
+        const legendX = chartLeft + i * legendWidth;
+        doc.setFillColor(...s.color);
+        doc.rect(legendX, y, 4, 3, 'F');
+        doc.setFontSize(6);
+        doc.setTextColor(...COLORS.text);
+        doc.text(s.label, legendX + 5, y + 2.5, { maxWidth: legendWidth - 6 });
+    });
+
+    // Y-axis label
+    if (yAxisLabel) {
+        doc.setFontSize(7);
+        doc.setTextColor(...COLORS.textGray);
+        doc.text(yAxisLabel, x, axisY - chartHeight / 2, { angle: 90 });
+    }
+
+    // Y-axis ticks and grid lines
+    const yTicks = 5;
+    for (let i = 0; i <= yTicks; i++) {
+        const tickY = axisY - (i / yTicks) * chartHeight;
+        doc.setDrawColor(...COLORS.gridLine);
+        doc.setLineWidth(0.2);
+        doc.line(chartLeft, tickY, chartLeft + chartWidth, tickY);
+        doc.setFontSize(6);
+        doc.setTextColor(...COLORS.textGray);
+        doc.text(formatValue((i / yTicks) * maxValue), chartLeft - 2, tickY + 1, { align: 'right' });
+    }
+
+    // Axes
+    doc.setDrawColor(...COLORS.axisLine);
+    doc.setLineWidth(0.3);
+    doc.line(chartLeft, axisY - chartHeight, chartLeft, axisY);
+    doc.line(chartLeft, axisY, chartLeft + chartWidth, axisY);
+
+    // Stacked bars
+    const slotWidth = chartWidth / data.length;
+    const barWidth = slotWidth * 0.7;
+    const labelEvery = Math.ceil(data.length / 31);
+
+    data.forEach((d, i) => {
+        const barX = chartLeft + i * slotWidth + (slotWidth - barWidth) / 2;
+        let top = axisY;
+
+        series.forEach(s => {
+            const value = s.value(d) || 0;
+            if (value <= 0) return;
+            const segment = (value / maxValue) * chartHeight;
+            top -= segment;
+            doc.setFillColor(...s.color);
+            doc.rect(barX, top, barWidth, segment, 'F');
+        });
+
+        // Stack total on top
+        if (showValues && totals[i] > 0) {
+            doc.setFontSize(5);
+            doc.setTextColor(...COLORS.text);
+            doc.text(formatValue(totals[i]), barX + barWidth / 2, top - 1, { align: 'center' });
+        }
+
+        // X-axis label, thinned out for long hourly ranges
+        if (i % labelEvery === 0) {
+            doc.setFontSize(5);
+            doc.setTextColor(...COLORS.textGray);
+            doc.text(d.label || '', barX + barWidth / 2, chartBottom - 10, { align: 'center', maxWidth: slotWidth * labelEvery });
+        }
+    });
+}
+
 /**
  * Draw a grouped bar chart (two series)
  */
@@ -368,6 +597,8 @@ export function drawGroupedBarChart(doc, data, options = {}) {
 
 /**
  * Draw a line chart (one or two series)
+ * referenceLine is a single value (e.g. the speed limit) or one value per point,
+ * drawn as a stepped line (e.g. time-of-day speed limits)
  */
 export function drawLineChart(doc, data, options = {}) {
     const {
@@ -393,7 +624,7 @@ export function drawLineChart(doc, data, options = {}) {
     const values1 = data.map(d => d[series1Key] || 0);
     const values2 = series2Key ? data.map(d => d[series2Key] || 0) : [];
     const allValues = [...values1, ...values2].filter(v => v > 0);
-    if (referenceLine) allValues.push(referenceLine);
+    if (referenceLine) allValues.push(...[].concat(referenceLine).filter(v => v > 0));
     const dataMax = Math.max(...allValues, 1);
     const dataMin = Math.min(...allValues);
 
@@ -456,8 +687,29 @@ export function drawLineChart(doc, data, options = {}) {
         doc.text(tickValue.toString(), chartLeft - 2, tickY + 1, { align: 'right' });
     }
 
+    // Stepped reference line: each point's value holds until the next point
+    if (Array.isArray(referenceLine)) {
+        const stepX = i => chartLeft + (i / (data.length - 1 || 1)) * chartWidth;
+        const stepY = value => chartBottom - 15 - ((value - minValue) / yRange) * chartHeight;
+        doc.setDrawColor(...COLORS.speedLimit);
+        doc.setLineWidth(0.5);
+        doc.setLineDashPattern([2, 2], 0);
+        referenceLine.forEach((value, i) => {
+            if (i === referenceLine.length - 1) return;
+            const next = referenceLine[i + 1];
+            doc.line(stepX(i), stepY(value), stepX(i + 1), stepY(value));
+            if (next !== value) doc.line(stepX(i + 1), stepY(value), stepX(i + 1), stepY(next));
+        });
+        doc.setLineDashPattern([], 0);
+
+        if (referenceLabel) {
+            doc.setFontSize(5);
+            doc.setTextColor(...COLORS.textGray);
+            doc.text(referenceLabel, chartLeft + chartWidth + 1, stepY(referenceLine[referenceLine.length - 1]) + 1);
+        }
+    }
     // Reference line (e.g., speed limit)
-    if (referenceLine !== null) {
+    else if (referenceLine !== null) {
         const refY = chartBottom - 15 - ((referenceLine - minValue) / yRange) * chartHeight;
         doc.setDrawColor(...COLORS.speedLimit);
         doc.setLineWidth(0.5);
@@ -530,147 +782,572 @@ export function drawLineChart(doc, data, options = {}) {
     });
 }
 
-// ============ Table Drawing ============
+/**
+ * Convert a hex color (e.g. '#5470C6') to an RGB array
+ * @param {string} hex
+ * @returns {number[]}
+ */
+function hexToRgb(hex) {
+    return [0, 1, 2].map(i => parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16));
+}
 
 /**
- * Draw a data table
+ * Draw a line chart with any number of series sharing one set of x labels
+ * @param {string[]} labels - X-axis labels
+ * @param {Array} series - [{label, values, color}] values may contain nulls (gaps)
  */
-export function drawTable(doc, options = {}) {
+export function drawMultiLineChart(doc, labels, series, options = {}) {
     const {
-        x = 10,
-        y = 35,
-        headers = [],
-        rows = [],
-        columnWidths = [],
+        x = 15,
+        y = 40,
+        width = 180,
+        height = 100,
         title = '',
-        subtitle = '',
-        highlightColumn = -1,
-        totalsRow = null
+        yAxisLabel = '',
+        startFromZero = true,
+        showValues = false,
+        formatValue = v => Math.round(v).toLocaleString()
     } = options;
 
-    const pageWidth = doc.internal.pageSize.getWidth();
-    const tableWidth = pageWidth - 2 * x;
-    const rowHeight = 6;
-    const headerHeight = 8;
+    const allValues = series.flatMap(s => s.values).filter(v => v !== null && v !== undefined);
+    if (labels.length === 0 || allValues.length === 0) return;
 
-    // Calculate column widths if not provided
-    const colWidths = columnWidths.length === headers.length
-        ? columnWidths
-        : headers.map(() => tableWidth / headers.length);
+    const dataMax = Math.max(...allValues, 1);
+    const dataMin = Math.min(...allValues);
+    let minValue = 0;
+    let maxValue = Math.ceil(dataMax * 1.1 / 5) * 5;
+    if (!startFromZero) {
+        const padding = (dataMax - dataMin) * 0.15 || dataMax * 0.1;
+        minValue = Math.max(0, Math.floor((dataMin - padding) / 5) * 5);
+        maxValue = Math.ceil((dataMax + padding) / 5) * 5;
+    }
+    const yRange = maxValue - minValue || 1;
 
-    let currentY = y;
+    const chartBottom = y + height;
+    const chartLeft = x + 15;
+    const chartWidth = width - 20;
+    const legendRows = Math.ceil(series.length / 2);
+    const chartHeight = height - 25 - legendRows * 4;
 
     // Title
     if (title) {
-        doc.setFontSize(12);
+        doc.setFontSize(11);
         doc.setFont(undefined, 'bold');
         doc.setTextColor(...COLORS.text);
-        doc.text(title, pageWidth / 2, currentY, { align: 'center' });
-        currentY += 6;
+        doc.text(title, x + width / 2, y - 5, { align: 'center' });
         doc.setFont(undefined, 'normal');
     }
 
-    // Subtitle
-    if (subtitle) {
-        doc.setFontSize(9);
+    // Legend, two series per row
+    series.forEach((s, i) => {
+        const legendX = chartLeft + (i % 2) * (chartWidth / 2);
+        const legendY = y + 2 + Math.floor(i / 2) * 4;
+        doc.setDrawColor(...s.color);
+        doc.setLineWidth(0.8);
+        doc.line(legendX, legendY - 1, legendX + 8, legendY - 1);
+        doc.setFontSize(6);
+        doc.setTextColor(...COLORS.text);
+        doc.text(s.label, legendX + 10, legendY, { maxWidth: chartWidth / 2 - 12 });
+    });
+
+    // Y-axis label
+    if (yAxisLabel) {
+        doc.setFontSize(7);
         doc.setTextColor(...COLORS.textGray);
-        doc.text(subtitle, pageWidth / 2, currentY, { align: 'center' });
-        currentY += 5;
+        doc.text(yAxisLabel, x, chartBottom - 15 - chartHeight / 2, { angle: 90 });
     }
 
-    // Header row
-    doc.setFillColor(...COLORS.headerBg);
-    doc.rect(x, currentY, tableWidth, headerHeight, 'F');
+    // Y-axis ticks and grid
+    const yTicks = 5;
+    for (let i = 0; i <= yTicks; i++) {
+        const tickY = chartBottom - 15 - (i / yTicks) * chartHeight;
+        doc.setDrawColor(...COLORS.gridLine);
+        doc.setLineWidth(0.2);
+        doc.line(chartLeft, tickY, chartLeft + chartWidth, tickY);
+        doc.setFontSize(6);
+        doc.setTextColor(...COLORS.textGray);
+        doc.text(Math.round(minValue + (i / yTicks) * yRange).toLocaleString(), chartLeft - 2, tickY + 1, { align: 'right' });
+    }
 
-    doc.setFontSize(7);
-    doc.setTextColor(...COLORS.headerText);
-    doc.setFont(undefined, 'bold');
+    // Axes
+    doc.setDrawColor(...COLORS.axisLine);
+    doc.setLineWidth(0.3);
+    doc.line(chartLeft, chartBottom - 15 - chartHeight, chartLeft, chartBottom - 15);
+    doc.line(chartLeft, chartBottom - 15, chartLeft + chartWidth, chartBottom - 15);
 
-    let colX = x;
-    headers.forEach((header, i) => {
-        doc.text(header, colX + colWidths[i] / 2, currentY + headerHeight / 2 + 1.5, { align: 'center', maxWidth: colWidths[i] - 2 });
-        colX += colWidths[i];
+    const getPoint = (index, value) => ({
+        x: chartLeft + (index / (labels.length - 1 || 1)) * chartWidth,
+        y: chartBottom - 15 - ((value - minValue) / yRange) * chartHeight
     });
 
-    currentY += headerHeight;
-    doc.setFont(undefined, 'normal');
-
-    // Data rows
-    rows.forEach((row, rowIndex) => {
-        // Alternate row background
-        if (rowIndex % 2 === 1) {
-            doc.setFillColor(...COLORS.altRowBg);
-            doc.rect(x, currentY, tableWidth, rowHeight, 'F');
-        }
-
-        doc.setFontSize(6);
-        doc.setTextColor(...COLORS.text);
-
-        colX = x;
-        row.forEach((cell, colIndex) => {
-            // Highlight column (e.g., speed limit violation)
-            if (colIndex === highlightColumn && cell && parseFloat(cell) > 0) {
-                doc.setFillColor(255, 224, 224);
-                doc.rect(colX, currentY, colWidths[colIndex], rowHeight, 'F');
+    // Series lines, broken at missing values
+    series.forEach(s => {
+        doc.setDrawColor(...s.color);
+        doc.setFillColor(...s.color);
+        doc.setLineWidth(0.8);
+        let lastPoint = null;
+        s.values.forEach((value, i) => {
+            if (value === null || value === undefined) {
+                lastPoint = null;
+                return;
+            }
+            const point = getPoint(i, value);
+            if (lastPoint) doc.line(lastPoint.x, lastPoint.y, point.x, point.y);
+            doc.circle(point.x, point.y, 0.7, 'F');
+            lastPoint = point;
+
+            if (showValues) {
+                doc.setFontSize(4);
+                doc.setTextColor(...s.color);
+                doc.text(formatValue(value), point.x, point.y - 1.5, { align: 'center' });
             }
-
-            const cellText = cell !== null && cell !== undefined ? String(cell) : '-';
-            doc.text(cellText, colX + colWidths[colIndex] / 2, currentY + rowHeight / 2 + 1.5, { align: 'center', maxWidth: colWidths[colIndex] - 2 });
-            colX += colWidths[colIndex];
         });
+    });
 
-        currentY += rowHeight;
+    // X-axis labels (show subset if too many)
+    const maxLabels = 12;
+    const step = Math.ceil(labels.length / maxLabels);
+    doc.setFontSize(5);
+    doc.setTextColor(...COLORS.textGray);
+    labels.forEach((label, i) => {
+        if (i % step === 0 || i === labels.length - 1) {
+            doc.text(label, getPoint(i, minValue).x, chartBottom - 10, { align: 'center' });
+        }
     });
+}
 
-    // Totals row
-    if (totalsRow) {
-        doc.setFillColor(...COLORS.totalsBg);
-        doc.rect(x, currentY, tableWidth, rowHeight + 1, 'F');
+/**
+ * Draw the chart title and a speed axis shared by the speed-binned charts
+ * @returns {{chartLeft: number, chartWidth: number, chartHeight: number, axisY: number, speedToX: Function}}
+ */
+function drawSpeedAxisFrame(doc, options) {
+    const { x, y, width, height, title, minSpeed, maxSpeed, tickStep } = options;
+    const chartLeft = x + 15;
+    const chartWidth = width - 20;
+    const chartHeight = height - 30;
+    const axisY = y + height - 15;
+    const speedToX = speed => chartLeft + ((speed - minSpeed) / (maxSpeed - minSpeed || 1)) * chartWidth;
 
-        doc.setFontSize(6);
+    if (title) {
+        doc.setFontSize(11);
         doc.setFont(undefined, 'bold');
         doc.setTextColor(...COLORS.text);
-
-        colX = x;
-        totalsRow.forEach((cell, colIndex) => {
-            const cellText = cell !== null && cell !== undefined ? String(cell) : '';
-            doc.text(cellText, colX + colWidths[colIndex] / 2, currentY + rowHeight / 2 + 2, { align: 'center', maxWidth: colWidths[colIndex] - 2 });
-            colX += colWidths[colIndex];
-        });
-
+        doc.text(title, x + width / 2, y - 5, { align: 'center' });
         doc.setFont(undefined, 'normal');
-        currentY += rowHeight + 1;
     }
 
-    // Table border
+    // Axes
     doc.setDrawColor(...COLORS.axisLine);
     doc.setLineWidth(0.3);
-    doc.rect(x, y + (title ? 6 : 0) + (subtitle ? 5 : 0), tableWidth, currentY - y - (title ? 6 : 0) - (subtitle ? 5 : 0));
+    doc.line(chartLeft, y + 10, chartLeft, axisY);
+    doc.line(chartLeft, axisY, chartLeft + chartWidth, axisY);
+
+    // Speed ticks
+    doc.setFontSize(5);
+    doc.setTextColor(...COLORS.textGray);
+    for (let speed = Math.ceil(minSpeed / tickStep) * tickStep; speed <= maxSpeed; speed += tickStep) {
+        doc.text(String(speed), speedToX(speed), axisY + 4, { align: 'center' });
+    }
+    doc.setFontSize(6);
+    doc.text('Speed (mph)', chartLeft + chartWidth / 2, axisY + 9, { align: 'center' });
 
-    return currentY;
+    return { chartLeft, chartWidth, chartHeight, axisY, speedToX };
 }
 
 /**
- * Generate Speed Summary Table (24-hour)
+ * Draw a dashed vertical marker at a speed, with a label at the top
  */
-export function generateSpeedSummaryTable(doc, data, date, speedLimit, studyMeta, logoDataUrl, startY = 8) {
-    const pageWidth = doc.internal.pageSize.getWidth();
+function drawSpeedMarker(doc, px, bottomY, topY, label, color) {
+    doc.setDrawColor(...color);
+    doc.setLineWidth(0.5);
+    doc.setLineDashPattern([2, 2], 0);
+    doc.line(px, bottomY, px, topY);
+    doc.setLineDashPattern([], 0);
 
-    // Filter data for specific date
-    const dateData = data.filter(row => {
-        if (!row.datetime) return false;
-        const rowDate = new Date(row.datetime).toISOString().split('T')[0];
-        return rowDate === date;
-    });
+    doc.setFontSize(6);
+    doc.setTextColor(...color);
+    doc.text(label, px + 1, topY - 1);
+}
 
-    const hourlyData = aggregateBy24Hour(dateData);
+/**
+ * Mark the posted limit and any lower time-of-day limits on a speed axis
+ * @param {Object} frame - {minSpeed, maxSpeed, speedToX, axisY, top} from drawSpeedAxisFrame()
+ */
+function drawSpeedLimitMarkers(doc, speedLimit, speedSchedule, frame) {
+    if (!(speedLimit > 0)) return;
+    const { minSpeed, maxSpeed, speedToX, axisY, top } = frame;
+    const markers = [
+        { speed: speedLimit, label: `${speedLimit} mph limit` },
+        ...[...new Set(speedSchedule.map(w => w.limit))]
+            .filter(l => l !== speedLimit)
+            .map(l => ({ speed: l, label: `${l} mph scheduled` }))
+    ];
+    markers.forEach(m => {
+        if (m.speed > minSpeed && m.speed < maxSpeed) {
+            drawSpeedMarker(doc, speedToX(m.speed), axisY, top, m.label, COLORS.speedLimit);
+        }
+    });
+}
+
+/**
+ * Draw a speed distribution histogram
+ * @param {Object} histogram - Output of calculateSpeedHistogram()
+ */
+export function drawSpeedHistogram(doc, histogram, options = {}) {
+    const { x = 15, y = 40, width = 180, height = 100, title = '', speedLimit = 0, speedSchedule = [], showValues = true } = options;
+    if (!histogram || histogram.bins.length === 0) return;
+
+    const bins = histogram.bins;
+    const minSpeed = bins[0].min;
+    const maxSpeed = bins[bins.length - 1].max;
+    const { chartLeft, chartWidth, chartHeight, axisY, speedToX } = drawSpeedAxisFrame(doc, {
+        x, y, width, height, title, minSpeed, maxSpeed, tickStep: 5
+    });
+
+    // Y-axis ticks and grid lines
+    const maxValue = Math.max(...bins.map(b => b.vehicles), 1);
+    const yTicks = 5;
+    for (let i = 0; i <= yTicks; i++) {
+        const tickY = axisY - (i / yTicks) * chartHeight;
+        doc.setDrawColor(...COLORS.gridLine);
+        doc.setLineWidth(0.2);
+        doc.line(chartLeft, tickY, chartLeft + chartWidth, tickY);
+        doc.setFontSize(6);
+        doc.setTextColor(...COLORS.textGray);
+        doc.text(Math.round((i / yTicks) * maxValue).toLocaleString(), chartLeft - 2, tickY + 1, { align: 'right' });
+    }
+
+    // Bars, red at or above the speed limit
+    const binWidth = chartWidth / bins.length;
+    bins.forEach(bin => {
+        const barHeight = (bin.vehicles / maxValue) * chartHeight;
+        const barX = speedToX(bin.min) + binWidth * 0.05;
+        const isOver = speedLimit > 0 && bin.min >= speedLimit;
+        doc.setFillColor(...(isOver ? COLORS.violators : COLORS.lawAbiding));
+        if (barHeight > 0) doc.rect(barX, axisY - barHeight, binWidth * 0.9, barHeight, 'F');
+
+        if (showValues && histogram.binSize > 1 && bin.vehicles >= 1) {
+            doc.setFontSize(5);
+            doc.setTextColor(...COLORS.text);
+            doc.text(Math.round(bin.vehicles).toLocaleString(), barX + binWidth * 0.45, axisY - barHeight - 1, { align: 'center' });
+        }
+    });
+
+    drawSpeedLimitMarkers(doc, speedLimit, speedSchedule, { minSpeed, maxSpeed, speedToX, axisY, top: y + 12 });
+}
+
+/**
+ * Draw a cumulative speed curve (S-curve) with the 50th and 85th percentiles marked
+ * @param {Object} histogram - Output of calculateSpeedHistogram()
+ */
+export function drawCumulativeSpeedCurve(doc, histogram, options = {}) {
+    const { x = 15, y = 40, width = 180, height = 100, title = '', speedLimit = 0, speedSchedule = [] } = options;
+    if (!histogram || histogram.bins.length === 0) return;
+
+    const bins = histogram.bins;
+    const minSpeed = bins[0].min;
+    const maxSpeed = bins[bins.length - 1].max;
+    const { chartLeft, chartWidth, chartHeight, axisY, speedToX } = drawSpeedAxisFrame(doc, {
+        x, y, width, height, title, minSpeed, maxSpeed, tickStep: 5
+    });
+    const pctToY = pct => axisY - (pct / 100) * chartHeight;
+
+    // Y-axis ticks and grid lines every 20%
+    for (let pct = 0; pct <= 100; pct += 20) {
+        doc.setDrawColor(...COLORS.gridLine);
+        doc.setLineWidth(0.2);
+        doc.line(chartLeft, pctToY(pct), chartLeft + chartWidth, pctToY(pct));
+        doc.setFontSize(6);
+        doc.setTextColor(...COLORS.textGray);
+        doc.text(`${pct}%`, chartLeft - 2, pctToY(pct) + 1, { align: 'right' });
+    }
+
+    // Curve through the cumulative % at each bin's upper edge
+    const points = [
+        { x: speedToX(minSpeed), y: pctToY(bins[0].cumulativePct - bins[0].pct) },
+        ...bins.map(b => ({ x: speedToX(b.max), y: pctToY(b.cumulativePct) }))
+    ];
+    doc.setDrawColor(...COLORS.pctSpeeders);
+    doc.setLineWidth(0.8);
+    for (let i = 1; i < points.length; i++) {
+        doc.line(points[i - 1].x, points[i - 1].y, points[i].x, points[i].y);
+    }
+
+    // Percentile annotations: dashed from the speed axis up to the curve and across to the y-axis
+    const annotate = (speed, pct, label, color) => {
+        const px = speedToX(speed);
+        drawSpeedMarker(doc, px, axisY, pctToY(pct), label, color);
+        doc.setDrawColor(...color);
+        doc.setLineDashPattern([2, 2], 0);
+        doc.line(chartLeft, pctToY(pct), px, pctToY(pct));
+        doc.setLineDashPattern([], 0);
+    };
+    const sourceLabel = histogram.source === 'per-vehicle' ? '' : ` (${PERCENTILE_SOURCES[histogram.source]})`;
+    annotate(histogram.p50, 50, `50th: ${Math.round(histogram.p50)} mph`, COLORS.avgSpeed);
+    annotate(histogram.p85, 85, `85th: ${Math.round(histogram.p85)} mph${sourceLabel}`, COLORS.percentile85);
+
+    drawSpeedLimitMarkers(doc, speedLimit, speedSchedule, { minSpeed, maxSpeed, speedToX, axisY, top: y + 12 });
+}
+
+/**
+ * Draw a day-of-week x hour-of-day heatmap
+ * @param {Array} grid - Output of aggregateByWeekdayHour()
+ * @param {Object} options - Drawing options; valueKey is 'vehicles' or 'pct_speeders'
+ */
+export function drawHeatmap(doc, grid, options = {}) {
+    const {
+        x = 15,
+        y = 40,
+        width = 180,
+        height = 100,
+        title = '',
+        valueKey = 'vehicles',
+        color = COLORS.volume,
+        showValues = true
+    } = options;
+
+    if (!grid || grid.length === 0) return;
+
+    const isPct = valueKey === 'pct_speeders';
+    const formatValue = v => isPct ? `${Math.round(v)}%` : Math.round(v).toLocaleString();
+    const values = grid.flatMap(row => row.hours.map(h => h[valueKey])).filter(v => v !== null);
+    const maxValue = Math.max(...values, 1);
+    const shade = t => color.map(c => Math.round(255 + (c - 255) * t));
+
+    const chartLeft = x + 15;
+    const chartWidth = width - 20;
+    const chartTop = y + 8;
+    const chartHeight = height - 30;
+    const cellWidth = chartWidth / 24;
+    const cellHeight = chartHeight / grid.length;
+
+    // Title
+    if (title) {
+        doc.setFontSize(11);
+        doc.setFont(undefined, 'bold');
+        doc.setTextColor(...COLORS.text);
+        doc.text(title, x + width / 2, y - 5, { align: 'center' });
+        doc.setFont(undefined, 'normal');
+    }
+
+    // Color scale legend
+    const legendX = x + width - 55;
+    for (let i = 0; i < 10; i++) {
+        doc.setFillColor(...shade((i + 1) / 10));
+        doc.rect(legendX + 8 + i * 3, y, 3, 3, 'F');
+    }
+    doc.setFontSize(5);
+    doc.setTextColor(...COLORS.textGray);
+    doc.text(isPct ? '0%' : '0', legendX + 7, y + 2.5, { align: 'right' });
+    doc.text(formatValue(maxValue), legendX + 39, y + 2.5);
+    doc.text(isPct ? '% Speeders' : 'Avg Hourly Volume', legendX - 2, y + 2.5, { align: 'right' });
+
+    grid.forEach((row, r) => {
+        const cellY = chartTop + r * cellHeight;
+
+        // Day label
+        doc.setFontSize(6);
+        doc.setTextColor(...COLORS.text);
+        doc.text(row.dayName, chartLeft - 2, cellY + cellHeight / 2 + 1, { align: 'right' });
+
+        row.hours.forEach(h => {
+            const cellX = chartLeft + h.hour * cellWidth;
+            const value = h[valueKey];
+            const t = value !== null ? Math.min(1, value / maxValue) : 0;
+
+            doc.setFillColor(...(value !== null ? shade(t) : [240, 240, 240]));
+            doc.rect(cellX, cellY, cellWidth - 0.3, cellHeight - 0.3, 'F');
+
+            if (showValues && value !== null) {
+                doc.setFontSize(4);
+                doc.setTextColor(...(t > 0.6 ? COLORS.white : COLORS.text));
+                doc.text(formatValue(value), cellX + cellWidth / 2, cellY + cellHeight / 2 + 0.8, { align: 'center' });
+            }
+        });
+    });
+
+    // Hour labels
+    doc.setFontSize(5);
+    doc.setTextColor(...COLORS.textGray);
+    grid[0].hours.forEach(h => {
+        if (h.hour % 2 === 0) {
+            doc.text(h.label, chartLeft + h.hour * cellWidth + cellWidth / 2, chartTop + chartHeight + 4, { align: 'center' });
+        }
+    });
+}
+
+// ============ Table Drawing ============
+
+/**
+ * Draw a data table
+ */
+export function drawTable(doc, options = {}) {
+    const {
+        x = 10,
+        y = 35,
+        headers = [],
+        rows = [],
+        columnWidths = [],
+        title = '',
+        subtitle = '',
+        highlightColumn = -1,
+        totalsRow = null
+    } = options;
+
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const tableWidth = pageWidth - 2 * x;
+    const rowHeight = 6;
+    const headerHeight = 8;
+
+    // Calculate column widths if not provided
+    const colWidths = columnWidths.length === headers.length
+        ? columnWidths
+        : headers.map(() => tableWidth / headers.length);
+
+    let currentY = y;
+
+    // Title
+    if (title) {
+        doc.setFontSize(12);
+        doc.setFont(undefined, 'bold');
+        doc.setTextColor(...COLORS.text);
+        doc.text(title, pageWidth / 2, currentY, { align: 'center' });
+        currentY += 6;
+        doc.setFont(undefined, 'normal');
+    }
+
+    // Subtitle
+    if (subtitle) {
+        doc.setFontSize(9);
+        doc.setTextColor(...COLORS.textGray);
+        doc.text(subtitle, pageWidth / 2, currentY, { align: 'center' });
+        currentY += 5;
+    }
+
+    // Header row
+    doc.setFillColor(...COLORS.headerBg);
+    doc.rect(x, currentY, tableWidth, headerHeight, 'F');
+
+    doc.setFontSize(7);
+    doc.setTextColor(...COLORS.headerText);
+    doc.setFont(undefined, 'bold');
+
+    let colX = x;
+    headers.forEach((header, i) => {
+        doc.text(header, colX + colWidths[i] / 2, currentY + headerHeight / 2 + 1.5, { align: 'center', maxWidth: colWidths[i] - 2 });
+        colX += colWidths[i];
+    });
+
+    currentY += headerHeight;
+    doc.setFont(undefined, 'normal');
+
+    // Data rows
+    rows.forEach((row, rowIndex) => {
+        // Alternate row background
+        if (rowIndex % 2 === 1) {
+            doc.setFillColor(...COLORS.altRowBg);
+            doc.rect(x, currentY, tableWidth, rowHeight, 'F');
+        }
+
+        doc.setFontSize(6);
+        doc.setTextColor(...COLORS.text);
+
+        colX = x;
+        row.forEach((cell, colIndex) => {
+            // Highlight column (e.g., speed limit violation)
+            if (colIndex === highlightColumn && cell && parseFloat(cell) > 0) {
+                doc.setFillColor(255, 224, 224);
+                doc.rect(colX, currentY, colWidths[colIndex], rowHeight, 'F');
+            }
+
+            const cellText = cell !== null && cell !== undefined ? String(cell) : '-';
+            doc.text(cellText, colX + colWidths[colIndex] / 2, currentY + rowHeight / 2 + 1.5, { align: 'center', maxWidth: colWidths[colIndex] - 2 });
+            colX += colWidths[colIndex];
+        });
+
+        currentY += rowHeight;
+    });
+
+    // Totals row
+    if (totalsRow) {
+        doc.setFillColor(...COLORS.totalsBg);
+        doc.rect(x, currentY, tableWidth, rowHeight + 1, 'F');
+
+        doc.setFontSize(6);
+        doc.setFont(undefined, 'bold');
+        doc.setTextColor(...COLORS.text);
+
+        colX = x;
+        totalsRow.forEach((cell, colIndex) => {
+            const cellText = cell !== null && cell !== undefined ? String(cell) : '';
+            doc.text(cellText, colX + colWidths[colIndex] / 2, currentY + rowHeight / 2 + 2, { align: 'center', maxWidth: colWidths[colIndex] - 2 });
+            colX += colWidths[colIndex];
+        });
+
+        doc.setFont(undefined, 'normal');
+        currentY += rowHeight + 1;
+    }
+
+    // Table border
+    doc.setDrawColor(...COLORS.axisLine);
+    doc.setLineWidth(0.3);
+    doc.rect(x, y + (title ? 6 : 0) + (subtitle ? 5 : 0), tableWidth, currentY - y - (title ? 6 : 0) - (subtitle ? 5 : 0));
+
+    return currentY;
+}
+
+/**
+ * Draw a one-line speed-distribution summary (pace, median, std dev, skew) below a table
+ * @param {Object} doc - jsPDF document
+ * @param {Object|null} distribution - Output of getSpeedDistribution(); null prints N/A
+ * @param {number} y - Baseline Y position
+ */
+function drawDistributionLine(doc, distribution, y) {
+    let line = 'Speed Distribution:  N/A (needs per-vehicle speeds or device speed bins)';
+    if (distribution) {
+        line = `Speed Distribution:  10 mph Pace: ${formatPace(distribution)} (${distribution.pctInPace.toFixed(1)}% in pace)`;
+        line += `   •   Median: ${distribution.median.toFixed(1)} mph`;
+        line += `   •   Std Dev: ${distribution.stdDev.toFixed(1)} mph`;
+        line += `   •   Skew: ${distribution.skew.toFixed(2)}`;
+        if (distribution.source === 'device') line += '   (from device speed bins)';
+        if (distribution.source === 'estimated') line += '   (from estimated speed bins)';
+    }
+
+    doc.setFontSize(8);
+    doc.setTextColor(44, 82, 130);
+    doc.text(line, 10, y);
+}
+
+/**
+ * Generate Speed Summary Table (24-hour)
+ * @param {Array} bins - Speed bin definitions; the bin columns share a fixed width
+ * @param {Object|null} aadtOptions - Optional {factors, studyType} for the header AADT
+ */
+export function generateSpeedSummaryTable(doc, data, date, speedLimit, studyMeta, logoDataUrl, perVehicleData = null, bins = SPEED_BINS_8, aadtOptions = null) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+
+    // Filter data for specific date
+    const isOnDate = row => {
+        if (!row.datetime) return false;
+        const rowDate = new Date(row.datetime).toISOString().split('T')[0];
+        return rowDate === date;
+    };
+    const dateData = data.filter(isOnDate);
+    const dateVehicles = perVehicleData ? perVehicleData.filter(isOnDate) : null;
+
+    // Speed bins from vehicle speeds or device bins where available, interval averages otherwise
+    const hourlyData = aggregateBy24Hour(dateData, dateVehicles, speedLimit, bins);
+    const dayCompliance = calculateComplianceTiers(dateData, dateVehicles, speedLimit);
+    const dayBins = sumBinCounts(hourlyData.map(h => h.speedBins));
+    const estimated = dayBins.source === 'estimated';
+    // Tiers not counted from vehicle speeds are starred and footnoted
+    const tierNote = formatComplianceNote(dayCompliance);
 
     // Calculate totals
     let totalVehicles = 0;
     let totalViolators = 0;
     let totalSumSpeeds = 0;
     let totalSpeedCount = 0;
-    const totalSpeedBins = new Array(8).fill(0);
 
     hourlyData.forEach(h => {
         totalVehicles += h.vehicles;
@@ -678,245 +1355,1258 @@ export function generateSpeedSummaryTable(doc, data, date, speedLimit, studyMeta
         if (h.avgSpeed !== null && h.vehicles > 0) {
             totalSumSpeeds += h.avgSpeed * h.vehicles;
             totalSpeedCount += h.vehicles;
+        }
+    });
+
+    const totalAvgSpeed = totalSpeedCount > 0 ? totalSumSpeeds / totalSpeedCount : null;
+    const p85 = calculate85thFromBins(dayBins.counts, bins);
+
+    // Format date
+    const displayDate = new Date(date + 'T12:00:00');
+    const dayOfWeek = displayDate.toLocaleDateString('en-US', { weekday: 'long' });
+    const formattedDate = displayDate.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+
+    // Header
+    drawHeader(doc, {
+        logoDataUrl,
+        location: studyMeta.location,
+        direction: studyMeta.direction,
+        dateRange: `${formattedDate} (${dayOfWeek})`,
+        counter: studyMeta.counter_number,
+        speedLimit: studyMeta.speed_limit,
+        speedSchedule: studyMeta.speed_schedule,
+        stats: {
+            totalVehicles,
+            totalViolators,
+            violationRate: totalVehicles > 0 ? (totalViolators / totalVehicles) * 100 : 0,
+            avgSpeed: totalAvgSpeed,
+            p85Speed: p85 || null,
+            p85Source: estimated ? 'estimated' : null,
+            compliance: dayCompliance,
+            ...getVolumeStats(data, studyMeta, aadtOptions)
+        },
+        isFirstPage: true
+    });
+
+    // Build table data
+    const tierHeaders = COMPLIANCE_TIERS.map(m => `${m}+ Over %${tierNote ? '*' : ''}`);
+    const headers = ['Hour', 'Vehicles', 'Violators', '%', 'Avg Speed', ...bins.map(b => b.label), ...tierHeaders];
+    const colWidths = [16, 16, 16, 11, 16, ...bins.map(() => 84 / bins.length), ...tierHeaders.map(() => 9.25)];
+    const tierCells = compliance => (compliance
+        ? compliance.tiers.map(t => (t.pct !== null ? t.pct.toFixed(1) : '-'))
+        : tierHeaders.map(() => '-'));
+
+    // Device bins pro-rated onto these bins can leave fractions of a vehicle
+    const binCells = counts => counts.map(b => Math.round(b) || '-');
+
+    const rows = hourlyData.map(h => {
+        const pct = h.vehicles > 0 ? ((h.violators / h.vehicles) * 100).toFixed(1) : '-';
+        const avg = h.avgSpeed ? h.avgSpeed.toFixed(1) : '-';
+        return [h.label, h.vehicles.toLocaleString(), h.violators.toLocaleString(), pct, avg, ...binCells(h.speedBins.counts), ...tierCells(h.compliance)];
+    });
+
+    const totalsRow = [
+        'TOTAL',
+        totalVehicles.toLocaleString(),
+        totalViolators.toLocaleString(),
+        totalVehicles > 0 ? ((totalViolators / totalVehicles) * 100).toFixed(1) : '-',
+        totalAvgSpeed ? totalAvgSpeed.toFixed(1) : '-',
+        ...binCells(dayBins.counts),
+        ...tierCells(dayCompliance)
+    ];
+
+    const tableEndY = drawTable(doc, {
+        y: 36,
+        headers,
+        rows,
+        columnWidths: colWidths,
+        title: estimated ? '24-Hour Speed Summary (estimated speed bins)' : '24-Hour Speed Summary',
+        totalsRow
+    });
+
+    drawDistributionLine(doc, getSpeedDistribution(dateData, dateVehicles), tableEndY + 6);
+
+    const notes = [];
+    if (dayBins.source) {
+        notes.push(`Speed bins ${SPEED_BIN_SOURCES[dayBins.source]}; 85th percentile read from the bins.`);
+    }
+    if (tierNote) {
+        notes.push(tierNote);
+    }
+    const schedule = formatSpeedSchedule(studyMeta.speed_schedule);
+    if (schedule) {
+        notes.push(`Violators and over-limit tiers use the time-of-day limit (${schedule}).`);
+        if (dateData.some(row => row.violators_estimated)) {
+            notes.push('Violators during scheduled hours are estimated from interval average and 85th percentile speeds.');
+        }
+    }
+    doc.setFontSize(7);
+    doc.setTextColor(...COLORS.textGray);
+    notes.forEach((note, i) => doc.text(`* ${note}`, 10, tableEndY + 11 + i * 4));
+}
+
+/**
+ * Generate Volume Summary Table (24-hour)
+ * With two or more directions (a direction column, or linked studies in the other
+ * direction) the table gets a column per direction, two-way totals and the split.
+ * @param {Array|null} directionalSets - Output of getDirectionalSets()
+ * @param {Object|null} aadtOptions - Optional {factors, studyType} for the header AADT
+ */
+export function generateVolumeSummaryTable(doc, data, date, studyMeta, logoDataUrl, directionalSets = null, aadtOptions = null) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+
+    // Filter data for specific date
+    const onDate = row => {
+        if (!row.datetime) return false;
+        const rowDate = new Date(row.datetime).toISOString().split('T')[0];
+        return rowDate === date;
+    };
+    const sets = directionalSets && directionalSets.length > 1
+        ? directionalSets.map(set => ({ direction: set.direction, data: set.data.filter(onDate) }))
+        : null;
+    const dateData = sets ? sets.flatMap(set => set.data) : data.filter(onDate);
+
+    const hourlyData = aggregateBy24Hour(dateData);
+    const totalVehicles = hourlyData.reduce((sum, h) => sum + h.vehicles, 0);
+    const directionHours = sets ? sets.map(set => aggregateBy24Hour(set.data)) : [];
+
+    // Format date
+    const displayDate = new Date(date + 'T12:00:00');
+    const dayOfWeek = displayDate.toLocaleDateString('en-US', { weekday: 'long' });
+    const formattedDate = displayDate.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+
+    // Header
+    drawHeader(doc, {
+        logoDataUrl,
+        location: studyMeta.location,
+        direction: sets ? sets.map(set => set.direction).join(' / ') : studyMeta.direction,
+        dateRange: `${formattedDate} (${dayOfWeek})`,
+        counter: studyMeta.counter_number,
+        stats: {
+            totalVehicles,
+            totalViolators: 0,
+            violationRate: 0,
+            avgSpeed: 0,
+            p85Speed: null,
+            ...getVolumeStats(sets ? directionalSets.flatMap(set => set.data) : data, studyMeta, aadtOptions)
+        },
+        isFirstPage: true
+    });
+
+    // Build table
+    const directionHeaders = sets ? sets.map(set => set.direction) : [];
+    const headers = ['Hour', ...directionHeaders, sets ? 'Two-Way' : 'Vehicles', '% of Total'];
+    const colWidths = sets ? [30, ...sets.map(() => 30), 30, 30] : [40, 60, 60];
+    const tableWidth = colWidths.reduce((a, b) => a + b, 0);
+
+    const rows = hourlyData.map((h, hour) => {
+        const pct = totalVehicles > 0 ? ((h.vehicles / totalVehicles) * 100).toFixed(1) : '-';
+        const directionCells = directionHours.map(hours => hours[hour].vehicles.toLocaleString());
+        return [h.label, ...directionCells, h.vehicles.toLocaleString(), pct + '%'];
+    });
+
+    const directionTotals = directionHours.map(hours => hours.reduce((sum, h) => sum + h.vehicles, 0));
+    const totalsRow = ['TOTAL', ...directionTotals.map(v => v.toLocaleString()), totalVehicles.toLocaleString(), '100%'];
+
+    const tableEndY = drawTable(doc, {
+        x: sets ? (pageWidth - tableWidth) / 2 : 30,
+        y: 36,
+        headers,
+        rows,
+        columnWidths: colWidths,
+        title: sets ? '24-Hour Directional Volume Summary' : '24-Hour Volume Summary',
+        totalsRow
+    });
+
+    if (sets && totalVehicles > 0) {
+        const split = sets.map((set, i) => `${set.direction} ${((directionTotals[i] / totalVehicles) * 100).toFixed(1)}%`).join(' / ');
+        doc.setFontSize(7);
+        doc.setTextColor(...COLORS.textGray);
+        doc.text(`* Directional split: ${split}`, 10, tableEndY + 6);
+    }
+}
+
+/**
+ * Generate 15-Minute Volume Summary Table: one row per hour, one column per quarter hour,
+ * with the day's AM/PM peak hours and peak hour factors.
+ * Data recorded at coarser intervals only fills the hour totals.
+ * @param {Object} doc - jsPDF document
+ * @param {Array} data - Clean data rows (per-vehicle files bucketed at 15 minutes or finer)
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} studyMeta
+ * @param {number} intervalMinutes - Interval the data was recorded or bucketed at
+ * @param {string|null} logoDataUrl
+ * @param {Object|null} aadtOptions - Optional {factors, studyType} for the header AADT
+ */
+export function generateFifteenMinuteVolumeTable(doc, data, date, studyMeta, intervalMinutes, logoDataUrl, aadtOptions = null) {
+    const dateData = data.filter(row => row.datetime && getDateKey(row.datetime) === date);
+    const quarters = aggregateByInterval(dateData, 15);
+    const hasQuarters = intervalMinutes <= 15;
+    const totalVehicles = quarters.reduce((sum, q) => sum + q.vehicles, 0);
+
+    // Format date
+    const displayDate = new Date(date + 'T12:00:00');
+    const dayOfWeek = displayDate.toLocaleDateString('en-US', { weekday: 'long' });
+    const formattedDate = displayDate.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+
+    drawHeader(doc, {
+        logoDataUrl,
+        location: studyMeta.location,
+        direction: studyMeta.direction,
+        dateRange: `${formattedDate} (${dayOfWeek})`,
+        counter: studyMeta.counter_number,
+        stats: {
+            totalVehicles,
+            totalViolators: 0,
+            violationRate: 0,
+            avgSpeed: 0,
+            p85Speed: null,
+            ...getVolumeStats(data, studyMeta, aadtOptions)
+        },
+        isFirstPage: true
+    });
+
+    const headers = ['Hour', ':00', ':15', ':30', ':45', 'Hour Total', '% of Total'];
+    const colWidths = [30, 25, 25, 25, 25, 30, 30];
+    const quarterTotals = [0, 0, 0, 0];
+
+    const rows = Array.from({ length: 24 }, (_, hour) => {
+        const hourQuarters = quarters.filter(q => q.datetime.getHours() === hour).map(q => q.vehicles);
+        const hourTotal = hourQuarters.reduce((a, b) => a + b, 0);
+        hourQuarters.forEach((volume, i) => { quarterTotals[i] += volume; });
+        const pct = totalVehicles > 0 ? ((hourTotal / totalVehicles) * 100).toFixed(1) + '%' : '-';
+        const cells = hasQuarters && hourQuarters.length === 4 ? hourQuarters.map(v => v.toLocaleString()) : ['-', '-', '-', '-'];
+        return [formatHour(hour), ...cells, hourTotal.toLocaleString(), pct];
+    });
+
+    const totalsRow = [
+        'TOTAL',
+        ...(hasQuarters ? quarterTotals.map(v => v.toLocaleString()) : ['-', '-', '-', '-']),
+        totalVehicles.toLocaleString(),
+        '100%'
+    ];
+
+    const tableEndY = drawTable(doc, {
+        x: 13,
+        y: 36,
+        headers,
+        rows,
+        columnWidths: colWidths,
+        title: '15-Minute Volume Summary',
+        totalsRow
+    });
+
+    const notes = [];
+    if (hasQuarters) {
+        const peaks = calculatePeakHours(dateData)?.days[0];
+        [['AM', peaks?.am], ['PM', peaks?.pm]].forEach(([period, peak]) => {
+            if (!peak) return;
+            const phf = peak.phf !== null ? `, PHF ${peak.phf.toFixed(2)}` : '';
+            notes.push(`${period} peak hour: ${peak.label}, ${peak.volume.toLocaleString()} vehicles${phf}`);
+        });
+    } else {
+        notes.push(`Recorded at ${intervalMinutes}-minute intervals; 15-minute counts are not available.`);
+    }
+    doc.setFontSize(7);
+    doc.setTextColor(...COLORS.textGray);
+    notes.forEach((note, i) => doc.text(`* ${note}`, 10, tableEndY + 6 + i * 4));
+}
+
+/**
+ * Generate Daily Speed Bins Table
+ * @param {Array} bins - Speed bin definitions; the bin columns share a fixed width
+ * @param {Object|null} aadtOptions - Optional {factors, studyType} for the header AADT
+ */
+export function generateDailySpeedBinsTable(doc, data, startDate, endDate, speedLimit, studyMeta, logoDataUrl, bins = SPEED_BINS_12, aadtOptions = null) {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    // Group data by date
+    const dateGroups = new Map();
+
+    data.forEach(row => {
+        if (!row.datetime) return;
+        const dt = new Date(row.datetime);
+        if (dt < start || dt > end) return;
+
+        const dateKey = dt.toISOString().split('T')[0];
+        if (!dateGroups.has(dateKey)) {
+            dateGroups.set(dateKey, {
+                date: dateKey,
+                vehicles: 0,
+                violators: 0,
+                rows: []
+            });
+        }
+
+        const group = dateGroups.get(dateKey);
+        group.vehicles += row.vehicles || 0;
+        group.violators += row.violators || 0;
+        group.rows.push(row);
+    });
+
+    // Device bin counts where the export has them, interval averages otherwise
+    const days = Array.from(dateGroups.values())
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(d => ({ ...d, speedBins: calculateBinCounts(d.rows, null, bins) }));
+
+    // Calculate totals
+    const totalVehicles = days.reduce((sum, d) => sum + d.vehicles, 0);
+    const totalViolators = days.reduce((sum, d) => sum + d.violators, 0);
+    const total = days.length > 0 ? sumBinCounts(days.map(d => d.speedBins)) : { counts: bins.map(() => 0), source: null };
+    const totalBins = total.counts;
+
+    // Header
+    const startFormatted = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    const endFormatted = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+    drawHeader(doc, {
+        logoDataUrl,
+        location: studyMeta.location,
+        direction: studyMeta.direction,
+        dateRange: `${startFormatted} - ${endFormatted}`,
+        counter: studyMeta.counter_number,
+        speedLimit: studyMeta.speed_limit,
+        speedSchedule: studyMeta.speed_schedule,
+        stats: {
+            totalVehicles,
+            totalViolators,
+            violationRate: totalVehicles > 0 ? (totalViolators / totalVehicles) * 100 : 0,
+            avgSpeed: 0,
+            p85Speed: calculate85thFromBins(totalBins, bins),
+            p85Source: total.source === 'estimated' ? 'estimated' : null,
+            ...getVolumeStats(data.filter(row => row.datetime && row.datetime >= start && row.datetime <= end), studyMeta, aadtOptions)
+        },
+        isFirstPage: true
+    });
+
+    // Build table
+    const headers = ['Date', 'Total', 'Violators', ...bins.map(b => b.label), 'Pace', '% Pace', 'SD'];
+    const colWidths = [20, 16, 16, ...bins.map(() => 108 / bins.length), 16, 10, 10];
+    const binCells = counts => counts.map(b => Math.round(b) || '-');
+
+    // Pace, % in pace and standard deviation for a row's bins
+    const distributionCells = (counts) => {
+        const distribution = calculateSpeedDistributionFromBins(counts, bins);
+        return distribution
+            ? [`${distribution.paceStart}-${distribution.paceEnd}`, distribution.pctInPace.toFixed(0) + '%', distribution.stdDev.toFixed(1)]
+            : ['-', '-', '-'];
+    };
+
+    const rows = days.map(d => {
+        const dt = new Date(d.date + 'T12:00:00');
+        const dateLabel = dt.toLocaleDateString('en-US', { month: 'numeric', day: 'numeric' });
+        return [dateLabel, d.vehicles.toLocaleString(), d.violators.toLocaleString(), ...binCells(d.speedBins.counts), ...distributionCells(d.speedBins.counts)];
+    });
+
+    const totalsRow = ['TOTAL', totalVehicles.toLocaleString(), totalViolators.toLocaleString(), ...binCells(totalBins), ...distributionCells(totalBins)];
+
+    const tableEndY = drawTable(doc, {
+        y: 36,
+        headers,
+        rows,
+        columnWidths: colWidths,
+        title: total.source === 'estimated' ? 'Daily Speed Distribution (estimated speed bins)' : 'Daily Speed Distribution',
+        totalsRow
+    });
+
+    drawDistributionLine(doc, calculateSpeedDistributionFromBins(totalBins, bins, total.source), tableEndY + 6);
+
+    const notes = [];
+    if (total.source) {
+        notes.push(`Speed bins ${SPEED_BIN_SOURCES[total.source]}; pace and 85th percentile read from the bins.`);
+    }
+    const schedule = formatSpeedSchedule(studyMeta.speed_schedule);
+    if (schedule) {
+        const estimated = data.some(row => row.violators_estimated && row.datetime >= start && row.datetime <= end);
+        notes.push(`Violators use the time-of-day limit (${schedule})${estimated ? ', estimated from interval speeds during scheduled hours' : ''}.`);
+    }
+    doc.setFontSize(7);
+    doc.setTextColor(...COLORS.textGray);
+    notes.forEach((note, i) => doc.text(`* ${note}`, 10, tableEndY + 11 + i * 4));
+}
+
+/**
+ * Generate Vehicle Classification Summary Table (FHWA 13-class)
+ */
+export function generateClassificationSummaryTable(doc, perVehicleData, startDate, endDate, studyMeta, logoDataUrl) {
+    const start = new Date(startDate + 'T00:00:00');
+    const end = new Date(endDate + 'T23:59:59');
+
+    const vehicles = (perVehicleData || []).filter(v => v.datetime && v.datetime >= start && v.datetime <= end);
+    const classification = calculateClassification(vehicles);
+
+    // Header
+    const startFormatted = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    const endFormatted = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+    drawHeader(doc, {
+        logoDataUrl,
+        location: studyMeta.location,
+        direction: studyMeta.direction,
+        dateRange: `${startFormatted} - ${endFormatted}`,
+        counter: studyMeta.counter_number,
+        stats: {
+            totalVehicles: classification.total,
+            totalViolators: 0,
+            violationRate: 0,
+            avgSpeed: 0,
+            p85Speed: null
+        },
+        isFirstPage: true
+    });
+
+    // Build table
+    const headers = ['Class', 'Description', 'Vehicles', '% of Classified'];
+    const colWidths = [20, 96, 40, 40];
+
+    const rows = classification.classes.map(c => [
+        c.id,
+        c.description,
+        c.vehicles.toLocaleString(),
+        c.vehicles > 0 ? c.pct.toFixed(1) + '%' : '-'
+    ]);
+    if (classification.unclassified > 0) {
+        rows.push(['-', 'Unclassified', classification.unclassified.toLocaleString(), '-']);
+    }
+
+    const totalsRow = [
+        'TOTAL',
+        `Trucks (Class 4-13): ${classification.trucks.toLocaleString()}` +
+            (classification.pctTrucks !== null ? ` (${classification.pctTrucks.toFixed(1)}%)` : ''),
+        classification.total.toLocaleString(),
+        classification.classified > 0 ? '100%' : '-'
+    ];
+
+    const tableEndY = drawTable(doc, {
+        y: 36,
+        headers,
+        rows,
+        columnWidths: colWidths,
+        title: 'Vehicle Classification Summary (FHWA Scheme F)',
+        totalsRow
+    });
+
+    // Note vehicles classified from axle count only
+    if (classification.fromAxles > 0) {
+        doc.setFontSize(7);
+        doc.setTextColor(...COLORS.textGray);
+        doc.text(
+            `* ${classification.fromAxles.toLocaleString()} vehicles had no recorded class and were classified from axle count.`,
+            10, tableEndY + 6
+        );
+    }
+}
+
+/**
+ * Generate Headway & Gap Summary Table: hourly gaps and platooning, then the headway distribution
+ */
+export function generateHeadwayTable(doc, perVehicleData, startDate, endDate, studyMeta, platoonSeconds, logoDataUrl) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const start = new Date(startDate + 'T00:00:00');
+    const end = new Date(endDate + 'T23:59:59');
+
+    const vehicles = (perVehicleData || []).filter(v => v.datetime && v.datetime >= start && v.datetime <= end);
+    const headways = calculateHeadways(vehicles, platoonSeconds);
+
+    const startFormatted = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    const endFormatted = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+    drawHeader(doc, {
+        logoDataUrl,
+        location: studyMeta.location,
+        direction: studyMeta.direction,
+        dateRange: `${startFormatted} - ${endFormatted}`,
+        counter: studyMeta.counter_number,
+        isFirstPage: true
+    });
+
+    if (!headways) {
+        doc.setFontSize(10);
+        doc.setTextColor(...COLORS.textGray);
+        doc.text('No per-vehicle timestamps in this date range.', pageWidth / 2, 50, { align: 'center' });
+        return;
+    }
+
+    const formatPct = v => (v !== null ? `${v.toFixed(1)}%` : '-');
+    const rows = headways.hourly.map(h => [
+        `${formatHour(h.hour)} - ${formatHour((h.hour + 1) % 24)}`,
+        h.vehicles.toLocaleString(),
+        formatSeconds(h.avgGap),
+        formatPct(h.pctPlatooned)
+    ]);
+
+    const gapCount = headways.hourly.reduce((sum, h) => sum + h.gaps, 0);
+    const gapTotal = headways.hourly.reduce((sum, h) => sum + (h.avgGap !== null ? h.avgGap * h.gaps : 0), 0);
+    const totalsRow = [
+        'ALL HOURS',
+        headways.vehicles.toLocaleString(),
+        formatSeconds(gapCount > 0 ? gapTotal / gapCount : null),
+        formatPct(headways.pctPlatooned)
+    ];
+
+    let tableEndY = drawTable(doc, {
+        y: 36,
+        headers: ['Hour', 'Vehicles', 'Average Gap', `% Platooned (< ${platoonSeconds} s)`],
+        rows,
+        columnWidths: [55, 45, 45, 50.9],
+        title: 'Headway & Gap Summary (by hour of day)',
+        totalsRow
+    });
+
+    // Headway distribution
+    tableEndY = drawTable(doc, {
+        y: tableEndY + 8,
+        headers: ['Headway (s)', ...headways.bins.map(b => b.label)],
+        rows: [
+            ['Vehicles', ...headways.bins.map(b => b.count.toLocaleString())],
+            ['% of Total', ...headways.bins.map(b => `${b.pct.toFixed(1)}%`)]
+        ],
+        columnWidths: [22, ...headways.bins.map(() => (pageWidth - 20 - 22) / headways.bins.length)],
+        title: `Headway Distribution - average ${formatSeconds(headways.avgHeadway)}, median ${formatSeconds(headways.medianHeadway)}`
+    });
+
+    doc.setFontSize(7);
+    doc.setTextColor(...COLORS.textGray);
+    const notes = [
+        `Headway is the time between successive vehicles in the same direction; headways under ${platoonSeconds} s count as platooned.`,
+        'Gap is the time between successive vehicles in either direction, averaged by the hour the gap ends in.',
+        'Spacings over 60 minutes are treated as breaks in the recording and left out.'
+    ];
+    notes.forEach((note, i) => doc.text(`* ${note}`, 10, tableEndY + 5 + i * 4));
+}
+
+/**
+ * Generate Peak Hour Summary Table (AM/PM peaks, PHF and K-factor per day)
+ * @param {Object|null} aadtOptions - Optional {factors, studyType} for the header AADT
+ */
+export function generatePeakHourTable(doc, data, perVehicleData, startDate, endDate, studyMeta, logoDataUrl, directionalSplit = null, aadtOptions = null) {
+    const start = new Date(startDate + 'T00:00:00');
+    const end = new Date(endDate + 'T23:59:59');
+    const inRange = row => row.datetime && row.datetime >= start && row.datetime <= end;
+
+    const rangeData = data.filter(inRange);
+    const rangeVehicles = perVehicleData ? perVehicleData.filter(inRange) : null;
+    const peakHours = calculatePeakHours(rangeData, rangeVehicles);
+    if (peakHours && directionalSplit) peakHours.directional = directionalSplit;
+
+    // Header
+    const startFormatted = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    const endFormatted = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    const totalVehicles = rangeData.reduce((sum, row) => sum + (row.vehicles || 0), 0);
+    const volumeStats = getVolumeStats(rangeData, studyMeta, aadtOptions);
+
+    drawHeader(doc, {
+        logoDataUrl,
+        location: studyMeta.location,
+        direction: studyMeta.direction,
+        dateRange: `${startFormatted} - ${endFormatted}`,
+        counter: studyMeta.counter_number,
+        stats: {
+            totalVehicles,
+            totalViolators: 0,
+            violationRate: 0,
+            avgSpeed: 0,
+            p85Speed: null,
+            peakHours,
+            ...volumeStats
+        },
+        isFirstPage: true
+    });
+
+    const formatVolume = v => Math.round(v).toLocaleString();
+    const formatPhf = peak => (peak && peak.phf !== null ? peak.phf.toFixed(2) : '-');
+    const formatK = k => (k !== null ? k.toFixed(1) + '%' : '-');
+
+    // Build table
+    const headers = ['Date', 'Daily Volume', 'AM Peak Hour', 'AM Volume', 'AM PHF', 'PM Peak Hour', 'PM Volume', 'PM PHF', 'K-Factor'];
+    const colWidths = [22, 20, 36, 18, 16, 36, 18, 16, 14];
+
+    const rows = (peakHours?.days || []).map(d => {
+        const dt = new Date(d.date + 'T12:00:00');
+        const dateLabel = dt.toLocaleDateString('en-US', { weekday: 'short', month: 'numeric', day: 'numeric' });
+        return [
+            volumeStats.partialDays.includes(d.date) ? `${dateLabel} *` : dateLabel,
+            formatVolume(d.total),
+            d.am?.label || '-',
+            d.am ? formatVolume(d.am.volume) : '-',
+            formatPhf(d.am),
+            d.pm?.label || '-',
+            d.pm ? formatVolume(d.pm.volume) : '-',
+            formatPhf(d.pm),
+            formatK(d.kFactor)
+        ];
+    });
+
+    const totalsRow = peakHours ? [
+        'AVG DAY',
+        formatVolume(peakHours.adt),
+        peakHours.am?.label || '-',
+        peakHours.am ? formatVolume(peakHours.am.volume) : '-',
+        formatPhf(peakHours.am),
+        peakHours.pm?.label || '-',
+        peakHours.pm ? formatVolume(peakHours.pm.volume) : '-',
+        formatPhf(peakHours.pm),
+        formatK(peakHours.kFactor)
+    ] : null;
+
+    let tableEndY = drawTable(doc, {
+        y: 36,
+        headers,
+        rows,
+        columnWidths: colWidths,
+        title: 'Peak Hour Summary',
+        totalsRow
+    });
+
+    // Notes on how the peaks were found
+    doc.setFontSize(7);
+    doc.setTextColor(...COLORS.textGray);
+    const notes = [];
+    if (volumeStats.partialDays.length > 0) {
+        notes.push('Partial day (counter setup or takedown); excluded from ADT.');
+    }
+    if (peakHours && peakHours.resolution !== 15) {
+        notes.push('Peak hours are clock hours; PHF requires 15-minute or per-vehicle data.');
+    }
+    notes.push('AVG DAY peaks use the average volume for each time of day. K-Factor = higher peak hour / daily volume.');
+    notes.forEach((note, i) => doc.text(`* ${note}`, 10, tableEndY + 5 + i * 4));
+    tableEndY += 5 + notes.length * 4;
+
+    // Directional split for linked studies
+    if (directionalSplit) {
+        const directions = (directionalSplit.am || directionalSplit.pm).directions.map(d => d.direction);
+        const dirWidth = 80 / directions.length;
+
+        const splitRows = [['AM', directionalSplit.am], ['PM', directionalSplit.pm]]
+            .filter(([, peak]) => peak)
+            .map(([period, peak]) => [
+                period,
+                peak.label,
+                formatVolume(peak.volume),
+                ...peak.directions.map(d => `${formatVolume(d.volume)} (${d.pct.toFixed(0)}%)`),
+                `${peak.dFactor.toFixed(1)}% ${peak.peakDirection}`
+            ]);
+
+        drawTable(doc, {
+            y: tableEndY + 8,
+            headers: ['Period', 'Two-Way Peak Hour', 'Two-Way Volume', ...directions, 'D-Factor'],
+            rows: splitRows,
+            columnWidths: [20, 40, 26, ...directions.map(() => dirWidth), 30],
+            title: 'Directional Split (Linked Studies)'
+        });
+    }
+}
 
-            // Assign to bin
-            for (let i = 0; i < SPEED_BINS_8.length; i++) {
-                const bin = SPEED_BINS_8[i];
-                if (h.avgSpeed >= bin.min && (h.avgSpeed < bin.max || i === SPEED_BINS_8.length - 1)) {
-                    totalSpeedBins[i] += h.vehicles;
-                    break;
-                }
-            }
-        }
-    });
+/**
+ * Generate a what-if speed limit page: compliance at the posted limit and at
+ * hypothetical limits, with the speeders split into tiers for each limit
+ * @param {Object} doc - jsPDF document
+ * @param {Array} data - Clean data rows
+ * @param {Array|null} perVehicleData - Optional per-vehicle records
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {Object} studyMeta
+ * @param {number[]} limits - Hypothetical limits
+ * @param {string|null} logoDataUrl
+ */
+export function generateWhatIfTable(doc, data, perVehicleData, startDate, endDate, studyMeta, limits, logoDataUrl) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const start = new Date(startDate + 'T00:00:00');
+    const end = new Date(endDate + 'T23:59:59');
+    const inRange = row => row.datetime && row.datetime >= start && row.datetime <= end;
 
-    const totalAvgSpeed = totalSpeedCount > 0 ? totalSumSpeeds / totalSpeedCount : null;
-    const p85 = calculate85thFromBins(totalSpeedBins, SPEED_BINS_8);
+    const rangeData = data.filter(inRange);
+    const rangeVehicles = perVehicleData ? perVehicleData.filter(inRange) : null;
+    const postedLimit = parseFloat(studyMeta.speed_limit) || 25;
+    const whatIf = calculateWhatIf(rangeData, rangeVehicles, postedLimit, limits);
 
-    // Format date
-    const displayDate = new Date(date + 'T12:00:00');
-    const dayOfWeek = displayDate.toLocaleDateString('en-US', { weekday: 'long' });
-    const formattedDate = displayDate.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+    const startFormatted = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    const endFormatted = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
 
-    // Header
     drawHeader(doc, {
         logoDataUrl,
         location: studyMeta.location,
         direction: studyMeta.direction,
-        dateRange: `${formattedDate} (${dayOfWeek})`,
+        dateRange: `${startFormatted} - ${endFormatted}`,
         counter: studyMeta.counter_number,
-        speedLimit: studyMeta.speed_limit,
-        stats: {
-            totalVehicles,
-            totalViolators,
-            violationRate: totalVehicles > 0 ? (totalViolators / totalVehicles) * 100 : 0,
-            avgSpeed: totalAvgSpeed,
-            p85Speed: p85
-        },
+        speedLimit: postedLimit,
+        speedSchedule: studyMeta.speed_schedule,
         isFirstPage: true
     });
 
-    // Build table data
-    const headers = ['Hour', 'Vehicles', 'Violators', '%', 'Avg Speed', ...SPEED_BINS_8.map(b => b.label)];
-    const colWidths = [18, 18, 18, 12, 18, ...SPEED_BINS_8.map(() => 14.5)];
-
-    const rows = hourlyData.map(h => {
-        const pct = h.vehicles > 0 ? ((h.violators / h.vehicles) * 100).toFixed(1) : '-';
-        const avg = h.avgSpeed ? h.avgSpeed.toFixed(1) : '-';
+    if (!whatIf) {
+        doc.setFontSize(10);
+        doc.setTextColor(...COLORS.textGray);
+        doc.text('No speed data in this date range.', pageWidth / 2, 50, { align: 'center' });
+        return;
+    }
 
-        // Calculate bins for this hour
-        const hourBins = new Array(8).fill(0);
-        if (h.avgSpeed !== null && h.vehicles > 0) {
-            for (let i = 0; i < SPEED_BINS_8.length; i++) {
-                const bin = SPEED_BINS_8[i];
-                if (h.avgSpeed >= bin.min && (h.avgSpeed < bin.max || i === SPEED_BINS_8.length - 1)) {
-                    hourBins[i] = h.vehicles;
-                    break;
-                }
-            }
-        }
+    const formatPct = v => (v !== null ? `${v.toFixed(1)}%` : 'n/a');
+    const rows = whatIf.rows.map(r => [
+        `${r.limit} mph${r.posted ? ' (posted)' : ''}${r.estimated ? ' *' : ''}`,
+        r.violators !== null ? Math.round(r.violators).toLocaleString() : 'n/a',
+        formatPct(r.pctSpeeders),
+        r.change !== null ? `${r.change > 0 ? '+' : ''}${r.change.toFixed(1)} pts` : '-',
+        ...r.compliance.tiers.map(t => formatPct(t.pct))
+    ]);
 
-        return [h.label, h.vehicles.toLocaleString(), h.violators.toLocaleString(), pct, avg, ...hourBins.map(b => b || '-')];
+    let tableEndY = drawTable(doc, {
+        y: 36,
+        headers: ['Speed Limit', 'Violators', '% Speeders', 'Change', ...COMPLIANCE_TIERS.map(m => `${m}+ Over`)],
+        rows,
+        columnWidths: [36, 26, 24, 26, ...COMPLIANCE_TIERS.map(() => 21)],
+        title: 'What-If Speed Limit Analysis'
     });
 
-    const totalsRow = [
-        'TOTAL',
-        totalVehicles.toLocaleString(),
-        totalViolators.toLocaleString(),
-        totalVehicles > 0 ? ((totalViolators / totalVehicles) * 100).toFixed(1) : '-',
-        totalAvgSpeed ? totalAvgSpeed.toFixed(1) : '-',
-        ...totalSpeedBins.map(b => b || '-')
+    doc.setFontSize(7);
+    doc.setTextColor(...COLORS.textGray);
+    const notes = [
+        `Vehicles: ${Math.round(whatIf.vehicles).toLocaleString()} (${PERCENTILE_SOURCES[whatIf.source]}). Change is in percentage points from the posted limit.`,
+        `${describeWhatIfSource(whatIf, studyMeta.speed_schedule)}${whatIf.rows.some(r => r.estimated) ? ' Estimated rows are starred.' : ''}`
     ];
-
-    drawTable(doc, {
-        y: 36,
-        headers,
-        rows,
-        columnWidths: colWidths,
-        title: '24-Hour Speed Summary',
-        totalsRow
+    notes.forEach((note, i) => doc.text(`* ${note}`, 10, tableEndY + 5 + i * 4));
+    tableEndY += 5 + notes.length * 4;
+
+    // Speeders at each limit, split into tiers
+    const chartData = whatIf.rows.map(r => ({ label: `${r.limit} mph`, compliance: r.compliance }));
+    drawStackedBarChart(doc, chartData, COMPLIANCE_TIER_COLORS.map((color, i) => ({
+        label: whatIf.rows[0].compliance.bands[i].label,
+        color: hexToRgb(color),
+        value: d => d.compliance.bands[i].pct
+    })), {
+        x: 10,
+        y: tableEndY + 14,
+        width: pageWidth - 20,
+        height: 110,
+        title: '% of Vehicles Over Each Limit',
+        yAxisLabel: '% Over Limit',
+        showValues: true,
+        formatValue: v => `${v.toFixed(0)}%`
     });
 }
 
 /**
- * Generate Volume Summary Table (24-hour)
+ * Generate a before/after evaluation page: change table with significance tests
+ * and the two speed distributions overlaid
+ * @param {Object} doc - jsPDF document
+ * @param {Object} result - Output of buildBeforeAfter()
+ * @param {Object} options - {logoDataUrl, showLabels}
  */
-export function generateVolumeSummaryTable(doc, data, date, studyMeta, logoDataUrl, startY = 8) {
+export function generateBeforeAfterPage(doc, result, options = {}) {
+    const { logoDataUrl = null, showLabels = false } = options;
     const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const { before, after } = result;
+    const sameLimit = before.speedLimit === after.speedLimit;
 
-    // Filter data for specific date
-    const dateData = data.filter(row => {
-        if (!row.datetime) return false;
-        const rowDate = new Date(row.datetime).toISOString().split('T')[0];
-        return rowDate === date;
+    drawHeader(doc, {
+        logoDataUrl,
+        location: before.studyMeta.location,
+        direction: before.studyMeta.direction ? `${before.studyMeta.direction} (Before/After)` : 'Before/After',
+        dateRange: `${formatDateRange(before.studyMeta.start_datetime, before.studyMeta.end_datetime)} vs ` +
+            formatDateRange(after.studyMeta.start_datetime, after.studyMeta.end_datetime),
+        speedLimit: sameLimit ? before.speedLimit : '',
+        isFirstPage: true
     });
 
-    const hourlyData = aggregateBy24Hour(dateData);
-    const totalVehicles = hourlyData.reduce((sum, h) => sum + h.vehicles, 0);
+    // Studies being compared
+    const source = side => (side.speeds ? PERCENTILE_SOURCES[side.speeds.source] : 'volume only');
+    let tableEndY = drawTable(doc, {
+        y: 36,
+        headers: ['Period', 'Study', 'Type', 'Days', 'Vehicles', 'Limit', 'Speed Data'],
+        rows: [['Before', before], ['After', after]].map(([period, side]) => [
+            period,
+            side.label,
+            side.studyMeta.study_type || '-',
+            side.days,
+            side.totalVehicles.toLocaleString(),
+            side.speedLimit,
+            source(side)
+        ]),
+        columnWidths: [18, 76, 24, 12, 20, 14, 32],
+        title: 'Before/After Studies'
+    });
 
-    // Format date
-    const displayDate = new Date(date + 'T12:00:00');
-    const dayOfWeek = displayDate.toLocaleDateString('en-US', { weekday: 'long' });
-    const formattedDate = displayDate.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+    const formatValue = (row, v) => {
+        if (v === null) return '-';
+        if (row.key === 'dailyVolume') return Math.round(v).toLocaleString();
+        return v.toFixed(1) + row.unit;
+    };
+    // Percentages change by percentage points
+    const formatChange = (row, v) => {
+        if (v === null) return '-';
+        const sign = v > 0 ? '+' : '';
+        return row.unit === '%' ? `${sign}${v.toFixed(1)} pts` : sign + formatValue(row, v);
+    };
+    const formatP = p => (p < 0.001 ? '< 0.001' : p.toFixed(3));
+
+    tableEndY = drawTable(doc, {
+        y: tableEndY + 10,
+        headers: ['Measure', 'Before', 'After', 'Change', '% Change', 'Test', 'z', 'p-value', 'Result'],
+        rows: result.metrics.map(row => [
+            row.label,
+            formatValue(row, row.before),
+            formatValue(row, row.after),
+            formatChange(row, row.change),
+            row.pctChange !== null ? `${row.pctChange > 0 ? '+' : ''}${row.pctChange.toFixed(1)}%` : '-',
+            row.test ? row.test.name : (row.testNote || '-'),
+            row.test ? row.test.statistic.toFixed(2) : '-',
+            row.test ? formatP(row.test.pValue) : '-',
+            row.test ? (row.test.significant ? 'Significant' : 'Not significant') : '-'
+        ]),
+        columnWidths: [36, 20, 20, 18, 18, 36, 12, 16, 20],
+        title: 'Before/After Comparison'
+    });
+
+    // Notes on the tests
+    doc.setFontSize(7);
+    doc.setTextColor(...COLORS.textGray);
+    const notes = [
+        `Two-sided tests at the ${Math.round(SIGNIFICANCE_LEVEL * 100)}% level; tests need at least 30 vehicles in each study.`,
+        'Mean speeds: two-sample z-test with unpooled variances. % Speeders: two-proportion z-test.'
+    ];
+    const sources = [before, after].map(side => side.speeds?.source);
+    if (sources.includes('interval') || sources.includes('device-bins')) {
+        notes.push('Interval data: spread is taken from the counter\'s speed bins or interval 85th percentiles and the sample size is the number of intervals, so significance is approximate.');
+    }
+    if (sources.includes('estimated')) {
+        notes.push('Interval average speeds only (no per-vehicle speeds or 85th percentiles): the spread is unknown, so mean speeds are not tested.');
+    }
+    if (!sameLimit) {
+        notes.push(`Speed limit changed (${before.speedLimit} to ${after.speedLimit} mph); each study is measured against its own limit.`);
+    }
+    notes.forEach((note, i) => doc.text(`* ${note}`, 10, tableEndY + 5 + i * 4));
+    tableEndY += 5 + notes.length * 4;
+
+    // Speed distributions overlaid
+    const { distribution } = result;
+    const chartY = tableEndY + 14;
+    drawMultiLineChart(doc, distribution.labels, [
+        { label: `Before: ${before.label}`, values: distribution.before, color: hexToRgb(COMPARISON_COLORS[0]) },
+        { label: `After: ${after.label}`, values: distribution.after, color: hexToRgb(COMPARISON_COLORS[1]) }
+    ].filter(s => s.values.some(v => v !== null)), {
+        x: 10,
+        y: chartY,
+        width: pageWidth - 20,
+        height: Math.min(120, pageHeight - 20 - chartY),
+        title: 'Speed Distribution',
+        yAxisLabel: '% of Vehicles',
+        showValues: showLabels,
+        formatValue: v => v.toFixed(1)
+    });
+}
+
+/**
+ * Generate a multi-study comparison page: overlay chart plus a summary row per study
+ * @param {Object} doc - jsPDF document
+ * @param {Object} comparison - Output of buildComparison()
+ * @param {string} metric - Key of COMPARISON_METRICS
+ * @param {Object} options - {logoDataUrl, showLabels}
+ */
+export function generateComparisonPage(doc, comparison, metric, options = {}) {
+    const { logoDataUrl = null, showLabels = false } = options;
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const metricInfo = COMPARISON_METRICS[metric];
+    const alignLabel = COMPARISON_ALIGNMENTS[comparison.alignBy];
 
-    // Header
     drawHeader(doc, {
         logoDataUrl,
-        location: studyMeta.location,
-        direction: studyMeta.direction,
-        dateRange: `${formattedDate} (${dayOfWeek})`,
-        counter: studyMeta.counter_number,
-        stats: {
-            totalVehicles,
-            totalViolators: 0,
-            violationRate: 0,
-            avgSpeed: 0,
-            p85Speed: null
-        },
+        location: 'Study Comparison',
+        direction: `${metricInfo.label} by ${alignLabel}`,
         isFirstPage: true
     });
 
-    // Build table
-    const headers = ['Hour', 'Vehicles', '% of Total'];
-    const colWidths = [40, 60, 60];
-
-    const rows = hourlyData.map(h => {
-        const pct = totalVehicles > 0 ? ((h.vehicles / totalVehicles) * 100).toFixed(1) : '-';
-        return [h.label, h.vehicles.toLocaleString(), pct + '%'];
+    const format = v => metric === 'vehicles' ? Math.round(v).toLocaleString() : v.toFixed(1);
+    drawMultiLineChart(doc, comparison.labels, comparison.series.map((s, i) => ({
+        label: s.label,
+        values: s.points.map(p => p[metric]),
+        color: hexToRgb(COMPARISON_COLORS[i % COMPARISON_COLORS.length])
+    })), {
+        x: 10,
+        y: 46,
+        width: pageWidth - 20,
+        height: 130,
+        title: `${metricInfo.label} by ${alignLabel}`,
+        yAxisLabel: metricInfo.label + (metricInfo.unit ? ` (${metricInfo.unit.trim()})` : ''),
+        startFromZero: metric === 'vehicles' || metric === 'pct_speeders',
+        showValues: showLabels,
+        formatValue: format
     });
 
-    const totalsRow = ['TOTAL', totalVehicles.toLocaleString(), '100%'];
+    // One summary row per study over its whole date range
+    const formatOrDash = (v, digits = 1) => (v !== null && v !== undefined ? v.toFixed(digits) : '-');
+    const rows = comparison.series.map(s => [
+        s.label,
+        s.studyMeta?.study_type || '-',
+        s.summary.days,
+        s.summary.totalVehicles.toLocaleString(),
+        s.summary.adt !== null ? Math.round(s.summary.adt).toLocaleString() : '-',
+        formatOrDash(s.summary.avgSpeed),
+        s.summary.p85 ? Math.round(s.summary.p85) : '-',
+        s.summary.pctSpeeders !== null ? `${formatOrDash(s.summary.pctSpeeders)}%` : '-',
+        s.studyMeta?.speed_limit || '-'
+    ]);
 
     drawTable(doc, {
-        x: 30,
-        y: 36,
-        headers,
+        x: 10,
+        y: 190,
+        headers: ['Study', 'Type', 'Days', 'Vehicles', 'ADT', 'Avg Speed', '85th %ile', '% Speeders', 'Limit'],
         rows,
-        columnWidths: colWidths,
-        title: '24-Hour Volume Summary',
-        totalsRow
+        columnWidths: [70, 22, 10, 18, 16, 16, 14, 18, 12],
+        title: 'Compared Studies (full study periods)'
     });
 }
 
 /**
- * Generate Daily Speed Bins Table
+ * Dates covered by a link group section, e.g. "May 1, 2024 - May 7, 2024"
+ * @param {Object} group - Output of buildLinkGroup()
+ * @returns {string}
  */
-export function generateDailySpeedBinsTable(doc, data, startDate, endDate, speedLimit, studyMeta, logoDataUrl) {
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+function formatLinkGroupDates(group) {
+    const format = date => new Date(date + 'T12:00:00').toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+    const first = group.days[0];
+    const last = group.days[group.days.length - 1];
+    return first === last ? format(first) : `${format(first)} - ${format(last)}`;
+}
 
-    // Group data by date
-    const dateGroups = new Map();
+/**
+ * Header shared by the pages of a link group section: the segment, its directions and study details
+ * @param {Object} doc - jsPDF document
+ * @param {Object} group - Output of buildLinkGroup()
+ * @param {string|null} logoDataUrl
+ * @param {Object|null} stats - Two-way header stats, or null for a details-only header
+ */
+function drawLinkGroupHeader(doc, group, logoDataUrl, stats) {
+    const { directions } = group;
+    const limits = [...new Set(directions.map(d => d.studyMeta?.speed_limit).filter(Boolean))];
+    const counters = [...new Set(directions.map(d => d.studyMeta?.counter_number).filter(Boolean))];
 
-    data.forEach(row => {
-        if (!row.datetime) return;
-        const dt = new Date(row.datetime);
-        if (dt < start || dt > end) return;
+    return drawHeader(doc, {
+        logoDataUrl,
+        location: directions[0].studyMeta?.location,
+        direction: `Two-Way (${directions.map(d => d.direction).join(' / ')})`,
+        dateRange: formatLinkGroupDates(group),
+        counter: counters.join(', '),
+        speedLimit: limits.length === 1 ? limits[0] : '',
+        speedSchedule: limits.length === 1 ? directions[0].studyMeta?.speed_schedule : [],
+        stats,
+        isFirstPage: true
+    });
+}
 
-        const dateKey = dt.toISOString().split('T')[0];
-        if (!dateGroups.has(dateKey)) {
-            dateGroups.set(dateKey, {
-                date: dateKey,
-                vehicles: 0,
-                violators: 0,
-                bins: new Array(12).fill(0)
-            });
-        }
+/**
+ * Generate the summary page of a link group section: two-way header, a row per
+ * direction, and the directions' volumes and speeds overlaid
+ * @param {Object} doc - jsPDF document
+ * @param {Object} group - Output of buildLinkGroup()
+ * @param {Object} options - {logoDataUrl, showLabels}
+ */
+export function generateLinkGroupPage(doc, group, options = {}) {
+    const { logoDataUrl = null, showLabels = false } = options;
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const { directions, twoWay, split } = group;
+    const colors = directions.map((_, i) => hexToRgb(DIRECTION_COLORS[i % DIRECTION_COLORS.length]));
+    const hasSpeeds = directions.some(d => d.stats.avgSpeed > 0);
 
-        const group = dateGroups.get(dateKey);
-        group.vehicles += row.vehicles || 0;
-        group.violators += row.violators || 0;
+    drawLinkGroupHeader(doc, group, logoDataUrl, twoWay.stats);
 
-        // Assign to bin based on avg speed
-        if (row.avg_speed && row.vehicles) {
-            for (let i = 0; i < SPEED_BINS_12.length; i++) {
-                const bin = SPEED_BINS_12[i];
-                if (row.avg_speed >= bin.min && (row.avg_speed < bin.max || i === SPEED_BINS_12.length - 1)) {
-                    group.bins[i] += row.vehicles;
-                    break;
-                }
-            }
-        }
+    // One row per direction, two-way totals below
+    const formatAdt = stats => (stats.adt != null ? Math.round(stats.adt).toLocaleString() : '-');
+    const formatSpeed = value => (hasSpeeds && value ? value.toFixed(1) : '-');
+    const formatP85 = value => (hasSpeeds && value ? Math.round(value) : '-');
+    const formatRate = stats => (hasSpeeds && stats.avgSpeed > 0 ? `${stats.violationRate.toFixed(1)}%` : '-');
+
+    let tableEndY = drawTable(doc, {
+        y: 36,
+        headers: ['Direction', 'Recorded', 'Type', 'Vehicles', 'ADT', 'Share', 'Avg Speed', '85th %ile', '% Speeders', 'Limit'],
+        rows: directions.map((d, i) => [
+            d.direction,
+            formatDateRange(d.studyMeta?.start_datetime, d.studyMeta?.end_datetime),
+            d.studyMeta?.study_type || '-',
+            d.stats.totalVehicles.toLocaleString(),
+            formatAdt(d.stats),
+            split?.directions[i]?.pct != null ? `${split.directions[i].pct.toFixed(1)}%` : '-',
+            formatSpeed(d.stats.avgSpeed),
+            formatP85(d.stats.p85Speed),
+            formatRate(d.stats),
+            d.studyMeta?.speed_limit || '-'
+        ]),
+        columnWidths: [26, 50, 18, 18, 16, 14, 16, 14, 14, 9.9],
+        title: 'Directional Summary',
+        totalsRow: [
+            'Two-Way',
+            '',
+            '',
+            twoWay.stats.totalVehicles.toLocaleString(),
+            formatAdt(twoWay.stats),
+            '100%',
+            formatSpeed(twoWay.stats.avgSpeed),
+            formatP85(twoWay.stats.p85Speed),
+            formatRate(twoWay.stats),
+            ''
+        ]
     });
 
-    const days = Array.from(dateGroups.values()).sort((a, b) => a.date.localeCompare(b.date));
+    const notes = [];
+    if (group.droppedDays > 0) {
+        notes.push(`Limited to the ${group.days.length} day${group.days.length === 1 ? '' : 's'} every direction recorded; ` +
+            `${group.droppedDays} day${group.droppedDays === 1 ? '' : 's'} recorded in one direction only left out.`);
+    }
+    if (hasSpeeds && new Set(directions.map(d => d.studyMeta?.speed_limit)).size > 1) {
+        notes.push('Speed limits differ by direction; each direction\'s speeders are counted against its own limit.');
+    }
+    doc.setFontSize(7);
+    doc.setTextColor(...COLORS.textGray);
+    notes.forEach((note, i) => doc.text(`* ${note}`, 10, tableEndY + 5 + i * 4));
+    tableEndY += notes.length * 4;
+
+    // Overlaid charts fill the rest of the page above the footnotes
+    const chartGap = 14;
+    const chartY = tableEndY + chartGap;
+    const available = pageHeight - 24 - chartY;
+    const chartHeight = hasSpeeds ? (available - chartGap) / 2 : Math.min(130, available);
+    const values = (d, key) => d.points.map(p => (p ? p[key] : null));
+
+    drawMultiLineChart(doc, group.labels, [
+        ...directions.map((d, i) => ({ label: d.direction, values: values(d, 'vehicles'), color: colors[i] })),
+        { label: 'Two-Way', values: twoWay.points.map(p => p.vehicles), color: COLORS.axisLine }
+    ], {
+        x: 10,
+        y: chartY,
+        width: pageWidth - 20,
+        height: chartHeight,
+        title: 'Volume by Direction',
+        yAxisLabel: 'Vehicles',
+        showValues: showLabels
+    });
 
-    // Calculate totals
-    const totalVehicles = days.reduce((sum, d) => sum + d.vehicles, 0);
-    const totalViolators = days.reduce((sum, d) => sum + d.violators, 0);
-    const totalBins = new Array(12).fill(0);
-    days.forEach(d => d.bins.forEach((b, i) => totalBins[i] += b));
+    if (!hasSpeeds) return;
+
+    // 85th percentile lines in a lighter shade of each direction's colour
+    const lighten = color => color.map(c => Math.round(c + (255 - c) * 0.5));
+    drawMultiLineChart(doc, group.labels, directions.flatMap((d, i) => [
+        { label: `${d.direction} Avg Speed`, values: values(d, 'avg_speed'), color: colors[i] },
+        { label: `${d.direction} 85th %ile`, values: values(d, 'p85'), color: lighten(colors[i]) }
+    ]).filter(s => s.values.some(v => v !== null && v !== undefined)), {
+        x: 10,
+        y: chartY + chartHeight + chartGap,
+        width: pageWidth - 20,
+        height: chartHeight,
+        title: 'Speeds by Direction',
+        yAxisLabel: 'Speed (mph)',
+        startFromZero: false,
+        showValues: showLabels,
+        formatValue: v => v.toFixed(0)
+    });
+}
 
-    // Header
-    const startFormatted = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-    const endFormatted = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+/**
+ * Generate the side-by-side speed summary of a link group section: each hour of
+ * the day with every direction's volume and speeds, and the two-way totals
+ * @param {Object} doc - jsPDF document
+ * @param {Object} group - Output of buildLinkGroup()
+ * @param {Object} options - {logoDataUrl}
+ */
+export function generateLinkGroupSpeedTable(doc, group, options = {}) {
+    const { logoDataUrl = null } = options;
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const { directions, twoWay } = group;
+    const hasSpeeds = directions.some(d => d.stats.avgSpeed > 0);
 
-    drawHeader(doc, {
-        logoDataUrl,
-        location: studyMeta.location,
-        direction: studyMeta.direction,
-        dateRange: `${startFormatted} - ${endFormatted}`,
-        counter: studyMeta.counter_number,
-        speedLimit: studyMeta.speed_limit,
-        stats: {
-            totalVehicles,
-            totalViolators,
-            violationRate: totalVehicles > 0 ? (totalViolators / totalVehicles) * 100 : 0,
-            avgSpeed: 0,
-            p85Speed: calculate85thFromBins(totalBins, SPEED_BINS_12)
-        },
-        isFirstPage: true
-    });
+    drawLinkGroupHeader(doc, group, logoDataUrl, null);
 
-    // Build table
-    const headers = ['Date', 'Total', 'Violators', ...SPEED_BINS_12.map(b => b.label)];
-    const colWidths = [24, 18, 18, ...SPEED_BINS_12.map(() => 11)];
+    // Title and direction bands over each group of columns
+    const groups = [...directions.map(d => d.direction), 'Two-Way'];
+    const perGroup = hasSpeeds ? ['Vehicles', 'Avg Speed', '% Speeders'] : ['Vehicles', '% of Total'];
+    const hourWidth = 18;
+    const groupWidth = (pageWidth - 20 - hourWidth) / groups.length;
+    const colWidths = [hourWidth, ...groups.flatMap(() => perGroup.map(() => groupWidth / perGroup.length))];
 
-    const rows = days.map(d => {
-        const dt = new Date(d.date + 'T12:00:00');
-        const dateLabel = dt.toLocaleDateString('en-US', { month: 'numeric', day: 'numeric' });
-        return [dateLabel, d.vehicles.toLocaleString(), d.violators.toLocaleString(), ...d.bins.map(b => b || '-')];
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.setTextColor(...COLORS.text);
+    doc.text(hasSpeeds ? 'Hourly Speed Summary by Direction' : 'Hourly Volume Summary by Direction', pageWidth / 2, 36, { align: 'center' });
+    doc.setFont(undefined, 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(...COLORS.textGray);
+    doc.text(`Totals over ${group.days.length} day${group.days.length === 1 ? '' : 's'} (${formatLinkGroupDates(group)})`, pageWidth / 2, 41, { align: 'center' });
+
+    const bandY = 44;
+    groups.forEach((name, i) => {
+        const bandX = 10 + hourWidth + i * groupWidth;
+        doc.setFillColor(...(i < directions.length ? hexToRgb(DIRECTION_COLORS[i % DIRECTION_COLORS.length]) : COLORS.axisLine));
+        doc.rect(bandX, bandY, groupWidth, 6, 'F');
+        doc.setFontSize(7);
+        doc.setFont(undefined, 'bold');
+        doc.setTextColor(...COLORS.white);
+        doc.text(name, bandX + groupWidth / 2, bandY + 4, { align: 'center', maxWidth: groupWidth - 2 });
+        doc.setFont(undefined, 'normal');
     });
 
-    const totalsRow = ['TOTAL', totalVehicles.toLocaleString(), totalViolators.toLocaleString(), ...totalBins.map(b => b || '-')];
+    const totalOf = hours => hours.reduce((sum, h) => sum + h.vehicles, 0);
+    const summarize = hours => {
+        const vehicles = totalOf(hours);
+        const violators = hours.reduce((sum, h) => sum + h.violators, 0);
+        const speeds = hours.filter(h => h.avgSpeed !== null && h.vehicles > 0);
+        const speedCount = speeds.reduce((sum, h) => sum + h.vehicles, 0);
+        return {
+            vehicles,
+            violators,
+            avgSpeed: speedCount > 0 ? speeds.reduce((sum, h) => sum + h.avgSpeed * h.vehicles, 0) / speedCount : null
+        };
+    };
+    const allHours = [...directions.map(d => d.hourly), twoWay.hourly];
+    const groupTotals = allHours.map(totalOf);
+    const cells = (h, groupIndex) => {
+        if (!hasSpeeds) {
+            const total = groupTotals[groupIndex];
+            return [h.vehicles.toLocaleString(), total > 0 ? `${((h.vehicles / total) * 100).toFixed(1)}%` : '-'];
+        }
+        return [
+            h.vehicles.toLocaleString(),
+            h.avgSpeed ? h.avgSpeed.toFixed(1) : '-',
+            h.vehicles > 0 ? `${((h.violators / h.vehicles) * 100).toFixed(1)}%` : '-'
+        ];
+    };
 
     drawTable(doc, {
+        y: bandY + 6,
+        headers: ['Hour', ...groups.flatMap(() => perGroup)],
+        rows: twoWay.hourly.map((h, hour) => [h.label, ...allHours.flatMap((hours, i) => cells(hours[hour], i))]),
+        columnWidths: colWidths,
+        totalsRow: ['TOTAL', ...allHours.flatMap((hours, i) => {
+            const total = summarize(hours);
+            return hasSpeeds ? cells(total, i) : [total.vehicles.toLocaleString(), '100%'];
+        })]
+    });
+}
+
+/**
+ * Data quality page: a score per study, then each study's flagged issues
+ * @param {Array} entries - [{studyMeta, quality}] where quality is the output of checkDataQuality(), or null without data
+ * @param {Object} options - {logoDataUrl}
+ */
+export function generateDataQualityPage(doc, entries, options = {}) {
+    const { logoDataUrl = null } = options;
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+
+    drawHeader(doc, {
+        logoDataUrl,
+        location: 'Data Quality',
+        direction: `${entries.length} ${entries.length === 1 ? 'study' : 'studies'}`,
+        isFirstPage: true
+    });
+
+    const rows = entries.map(({ studyMeta, quality }) => [
+        studyMeta.location,
+        studyMeta.direction || '-',
+        formatDateRange(studyMeta.start_datetime, studyMeta.end_datetime),
+        quality ? quality.score : '-',
+        quality ? quality.label : 'No data',
+        quality ? quality.issues.length : '-'
+    ]);
+
+    let y = drawTable(doc, {
+        x: 10,
         y: 36,
-        headers,
+        headers: ['Study', 'Direction', 'Dates', 'Score', 'Rating', 'Issues'],
         rows,
-        columnWidths: colWidths,
-        title: 'Daily Speed Distribution',
-        totalsRow
+        columnWidths: [70, 22, 50, 16, 18, 19.9],
+        title: 'Data Quality Scores'
+    }) + 8;
+
+    // Issue details, one block per study with issues
+    const maxWidth = pageWidth - 24;
+    const bottom = pageHeight - 22;
+    let omitted = 0;
+    entries.filter(e => e.quality && e.quality.issues.length > 0).forEach(({ studyMeta, quality }) => {
+        if (y > bottom) {
+            omitted++;
+            return;
+        }
+        doc.setFontSize(9);
+        doc.setFont(undefined, 'bold');
+        doc.setTextColor(...COLORS.text);
+        doc.text(`${studyMeta.location}${studyMeta.direction ? ` - ${studyMeta.direction}` : ''} (${quality.score})`, 10, y);
+        doc.setFont(undefined, 'normal');
+        y += 5;
+
+        doc.setFontSize(7);
+        doc.setTextColor(...COLORS.textGray);
+        quality.issues.forEach(issue => {
+            const lines = doc.splitTextToSize(`${issue.label} (-${Math.round(issue.penalty)}): ${issue.detail}`, maxWidth);
+            doc.text(lines, 14, y);
+            y += lines.length * 3.5;
+        });
+        y += 3;
     });
+
+    doc.setFontSize(7);
+    doc.setTextColor(...COLORS.textGray);
+    if (omitted > 0) {
+        doc.text(`Issues for ${omitted} more ${omitted === 1 ? 'study' : 'studies'} did not fit on this page.`, 10, bottom + 4);
+    }
+    doc.text('* Scores start at 100 and lose points for missing intervals, long zero-volume runs, implausible speeds, sudden volume drops, direction imbalance and clock drift. 90+ is Good, 70+ Fair.',
+        10, pageHeight - 13, { maxWidth: pageWidth - 20 });
 }
 
 // ============ Chart Type Helpers ============
 
+// Time-series chart types, whose points can be shaded as excluded
+const TIME_SERIES_CHARTS = ['vehicles-violators', 'pct-speeders', 'compliance-tiers', 'avg-peak-speeds', 'avg-vs-85th', 'volume-only', 'direction-stacked', 'direction-grouped'];
+
+/**
+ * Shade the slots of excluded points, drawn before the chart so the data sits on top.
+ * Bar charts give each point an equal slot; line charts center the slot on the point.
+ * @param {boolean[]} flags - Output of getExcludedPoints()
+ * @param {Object} options - {x, y, width, height, centered}
+ */
+function drawExclusionShading(doc, flags, options) {
+    const { x, y, width, height, centered = false } = options;
+    const chartLeft = x + 15;
+    const chartWidth = width - 20;
+    const top = y + 5;
+    const bottom = y + height - 15;
+    const slot = centered ? chartWidth / (flags.length - 1 || 1) : chartWidth / flags.length;
+
+    doc.setFillColor(...COLORS.excluded);
+    flags.forEach((excluded, i) => {
+        if (!excluded) return;
+        const left = centered ? chartLeft + i * slot - slot / 2 : chartLeft + i * slot;
+        const clippedLeft = Math.max(chartLeft, left);
+        const clippedRight = Math.min(chartLeft + chartWidth, left + slot);
+        if (clippedRight > clippedLeft) doc.rect(clippedLeft, top, clippedRight - clippedLeft, bottom - top, 'F');
+    });
+}
+
+/**
+ * Footnote listing excluded dates and time windows, stacked up from the page bottom
+ * @param {string} note - Output of formatExclusionNote()
+ * @param {number} line - 0 for the lowest footnote, 1 for the one above it, ...
+ */
+export function drawExclusionFootnote(doc, note, line = 0) {
+    if (!note) return;
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    doc.setFontSize(7);
+    doc.setTextColor(...COLORS.textGray);
+    if (doc.getTextWidth(`* ${note}`) > pageWidth - 20) doc.setFontSize(6);
+    doc.text(`* ${note}`, 10, pageHeight - 17 - line * 4, { maxWidth: pageWidth - 20 });
+}
+
 /**
  * Draw chart based on type
  */
 export function drawChartByType(doc, chartType, data, options = {}) {
-    const { x = 15, y = 40, width = 180, height = 100, title = '', speedLimit = 0, showLabels = true } = options;
+    const { x = 15, y = 40, width = 180, height = 100, title = '', speedLimit = 0, speedSchedule = [], exclusions = [], showLabels = true } = options;
+
+    const excludedPoints = TIME_SERIES_CHARTS.includes(chartType) ? getExcludedPoints(data, exclusions) : null;
+    if (excludedPoints) {
+        drawExclusionShading(doc, excludedPoints, { x, y, width, height, centered: chartType === 'avg-peak-speeds' });
+    }
 
     switch (chartType) {
         case 'vehicles-violators':
@@ -942,7 +2632,23 @@ export function drawChartByType(doc, chartType, data, options = {}) {
             });
             break;
 
-        case 'avg-peak-speeds':
+        case 'compliance-tiers':
+            // Data rows carry compliance tiers from the speed-limit-aware aggregation
+            drawStackedBarChart(doc, data, COMPLIANCE_TIER_COLORS.map((color, i) => ({
+                label: data.find(d => d.compliance)?.compliance.bands[i].label || '',
+                color: hexToRgb(color),
+                value: d => d.compliance ? d.compliance.bands[i].pct : null
+            })), {
+                x, y, width, height, title,
+                yAxisLabel: '% Over Limit',
+                showValues: showLabels,
+                formatValue: v => `${v.toFixed(0)}%`
+            });
+            break;
+
+        case 'avg-peak-speeds': {
+            // Steps down in hours or days when a time-of-day schedule lowers the limit
+            const limits = speedLimit > 0 && speedSchedule.length > 0 ? getSeriesSpeedLimits(data, speedLimit, speedSchedule) : null;
             drawLineChart(doc, data, {
                 x, y, width, height, title,
                 series1Key: 'avg_speed',
@@ -951,10 +2657,11 @@ export function drawChartByType(doc, chartType, data, options = {}) {
                 series2Label: 'Peak Speed',
                 series1Color: COLORS.avgSpeed,
                 series2Color: COLORS.peakSpeed,
-                referenceLine: speedLimit > 0 ? speedLimit : null,
-                referenceLabel: speedLimit > 0 ? `${speedLimit} mph` : ''
+                referenceLine: limits || (speedLimit > 0 ? speedLimit : null),
+                referenceLabel: speedLimit > 0 ? `${limits ? limits[limits.length - 1] : speedLimit} mph` : ''
             });
             break;
+        }
 
         case 'avg-vs-85th':
             drawGroupedBarChart(doc, data, {
@@ -979,6 +2686,81 @@ export function drawChartByType(doc, chartType, data, options = {}) {
                 showValues: showLabels
             });
             break;
+
+        case 'direction-stacked':
+        case 'direction-grouped': {
+            // Data points carry each direction's volume from aggregateDirectional()
+            const directions = Object.keys(data[0]?.directions || {});
+            const colors = directions.map((_, i) => hexToRgb(DIRECTION_COLORS[i % DIRECTION_COLORS.length]));
+            if (chartType === 'direction-grouped' && directions.length === 2) {
+                drawGroupedBarChart(doc, data.map(d => ({ label: d.label, first: d.directions[directions[0]], second: d.directions[directions[1]] })), {
+                    x, y, width, height, title,
+                    series1Key: 'first',
+                    series2Key: 'second',
+                    series1Label: directions[0],
+                    series2Label: directions[1],
+                    series1Color: colors[0],
+                    series2Color: colors[1],
+                    showValues: showLabels
+                });
+            } else {
+                // Side by side only fits two directions per slot; more are stacked
+                drawStackedBarChart(doc, data, directions.map((direction, i) => ({
+                    label: direction,
+                    color: colors[i],
+                    value: d => d.directions[direction]
+                })), {
+                    x, y, width, height, title,
+                    yAxisLabel: 'Vehicles',
+                    showValues: showLabels,
+                    formatValue: v => Math.round(v).toLocaleString()
+                });
+            }
+            break;
+        }
+
+        case 'vehicle-classification':
+            // Data is the classes array from calculateClassification()
+            drawBarChart(doc, data, {
+                x, y, width, height, title,
+                valueKey: 'vehicles',
+                yAxisLabel: 'Vehicles',
+                barColors: data.map(d => d.isTruck ? COLORS.trucks : COLORS.volume),
+                showValues: showLabels
+            });
+            break;
+
+        case 'speed-distribution':
+            // Data is the histogram from calculateSpeedHistogram()
+            drawSpeedHistogram(doc, data, { x, y, width, height, title, speedLimit, speedSchedule, showValues: showLabels });
+            break;
+
+        case 'cumulative-speed':
+            drawCumulativeSpeedCurve(doc, data, { x, y, width, height, title, speedLimit, speedSchedule });
+            break;
+
+        case 'headway-distribution':
+            // Data is the output of calculateHeadways()
+            drawBarChart(doc, data.bins, {
+                x, y, width, height,
+                title: `${title ? `${title} - ` : ''}${data.pctPlatooned.toFixed(1)}% platooned (< ${data.platoonSeconds} s)`,
+                valueKey: 'count',
+                yAxisLabel: 'Vehicles',
+                barColors: data.bins.map(b => b.platoon ? COLORS.violators : COLORS.volume),
+                showValues: showLabels
+            });
+            break;
+
+        case 'heatmap-volume':
+        case 'heatmap-speeders':
+            // Data is the grid from aggregateByWeekdayHour()
+            drawHeatmap(doc, data, {
+                x, y, width, height, title,
+                valueKey: chartType === 'heatmap-speeders' ? 'pct_speeders' : 'vehicles',
+                color: chartType === 'heatmap-speeders' ? COLORS.violators : COLORS.volume,
+                showValues: showLabels
+            });
+            break;
     }
 }
 
@@ -0,0 +1,77 @@
+/**
+ * AADT adjustment factors, maintained by the user as a JSON file in the data folder.
+ *
+ * File format (any missing factor defaults to 1.0):
+ * {
+ *   "dayOfWeek": { "Monday": 1.02, "Tuesday": 0.98, ... },
+ *   "monthly": { "January": 1.08, "February": 1.04, ... },
+ *   "axleCorrection": { "JAMAR Tube": 0.95, "TimeMark Volume": 0.95 }
+ * }
+ *
+ * "axleCorrection" may also be a single number applied to every study type.
+ */
+
+import * as fileSystem from './fileSystem.js';
+
+export const FACTORS_FILE = 'aadt_factors.json';
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_KEYS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+let factors = null;
+
+/**
+ * Load factors from the data folder
+ * @returns {Promise<Object|null>} Normalized factors, or null if the file is missing or invalid
+ */
+export async function loadFactors() {
+    factors = null;
+    try {
+        const content = await fileSystem.readFileIfExists(FACTORS_FILE);
+        if (content) {
+            factors = normalizeFactors(JSON.parse(content));
+        }
+    } catch (error) {
+        console.warn(`Could not load ${FACTORS_FILE}:`, error);
+    }
+    return factors;
+}
+
+/**
+ * Get the loaded factors
+ * @returns {Object|null} {dayOfWeek: number[7], monthly: number[12], axleCorrection: Object|number}
+ */
+export function getFactors() {
+    return factors;
+}
+
+/**
+ * Convert a name-keyed factor table into an array indexed like Date.getDay()/getMonth()
+ * Names match on their first three letters, so "Mon" and "Monday" both work.
+ * @param {Object} table - e.g. { "Monday": 1.02 }
+ * @param {string[]} keys - Three-letter keys in index order
+ * @returns {number[]}
+ */
+function toFactorArray(table, keys) {
+    const values = keys.map(() => 1);
+    Object.entries(table || {}).forEach(([name, value]) => {
+        const index = keys.indexOf(String(name).trim().toLowerCase().slice(0, 3));
+        const factor = parseFloat(value);
+        if (index >= 0 && factor > 0) values[index] = factor;
+    });
+    return values;
+}
+
+/**
+ * Normalize the parsed JSON file
+ * @param {Object} raw
+ * @returns {Object}
+ */
+function normalizeFactors(raw) {
+    const axle = raw.axleCorrection;
+    return {
+        dayOfWeek: toFactorArray(raw.dayOfWeek, DAY_KEYS),
+        monthly: toFactorArray(raw.monthly, MONTH_KEYS),
+        axleCorrection: typeof axle === 'number' ? axle : { ...(axle || {}) }
+    };
+}
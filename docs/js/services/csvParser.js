@@ -2,6 +2,18 @@
  * CSV parsing service using Papa Parse
  */
 
+import { getSpeedLimitAt, getPeriodSpeedLimit } from '../utils/speedLimit.js';
+import { DEFAULT_INTERVAL_MINUTES } from '../config.js';
+
+/**
+ * Column name as the app uses it: trimmed, lower case, spaces as underscores ("Study ID" -> "study_id")
+ * @param {string} header
+ * @returns {string}
+ */
+export function normalizeHeader(header) {
+    return header.trim().toLowerCase().replace(/\s+/g, '_');
+}
+
 /**
  * Parse CSV content
  * @param {string} csvContent - Raw CSV text
@@ -14,7 +26,7 @@ export function parseCSV(csvContent, options = {}) {
             header: true,
             skipEmptyLines: true,
             dynamicTyping: true,
-            transformHeader: (header) => header.trim().toLowerCase().replace(/\s+/g, '_'),
+            transformHeader: normalizeHeader,
             ...options
         };
 
@@ -34,9 +46,7 @@ export function parseCSV(csvContent, options = {}) {
  * @returns {Promise<Array>} Array of study objects
  */
 export async function parseStudyIndex(csvContent) {
-    const result = await parseCSV(csvContent, {
-        transformHeader: (header) => header.trim()
-    });
+    const result = await parseCSV(csvContent);
 
     // Process each row
     return result.data.map(row => ({
@@ -60,22 +70,25 @@ export async function parseStudyIndex(csvContent) {
  * @param {string} csvContent - Raw CSV text
  * @param {string} studyType - Type of study
  * @param {number} speedLimit - Speed limit for calculating violators (for per-vehicle data)
+ * @param {Array} schedule - Optional time-of-day limit windows (for per-vehicle data)
+ * @param {number} bucketMinutes - Bucket size for per-vehicle data; interval data keeps its recorded interval
  * @returns {Promise<Array>} Array of data rows
  */
-export async function parseCleanData(csvContent, studyType, speedLimit = 0) {
+export async function parseCleanData(csvContent, studyType, speedLimit = 0, schedule = [], bucketMinutes = DEFAULT_INTERVAL_MINUTES) {
     const result = await parseCSV(csvContent);
 
     if (result.data.length === 0) {
         return [];
     }
 
-    const firstRow = result.data[0];
-    const isPerVehicleData = firstRow.speed !== undefined && firstRow.vehicles === undefined;
-
-    if (isPerVehicleData) {
-        return aggregatePerVehicleData(result.data, speedLimit);
+    if (isPerVehicleRow(result.data[0])) {
+        return aggregatePerVehicleData(result.data, speedLimit, schedule, bucketMinutes);
     }
 
+    // Device speed bin counts, when the export has them; every row shares the bin minimums
+    const binColumns = findSpeedBinColumns(result.meta.fields || []);
+    const binMins = binColumns.map(column => column.min);
+
     // Process interval-aggregated data (Radar, JAMAR, etc.)
     const processedRows = result.data.map(row => {
         const rowData = {
@@ -102,10 +115,13 @@ export async function parseCleanData(csvContent, studyType, speedLimit = 0) {
         if (row.p85 !== undefined) {
             rowData.p85 = parseFloat(row.p85) || 0;
         }
+        if (binColumns.length > 0) {
+            rowData.speed_bins = { mins: binMins, counts: binColumns.map(column => parseFloat(row[column.field]) || 0) };
+        }
 
-        // Volume fields
-        if (row.direction !== undefined) {
-            rowData.direction = row.direction;
+        // Volume fields; direction is named like study_index.csv so linked studies match
+        if (row.direction !== undefined && row.direction !== null) {
+            rowData.direction = normalizeDirection(String(row.direction));
         }
 
         return rowData;
@@ -115,13 +131,51 @@ export async function parseCleanData(csvContent, studyType, speedLimit = 0) {
 }
 
 /**
- * Aggregate per-vehicle data into hourly intervals
+ * Speed bin columns of a clean interval file from devices that count vehicles per
+ * speed range (Radar and JAMAR exports), e.g. "16-20", "speed_16_20" or "76+"
+ * @param {string[]} fields - Transformed header names
+ * @returns {Array} [{field, min}] sorted by min; empty unless there are at least two
+ */
+function findSpeedBinColumns(fields) {
+    const pattern = /^(?:speed_|bin_)?(\d+)(?:_?(?:-|to|_)_?\d+|_?\+|_plus|_up)(?:_?mph)?$/;
+    const columns = fields
+        .map(field => ({ field, match: pattern.exec(field) }))
+        .filter(c => c.match)
+        .map(c => ({ field: c.field, min: parseInt(c.match[1]) }))
+        .sort((a, b) => a.min - b.min);
+    return columns.length >= 2 ? columns : [];
+}
+
+/**
+ * Whether a clean data row is one vehicle (speed, no vehicles count) rather than an interval
+ * @param {Object} row - Parsed CSV row
+ * @returns {boolean}
+ */
+function isPerVehicleRow(row) {
+    return row.speed !== undefined && row.vehicles === undefined;
+}
+
+/**
+ * Whether a clean data file holds one row per vehicle, so it can be bucketed at any interval.
+ * Only the first row is parsed.
+ * @param {string} csvContent - Raw CSV text
+ * @returns {Promise<boolean>}
+ */
+export async function isPerVehicleCsv(csvContent) {
+    const result = await parseCSV(csvContent, { preview: 1 });
+    return result.data.length > 0 && isPerVehicleRow(result.data[0]);
+}
+
+/**
+ * Aggregate per-vehicle data into fixed intervals
  * @param {Array} rawData - Per-vehicle data rows
  * @param {number} speedLimit - Speed limit for determining violators
+ * @param {Array} schedule - Time-of-day limit windows; each vehicle is compared to the limit at its time
+ * @param {number} bucketMinutes - Interval length; divides an hour (5, 15, 30 or 60)
  * @returns {Array} Aggregated interval data
  */
-function aggregatePerVehicleData(rawData, speedLimit) {
-    const hourlyBuckets = new Map();
+function aggregatePerVehicleData(rawData, speedLimit, schedule = [], bucketMinutes = DEFAULT_INTERVAL_MINUTES) {
+    const buckets = new Map();
 
     for (const row of rawData) {
         const datetime = parseDateTime(row.datetime);
@@ -130,28 +184,30 @@ function aggregatePerVehicleData(rawData, speedLimit) {
         const speed = parseFloat(row.speed) || 0;
         if (speed <= 0) continue;
 
-        // Create hourly bucket key
+        // Create bucket key from the start of the vehicle's interval
         const dt = new Date(datetime);
-        const hourKey = `${dt.getFullYear()}-${String(dt.getMonth() + 1).padStart(2, '0')}-${String(dt.getDate()).padStart(2, '0')}T${String(dt.getHours()).padStart(2, '0')}`;
+        const minute = Math.floor(dt.getMinutes() / bucketMinutes) * bucketMinutes;
+        const bucketKey = `${dt.getFullYear()}-${String(dt.getMonth() + 1).padStart(2, '0')}-${String(dt.getDate()).padStart(2, '0')}T${String(dt.getHours()).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
 
-        if (!hourlyBuckets.has(hourKey)) {
-            hourlyBuckets.set(hourKey, {
-                datetime: new Date(dt.getFullYear(), dt.getMonth(), dt.getDate(), dt.getHours()),
+        if (!buckets.has(bucketKey)) {
+            buckets.set(bucketKey, {
+                datetime: new Date(dt.getFullYear(), dt.getMonth(), dt.getDate(), dt.getHours(), minute),
                 speeds: [],
                 violatorCount: 0
             });
         }
 
-        const bucket = hourlyBuckets.get(hourKey);
+        const bucket = buckets.get(bucketKey);
         bucket.speeds.push(speed);
-        if (speedLimit > 0 && speed > speedLimit) {
+        const limit = getSpeedLimitAt(dt, speedLimit, schedule);
+        if (limit > 0 && speed > limit) {
             bucket.violatorCount++;
         }
     }
 
     // Convert buckets to interval format
     const intervals = [];
-    for (const [key, bucket] of hourlyBuckets) {
+    for (const bucket of buckets.values()) {
         const vehicles = bucket.speeds.length;
         const violators = bucket.violatorCount;
         const avgSpeed = bucket.speeds.reduce((a, b) => a + b, 0) / vehicles;
@@ -162,7 +218,7 @@ function aggregatePerVehicleData(rawData, speedLimit) {
         const p85Index = Math.ceil(0.85 * sortedSpeeds.length) - 1;
         const p85 = sortedSpeeds[Math.max(0, p85Index)];
 
-        intervals.push({
+        const interval = {
             datetime: bucket.datetime,
             vehicles,
             violators,
@@ -170,7 +226,13 @@ function aggregatePerVehicleData(rawData, speedLimit) {
             peak_speed: peakSpeed,
             pct_speeders: vehicles > 0 ? (violators / vehicles) * 100 : 0,
             p85
-        });
+        };
+        // Already counted against the schedule, vehicle by vehicle
+        if (schedule.length > 0) {
+            interval.speed_limit = getPeriodSpeedLimit(bucket.datetime, bucketMinutes, speedLimit, schedule);
+            interval.violators_estimated = false;
+        }
+        intervals.push(interval);
     }
 
     // Sort by datetime
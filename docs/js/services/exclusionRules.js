@@ -0,0 +1,152 @@
+/**
+ * Per-study exclusion rules (holidays, weather, equipment problems), saved by the
+ * app as JSON in the data folder, and the holiday calendar maintained by the user.
+ *
+ * exclusions.json:
+ * {
+ *   "studies": {
+ *     "1042": {
+ *       "holidays": true,
+ *       "trimPartialDays": true,
+ *       "rules": [
+ *         { "type": "date", "date": "2024-11-28", "reason": "Rain" },
+ *         { "type": "range", "start": "2024-12-23", "end": "2025-01-02", "reason": "School break" },
+ *         { "type": "window", "start": "2024-05-02T13:00", "end": "2024-05-02T15:30", "reason": "Tube damaged" }
+ *       ]
+ *     }
+ *   }
+ * }
+ *
+ * holidays.csv has "date" and "name" columns. Studies with "holidays": true
+ * drop every holiday date as if it were a "date" rule. Studies with
+ * "trimPartialDays": true drop their partial setup and takedown days the same
+ * way; those dates depend on the data, so the study index reports them with
+ * setTrimmedDays() when it loads the study.
+ */
+
+import * as fileSystem from './fileSystem.js';
+import { parseCSV } from './csvParser.js';
+import { getDateKey } from '../utils/dateUtils.js';
+
+export const EXCLUSIONS_FILE = 'exclusions.json';
+export const HOLIDAYS_FILE = 'holidays.csv';
+
+let studies = {};
+let holidays = [];
+let trimmedDays = new Map();
+
+/**
+ * Load exclusion rules and the holiday calendar from the data folder
+ * @returns {Promise<void>}
+ */
+export async function loadExclusions() {
+    studies = {};
+    trimmedDays = new Map();
+    try {
+        const content = await fileSystem.readFileIfExists(EXCLUSIONS_FILE);
+        if (content) {
+            studies = JSON.parse(content).studies || {};
+        }
+    } catch (error) {
+        console.warn(`Could not load ${EXCLUSIONS_FILE}:`, error);
+    }
+
+    holidays = [];
+    try {
+        const content = await fileSystem.readFileIfExists(HOLIDAYS_FILE);
+        if (content) {
+            const result = await parseCSV(content, { dynamicTyping: false });
+            holidays = result.data
+                .map(row => ({ date: normalizeDate(row.date), name: String(row.name || 'Holiday').trim() }))
+                .filter(h => h.date)
+                .sort((a, b) => a.date.localeCompare(b.date));
+        }
+    } catch (error) {
+        console.warn(`Could not load ${HOLIDAYS_FILE}:`, error);
+    }
+}
+
+/**
+ * Get the holiday calendar
+ * @returns {Array} [{date: 'YYYY-MM-DD', name}]
+ */
+export function getHolidays() {
+    return holidays;
+}
+
+/**
+ * Get a study's saved settings, as stored in the file
+ * @param {string} studyId
+ * @returns {{holidays: boolean, trimPartialDays: boolean, rules: Array}}
+ */
+export function getStudyExclusions(studyId) {
+    const entry = studies[String(studyId)] || {};
+    return {
+        holidays: !!entry.holidays,
+        trimPartialDays: !!entry.trimPartialDays,
+        rules: Array.isArray(entry.rules) ? entry.rules : []
+    };
+}
+
+/**
+ * Record the partial days found in a study's data
+ * @param {string} studyId
+ * @param {string[]} dates - YYYY-MM-DD
+ */
+export function setTrimmedDays(studyId, dates) {
+    trimmedDays.set(String(studyId), dates);
+}
+
+/**
+ * Partial days trimmed from a study
+ * @param {string} studyId
+ * @returns {string[]|null} Empty when trimming is off, null when the study's data has not been loaded yet
+ */
+export function getTrimmedDays(studyId) {
+    if (!getStudyExclusions(studyId).trimPartialDays) return [];
+    return trimmedDays.get(String(studyId)) ?? null;
+}
+
+/**
+ * Rules that apply to a study, with holidays and trimmed partial days expanded into "date" rules
+ * @param {string} studyId
+ * @returns {Array} [{type, date|start|end, reason, holiday?, trimmed?}]
+ */
+export function getExclusions(studyId) {
+    const entry = getStudyExclusions(studyId);
+    const holidayRules = entry.holidays
+        ? holidays.map(h => ({ type: 'date', date: h.date, reason: h.name, holiday: true }))
+        : [];
+    const trimmedRules = (getTrimmedDays(studyId) || [])
+        .map(date => ({ type: 'date', date, reason: 'Partial day', trimmed: true }));
+    return [...entry.rules, ...holidayRules, ...trimmedRules];
+}
+
+/**
+ * Replace a study's settings and write exclusions.json
+ * @param {string} studyId
+ * @param {{holidays: boolean, trimPartialDays: boolean, rules: Array}} entry
+ * @returns {Promise<void>}
+ */
+export async function setStudyExclusions(studyId, entry) {
+    if (entry.holidays || entry.trimPartialDays || entry.rules.length > 0) {
+        studies[String(studyId)] = { holidays: !!entry.holidays, trimPartialDays: !!entry.trimPartialDays, rules: entry.rules };
+    } else {
+        delete studies[String(studyId)];
+    }
+    // Found again from the data when the study reloads
+    trimmedDays.delete(String(studyId));
+    await fileSystem.writeFile(EXCLUSIONS_FILE, JSON.stringify({ studies }, null, 2));
+}
+
+/**
+ * Normalize "2024-11-28" or "11/28/2024" to YYYY-MM-DD
+ * @param {string} value
+ * @returns {string|null}
+ */
+function normalizeDate(value) {
+    const text = String(value ?? '').trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+    const date = new Date(text);
+    return text && !isNaN(date.getTime()) ? getDateKey(date) : null;
+}
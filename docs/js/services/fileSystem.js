@@ -243,18 +243,24 @@ export async function getFileInFolder(fileName) {
 }
 
 /**
- * Write content to a file (creates if doesn't exist)
- * @param {string} fileName - Name of the file in root folder
+ * Write content to a file (creates it, and any missing directories, if needed)
+ * @param {string} relativePath - Path relative to data folder (e.g., 'presets.json' or 'clean/1_clean.csv')
  * @param {string} content - Content to write
  * @returns {Promise<void>}
  */
-export async function writeFile(fileName, content) {
+export async function writeFile(relativePath, content) {
     if (!currentFolderHandle) {
         throw new Error('No folder access. Please select a folder first.');
     }
 
+    const parts = relativePath.split('/').filter(p => p.length > 0);
+    let directory = currentFolderHandle;
+    for (const part of parts.slice(0, -1)) {
+        directory = await directory.getDirectoryHandle(part, { create: true });
+    }
+
     // Get or create the file handle
-    const fileHandle = await currentFolderHandle.getFileHandle(fileName, { create: true });
+    const fileHandle = await directory.getFileHandle(parts[parts.length - 1], { create: true });
 
     // Create a writable stream and write content
     const writable = await fileHandle.createWritable();
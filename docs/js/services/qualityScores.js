@@ -0,0 +1,98 @@
+/**
+ * Data quality results, saved by the app as JSON in the data folder so the
+ * sidebar can show a score for studies that have not been opened this session.
+ *
+ * data_quality.json:
+ * {
+ *   "studies": {
+ *     "1042": {
+ *       "score": 82,
+ *       "rating": "fair",
+ *       "checked": "2024-06-03T14:12:00.000Z",
+ *       "issues": [{ "id": "missing-intervals", "label": "Missing intervals", "detail": "...", "count": 12, "penalty": 6 }]
+ *     }
+ *   }
+ * }
+ */
+
+import * as fileSystem from './fileSystem.js';
+
+export const QUALITY_FILE = 'data_quality.json';
+
+let studies = {};
+
+/**
+ * Load saved results from the data folder
+ * @returns {Promise<void>}
+ */
+export async function loadQualityScores() {
+    studies = {};
+    try {
+        const content = await fileSystem.readFileIfExists(QUALITY_FILE);
+        if (content) {
+            studies = JSON.parse(content).studies || {};
+        }
+    } catch (error) {
+        console.warn(`Could not load ${QUALITY_FILE}:`, error);
+    }
+}
+
+/**
+ * Get a study's saved result
+ * @param {string} studyId
+ * @returns {Object|null} {score, rating, label, checked, issues}
+ */
+export function getQualityScore(studyId) {
+    return studies[String(studyId)] || null;
+}
+
+/**
+ * Record a study's result in memory
+ * @param {string} studyId
+ * @param {Object} quality - Output of checkDataQuality()
+ * @returns {boolean} Whether the score or issues changed
+ */
+function updateEntry(studyId, quality) {
+    const previous = studies[String(studyId)];
+    const entry = {
+        score: quality.score,
+        rating: quality.rating,
+        label: quality.label,
+        checked: new Date().toISOString(),
+        issues: quality.issues
+    };
+    if (previous && previous.score === entry.score &&
+        JSON.stringify(previous.issues) === JSON.stringify(entry.issues)) {
+        return false;
+    }
+
+    studies[String(studyId)] = entry;
+    return true;
+}
+
+/**
+ * Save a study's result and write data_quality.json
+ * Writing is skipped when the score and issues have not changed.
+ * @param {string} studyId
+ * @param {Object} quality - Output of checkDataQuality()
+ * @returns {Promise<void>}
+ */
+export async function setQualityScore(studyId, quality) {
+    await setQualityScores([[studyId, quality]]);
+}
+
+/**
+ * Save several studies' results and write data_quality.json once
+ * Writing is skipped when no score or issues have changed.
+ * @param {Array} results - [[studyId, quality]] pairs, quality from checkDataQuality()
+ * @returns {Promise<void>}
+ */
+export async function setQualityScores(results) {
+    let changed = false;
+    for (const [studyId, quality] of results) {
+        if (updateEntry(studyId, quality)) changed = true;
+    }
+    if (changed) {
+        await fileSystem.writeFile(QUALITY_FILE, JSON.stringify({ studies }, null, 2));
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * Speed bin schemes for the Speed Summary and Daily Speed Bins tables, maintained by
+ * the user as a JSON file in the data folder and keyed by scheme name.
+ *
+ * File format (each bin runs from its minimum up to the next bin's; the last is open-ended):
+ * {
+ *   "5 mph from 0": { "start": 0, "width": 5, "count": 14 },
+ *   "Residential": { "mins": [0, 15, 20, 25, 30, 35, 45] },
+ *   "Around the limit": { "aroundLimit": true, "width": 5, "below": 3, "above": 4 }
+ * }
+ *
+ * "aroundLimit" schemes put their bin edges on the study's posted limit: "below" bins
+ * under it and "above" bins over it, plus a bin at each end for slower and faster
+ * speeds. Studies without a posted limit fall back to the table's default scheme.
+ *
+ * The built-in 10 mph (8-bin) and 5 mph (12-bin) schemes are always available.
+ */
+
+import * as fileSystem from './fileSystem.js';
+import { SPEED_BINS_8, SPEED_BINS_12, buildSpeedBins } from '../utils/stats.js';
+
+export const SCHEMES_FILE = 'speed_bin_schemes.json';
+
+const BUILT_IN_SCHEMES = [
+    { id: 'standard-8', name: '10 mph (8 bins)', bins: SPEED_BINS_8 },
+    { id: 'standard-12', name: '5 mph (12 bins)', bins: SPEED_BINS_12 }
+];
+
+let schemes = [...BUILT_IN_SCHEMES];
+
+/**
+ * Load schemes from the data folder
+ * @returns {Promise<Array>} Built-in schemes followed by the file's valid schemes
+ */
+export async function loadSchemes() {
+    schemes = [...BUILT_IN_SCHEMES];
+    try {
+        const content = await fileSystem.readFileIfExists(SCHEMES_FILE);
+        if (content) {
+            Object.entries(JSON.parse(content)).forEach(([name, raw]) => {
+                const scheme = normalizeScheme(String(name).trim(), raw);
+                if (scheme) {
+                    schemes.push(scheme);
+                } else {
+                    console.warn(`Skipping invalid speed bin scheme "${name}" in ${SCHEMES_FILE}`);
+                }
+            });
+        }
+    } catch (error) {
+        console.warn(`Could not load ${SCHEMES_FILE}:`, error);
+    }
+    return schemes;
+}
+
+/**
+ * Get the loaded schemes
+ * @returns {Array} [{id, name}]
+ */
+export function getSchemes() {
+    return schemes.map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Get a scheme's name
+ * @param {string} id
+ * @returns {string|null} Null if no such scheme is loaded
+ */
+export function getSchemeName(id) {
+    return schemes.find(s => s.id === id)?.name || null;
+}
+
+/**
+ * Bin definitions for a scheme
+ * @param {string} id - Scheme id
+ * @param {number|null} speedLimit - Posted limit, for schemes laid out around it
+ * @returns {Array|null} [{min, max, label}]; null if the scheme is missing or needs a limit the study lacks
+ */
+export function getSchemeBins(id, speedLimit = null) {
+    const scheme = schemes.find(s => s.id === id);
+    if (!scheme) return null;
+    if (scheme.bins) return scheme.bins;
+    if (!(speedLimit > 0)) return null;
+
+    const { width, below, above } = scheme.aroundLimit;
+    const edges = [];
+    for (let k = -below; k <= above; k++) {
+        const edge = speedLimit + k * width;
+        if (edge > 0) edges.push(edge);
+    }
+    return buildSpeedBins([0, ...edges], true);
+}
+
+/**
+ * Validate one scheme from the parsed JSON file
+ * @param {string} name
+ * @param {Object} raw
+ * @returns {Object|null} {id, name, bins} or {id, name, aroundLimit: {width, below, above}}; null if invalid
+ */
+function normalizeScheme(name, raw) {
+    if (!name || !raw || typeof raw !== 'object') return null;
+
+    const width = parseFloat(raw.width);
+    if (raw.aroundLimit) {
+        const below = parseInt(raw.below ?? 3, 10);
+        const above = parseInt(raw.above ?? 3, 10);
+        if (!(width > 0) || !(below >= 0) || !(above >= 0)) return null;
+        return { id: name, name, aroundLimit: { width, below, above } };
+    }
+
+    let mins = null;
+    if (Array.isArray(raw.mins)) {
+        mins = raw.mins.map(Number);
+    } else {
+        const start = parseFloat(raw.start ?? 0);
+        const count = parseInt(raw.count, 10);
+        if (width > 0 && count > 0 && start >= 0) {
+            mins = Array.from({ length: count }, (_, i) => start + i * width);
+        }
+    }
+
+    // At least two bins, in increasing order
+    if (!mins || mins.length < 2 || mins.some((min, i) => !isFinite(min) || min < 0 || (i > 0 && min <= mins[i - 1]))) {
+        return null;
+    }
+    return { id: name, name, bins: buildSpeedBins(mins) };
+}
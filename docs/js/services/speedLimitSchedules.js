@@ -0,0 +1,110 @@
+/**
+ * Time-of-day speed limit schedules (school zones), maintained by the user as a
+ * JSON file in the data folder and keyed by study_id.
+ *
+ * File format (times are 24-hour "H:MM"; "days" defaults to every day and may be
+ * "weekdays", "weekends", "daily" or a list of day names; "from"/"to" optionally
+ * limit a window to a date range such as the school year):
+ * {
+ *   "1042": [
+ *     { "limit": 15, "start": "7:00", "end": "8:30", "days": "weekdays" },
+ *     { "limit": 15, "start": "14:30", "end": "16:00", "days": "weekdays", "from": "2024-08-07", "to": "2025-05-22" }
+ *   ]
+ * }
+ *
+ * Outside every window the study's speed_limit from study_index.csv applies.
+ */
+
+import * as fileSystem from './fileSystem.js';
+
+export const SCHEDULES_FILE = 'speed_limit_schedules.json';
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+let schedules = new Map();
+
+/**
+ * Load schedules from the data folder
+ * @returns {Promise<Map>} study_id -> normalized windows (empty if the file is missing or invalid)
+ */
+export async function loadSchedules() {
+    schedules = new Map();
+    try {
+        const content = await fileSystem.readFileIfExists(SCHEDULES_FILE);
+        if (content) {
+            Object.entries(JSON.parse(content)).forEach(([studyId, windows]) => {
+                const normalized = (Array.isArray(windows) ? windows : [])
+                    .map(normalizeWindow)
+                    .filter(Boolean);
+                if (normalized.length > 0) schedules.set(String(studyId).trim(), normalized);
+            });
+        }
+    } catch (error) {
+        console.warn(`Could not load ${SCHEDULES_FILE}:`, error);
+    }
+    return schedules;
+}
+
+/**
+ * Get the schedule for a study
+ * @param {string} studyId
+ * @returns {Array} Normalized windows [{limit, startMinute, endMinute, days, from, to}], empty if none
+ */
+export function getSchedule(studyId) {
+    return schedules.get(String(studyId)) || [];
+}
+
+/**
+ * Parse "7:00" or "14:30" into minutes after midnight
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseClock(value) {
+    const match = String(value ?? '').trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    return minutes >= 0 && minutes <= 1440 ? minutes : null;
+}
+
+/**
+ * Convert a "days" value into Date.getDay() numbers
+ * Names match on their first three letters, so "Mon" and "Monday" both work.
+ * @param {string|string[]|undefined} value
+ * @returns {number[]}
+ */
+function parseDays(value) {
+    if (value === undefined || value === null || value === '' || value === 'daily') return [0, 1, 2, 3, 4, 5, 6];
+    if (value === 'weekdays') return [1, 2, 3, 4, 5];
+    if (value === 'weekends') return [0, 6];
+
+    const names = Array.isArray(value) ? value : String(value).split(',');
+    return [...new Set(names
+        .map(name => DAY_KEYS.indexOf(String(name).trim().toLowerCase().slice(0, 3)))
+        .filter(index => index >= 0))];
+}
+
+/**
+ * Normalize one window from the file
+ * @param {Object} raw
+ * @returns {Object|null} Null if the limit or times are invalid
+ */
+function normalizeWindow(raw) {
+    const limit = parseFloat(raw?.limit);
+    const startMinute = parseClock(raw?.start);
+    const endMinute = parseClock(raw?.end);
+    const days = parseDays(raw?.days);
+
+    if (!(limit > 0) || startMinute === null || endMinute === null || endMinute <= startMinute || days.length === 0) {
+        console.warn(`Ignoring invalid ${SCHEDULES_FILE} window:`, raw);
+        return null;
+    }
+
+    return {
+        limit,
+        startMinute,
+        endMinute,
+        days,
+        from: raw.from ? String(raw.from).trim() : null,
+        to: raw.to ? String(raw.to).trim() : null
+    };
+}
@@ -3,20 +3,38 @@
  */
 
 import * as fileSystem from './fileSystem.js';
-import { parseStudyIndex, parseCleanData, parsePerVehicleData } from './csvParser.js';
-import { VOLUME_STUDY_TYPES } from '../config.js';
+import * as speedLimitSchedules from './speedLimitSchedules.js';
+import * as exclusionRules from './exclusionRules.js';
+import { parseCSV, normalizeHeader, parseStudyIndex, parseCleanData, parsePerVehicleData, isPerVehicleCsv } from './csvParser.js';
+import { applySpeedLimitSchedule, getSpeedLimitAt } from '../utils/speedLimit.js';
+import { applyExclusions } from '../utils/exclusions.js';
+import { findPartialDays, detectIntervalMinutes } from '../utils/volume.js';
+import { VOLUME_STUDY_TYPES, TIME_AGGREGATIONS, DEFAULT_INTERVAL_MINUTES, INDEX_FIELDS } from '../config.js';
+
+const INDEX_FILE = 'study_index.csv';
 
 let studyIndex = [];
-let studyDataCache = new Map();
+let studyDataCache = new Map(); // 'studyId:bucketMinutes' -> rows
+let rawDataCache = new Map();
+let finestIntervals = new Map(); // studyId -> smallest bucket size its clean file supports
+let perVehicleStudies = new Set(); // Studies whose clean file is one row per vehicle
+let cleanFiles = new Map(); // studyId -> {csvContent, data, partialDays} as parsed at the default bucket size
 
 /**
- * Load the study index from CSV
+ * Load the study index from CSV, with any time-of-day speed limit schedules
+ * attached to each study as speed_schedule, and the exclusion rules
  * @returns {Promise<Array>} Array of studies
  */
 export async function loadIndex() {
-    const csvContent = await fileSystem.readFile('study_index.csv');
+    const csvContent = await fileSystem.readFile(INDEX_FILE);
     studyIndex = await parseStudyIndex(csvContent);
 
+    await speedLimitSchedules.loadSchedules();
+    studyIndex.forEach(study => {
+        study.speed_schedule = speedLimitSchedules.getSchedule(study.study_id);
+    });
+    await exclusionRules.loadExclusions();
+
     // Sort by start date descending (newest first)
     studyIndex.sort((a, b) => {
         const dateA = new Date(a.start_datetime);
@@ -27,6 +45,132 @@ export async function loadIndex() {
     return studyIndex;
 }
 
+/**
+ * Next free study ID: one more than the largest numeric ID in study_index.csv.
+ * Read from the file, not the loaded index, so a study added elsewhere is not reused.
+ * @returns {Promise<string>}
+ */
+export async function getNextStudyId() {
+    const { rows } = await readIndexFile();
+    const ids = rows.map(row => parseInt(row.study_id, 10)).filter(id => !isNaN(id));
+    return String(ids.length > 0 ? Math.max(...ids) + 1 : 1);
+}
+
+/**
+ * Append a study to study_index.csv, keeping the file's columns and backing it up first.
+ * The loaded index is not refreshed - call loadIndex() afterwards.
+ * @param {Object} values - Index values by column name; study_id is required
+ * @returns {Promise<string>} Path of the backup copy
+ */
+export async function addStudy(values) {
+    const index = await readIndexFile();
+    const studyId = String(values.study_id ?? '').trim();
+    if (!studyId) {
+        throw new Error('A study ID is required');
+    }
+    if (index.rows.some(row => String(row.study_id ?? '').trim() === studyId)) {
+        throw new Error(`Study ${studyId} is already in ${INDEX_FILE}`);
+    }
+
+    // Standard columns the file lacks are added at the end
+    const fields = [...index.fields, ...INDEX_FIELDS.filter(field => !index.fields.includes(field))];
+    return writeIndexFile(index, fields, [...index.rows, { ...normalizeKeys(values), study_id: studyId }]);
+}
+
+/**
+ * Change a study's entry in study_index.csv, keeping the file's columns and every
+ * other value as written, and backing it up first.
+ * The loaded index is not refreshed - call loadIndex() afterwards.
+ * @param {string} studyId
+ * @param {Object} changes - New values by column name (study_id cannot change)
+ * @returns {Promise<string>} Path of the backup copy
+ */
+export async function updateStudy(studyId, changes) {
+    const index = await readIndexFile();
+    const row = index.rows.find(r => String(r.study_id ?? '').trim() === studyId);
+    if (!row) {
+        throw new Error(`Study ${studyId} is not in ${INDEX_FILE}`);
+    }
+
+    const values = normalizeKeys(changes);
+    delete values.study_id;
+    Object.assign(row, values);
+
+    // Columns the file lacks are added at the end
+    const fields = [...index.fields, ...Object.keys(values).filter(field => !index.fields.includes(field))];
+    return writeIndexFile(index, fields, index.rows);
+}
+
+/**
+ * Values keyed by column name as the app uses it (see normalizeHeader())
+ * @param {Object} values
+ * @returns {Object} Copy with normalized keys
+ */
+function normalizeKeys(values) {
+    return Object.fromEntries(Object.entries(values).map(([field, value]) => [normalizeHeader(field), value]));
+}
+
+/**
+ * Read study_index.csv as written, for rewriting it. Columns are matched by their
+ * normalized names, as when the index is loaded, and keep their header text.
+ * @returns {Promise<{content: string, fields: string[], headers: Object, rows: Array, newline: string}>}
+ *          fields are normalized names, headers maps them to the file's header text, and
+ *          rows hold every column's text unchanged, including columns the app does not use
+ */
+async function readIndexFile() {
+    const content = await fileSystem.readFile(INDEX_FILE);
+    const headers = {};
+    const result = await parseCSV(content, {
+        dynamicTyping: false,
+        transformHeader: (header, i) => {
+            // Blank headers get their own key, so their columns survive a rewrite
+            if (header.trim() === '') {
+                headers[`__blank_${i}`] = header;
+                return `__blank_${i}`;
+            }
+            const field = normalizeHeader(header);
+            if (!(field in headers)) headers[field] = header.trim();
+            return field;
+        }
+    });
+    if (!result.meta.fields || !result.meta.fields.includes('study_id')) {
+        throw new Error(`${INDEX_FILE} has no study_id column`);
+    }
+
+    return {
+        content,
+        fields: result.meta.fields,
+        headers,
+        rows: result.data,
+        newline: content.includes('\r\n') ? '\r\n' : '\n'
+    };
+}
+
+/**
+ * Copy study_index.csv to backups/ with a timestamp, then rewrite it
+ * @param {Object} index - Output of readIndexFile()
+ * @param {string[]} fields - Normalized columns in file order; new ones are written as named
+ * @param {Array} rows - Row objects by column name
+ * @returns {Promise<string>} Path of the backup copy
+ */
+async function writeIndexFile(index, fields, rows) {
+    const now = new Date();
+    const pad = n => String(n).padStart(2, '0');
+    const stamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+    const backupPath = `backups/study_index_${stamp}.csv`;
+
+    // The backup is written first, so a failed rewrite leaves a copy of the previous file
+    await fileSystem.writeFile(backupPath, index.content);
+
+    const csv = Papa.unparse({
+        fields: fields.map(field => index.headers[field] ?? field),
+        data: rows.map(row => fields.map(field => row[field] ?? ''))
+    }, { newline: index.newline });
+    await fileSystem.writeFile(INDEX_FILE, csv + index.newline);
+
+    return backupPath;
+}
+
 /**
  * Get all studies
  * @returns {Array}
@@ -109,13 +253,17 @@ export function getLinkedStudies(linkGroup) {
 
 /**
  * Load clean data for a study
+ * Per-vehicle clean files are bucketed at bucketMinutes. Interval files are returned
+ * at their recorded interval whatever the bucket size; aggregation rolls them up.
  * @param {string} studyId
+ * @param {number} bucketMinutes - Bucket size for per-vehicle clean files
  * @returns {Promise<Array>}
  */
-export async function loadStudyData(studyId) {
+export async function loadStudyData(studyId, bucketMinutes = DEFAULT_INTERVAL_MINUTES) {
     // Check cache first
-    if (studyDataCache.has(studyId)) {
-        return studyDataCache.get(studyId);
+    const cacheKey = `${studyId}:${bucketMinutes}`;
+    if (studyDataCache.has(cacheKey)) {
+        return studyDataCache.get(cacheKey);
     }
 
     const study = getById(studyId);
@@ -123,41 +271,126 @@ export async function loadStudyData(studyId) {
         throw new Error(`Study not found: ${studyId}`);
     }
 
-    const filePath = `clean/${studyId}_clean.csv`;
-    const csvContent = await fileSystem.readFile(filePath);
-    const data = await parseCleanData(csvContent, study.study_type, study.speed_limit);
+    const clean = await loadCleanFile(studyId);
+    const schedule = study.speed_schedule || [];
+
+    // Interval files have one parse; other bucket sizes reuse the default load
+    if (bucketMinutes !== DEFAULT_INTERVAL_MINUTES && !perVehicleStudies.has(studyId)) {
+        const defaultData = await loadStudyData(studyId);
+        studyDataCache.set(cacheKey, defaultData);
+        return defaultData;
+    }
+
+    let data = bucketMinutes === DEFAULT_INTERVAL_MINUTES
+        ? clean.data
+        : await parseCleanData(clean.csvContent, study.study_type, study.speed_limit, schedule, bucketMinutes);
+
+    // Interval files record violators against the posted limit only
+    if (schedule.length > 0 && !isVolumeOnly(study.study_type)) {
+        data = applySpeedLimitSchedule(data, await loadRawData(studyId), study.speed_limit, schedule);
+    }
+
+    // Excluded dates, time windows and trimmed days never reach stats, charts or reports
+    data = applyExclusions(data, exclusionRules.getExclusions(studyId));
 
     // Cache the result
-    studyDataCache.set(studyId, data);
+    studyDataCache.set(cacheKey, data);
 
     return data;
 }
 
 /**
- * Load raw per-vehicle data for 85th percentile calculation
+ * Read and parse a study's clean file once, at the default bucket size, recording
+ * its finest interval and its partial days. Partial days are found from the full
+ * recording, before anything is excluded, and passed to the exclusion rules when
+ * the study trims them, so clean and raw data are trimmed alike.
  * @param {string} studyId
- * @returns {Promise<Array|null>}
+ * @returns {Promise<{csvContent: string, data: Array, partialDays: string[]}>}
+ */
+async function loadCleanFile(studyId) {
+    if (!cleanFiles.has(studyId)) {
+        const study = getById(studyId);
+        const csvContent = await fileSystem.readFile(`clean/${studyId}_clean.csv`);
+        const data = await parseCleanData(csvContent, study.study_type, study.speed_limit, study.speed_schedule || [], DEFAULT_INTERVAL_MINUTES);
+
+        if (await isPerVehicleCsv(csvContent)) {
+            perVehicleStudies.add(studyId);
+            finestIntervals.set(studyId, Math.min(...Object.values(TIME_AGGREGATIONS).map(a => a.minutes).filter(Boolean)));
+        } else {
+            perVehicleStudies.delete(studyId);
+            finestIntervals.set(studyId, detectIntervalMinutes(data));
+        }
+
+        cleanFiles.set(studyId, { csvContent, data, partialDays: findPartialDays(data) });
+    }
+
+    const clean = cleanFiles.get(studyId);
+    if (exclusionRules.getStudyExclusions(studyId).trimPartialDays) {
+        exclusionRules.setTrimmedDays(studyId, clean.partialDays);
+    }
+    return clean;
+}
+
+/**
+ * Load raw per-vehicle data for percentile calculation
+ * @param {string} studyId
+ * @returns {Promise<Array|null>} Per-vehicle records, or null if the study has no per-vehicle raw file
  */
 export async function loadRawData(studyId) {
+    // Check cache first
+    if (rawDataCache.has(studyId)) {
+        return rawDataCache.get(studyId);
+    }
+
     const study = getById(studyId);
     if (!study) return null;
 
-    // Only load raw data for TimeMark Speed studies
-    if (study.study_type !== 'TimeMark Speed') return null;
+    // Radar raw files are device summaries, and volume studies have no speeds
+    if (study.study_type === 'Radar' || isVolumeOnly(study.study_type)) return null;
 
+    let vehicles = null;
     try {
-        // Try to find the raw file
-        const files = await fileSystem.listFiles('raw');
-        const rawFile = files.find(f => f.startsWith(`${studyId}_`));
+        // Trimmed days come from the clean data
+        await loadCleanFile(studyId);
 
-        if (!rawFile) return null;
+        const rawFile = await findRawFile(studyId);
 
-        const csvContent = await fileSystem.readFile(`raw/${rawFile}`);
-        return await parsePerVehicleData(csvContent);
+        if (rawFile) {
+            const csvContent = await fileSystem.readFile(`raw/${rawFile}`);
+            const records = applyExclusions(await parsePerVehicleData(csvContent), exclusionRules.getExclusions(studyId));
+            // Binned exports parse to no records - only keep true per-vehicle files
+            vehicles = records.length > 0 ? tagSpeedLimits(records, study) : null;
+        }
     } catch (error) {
         console.warn(`Could not load raw data for study ${studyId}:`, error);
-        return null;
     }
+
+    rawDataCache.set(studyId, vehicles);
+    return vehicles;
+}
+
+/**
+ * Name of a study's file in raw/: the normalized per-vehicle copy written on
+ * import when there is one, otherwise the original upload
+ * @param {string} studyId
+ * @returns {Promise<string|undefined>}
+ */
+async function findRawFile(studyId) {
+    const files = (await fileSystem.listFiles('raw')).filter(f => f.startsWith(`${studyId}_`));
+    return files.find(f => f === `${studyId}_vehicles.csv`) || files[0];
+}
+
+/**
+ * Give each vehicle the limit in force when it passed, when the study has a
+ * time-of-day schedule, so compliance is measured against it
+ * @param {Array} records - Per-vehicle records
+ * @param {Object} study - Study with speed_limit and speed_schedule
+ * @returns {Array} Records, copied with speed_limit set when scheduled
+ */
+function tagSpeedLimits(records, study) {
+    const schedule = study.speed_schedule || [];
+    if (schedule.length === 0) return records;
+    return records.map(v => ({ ...v, speed_limit: getSpeedLimitAt(v.datetime, study.speed_limit, schedule) }));
 }
 
 /**
@@ -181,9 +414,7 @@ export async function extractRadarPercentiles(studyId) {
     if (study.study_type !== 'Radar') return {};
 
     try {
-        // Try to find the raw file
-        const files = await fileSystem.listFiles('raw');
-        const rawFile = files.find(f => f.startsWith(`${studyId}_`));
+        const rawFile = await findRawFile(studyId);
 
         if (!rawFile) {
             console.log(`No raw file found for Radar study ${studyId}`);
@@ -292,11 +523,25 @@ export function getFilterOptions() {
     return { types, directions };
 }
 
+/**
+ * Smallest bucket size (minutes) a study's data can be shown at: any supported size
+ * for per-vehicle clean files, otherwise the recorded interval
+ * @param {string} studyId
+ * @returns {number} DEFAULT_INTERVAL_MINUTES until the study's data has been loaded
+ */
+export function getFinestInterval(studyId) {
+    return finestIntervals.get(studyId) ?? DEFAULT_INTERVAL_MINUTES;
+}
+
 /**
  * Clear the data cache
  */
 export function clearCache() {
     studyDataCache.clear();
+    rawDataCache.clear();
+    finestIntervals.clear();
+    perVehicleStudies.clear();
+    cleanFiles.clear();
 }
 
 /**
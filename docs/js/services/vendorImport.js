@@ -0,0 +1,461 @@
+/**
+ * Import raw vendor counter exports: detect the format, map its columns to the
+ * clean data fields and write clean/{study_id}_clean.csv for the viewer.
+ *
+ * Recognized formats:
+ *   - Radar sign summary CSV: a block per day under a "Period Statistics,<date>" row
+ *   - TimeMark per-vehicle CSV: one row per vehicle with a combined Date/Time column
+ *   - JAMAR tube binned export: interval rows with speed bin columns ("1-15", "16-20" ... "76+")
+ *   - JAMAR tube per-vehicle export: one row per vehicle with separate Date and Time columns
+ *
+ * Anything else is imported through a column mapping chosen by the user. Rows
+ * without a date column take the date of the last date heading above them, so
+ * exports with a block per day work the same way as the radar summary.
+ */
+
+import * as fileSystem from './fileSystem.js';
+import { getDateKey } from '../utils/dateUtils.js';
+
+// Clean data fields a raw column can be mapped to, with the header names that map automatically
+export const IMPORT_FIELDS = {
+    datetime: { label: 'Date & Time', pattern: /^(date ?\/ ?time|date ?time|timestamp)$/ },
+    date: { label: 'Date', pattern: /^date$/ },
+    time: { label: 'Time', pattern: /^(time|start time|begin time|interval|interval start|time of day)$/ },
+    vehicles: { label: 'Vehicles', pattern: /^(vehicles|volume|count|total|total volume|total vehicles|vehicle count|veh count)$/ },
+    speed: { label: 'Speed (one vehicle)', pattern: /^(speed|speed mph|mph|veh speed|vehicle speed)$/ },
+    avg_speed: { label: 'Average Speed', pattern: /^(avg|average|avg speed|average speed|mean speed)( mph)?$/ },
+    peak_speed: { label: 'Peak Speed', pattern: /^(peak|max|peak speed|max speed|maximum speed)( mph)?$/ },
+    violators: { label: 'Violators', pattern: /^(violators|speeders|violations|over limit|vehicles over limit)$/ },
+    p85: { label: '85th Percentile', pattern: /^(85th|85th %ile|85th percentile|85%|85 %ile|p85)( speed)?( mph)?$/ },
+    direction: { label: 'Direction', pattern: /^(dir|direction)$/ },
+    vehicle_class: { label: 'Vehicle Class', pattern: /^(class|veh class|vehicle class|fhwa class)$/ },
+    axles: { label: 'Axles', pattern: /^(axles|axle count|no axles)$/ }
+};
+
+// Formats recognized from the guessed mapping, most specific first
+const IMPORT_FORMATS = [
+    {
+        id: 'radar-summary',
+        label: 'Radar sign summary',
+        studyType: 'Radar',
+        test: (mapping, rows) => rows.some(row => /period statistics/i.test(row[0] || ''))
+            && mapping.columns.time !== undefined
+            && (mapping.columns.vehicles !== undefined || mapping.bins.length >= 2)
+    },
+    {
+        id: 'jamar-binned',
+        label: 'JAMAR tube binned',
+        studyType: 'JAMAR Tube',
+        test: mapping => mapping.bins.length >= 2 && hasTime(mapping)
+    },
+    {
+        id: 'timemark-vehicle',
+        label: 'TimeMark per-vehicle',
+        studyType: 'TimeMark Speed',
+        test: mapping => isPerVehicleMapping(mapping) && mapping.columns.datetime !== undefined
+    },
+    {
+        id: 'jamar-vehicle',
+        label: 'JAMAR tube per-vehicle',
+        studyType: 'JAMAR Tube',
+        test: mapping => isPerVehicleMapping(mapping) && mapping.columns.date !== undefined && mapping.columns.time !== undefined
+    }
+];
+
+// Rows searched for the header row
+const HEADER_SEARCH_ROWS = 100;
+
+/**
+ * Split raw file text into rows of cells
+ * @param {string} text - Raw file content
+ * @returns {string[][]} Non-empty rows
+ */
+export function readTable(text) {
+    const result = Papa.parse(text, { header: false, skipEmptyLines: 'greedy', dynamicTyping: false });
+    return result.data.map(row => row.map(cell => String(cell ?? '').trim()));
+}
+
+/**
+ * Whether a file is already in the viewer's clean format: a first row of clean
+ * column names with datetime and vehicles or speed
+ * @param {string[][]} rows - Output of readTable()
+ * @returns {boolean}
+ */
+export function isCleanTable(rows) {
+    const headers = (rows[0] || []).map(header => header.toLowerCase());
+    return headers.includes('datetime') && (headers.includes('vehicles') || headers.includes('speed'));
+}
+
+/**
+ * Find the header row and recognize the format
+ * @param {string[][]} rows - Output of readTable()
+ * @returns {{format: string|null, label: string|null, studyType: string|null, mapping: Object}}
+ *          format is null when the file was not recognized; mapping is then the best guess to start from
+ */
+export function detectFormat(rows) {
+    const limit = Math.min(rows.length, HEADER_SEARCH_ROWS);
+    for (let i = 0; i < limit; i++) {
+        const mapping = guessMapping(rows, i);
+        const hasMeasure = mapping.columns.vehicles !== undefined || mapping.columns.speed !== undefined || mapping.bins.length >= 2;
+        if (!hasTime(mapping) || !hasMeasure) continue;
+
+        const format = IMPORT_FORMATS.find(f => f.test(mapping, rows));
+        return { format: format?.id || null, label: format?.label || null, studyType: format?.studyType || null, mapping };
+    }
+    return { format: null, label: null, studyType: null, mapping: guessMapping(rows, 0) };
+}
+
+/**
+ * Map a header row's columns to clean data fields by their names
+ * @param {string[][]} rows - Output of readTable()
+ * @param {number} headerRow - Index of the header row
+ * @returns {{headerRow: number, columns: Object, bins: Array, timeIsEnd: boolean}}
+ *          columns: {field: column index}; bins: [{index, min}] sorted by min
+ */
+export function guessMapping(rows, headerRow) {
+    const headers = (rows[headerRow] || []).map(normalizeHeader);
+    const columns = {};
+    Object.entries(IMPORT_FIELDS).forEach(([field, def]) => {
+        const index = headers.findIndex(header => def.pattern.test(header));
+        if (index >= 0) columns[field] = index;
+    });
+
+    const bins = headers
+        .map((header, index) => ({ index, min: parseBinHeader(header) }))
+        .filter(bin => bin.min !== null && !Object.values(columns).includes(bin.index))
+        .sort((a, b) => a.min - b.min);
+
+    return { headerRow, columns, bins: bins.length >= 2 ? bins : [], timeIsEnd: false };
+}
+
+/**
+ * Whether a mapping reads one vehicle per row
+ * @param {Object} mapping
+ * @returns {boolean}
+ */
+export function isPerVehicleMapping(mapping) {
+    return mapping.columns.speed !== undefined && mapping.columns.vehicles === undefined && mapping.bins.length === 0;
+}
+
+/**
+ * Read the rows below the header into clean records
+ * @param {string[][]} rows - Output of readTable()
+ * @param {Object} mapping - Output of guessMapping(), possibly edited
+ * @param {Object} options - {speedLimit: counts violators from speed bins when the file has no violators column}
+ * @returns {{kind: 'interval'|'per-vehicle', records: Array, bins: Array, skipped: number, intervalMinutes: number|null}}
+ *          bins: the mapping's speed bins, in the order of each record's speed_bins;
+ *          skipped: rows with values but no date and time (headings, totals, repeated headers)
+ */
+export function parseRows(rows, mapping, options = {}) {
+    const { speedLimit = 0 } = options;
+    const { headerRow, columns, bins } = mapping;
+    const kind = isPerVehicleMapping(mapping) ? 'per-vehicle' : 'interval';
+    const records = [];
+    let skipped = 0;
+
+    // The first block's day heading can sit above the header row
+    let headingDate = rows.slice(0, headerRow).reduce((found, row) => row.map(parseDateText).find(Boolean) || found, null);
+
+    rows.slice(headerRow + 1).forEach(row => {
+        const cell = field => columns[field] !== undefined ? row[columns[field]] || '' : '';
+        const number = text => {
+            const value = parseFloat(String(text).replace(/,/g, ''));
+            return isFinite(value) ? value : null;
+        };
+
+        let datetime = null;
+        if (columns.datetime !== undefined) {
+            datetime = parseDateTimeText(cell('datetime'));
+        } else {
+            const minutes = parseTimeText(cell('time'));
+            const date = columns.date !== undefined ? parseDateText(cell('date')) : headingDate;
+            if (minutes === null) {
+                // Day headings between blocks, e.g. "Period Statistics,01/15/2024"
+                const heading = row.map(parseDateText).find(Boolean);
+                if (heading) {
+                    headingDate = heading;
+                    return;
+                }
+            } else if (date) {
+                datetime = new Date(date.year, date.month, date.day, 0, 0, 0, Math.round(minutes * 60000));
+            }
+        }
+
+        if (!datetime) {
+            if (row.some(Boolean)) skipped++;
+            return;
+        }
+
+        if (kind === 'per-vehicle') {
+            const speed = number(cell('speed'));
+            if (!(speed > 0)) {
+                skipped++;
+                return;
+            }
+            const record = { datetime, speed };
+            if (number(cell('axles')) !== null) record.axles = number(cell('axles'));
+            if (number(cell('vehicle_class')) !== null) record.vehicle_class = number(cell('vehicle_class'));
+            if (cell('direction')) record.direction = cell('direction');
+            records.push(record);
+            return;
+        }
+
+        const counts = bins.map(bin => number(row[bin.index]) || 0);
+        const vehicles = number(cell('vehicles')) ?? (bins.length > 0 ? counts.reduce((a, b) => a + b, 0) : null);
+        if (vehicles === null) {
+            skipped++;
+            return;
+        }
+
+        const record = { datetime, vehicles: Math.round(vehicles) };
+        const violators = number(cell('violators')) ?? (bins.length > 0 && speedLimit > 0 ? countOverLimit(counts, bins, speedLimit) : null);
+        const avgSpeed = number(cell('avg_speed')) ?? (bins.length > 0 ? averageFromBins(counts, bins) : null);
+        if (violators !== null) record.violators = Math.round(violators);
+        if (avgSpeed !== null) record.avg_speed = avgSpeed;
+        if (number(cell('peak_speed')) !== null) record.peak_speed = number(cell('peak_speed'));
+        if (number(cell('p85')) !== null) record.p85 = number(cell('p85'));
+        if (cell('direction')) record.direction = cell('direction');
+        if (bins.length > 0) record.speed_bins = counts;
+        records.push(record);
+    });
+
+    records.sort((a, b) => a.datetime - b.datetime);
+    const intervalMinutes = kind === 'interval' ? findIntervalMinutes(records) : null;
+
+    // Interval end times move back to the start of their interval
+    if (mapping.timeIsEnd && intervalMinutes) {
+        records.forEach(record => { record.datetime = new Date(record.datetime.getTime() - intervalMinutes * 60000); });
+    }
+
+    return { kind, records, bins, skipped, intervalMinutes };
+}
+
+/**
+ * Clean data table for parsed records, in the column layout parseCleanData() reads
+ * Speed bin columns are named by their range, e.g. "16-20" and "76+".
+ * @param {Object} parsed - Output of parseRows()
+ * @returns {{fields: string[], data: Array[]}}
+ */
+export function toCleanTable(parsed) {
+    const { bins } = parsed;
+    const order = parsed.kind === 'per-vehicle'
+        ? ['datetime', 'speed', 'axles', 'vehicle_class', 'direction']
+        : ['datetime', 'vehicles', 'violators', 'pct_speeders', 'avg_speed', 'peak_speed', 'p85', 'direction'];
+    const present = new Set(parsed.records.flatMap(record => Object.keys(record)));
+    if (present.has('violators')) present.add('pct_speeders');
+    const fields = order.filter(field => present.has(field));
+
+    const binFields = present.has('speed_bins')
+        ? bins.map((bin, i) => (i < bins.length - 1 ? `${bin.min}-${Math.max(bin.min, bins[i + 1].min - 1)}` : `${bin.min}+`))
+        : [];
+
+    const data = parsed.records.map(record => [
+        ...fields.map(field => {
+            if (field === 'datetime') return formatDateTime(record.datetime);
+            if (field === 'pct_speeders') {
+                return record.violators !== undefined && record.vehicles > 0 ? ((record.violators / record.vehicles) * 100).toFixed(1) : '';
+            }
+            if (field === 'avg_speed' && record.avg_speed !== undefined) return record.avg_speed.toFixed(1);
+            return record[field] ?? '';
+        }),
+        ...(record.speed_bins || []).map(count => count)
+    ]);
+
+    return { fields: [...fields, ...binFields], data };
+}
+
+/**
+ * Write an imported file's clean data and keep the original upload in raw/.
+ * Per-vehicle imports also get a normalized copy, raw/{id}_vehicles.csv, which the
+ * viewer reads for true percentiles in preference to the original.
+ * @param {string} studyId
+ * @param {string} fileName - Name of the imported file
+ * @param {string} text - Raw file content
+ * @param {Object} parsed - Output of parseRows()
+ * @returns {Promise<{cleanPath: string, rawPath: string, vehiclesPath: string|null}>} rawPath is the original upload
+ */
+export async function writeStudyFiles(studyId, fileName, text, parsed) {
+    if (parsed.records.length === 0) {
+        throw new Error('No rows with a date and time were found');
+    }
+
+    const cleanCsv = Papa.unparse(toCleanTable(parsed));
+    const cleanPath = `clean/${studyId}_clean.csv`;
+    await fileSystem.writeFile(cleanPath, cleanCsv);
+
+    const vehiclesPath = parsed.kind === 'per-vehicle' ? `raw/${studyId}_vehicles.csv` : null;
+    const rawPath = await writeRawCopy(studyId, fileName, text, vehiclesPath);
+    if (vehiclesPath) await fileSystem.writeFile(vehiclesPath, cleanCsv);
+
+    return { cleanPath, rawPath, vehiclesPath };
+}
+
+/**
+ * Keep an uploaded file, unchanged, as raw/{id}_{file name}
+ * @param {string} studyId
+ * @param {string} fileName - Name of the uploaded file
+ * @param {string} text - File content
+ * @param {string|null} reservedPath - Path the copy must not overwrite (the normalized per-vehicle copy)
+ * @returns {Promise<string>} Path written
+ */
+export async function writeRawCopy(studyId, fileName, text, reservedPath = null) {
+    const safeName = fileName.replace(/[^\w.-]+/g, '_');
+    let rawPath = `raw/${studyId}_${safeName}`;
+    if (rawPath === reservedPath) rawPath = `raw/${studyId}_original_${safeName}`;
+    await fileSystem.writeFile(rawPath, text);
+    return rawPath;
+}
+
+/**
+ * Normalize a header cell for matching, e.g. "Speed (mph)" -> "speed mph"
+ * @param {string} header
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[().#:]/g, ' ').replace(/[\s_]+/g, ' ').trim();
+}
+
+/**
+ * Minimum speed of a speed bin header, e.g. "16-20", "16 to 20 mph", "76+" or "<15"
+ * @param {string} header - Normalized header
+ * @returns {number|null} Null if the header is not a speed bin
+ */
+function parseBinHeader(header) {
+    let match = /^(\d+) ?(?:-|to) ?\d+( mph)?$/.exec(header);
+    if (match) return parseInt(match[1], 10);
+    match = /^(\d+) ?(?:\+|plus|and up|& up|or more)( mph)?$/.exec(header);
+    if (match) return parseInt(match[1], 10);
+    if (/^(?:<|under|less than) ?\d+( mph)?$/.test(header)) return 0;
+    return null;
+}
+
+/**
+ * Whether a mapping has a time for each row
+ * @param {Object} mapping
+ * @returns {boolean}
+ */
+function hasTime(mapping) {
+    return mapping.columns.datetime !== undefined || mapping.columns.time !== undefined;
+}
+
+/**
+ * Parse the time in a cell, e.g. "07:15", "7:15:30 PM" or "12:00 AM - 12:15 AM"
+ * @param {string} text
+ * @param {boolean} anywhere - Find the time anywhere in the text rather than at the start
+ * @returns {number|null} Minutes after midnight (24:00 allowed for interval end times)
+ */
+function parseTimeText(text, anywhere = false) {
+    const pattern = /(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([ap])\.?m\.?)?/i;
+    const match = anywhere ? pattern.exec(text) : new RegExp(`^${pattern.source}`, 'i').exec(String(text).trim());
+    if (!match) return null;
+
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    const meridiem = (match[4] || '').toLowerCase();
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+    if (hours > 24 || minutes > 59) return null;
+    return hours * 60 + minutes + (parseInt(match[3] || '0', 10) / 60);
+}
+
+/**
+ * Parse the date in a cell, e.g. "2024-01-15", "1/15/2024", "1/15/24" or "January 15, 2024"
+ * @param {string} text
+ * @returns {{year: number, month: number, day: number}|null} month is 0-based like Date
+ */
+function parseDateText(text) {
+    const value = String(text || '').trim();
+    let year, month, day;
+
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(value);
+    if (match) {
+        [year, month, day] = [parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10)];
+    } else if ((match = /^(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})(?!\d)/.exec(value))) {
+        [month, day, year] = [parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10)];
+        if (year < 100) year += 2000;
+    } else if ((match = /[a-z]{3,}\.? \d{1,2},? \d{4}/i.exec(value))) {
+        const date = new Date(match[0]);
+        if (isNaN(date.getTime())) return null;
+        [year, month, day] = [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+    } else {
+        return null;
+    }
+
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return { year, month: month - 1, day };
+}
+
+/**
+ * Parse a combined date and time cell; a date alone is midnight
+ * @param {string} text
+ * @returns {Date|null}
+ */
+function parseDateTimeText(text) {
+    const date = parseDateText(text);
+    if (!date) return null;
+    const minutes = parseTimeText(text, true) ?? 0;
+    return new Date(date.year, date.month, date.day, 0, 0, 0, Math.round(minutes * 60000));
+}
+
+/**
+ * Most common gap between interval start times
+ * @param {Array} records - Sorted interval records
+ * @returns {number|null} Minutes
+ */
+function findIntervalMinutes(records) {
+    const gaps = new Map();
+    for (let i = 1; i < records.length; i++) {
+        const gap = Math.round((records[i].datetime - records[i - 1].datetime) / 60000);
+        if (gap > 0) gaps.set(gap, (gaps.get(gap) || 0) + 1);
+    }
+    if (gaps.size === 0) return null;
+    return [...gaps.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Upper edge of each speed bin: the next bin's minimum, or 5 mph above the open top bin
+ * @param {Array} bins - [{min}] sorted by min
+ * @returns {number[]}
+ */
+function binHighs(bins) {
+    return bins.map((bin, i) => (i < bins.length - 1 ? bins[i + 1].min : bin.min + 5));
+}
+
+/**
+ * Vehicles over the limit from speed bin counts, pro-rating the bin the limit falls in
+ * @param {number[]} counts
+ * @param {Array} bins
+ * @param {number} speedLimit
+ * @returns {number}
+ */
+function countOverLimit(counts, bins, speedLimit) {
+    const highs = binHighs(bins);
+    return counts.reduce((sum, count, i) => {
+        const low = bins[i].min;
+        const over = Math.max(0, highs[i] - Math.max(low, speedLimit));
+        return sum + count * over / (highs[i] - low);
+    }, 0);
+}
+
+/**
+ * Average speed from speed bin counts, taking each bin's midpoint
+ * @param {number[]} counts
+ * @param {Array} bins
+ * @returns {number|null} Null without vehicles
+ */
+function averageFromBins(counts, bins) {
+    const highs = binHighs(bins);
+    const total = counts.reduce((a, b) => a + b, 0);
+    if (total === 0) return null;
+    return counts.reduce((sum, count, i) => sum + count * (bins[i].min + highs[i]) / 2, 0) / total;
+}
+
+/**
+ * Format a date as the clean files' "YYYY-MM-DD HH:MM:SS" local time
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDateTime(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${getDateKey(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
@@ -3,7 +3,7 @@
  * Renders data tables to canvas for inclusion in jsPDF
  */
 
-import { TABLE_COLORS } from '../config.js';
+import { TABLE_COLORS, SPEED_BIN_SOURCES } from '../config.js';
 import {
     aggregateBy24Hour,
     SPEED_BINS_8,
@@ -12,7 +12,15 @@ import {
     calculate85thFromBins,
     calculate50thFromBins,
     formatNumber,
-    formatDecimal
+    formatDecimal,
+    calculateSpeedDistributionFromBins,
+    getSpeedDistribution,
+    sumBinCounts,
+    calculateBinCounts,
+    formatPace,
+    calculateComplianceTiers,
+    formatComplianceNote,
+    COMPLIANCE_TIERS
 } from '../utils/stats.js';
 
 // Resolution scale for crisp rendering
@@ -24,53 +32,48 @@ const CANVAS_HEIGHT = 2600;
 
 /**
  * Render a Speed Summary (24-Hour) table to a canvas
+ * @param {Array} bins - Speed bin definitions; the bin columns share a fixed width
  */
-export function renderSpeedSummaryTable(data, date, speedLimit, studyMeta, logoDataUrl = null) {
+export function renderSpeedSummaryTable(data, date, speedLimit, studyMeta, logoDataUrl = null, perVehicleData = null, bins = SPEED_BINS_8) {
     // Filter data for the specific date
-    const dateData = data.filter(row => {
+    const isOnDate = row => {
         if (!row.datetime) return false;
         const rowDate = new Date(row.datetime).toISOString().split('T')[0];
         return rowDate === date;
-    });
+    };
+    const dateData = data.filter(isOnDate);
+    const dateVehicles = perVehicleData ? perVehicleData.filter(isOnDate) : null;
+
+    // Aggregate by 24 hours, with compliance tiers and speed bins per hour. Bins come from
+    // vehicle speeds or device bins where available, interval averages otherwise.
+    const hourlyData = aggregateBy24Hour(dateData, dateVehicles, speedLimit, bins);
+    const dayCompliance = calculateComplianceTiers(dateData, dateVehicles, speedLimit);
+    const dayBins = sumBinCounts(hourlyData.map(h => h.speedBins));
+    const estimated = dayBins.source === 'estimated';
+    // Tiers not counted from vehicle speeds are starred and footnoted
+    const tierNote = formatComplianceNote(dayCompliance);
+
+    // Device bins pro-rated onto these bins can leave fractions of a vehicle
+    const hourlyBins = hourlyData.map(h => h.speedBins.counts.map(Math.round));
+    const totalSpeedBins = dayBins.counts.map(Math.round);
 
-    // Aggregate by 24 hours
-    const hourlyData = aggregateBy24Hour(dateData);
-
-    // Calculate totals and speed bins - use weighted approach instead of individual speeds
+    // Calculate totals
     let totalVehicles = 0;
     let totalViolators = 0;
     let totalSumSpeeds = 0;
     let totalSpeedCount = 0;
 
-    // Calculate speed bins by assigning vehicles to bins based on average speed
-    const totalSpeedBins = new Array(8).fill(0);
-    const hourlyBins = [];  // Store bins for each hour
-
     hourlyData.forEach(h => {
         totalVehicles += h.vehicles;
         totalViolators += h.violators || 0;
-
-        // Calculate bin for this hour
-        const hourBins = new Array(8).fill(0);
         if (h.avgSpeed !== null && h.vehicles > 0) {
             totalSumSpeeds += h.avgSpeed * h.vehicles;
             totalSpeedCount += h.vehicles;
-
-            // Assign vehicles to the appropriate bin based on average speed
-            for (let i = 0; i < SPEED_BINS_8.length; i++) {
-                const bin = SPEED_BINS_8[i];
-                if (h.avgSpeed >= bin.min && (h.avgSpeed < bin.max || i === SPEED_BINS_8.length - 1)) {
-                    hourBins[i] = h.vehicles;
-                    totalSpeedBins[i] += h.vehicles;
-                    break;
-                }
-            }
         }
-        hourlyBins.push(hourBins);
     });
 
     const totalAvgSpeed = totalSpeedCount > 0 ? totalSumSpeeds / totalSpeedCount : null;
-    const p85 = calculate85thFromBins(totalSpeedBins, SPEED_BINS_8);
+    const p85 = calculate85thFromBins(dayBins.counts, bins);
 
     // Create canvas - larger dimensions for better PDF quality
     const canvas = document.createElement('canvas');
@@ -92,7 +95,7 @@ export function renderSpeedSummaryTable(data, date, speedLimit, studyMeta, logoD
     const formattedDate = displayDate.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
 
     // Draw header
-    drawTableHeader(ctx, studyMeta, `${formattedDate} (${dayOfWeek})`, '24-Hour Speed Summary', {
+    drawTableHeader(ctx, studyMeta, `${formattedDate} (${dayOfWeek})`, estimated ? '24-Hour Speed Summary (estimated speed bins)' : '24-Hour Speed Summary', {
         totalVehicles,
         totalViolators,
         avgSpeed: totalAvgSpeed,
@@ -104,9 +107,10 @@ export function renderSpeedSummaryTable(data, date, speedLimit, studyMeta, logoD
     const rowHeight = 80;
     const fontSize = 28;
 
-    // Column definitions matching original program
-    const cols = ['Hour', 'Total', '1-10', '10-20', '20-30', '30-40', '40-50', '50-60', '60-70', '70+', 'Avg\nmph'];
-    const colWidths = [130, 110, 100, 100, 100, 100, 100, 100, 100, 100, 110];
+    // Column definitions matching original program; the bin columns share 800px
+    const cols = ['Hour', 'Total', ...bins.map(b => b.label), 'Avg\nmph', ...COMPLIANCE_TIERS.map(m => `${m}+ over${tierNote ? '*' : ''}`)];
+    const colWidths = [130, 110, ...bins.map(() => 800 / bins.length), 110, ...COMPLIANCE_TIERS.map(() => 110)];
+    const avgCol = 2 + bins.length;
     const totalTableWidth = colWidths.reduce((a, b) => a + b, 0);
     const tableLeft = (WIDTH - totalTableWidth) / 2;
 
@@ -121,7 +125,7 @@ export function renderSpeedSummaryTable(data, date, speedLimit, studyMeta, logoD
 
     let x = tableLeft;
     cols.forEach((col, i) => {
-        ctx.fillText(col, x + colWidths[i] / 2, tableTop + rowHeight / 2);
+        ctx.fillText(col, x + colWidths[i] / 2, tableTop + rowHeight / 2, colWidths[i] - 8);
         x += colWidths[i];
     });
 
@@ -158,14 +162,18 @@ export function renderSpeedSummaryTable(data, date, speedLimit, studyMeta, logoD
         ctx.fillText(h.vehicles.toString(), x + colWidths[1] / 2, y + rowHeight / 2);
         x += colWidths[1];
 
-        // Speed bins (8 columns)
-        for (let i = 0; i < 8; i++) {
-            ctx.fillText(hourBins[i].toString(), x + colWidths[2 + i] / 2, y + rowHeight / 2);
+        // Speed bins
+        hourBins.forEach((count, i) => {
+            ctx.fillText(count.toString(), x + colWidths[2 + i] / 2, y + rowHeight / 2);
             x += colWidths[2 + i];
-        }
+        });
 
         // Avg Speed
-        ctx.fillText(h.avgSpeed !== null ? h.avgSpeed.toFixed(1) : '-', x + colWidths[10] / 2, y + rowHeight / 2);
+        ctx.fillText(h.avgSpeed !== null ? h.avgSpeed.toFixed(1) : '-', x + colWidths[avgCol] / 2, y + rowHeight / 2);
+        x += colWidths[avgCol];
+
+        // Compliance tiers (% of the hour's vehicles)
+        drawComplianceCells(ctx, h.compliance, x, y, rowHeight, colWidths.slice(avgCol + 1));
     }
 
     // Draw totals row
@@ -187,12 +195,30 @@ export function renderSpeedSummaryTable(data, date, speedLimit, studyMeta, logoD
     x += colWidths[1];
 
     // Total speed bins - use pre-calculated totals
-    for (let i = 0; i < 8; i++) {
-        ctx.fillText(totalSpeedBins[i].toString(), x + colWidths[2 + i] / 2, totalsY + rowHeight / 2);
+    totalSpeedBins.forEach((count, i) => {
+        ctx.fillText(count.toString(), x + colWidths[2 + i] / 2, totalsY + rowHeight / 2);
         x += colWidths[2 + i];
-    }
+    });
+
+    ctx.fillText(totalAvgSpeed !== null ? totalAvgSpeed.toFixed(1) : '-', x + colWidths[avgCol] / 2, totalsY + rowHeight / 2);
+    x += colWidths[avgCol];
+    drawComplianceCells(ctx, dayCompliance, x, totalsY, rowHeight, colWidths.slice(avgCol + 1));
 
-    ctx.fillText(totalAvgSpeed !== null ? totalAvgSpeed.toFixed(1) : '-', x + colWidths[10] / 2, totalsY + rowHeight / 2);
+    // Pace / median / std dev / skew below the table
+    drawDistributionText(ctx, getSpeedDistribution(dateData, dateVehicles), tableLeft, totalsY + rowHeight + 50, fontSize - 2);
+
+    if (dayBins.source) {
+        ctx.font = `${fontSize - 4}px Arial`;
+        ctx.fillStyle = TABLE_COLORS.textGray;
+        ctx.textAlign = 'left';
+        ctx.fillText(`* Speed bins ${SPEED_BIN_SOURCES[dayBins.source]}; 85th percentile read from the bins.`, tableLeft, totalsY + rowHeight + 100);
+    }
+    if (tierNote) {
+        ctx.font = `${fontSize - 4}px Arial`;
+        ctx.fillStyle = TABLE_COLORS.textGray;
+        ctx.textAlign = 'left';
+        ctx.fillText(`* ${tierNote}`, tableLeft, totalsY + rowHeight + 140, totalTableWidth);
+    }
 
     return canvas;
 }
@@ -305,14 +331,15 @@ export function renderVolumeSummaryTable(data, date, studyMeta, logoDataUrl = nu
 
 /**
  * Render a Daily Speed Bins table to a canvas
- * All days fit on one page with 12 speed bins
+ * All days fit on one page; the bin columns share a fixed width
+ * @param {Array} bins - Speed bin definitions
  */
-export function renderDailySpeedBinsTable(data, startDate, endDate, speedLimit, studyMeta, logoDataUrl = null) {
+export function renderDailySpeedBinsTable(data, startDate, endDate, speedLimit, studyMeta, logoDataUrl = null, bins = SPEED_BINS_12) {
     // Parse dates carefully to avoid timezone issues
     const start = new Date(startDate + 'T12:00:00');
     const end = new Date(endDate + 'T12:00:00');
 
-    // Group data by date - use weighted bin calculation instead of individual speeds
+    // Group data by date
     const dateGroups = new Map();
 
     // Initialize all dates in range
@@ -326,12 +353,11 @@ export function renderDailySpeedBinsTable(data, startDate, endDate, speedLimit,
             // Store weighted speed data for bin estimation
             speedSum: 0,
             speedCount: 0,
-            // Pre-calculated bins (approximation based on average speeds)
-            bins: new Array(12).fill(0)
+            rows: []
         });
     }
 
-    // Populate with actual data - estimate bin distribution from avg_speed
+    // Populate with actual data
     for (const row of data) {
         if (!row.datetime) continue;
         const rowDate = new Date(row.datetime).toISOString().split('T')[0];
@@ -340,27 +366,23 @@ export function renderDailySpeedBinsTable(data, startDate, endDate, speedLimit,
             const vehicles = row.vehicles || 0;
             group.vehicles += vehicles;
             group.violators += row.violators || 0;
+            group.rows.push(row);
 
             if (row.avg_speed && vehicles > 0) {
                 group.speedSum += row.avg_speed * vehicles;
                 group.speedCount += vehicles;
-
-                // Assign all vehicles from this interval to the appropriate bin
-                // This is an approximation since we only have the average speed
-                const avgSpeed = row.avg_speed;
-                for (let i = 0; i < SPEED_BINS_12.length; i++) {
-                    const bin = SPEED_BINS_12[i];
-                    if (avgSpeed >= bin.min && (avgSpeed < bin.max || i === SPEED_BINS_12.length - 1)) {
-                        group.bins[i] += vehicles;
-                        break;
-                    }
-                }
             }
         }
     }
 
-    const days = Array.from(dateGroups.values());
+    // Device bin counts where the export has them, interval averages otherwise
+    const days = Array.from(dateGroups.values()).map(day => ({ ...day, speedBins: calculateBinCounts(day.rows, null, bins) }));
     const numDays = days.length;
+    const total = sumBinCounts(days.map(day => day.speedBins));
+
+    // Device bins pro-rated onto these bins can leave fractions of a vehicle
+    days.forEach(day => { day.bins = day.speedBins.counts.map(Math.round); });
+    const totalBins = total.counts.map(Math.round);
 
     // Create canvas - wider for the many columns, larger for better quality
     const canvas = document.createElement('canvas');
@@ -383,7 +405,7 @@ export function renderDailySpeedBinsTable(data, startDate, endDate, speedLimit,
     const startFormatted = start.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
     const endFormatted = end.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
 
-    drawTableHeader(ctx, studyMeta, `${startFormatted} - ${endFormatted}`, 'Daily Speed Bins', {
+    drawTableHeader(ctx, studyMeta, `${startFormatted} - ${endFormatted}`, total.source === 'estimated' ? 'Daily Speed Bins (estimated)' : 'Daily Speed Bins', {
         totalVehicles,
         totalViolators,
         violationRate: totalVehicles > 0 ? (totalViolators / totalVehicles) * 100 : 0
@@ -391,20 +413,24 @@ export function renderDailySpeedBinsTable(data, startDate, endDate, speedLimit,
 
     // Table settings - dynamic based on number of days
     const tableTop = 220;
-    const availableHeight = HEIGHT - tableTop - 60;
+    const availableHeight = HEIGHT - tableTop - 140;  // Room for the distribution line and note below
     const rowHeight = Math.min(50, Math.max(30, availableHeight / (numDays + 2)));
     const fontSize = rowHeight > 40 ? 18 : (rowHeight > 32 ? 16 : 14);
 
-    // Column widths for 12 speed bins plus other columns
+    // Column widths; the speed bins share 660px however many there are
     const dateColWidth = 70;
     const dayColWidth = 50;
-    const binColWidth = 55;
+    const binColWidth = 660 / bins.length;
     const totalColWidth = 65;
     const violatorsColWidth = 75;
     const p50ColWidth = 45;
     const p85ColWidth = 45;
+    const paceColWidth = 90;
+    const pctPaceColWidth = 70;
+    const sdColWidth = 55;
 
-    const totalTableWidth = dateColWidth + dayColWidth + (binColWidth * 12) + totalColWidth + violatorsColWidth + p50ColWidth + p85ColWidth;
+    const totalTableWidth = dateColWidth + dayColWidth + (binColWidth * bins.length) + totalColWidth + violatorsColWidth + p50ColWidth + p85ColWidth +
+        paceColWidth + pctPaceColWidth + sdColWidth;
     const tableLeft = (WIDTH - totalTableWidth) / 2;
 
     // Draw table header row
@@ -423,7 +449,7 @@ export function renderDailySpeedBinsTable(data, startDate, endDate, speedLimit,
     x += dayColWidth;
 
     // Speed bin headers - highlight violations
-    SPEED_BINS_12.forEach((bin, i) => {
+    bins.forEach(bin => {
         const isViolation = bin.min > speedLimit;
         if (isViolation) {
             ctx.fillStyle = TABLE_COLORS.violationBg;
@@ -432,7 +458,7 @@ export function renderDailySpeedBinsTable(data, startDate, endDate, speedLimit,
             ctx.fillRect(x, tableTop, binColWidth, 3); // Top border
         }
         ctx.fillStyle = TABLE_COLORS.headerText;
-        ctx.fillText(bin.label, x + binColWidth / 2, tableTop + rowHeight / 2);
+        ctx.fillText(bin.label, x + binColWidth / 2, tableTop + rowHeight / 2, binColWidth - 6);
         x += binColWidth;
     });
 
@@ -443,6 +469,12 @@ export function renderDailySpeedBinsTable(data, startDate, endDate, speedLimit,
     ctx.fillText('50th', x + p50ColWidth / 2, tableTop + rowHeight / 2);
     x += p50ColWidth;
     ctx.fillText('85th', x + p85ColWidth / 2, tableTop + rowHeight / 2);
+    x += p85ColWidth;
+    ctx.fillText('Pace', x + paceColWidth / 2, tableTop + rowHeight / 2);
+    x += paceColWidth;
+    ctx.fillText('% Pace', x + pctPaceColWidth / 2, tableTop + rowHeight / 2);
+    x += pctPaceColWidth;
+    ctx.fillText('SD', x + sdColWidth / 2, tableTop + rowHeight / 2);
 
     // Draw data rows
     ctx.font = `${fontSize}px Arial`;
@@ -455,10 +487,9 @@ export function renderDailySpeedBinsTable(data, startDate, endDate, speedLimit,
             ctx.fillRect(tableLeft, y, totalTableWidth, rowHeight);
         }
 
-        // Use pre-calculated bins from data aggregation
-        const bins = day.bins;
-        const p50 = day.vehicles > 0 ? calculate50thFromBins(bins, SPEED_BINS_12) : 0;
-        const p85 = day.vehicles > 0 ? calculate85thFromBins(bins, SPEED_BINS_12) : 0;
+        const counts = day.speedBins.counts;
+        const p50 = day.vehicles > 0 ? calculate50thFromBins(counts, bins) : 0;
+        const p85 = day.vehicles > 0 ? calculate85thFromBins(counts, bins) : 0;
 
         // Draw cell values
         ctx.fillStyle = TABLE_COLORS.textNormal;
@@ -474,8 +505,8 @@ export function renderDailySpeedBinsTable(data, startDate, endDate, speedLimit,
         x += dayColWidth;
 
         // Speed bins with violation highlighting
-        bins.forEach((count, i) => {
-            const isViolation = SPEED_BINS_12[i].min > speedLimit;
+        day.bins.forEach((count, i) => {
+            const isViolation = bins[i].min > speedLimit;
             if (isViolation) {
                 ctx.fillStyle = TABLE_COLORS.violationBg;
                 ctx.fillRect(x, y, binColWidth, rowHeight);
@@ -499,6 +530,11 @@ export function renderDailySpeedBinsTable(data, startDate, endDate, speedLimit,
 
         // 85th percentile
         ctx.fillText(day.vehicles > 0 ? p85.toString() : '-', x + p85ColWidth / 2, y + rowHeight / 2);
+        x += p85ColWidth;
+
+        // Pace, % in pace, standard deviation
+        x = drawDistributionCells(ctx, calculateSpeedDistributionFromBins(counts, bins), x, y, rowHeight,
+            [paceColWidth, pctPaceColWidth, sdColWidth]);
 
         // Draw row border
         ctx.strokeStyle = '#dee2e6';
@@ -522,14 +558,8 @@ export function renderDailySpeedBinsTable(data, startDate, endDate, speedLimit,
     ctx.fillText('TOTAL', x + dateColWidth / 2, totalsY + rowHeight / 2);
     x += dateColWidth + dayColWidth;
 
-    // Total bins across all days - use pre-calculated bins
-    const totalBins = new Array(12).fill(0);
-    days.forEach(day => {
-        day.bins.forEach((count, i) => totalBins[i] += count);
-    });
-
     totalBins.forEach((count, i) => {
-        const isViolation = SPEED_BINS_12[i].min > speedLimit;
+        const isViolation = bins[i].min > speedLimit;
         if (isViolation) {
             ctx.fillStyle = TABLE_COLORS.violationBg;
             ctx.fillRect(x, totalsY, binColWidth, rowHeight);
@@ -546,10 +576,78 @@ export function renderDailySpeedBinsTable(data, startDate, endDate, speedLimit,
     ctx.fillText('--', x + p50ColWidth / 2, totalsY + rowHeight / 2);
     x += p50ColWidth;
     ctx.fillText('--', x + p85ColWidth / 2, totalsY + rowHeight / 2);
+    x += p85ColWidth;
+
+    const totalDistribution = calculateSpeedDistributionFromBins(total.counts, bins, total.source);
+    drawDistributionCells(ctx, totalDistribution, x, totalsY, rowHeight, [paceColWidth, pctPaceColWidth, sdColWidth]);
+
+    drawDistributionText(ctx, totalDistribution, tableLeft, totalsY + rowHeight + 30, fontSize);
+
+    if (total.source) {
+        ctx.font = `${fontSize - 2}px Arial`;
+        ctx.fillStyle = TABLE_COLORS.textGray;
+        ctx.textAlign = 'left';
+        ctx.fillText(`* Speed bins ${SPEED_BIN_SOURCES[total.source]}; percentiles and pace read from the bins.`, tableLeft, totalsY + rowHeight + 60);
+    }
 
     return canvas;
 }
 
+/**
+ * Draw pace, % in pace and standard deviation cells for one table row
+ * @returns {number} X position after the cells
+ */
+function drawDistributionCells(ctx, distribution, x, y, rowHeight, colWidths) {
+    const cells = distribution
+        ? [`${distribution.paceStart}-${distribution.paceEnd}`, `${formatDecimal(distribution.pctInPace)}%`, formatDecimal(distribution.stdDev)]
+        : ['-', '-', '-'];
+
+    ctx.fillStyle = TABLE_COLORS.textNormal;
+    cells.forEach((cell, i) => {
+        ctx.fillText(cell, x + colWidths[i] / 2, y + rowHeight / 2);
+        x += colWidths[i];
+    });
+    return x;
+}
+
+/**
+ * Draw compliance tier percentages into consecutive cells
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object|null} compliance - Output of calculateComplianceTiers()
+ * @param {number} x - Left edge of the first tier cell
+ * @param {number} y - Top of the row
+ * @param {number} rowHeight
+ * @param {number[]} widths - One width per tier
+ */
+function drawComplianceCells(ctx, compliance, x, y, rowHeight, widths) {
+    widths.forEach((width, i) => {
+        const text = compliance && compliance.tiers[i].pct !== null ? compliance.tiers[i].pct.toFixed(1) + '%' : '-';
+        ctx.fillText(text, x + width / 2, y + rowHeight / 2);
+        x += width;
+    });
+}
+
+/**
+ * Draw the speed-distribution summary line below a table
+ */
+function drawDistributionText(ctx, distribution, x, y, fontSize) {
+    let text = 'Speed Distribution:  N/A (needs per-vehicle speeds or device speed bins)';
+    if (distribution) {
+        text = `Speed Distribution:  10 mph Pace: ${formatPace(distribution)} (${formatDecimal(distribution.pctInPace)}% in pace)`;
+        text += `   •   Median: ${formatDecimal(distribution.median)} mph`;
+        text += `   •   Std Dev: ${formatDecimal(distribution.stdDev)} mph`;
+        text += `   •   Skew: ${formatDecimal(distribution.skew, 2)}`;
+        if (distribution.source === 'device') text += '   (from device speed bins)';
+        if (distribution.source === 'estimated') text += '   (from estimated speed bins)';
+    }
+
+    ctx.font = `bold ${fontSize}px Arial`;
+    ctx.fillStyle = TABLE_COLORS.textBlue;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x, y);
+}
+
 /**
  * Draw table header with logo, study info and statistics
  */
@@ -0,0 +1,226 @@
+/**
+ * Before/after evaluation of a countermeasure (speed humps, signage) from two
+ * studies at the same location, with significance tests on the changes
+ */
+
+import { calculateStats, calculateSpeedHistogram, calculateComplianceTiers, normalCdf } from './stats.js';
+import { calculateADT } from './volume.js';
+import { formatComparisonLabel } from './comparison.js';
+
+// Two-sided p-value below which a change is reported as significant
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+// Compliance tiers (mph over the posted limit) reported as "% over limit by N mph"
+export const OVER_LIMIT_MARGINS = [5, 10, 15];
+
+// Fewest vehicles per study for the large-sample z-tests to be meaningful
+const MIN_TEST_SAMPLE = 30;
+
+/**
+ * Two-sided p-value of a standard normal test statistic
+ * @param {number} z
+ * @returns {number}
+ */
+function twoSidedP(z) {
+    return Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+}
+
+/**
+ * Two-sample z-test on mean speeds (unpooled variances).
+ * Vehicle samples run to the thousands, where the t distribution is the normal one.
+ * @returns {Object|null} {name, statistic, pValue, significant}
+ */
+export function testMeans(before, after) {
+    if (!before || !after || before.sd === null || after.sd === null) return null;
+    if (before.n < MIN_TEST_SAMPLE || after.n < MIN_TEST_SAMPLE) return null;
+
+    const se = Math.sqrt(before.sd ** 2 / before.n + after.sd ** 2 / after.n);
+    if (!(se > 0)) return null;
+
+    const z = (after.mean - before.mean) / se;
+    const pValue = twoSidedP(z);
+    return { name: 'z-test (means)', statistic: z, pValue, significant: pValue < SIGNIFICANCE_LEVEL };
+}
+
+/**
+ * Two-proportion z-test with a pooled proportion
+ * @param {number} x1 - Count in the before study
+ * @param {number} n1 - Sample size of the before study
+ * @param {number} x2 - Count in the after study
+ * @param {number} n2 - Sample size of the after study
+ * @returns {Object|null} {name, statistic, pValue, significant}
+ */
+export function testProportions(x1, n1, x2, n2) {
+    if (n1 < MIN_TEST_SAMPLE || n2 < MIN_TEST_SAMPLE) return null;
+
+    const pooled = (x1 + x2) / (n1 + n2);
+    const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+    if (!(se > 0)) return null;
+
+    const z = (x2 / n2 - x1 / n1) / se;
+    const pValue = twoSidedP(z);
+    return { name: 'z-test (proportions)', statistic: z, pValue, significant: pValue < SIGNIFICANCE_LEVEL };
+}
+
+// Shown in place of the mean-speed test when a study has nothing to measure spread from
+const UNTESTABLE_MEANS_NOTE = 'n/a (interval averages only)';
+
+/**
+ * Speed sample (mean, standard deviation, size) and the share of vehicles over
+ * the limit by each margin. Uses per-vehicle speeds when available. Interval data
+ * takes its spread from the counter's speed bins or the interval 85th percentiles,
+ * with the number of intervals as the sample size since vehicles in one interval
+ * are not independent draws.
+ * With interval averages alone there is no spread, so sd and n are null.
+ * @param {Array} data - Clean data rows
+ * @param {Array|null} perVehicleData - Optional per-vehicle records
+ * @param {number} avgSpeed - Volume-weighted average speed of the interval data
+ * @param {number} speedLimit
+ * @returns {Object|null} {source, mean, sd, n, overLimit: {margin: pct}, histogram}
+ */
+function summarizeSpeeds(data, perVehicleData, avgSpeed, speedLimit) {
+    const histogram = calculateSpeedHistogram(data, perVehicleData, 1);
+    if (!histogram) return null;
+
+    const speeds = perVehicleData ? perVehicleData.map(v => v.speed).filter(s => s > 0) : [];
+    const compliance = calculateComplianceTiers(data, speeds, speedLimit);
+    const overLimit = {};
+    OVER_LIMIT_MARGINS.forEach(m => {
+        overLimit[m] = compliance?.tiers.find(t => t.margin === m)?.pct ?? null;
+    });
+    let mean;
+    let sd;
+    let n;
+
+    if (speeds.length > 0) {
+        n = speeds.length;
+        mean = speeds.reduce((a, b) => a + b, 0) / n;
+        sd = n > 1 ? Math.sqrt(speeds.reduce((sum, s) => sum + (s - mean) ** 2, 0) / (n - 1)) : 0;
+    } else if (histogram.source === 'interval' || histogram.source === 'device-bins') {
+        mean = avgSpeed;
+        const variance = histogram.bins.reduce((sum, b) => sum + b.vehicles * (b.min + 0.5 - mean) ** 2, 0);
+        sd = histogram.vehicles > 1 ? Math.sqrt(variance / (histogram.vehicles - 1)) : 0;
+        n = data.filter(row => row.avg_speed > 0 && row.vehicles > 0).length;
+    } else {
+        // Each interval sits in the bin of its average: the spread would be made up
+        mean = avgSpeed;
+        sd = null;
+        n = null;
+    }
+
+    return { source: histogram.source, mean, sd, n, overLimit, histogram };
+}
+
+/**
+ * Whole-study figures for one side of a before/after pair
+ * @param {Object} studyMeta
+ * @param {Array} data - Clean data rows
+ * @param {Array|null} perVehicleData
+ * @param {Object|null} extractedPercentiles - Device daily percentiles (Radar studies)
+ * @returns {Object}
+ */
+export function summarizeBeforeAfterStudy(studyMeta, data, perVehicleData, extractedPercentiles = null) {
+    const rows = data || [];
+    const speedLimit = parseFloat(studyMeta?.speed_limit) || 25;
+    const stats = calculateStats(rows, perVehicleData, extractedPercentiles);
+    const { adt, days } = calculateADT(rows);
+    const hasSpeed = stats.avgSpeed > 0;
+
+    return {
+        label: formatComparisonLabel(studyMeta),
+        studyMeta,
+        speedLimit,
+        days: days.length,
+        totalVehicles: stats.totalVehicles,
+        // Partial days only when the study has no complete 24-hour day
+        dailyVolume: adt ?? (days.length > 0 ? stats.totalVehicles / days.length : null),
+        totalViolators: stats.totalViolators,
+        pctSpeeders: hasSpeed && stats.totalVehicles > 0 ? stats.pctSpeeders : null,
+        p85: hasSpeed ? stats.p85 : null,
+        speeds: hasSpeed ? summarizeSpeeds(rows, perVehicleData, stats.avgSpeed, speedLimit) : null
+    };
+}
+
+/**
+ * One row of the before/after table
+ * @param {string|null} testNote - Shown instead of a test that cannot be run
+ */
+function metricRow(key, label, unit, before, after, test = null, testNote = null) {
+    const hasBoth = before !== null && before !== undefined && after !== null && after !== undefined;
+    return {
+        key,
+        label,
+        unit,
+        before: before ?? null,
+        after: after ?? null,
+        change: hasBoth ? after - before : null,
+        pctChange: hasBoth && before !== 0 ? ((after - before) / before) * 100 : null,
+        test,
+        testNote
+    };
+}
+
+/**
+ * Speed distributions of both studies on a shared set of 5 mph bins
+ * @returns {{labels: string[], before: number[], after: number[]}} Percent of vehicles per bin
+ */
+function alignDistributions(beforeSpeeds, afterSpeeds) {
+    const histograms = [beforeSpeeds, afterSpeeds].map(s => {
+        if (!s) return null;
+        // Regroup the 1 mph histogram into 5 mph bins
+        const bins = new Map();
+        s.histogram.bins.forEach(b => {
+            const min = Math.floor(b.min / 5) * 5;
+            bins.set(min, (bins.get(min) || 0) + b.pct);
+        });
+        return bins;
+    });
+
+    const mins = histograms.flatMap(h => (h ? [...h.keys()] : []));
+    if (mins.length === 0) return { labels: [], before: [], after: [] };
+
+    const labels = [];
+    const keys = [];
+    for (let min = Math.min(...mins); min <= Math.max(...mins); min += 5) {
+        labels.push(`${min}-${min + 4}`);
+        keys.push(min);
+    }
+
+    const valuesFor = h => keys.map(min => (h ? h.get(min) || 0 : null));
+    return { labels, before: valuesFor(histograms[0]), after: valuesFor(histograms[1]) };
+}
+
+/**
+ * Compare a before and an after study
+ * @param {Object} before - {studyMeta, data, perVehicleData, extractedPercentiles}
+ * @param {Object} after - {studyMeta, data, perVehicleData, extractedPercentiles}
+ * @returns {{before: Object, after: Object, metrics: Array, distribution: Object}}
+ */
+export function buildBeforeAfter(before, after) {
+    const b = summarizeBeforeAfterStudy(before.studyMeta, before.data, before.perVehicleData,
+        before.extractedPercentiles || null);
+    const a = summarizeBeforeAfterStudy(after.studyMeta, after.data, after.perVehicleData,
+        after.extractedPercentiles || null);
+
+    const untestable = [b.speeds, a.speeds].some(speeds => speeds && speeds.sd === null);
+    const metrics = [
+        metricRow('dailyVolume', 'Average Daily Volume', '', b.dailyVolume, a.dailyVolume),
+        metricRow('meanSpeed', 'Mean Speed', ' mph', b.speeds?.mean, a.speeds?.mean, testMeans(b.speeds, a.speeds),
+            untestable ? UNTESTABLE_MEANS_NOTE : null),
+        metricRow('p85', '85th Percentile Speed', ' mph', b.p85, a.p85),
+        metricRow('pctSpeeders', '% Speeders', '%', b.pctSpeeders, a.pctSpeeders,
+            b.pctSpeeders !== null && a.pctSpeeders !== null
+                ? testProportions(b.totalViolators, b.totalVehicles, a.totalViolators, a.totalVehicles)
+                : null),
+        ...OVER_LIMIT_MARGINS.map(m => metricRow(
+            `over${m}`, `% Over Limit by ${m}+ mph`, '%', b.speeds?.overLimit[m], a.speeds?.overLimit[m]
+        ))
+    ];
+
+    return {
+        before: b,
+        after: a,
+        metrics,
+        distribution: alignDistributions(b.speeds, a.speeds)
+    };
+}
@@ -0,0 +1,86 @@
+/**
+ * FHWA vehicle classification utilities for per-vehicle tube data
+ */
+
+import { FHWA_CLASSES, TRUCK_CLASS_MIN } from '../config.js';
+
+/**
+ * Estimate an FHWA class from axle count alone
+ * Used when the counter did not record a class. Axle spacing is not available,
+ * so two-axle vehicles are all treated as passenger cars.
+ * @param {number} axles
+ * @returns {number} FHWA class (1-13), or 0 if it cannot be estimated
+ */
+export function classifyByAxles(axles) {
+    if (!axles || axles < 2) return 0;
+    if (axles === 2) return 2;
+    if (axles === 3) return 6;
+    if (axles === 4) return 8;
+    if (axles === 5) return 9;
+    if (axles === 6) return 10;
+    return 13;
+}
+
+/**
+ * Get the FHWA class for a vehicle, falling back to the axle-based classifier
+ * @param {Object} vehicle - Per-vehicle record with vehicle_class and axles
+ * @returns {{vehicleClass: number, fromAxles: boolean}}
+ */
+export function getVehicleClass(vehicle) {
+    const recorded = vehicle.vehicle_class;
+    if (recorded >= 1 && recorded <= FHWA_CLASSES.length) {
+        return { vehicleClass: recorded, fromAxles: false };
+    }
+    return { vehicleClass: classifyByAxles(vehicle.axles), fromAxles: true };
+}
+
+/**
+ * Check whether per-vehicle data carries any class or axle information
+ * @param {Array|null} perVehicleData
+ * @returns {boolean}
+ */
+export function hasClassificationData(perVehicleData) {
+    if (!perVehicleData || perVehicleData.length === 0) return false;
+    return perVehicleData.some(v => v.vehicle_class > 0 || v.axles > 0);
+}
+
+/**
+ * Bin vehicles into FHWA Scheme F classes
+ * @param {Array} perVehicleData - Per-vehicle records
+ * @returns {Object} Class counts, truck totals and one entry per class for charts/tables
+ */
+export function calculateClassification(perVehicleData) {
+    const counts = new Array(FHWA_CLASSES.length).fill(0);
+    let unclassified = 0;
+    let fromAxles = 0;
+
+    for (const vehicle of perVehicleData || []) {
+        const result = getVehicleClass(vehicle);
+        if (result.vehicleClass === 0) {
+            unclassified++;
+            continue;
+        }
+        counts[result.vehicleClass - 1]++;
+        if (result.fromAxles) fromAxles++;
+    }
+
+    const classified = counts.reduce((a, b) => a + b, 0);
+    const trucks = counts.slice(TRUCK_CLASS_MIN - 1).reduce((a, b) => a + b, 0);
+
+    return {
+        total: classified + unclassified,
+        classified,
+        unclassified,
+        fromAxles,
+        trucks,
+        pctTrucks: classified > 0 ? (trucks / classified) * 100 : null,
+        classes: FHWA_CLASSES.map((cls, i) => ({
+            id: cls.id,
+            label: `${cls.id} ${cls.short}`,
+            description: cls.description,
+            isTruck: cls.id >= TRUCK_CLASS_MIN,
+            vehicles: counts[i],
+            pct: classified > 0 ? (counts[i] / classified) * 100 : 0
+        }))
+    };
+}
@@ -0,0 +1,147 @@
+/**
+ * Multi-study comparison: line several studies up by hour of day or day of week
+ * so their series can be overlaid on one chart
+ */
+
+import { getDateKey, formatHour, formatDate } from './dateUtils.js';
+import { calculatePeriodPercentiles, WEEKDAY_ORDER, WEEKDAY_NAMES } from './stats.js';
+import { calculateADT, getDailyVolumes } from './volume.js';
+
+/**
+ * Series label that tells compared studies apart (location, direction, start date)
+ * @param {Object} studyMeta
+ * @returns {string}
+ */
+export function formatComparisonLabel(studyMeta) {
+    let label = [studyMeta?.location, studyMeta?.direction].filter(Boolean).join(' - ') || 'Unknown';
+    const start = formatDate(studyMeta?.start_datetime);
+    if (start) label += ` (${start})`;
+    return label;
+}
+
+/**
+ * Speed and volume values for one group of rows
+ * @param {Array} rows - Clean data rows in the group
+ * @param {Array} vehicles - Per-vehicle records in the group
+ * @param {number|null} volume - Volume value to report for the group
+ * @param {Object|null} extractedPercentiles - Optional dict of date -> {p50, p85} from raw file
+ * @returns {{vehicles: number|null, avg_speed: number|null, p85: number|null, pct_speeders: number|null}}
+ */
+function summarizeGroup(rows, vehicles, volume, extractedPercentiles = null) {
+    let total = 0;
+    let violators = 0;
+    let speedSum = 0;
+    let speedCount = 0;
+
+    for (const row of rows) {
+        total += row.vehicles || 0;
+        violators += row.violators || 0;
+        if (row.avg_speed > 0) {
+            speedSum += row.avg_speed * (row.vehicles || 1);
+            speedCount += row.vehicles || 1;
+        }
+    }
+
+    const hasSpeed = speedCount > 0;
+    return {
+        vehicles: volume,
+        avg_speed: hasSpeed ? speedSum / speedCount : null,
+        p85: hasSpeed || vehicles.length > 0 ? calculatePeriodPercentiles(rows, vehicles, extractedPercentiles).p85 : null,
+        pct_speeders: hasSpeed && total > 0 ? (violators / total) * 100 : null
+    };
+}
+
+/**
+ * Build one study's profile aligned by hour of day (24 points) or day of week (7 points, Monday first).
+ * Hourly volume is averaged over the dates recorded in that hour; weekday volume
+ * is the average daily total for that weekday, from complete days when there are any.
+ * @param {Array} data - Clean data rows
+ * @param {Array|null} perVehicleData - Optional per-vehicle records
+ * @param {string} alignBy - 'hour' or 'weekday'
+ * @param {Object|null} extractedPercentiles - Optional dict of date -> {p50, p85} from raw file
+ * @returns {Array} [{key, label, vehicles, avg_speed, p85, pct_speeders}]
+ */
+export function buildComparisonProfile(data, perVehicleData, alignBy = 'hour', extractedPercentiles = null) {
+    const keyOf = alignBy === 'weekday'
+        ? dt => dt.getDay()
+        : dt => dt.getHours();
+    const keys = alignBy === 'weekday' ? WEEKDAY_ORDER : Array.from({ length: 24 }, (_, h) => h);
+
+    const groups = new Map(keys.map(key => [key, { rows: [], vehicles: [], dates: new Set() }]));
+    for (const row of data || []) {
+        if (!row.datetime) continue;
+        const dt = new Date(row.datetime);
+        const group = groups.get(keyOf(dt));
+        group.rows.push(row);
+        group.dates.add(getDateKey(dt));
+    }
+    for (const v of perVehicleData || []) {
+        if (v.datetime) groups.get(keyOf(new Date(v.datetime))).vehicles.push(v);
+    }
+
+    // Daily totals for the weekday average
+    const days = alignBy === 'weekday' ? getDailyVolumes(data || []) : [];
+
+    return keys.map(key => {
+        const group = groups.get(key);
+        let volume = null;
+
+        if (alignBy === 'weekday') {
+            const weekdayDays = days.filter(d => new Date(d.date + 'T12:00:00').getDay() === key);
+            const complete = weekdayDays.filter(d => d.complete);
+            const used = complete.length > 0 ? complete : weekdayDays;
+            if (used.length > 0) volume = used.reduce((sum, d) => sum + d.vehicles, 0) / used.length;
+        } else if (group.dates.size > 0) {
+            volume = group.rows.reduce((sum, row) => sum + (row.vehicles || 0), 0) / group.dates.size;
+        }
+
+        return {
+            key,
+            label: alignBy === 'weekday' ? WEEKDAY_NAMES[key] : formatHour(key),
+            ...summarizeGroup(group.rows, group.vehicles, volume, extractedPercentiles)
+        };
+    });
+}
+
+/**
+ * Whole-study totals shown alongside a comparison chart
+ * @param {Array} data - Clean data rows
+ * @param {Array|null} perVehicleData - Optional per-vehicle records
+ * @param {Object|null} extractedPercentiles - Optional dict of date -> {p50, p85} from raw file
+ * @returns {{totalVehicles: number, adt: number|null, days: number, avgSpeed: number|null, p85: number|null, pctSpeeders: number|null}}
+ */
+export function summarizeComparisonStudy(data, perVehicleData, extractedPercentiles = null) {
+    const rows = data || [];
+    const summary = summarizeGroup(rows, perVehicleData || [], null, extractedPercentiles);
+    const { adt, days } = calculateADT(rows);
+
+    return {
+        totalVehicles: rows.reduce((sum, row) => sum + (row.vehicles || 0), 0),
+        adt,
+        days: days.length,
+        avgSpeed: summary.avg_speed,
+        p85: summary.p85,
+        pctSpeeders: summary.pct_speeders
+    };
+}
+
+/**
+ * Align several studies for an overlay chart
+ * @param {Array} sets - [{studyMeta, data, perVehicleData, extractedPercentiles}] one per study
+ * @param {string} alignBy - 'hour' or 'weekday'
+ * @returns {{alignBy: string, labels: string[], series: Array}} series: [{label, studyMeta, points, summary}]
+ */
+export function buildComparison(sets, alignBy = 'hour') {
+    const series = sets.map(set => ({
+        label: formatComparisonLabel(set.studyMeta),
+        studyMeta: set.studyMeta,
+        points: buildComparisonProfile(set.data, set.perVehicleData, alignBy, set.extractedPercentiles || null),
+        summary: summarizeComparisonStudy(set.data, set.perVehicleData, set.extractedPercentiles || null)
+    }));
+
+    return {
+        alignBy,
+        labels: series.length > 0 ? series[0].points.map(p => p.label) : [],
+        series
+    };
+}
@@ -0,0 +1,272 @@
+/**
+ * Data quality checks for a study's clean data: gaps, dead tubes, implausible
+ * speeds, clock drift and direction imbalance, combined into a 0-100 score
+ */
+
+import { formatDate, formatTimeOfDay } from './dateUtils.js';
+import { detectIntervalMinutes } from './volume.js';
+import { getExclusionSpans, isExcluded } from './exclusions.js';
+import { calculateVolumeSplit, formatVolumeSplit } from './directional.js';
+
+// Hours of zero volume in a row before they look like a counter problem.
+// Only hours that usually carry traffic count, so quiet roads at night are not flagged.
+export const ZERO_RUN_HOURS = 4;
+
+// Speeds outside this range (mph) are not believable readings
+export const PLAUSIBLE_SPEED = { min: 3, max: 100 };
+
+// A drop is this share of the hour's typical volume or less, for DROP_RUN_HOURS in a row,
+// in hours that typically carry at least DROP_MIN_TYPICAL vehicles
+export const DROP_RATIO = 0.25;
+export const DROP_RUN_HOURS = 3;
+export const DROP_MIN_TYPICAL = 10;
+
+// Largest direction share on a linked pair before the pair looks unbalanced
+export const DIRECTION_SHARE_LIMIT = 0.7;
+
+// Score deductions, each capped at its maximum
+const PENALTIES = {
+    'missing-intervals': { perPct: 2, max: 30 },
+    'zero-runs': { each: 5, max: 20 },
+    'implausible-speeds': { perPct: 4, max: 20 },
+    'volume-drops': { each: 10, max: 30 },
+    'direction-imbalance': { perPct: 1, max: 15 },
+    'clock-drift': { perPct: 2, max: 15 }
+};
+
+// Score thresholds for the sidebar badge
+export const QUALITY_RATINGS = [
+    { min: 90, rating: 'good', label: 'Good' },
+    { min: 70, rating: 'fair', label: 'Fair' },
+    { min: 0, rating: 'poor', label: 'Poor' }
+];
+
+/**
+ * Timestamps the study should have at its recording interval, minus excluded spans
+ * @param {number[]} times - Sorted row times (ms)
+ * @param {number} interval - Minutes
+ * @param {Array} spans - Excluded spans
+ * @returns {number} Expected interval count
+ */
+function countExpectedIntervals(times, interval, spans) {
+    const step = interval * 60000;
+    let expected = 0;
+    for (let t = times[0]; t <= times[times.length - 1]; t += step) {
+        if (!isExcluded(t, spans)) expected++;
+    }
+    return expected;
+}
+
+/**
+ * Group rows into chronological hours
+ * @param {Array} rows - Sorted clean data rows
+ * @returns {Array} [{start: Date, vehicles}] one per recorded hour
+ */
+function getHourlyTotals(rows) {
+    const hours = new Map();
+    for (const row of rows) {
+        const dt = new Date(row.datetime);
+        const start = new Date(dt.getFullYear(), dt.getMonth(), dt.getDate(), dt.getHours());
+        const key = start.getTime();
+        if (!hours.has(key)) hours.set(key, { start, vehicles: 0 });
+        hours.get(key).vehicles += row.vehicles || 0;
+    }
+    return [...hours.values()].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Consecutive runs of hours that match a test
+ * @param {Array} hours - Output of getHourlyTotals()
+ * @param {Function} test - hour => boolean
+ * @param {number} minLength
+ * @returns {Array} [{start: Date, hours: number}]
+ */
+function findRuns(hours, test, minLength) {
+    const runs = [];
+    let run = null;
+    hours.forEach((hour, i) => {
+        const contiguous = run && hour.start - hours[i - 1].start === 3600000;
+        if (test(hour)) {
+            if (run && contiguous) {
+                run.hours++;
+            } else {
+                if (run && run.hours >= minLength) runs.push(run);
+                run = { start: hour.start, hours: 1 };
+            }
+        } else {
+            if (run && run.hours >= minLength) runs.push(run);
+            run = null;
+        }
+    });
+    if (run && run.hours >= minLength) runs.push(run);
+    return runs;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values
+ * @returns {number}
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Describe a run, e.g. "05/02/2024 1:00 PM (4 h)"
+ * @param {{start: Date, hours: number}} run
+ * @returns {string}
+ */
+function formatRun(run) {
+    return `${formatDate(run.start)} ${formatTimeOfDay(run.start.getHours() * 60)} (${run.hours} h)`;
+}
+
+/**
+ * Count with its noun, e.g. "1 vehicle" or "1,204 vehicles"
+ * @param {number} count
+ * @param {string} noun
+ * @returns {string}
+ */
+function plural(count, noun) {
+    return `${count.toLocaleString()} ${noun}${count !== 1 ? 's' : ''}`;
+}
+
+/**
+ * List the first few examples of a problem
+ * @param {string[]} items
+ * @returns {string}
+ */
+function formatExamples(items) {
+    return items.slice(0, 3).join(', ') + (items.length > 3 ? `, +${items.length - 3} more` : '');
+}
+
+/**
+ * Run every data quality check on a study
+ * @param {Array} data - Clean data rows (exclusions already removed)
+ * @param {Array|null} perVehicleData - Optional per-vehicle records
+ * @param {Object} options - {exclusions: rules, so excluded spans are not counted as gaps;
+ *                            linked: [{direction, data}] other directions of a linked study;
+ *                            direction: this study's direction}
+ * @returns {{score: number, rating: string, label: string, intervalMinutes: number, issues: Array}|null}
+ *          issues: [{id, label, detail, count, penalty}]; null without data
+ */
+export function checkDataQuality(data, perVehicleData = null, options = {}) {
+    const { exclusions = [], linked = null, direction = '' } = options;
+    const rows = (data || []).filter(row => row.datetime).sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
+    if (rows.length === 0) return null;
+
+    const interval = detectIntervalMinutes(rows);
+    const times = [...new Set(rows.map(row => new Date(row.datetime).getTime()))];
+    const issues = [];
+    const addIssue = (id, label, detail, count, amount) => {
+        const rule = PENALTIES[id];
+        const penalty = Math.min(rule.max, amount * (rule.perPct ?? rule.each));
+        if (penalty > 0) issues.push({ id, label, detail, count, penalty });
+    };
+
+    // Missing intervals
+    const spans = getExclusionSpans(exclusions);
+    const expected = countExpectedIntervals(times, interval, spans);
+    const missing = Math.max(0, expected - times.filter(t => !isExcluded(t, spans)).length);
+    if (missing > 0) {
+        const pct = (missing / expected) * 100;
+        addIssue('missing-intervals', 'Missing intervals',
+            `${missing.toLocaleString()} of ${expected.toLocaleString()} ${interval}-minute intervals have no record (${pct.toFixed(1)}%)`,
+            missing, pct);
+    }
+
+
+    // Implausible speeds
+    const implausible = value => value < PLAUSIBLE_SPEED.min || value > PLAUSIBLE_SPEED.max;
+    const speedRows = rows.filter(row => row.vehicles > 0 && row.avg_speed !== undefined);
+    const badRows = speedRows.filter(row => implausible(row.avg_speed) || row.peak_speed > PLAUSIBLE_SPEED.max);
+    const badVehicles = (perVehicleData || []).filter(v => implausible(v.speed));
+    const speedChecked = speedRows.length + (perVehicleData || []).length;
+    if (badRows.length + badVehicles.length > 0) {
+        const pct = ((badRows.length + badVehicles.length) / speedChecked) * 100;
+        const parts = [];
+        if (badRows.length > 0) parts.push(plural(badRows.length, 'interval'));
+        if (badVehicles.length > 0) parts.push(plural(badVehicles.length, 'vehicle'));
+        addIssue('implausible-speeds', 'Implausible speeds',
+            `${parts.join(' and ')} outside ${PLAUSIBLE_SPEED.min}-${PLAUSIBLE_SPEED.max} mph`,
+            badRows.length + badVehicles.length, pct);
+    }
+
+    // Typical volume for each hour of the day, from days with at least three recordings of it
+    const hours = getHourlyTotals(rows);
+    const byHourOfDay = new Map();
+    hours.forEach(hour => {
+        const h = hour.start.getHours();
+        if (!byHourOfDay.has(h)) byHourOfDay.set(h, []);
+        byHourOfDay.get(h).push(hour.vehicles);
+    });
+    const typical = new Map([...byHourOfDay].map(([h, values]) => [h, values.length >= 3 ? median(values) : null]));
+
+    // Runs of zero-volume hours
+    const zeroRuns = findRuns(hours, hour => hour.vehicles === 0 && typical.get(hour.start.getHours()) !== 0, ZERO_RUN_HOURS);
+    if (zeroRuns.length > 0) {
+        addIssue('zero-runs', `Zero volume for ${ZERO_RUN_HOURS}+ hours`,
+            formatExamples(zeroRuns.map(formatRun)), zeroRuns.length, zeroRuns.length);
+    }
+
+    // Sudden drops against the same hour on other days (dead or loose tube)
+    const drops = findRuns(hours, hour => {
+        const usual = typical.get(hour.start.getHours());
+        return usual !== null && usual >= DROP_MIN_TYPICAL && hour.vehicles <= usual * DROP_RATIO;
+    }, DROP_RUN_HOURS);
+    if (drops.length > 0) {
+        addIssue('volume-drops', 'Sudden volume drops',
+            `${formatExamples(drops.map(formatRun))} at ${Math.round(DROP_RATIO * 100)}% or less of usual volume`,
+            drops.length, drops.length);
+    }
+
+    // Direction imbalance on linked pairs, over the dates both directions recorded
+    if (linked && linked.length > 0) {
+        const split = calculateVolumeSplit([
+            { direction: direction || 'Unknown', data: rows },
+            ...linked.map(l => ({ direction: l.direction || 'Unknown', data: l.data || [] }))
+        ]);
+        const largest = split.total > 0 ? Math.max(...split.directions.map(d => d.vehicles)) / split.total : 0;
+
+        if (largest > DIRECTION_SHARE_LIMIT) {
+            addIssue('direction-imbalance', 'Direction imbalance',
+                `${formatVolumeSplit(split)} over ${plural(split.days, 'shared day')}`,
+                split.days, (largest - DIRECTION_SHARE_LIMIT) * 100);
+        }
+    }
+
+    // Clock drift: gaps that are not whole intervals, or records off the usual minute grid
+    const offsets = new Map();
+    times.forEach(t => {
+        const offset = new Date(t).getMinutes() % interval;
+        offsets.set(offset, (offsets.get(offset) || 0) + 1);
+    });
+    const usualOffset = [...offsets.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    let drifted = 0;
+    times.forEach((t, i) => {
+        const offGrid = new Date(t).getMinutes() % interval !== usualOffset;
+        const oddGap = i > 0 && Math.round((t - times[i - 1]) / 60000) % interval !== 0;
+        if (offGrid || oddGap) drifted++;
+    });
+    if (drifted > 0) {
+        const pct = (drifted / times.length) * 100;
+        addIssue('clock-drift', 'Clock drift',
+            `${plural(drifted, 'record')} off the ${interval}-minute grid or after an uneven gap (${pct.toFixed(1)}%)`,
+            drifted, pct);
+    }
+
+    const score = Math.max(0, Math.round(100 - issues.reduce((sum, issue) => sum + issue.penalty, 0)));
+    const { rating, label } = getQualityRating(score);
+
+    return { score, rating, label, intervalMinutes: interval, issues };
+}
+
+/**
+ * Rating for a score
+ * @param {number} score
+ * @returns {{min: number, rating: string, label: string}}
+ */
+export function getQualityRating(score) {
+    return QUALITY_RATINGS.find(r => score >= r.min);
+}
@@ -95,3 +95,16 @@ export function isInRange(date, start, end) {
     const e = end ? new Date(end).getTime() : Infinity;
     return d >= s && d <= e;
 }
+
+/**
+ * Format minutes after midnight as a clock time (e.g. 435 -> "7:15 AM")
+ * @param {number} minutes - Minutes after midnight (0-1440)
+ * @returns {string}
+ */
+export function formatTimeOfDay(minutes) {
+    const hour = Math.floor(minutes / 60) % 24;
+    const minute = String(minutes % 60).padStart(2, '0');
+    const suffix = hour < 12 ? 'AM' : 'PM';
+    const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+    return `${displayHour}:${minute} ${suffix}`;
+}
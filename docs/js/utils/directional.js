@@ -0,0 +1,97 @@
+/**
+ * Directional volume: split a study's rows by direction of travel, combining
+ * linked studies that count the other direction into one two-way view
+ */
+
+import { getDateKey } from './dateUtils.js';
+import { aggregateTimeSeries } from './stats.js';
+
+/**
+ * Rows for each direction of travel. Rows that carry a direction (two-direction
+ * volume files) are split by it; other rows take the study's direction. Linked
+ * studies add their direction when the study does not already cover it.
+ * @param {Array} data - Clean data rows of the study
+ * @param {string} direction - The study's direction from study_index.csv
+ * @param {Array|null} linked - [{direction, data}] other studies in the link group
+ * @returns {Array} [{direction, data}] in first-seen order; fewer than two means no split
+ */
+export function getDirectionalSets(data, direction, linked = null) {
+    const sets = new Map();
+    for (const row of data || []) {
+        const key = row.direction || direction || 'Unknown';
+        if (!sets.has(key)) sets.set(key, []);
+        sets.get(key).push(row);
+    }
+
+    (linked || []).forEach(other => {
+        const key = other.direction || 'Unknown';
+        if (!sets.has(key) && other.data && other.data.length > 0) sets.set(key, other.data);
+    });
+
+    return [...sets].map(([dir, rows]) => ({ direction: dir, data: rows }));
+}
+
+/**
+ * Two-way time series with each direction's volume per point
+ * @param {Array} sets - Output of getDirectionalSets()
+ * @param {string} timeAgg - Key of TIME_AGGREGATIONS
+ * @param {number} finestMinutes - Smallest bucket every direction's data supports
+ * @returns {Array} Output of aggregateTimeSeries() for all directions together, each point
+ *          with directions: {direction: vehicles|null} (null where that direction was not recorded)
+ */
+export function aggregateDirectional(sets, timeAgg, finestMinutes = 0) {
+    const pointKey = point => point.datetime ? point.datetime.getTime() : point.date;
+    const combined = aggregateTimeSeries(sets.flatMap(set => set.data), timeAgg, { finestMinutes });
+    const byDirection = sets.map(set => new Map(
+        aggregateTimeSeries(set.data, timeAgg, { finestMinutes }).map(point => [pointKey(point), point.vehicles])
+    ));
+
+    return combined.map(point => ({
+        ...point,
+        directions: Object.fromEntries(sets.map((set, i) => [set.direction, byDirection[i].get(pointKey(point)) ?? null]))
+    }));
+}
+
+/**
+ * Share of volume in each direction, over the dates every direction recorded
+ * so a longer count in one direction does not skew the split
+ * @param {Array} sets - Output of getDirectionalSets()
+ * @returns {{days: number, total: number, directions: Array}|null} directions: [{direction, vehicles, pct}];
+ *          null with fewer than two directions
+ */
+export function calculateVolumeSplit(sets) {
+    if (!sets || sets.length < 2) return null;
+
+    const dailyTotals = sets.map(set => {
+        const totals = new Map();
+        set.data.forEach(row => {
+            if (!row.datetime) return;
+            const key = getDateKey(row.datetime);
+            totals.set(key, (totals.get(key) || 0) + (row.vehicles || 0));
+        });
+        return totals;
+    });
+    const commonDates = [...dailyTotals[0].keys()].filter(date => dailyTotals.every(totals => totals.has(date)));
+    const volumes = dailyTotals.map(totals => commonDates.reduce((sum, date) => sum + totals.get(date), 0));
+    const total = volumes.reduce((a, b) => a + b, 0);
+
+    return {
+        days: commonDates.length,
+        total,
+        directions: sets.map((set, i) => ({
+            direction: set.direction,
+            vehicles: volumes[i],
+            pct: total > 0 ? (volumes[i] / total) * 100 : null
+        }))
+    };
+}
+
+/**
+ * Describe a split, e.g. "Northbound 52% / Southbound 48%"
+ * @param {Object|null} split - Output of calculateVolumeSplit()
+ * @returns {string} Empty without a split or volume
+ */
+export function formatVolumeSplit(split) {
+    if (!split || split.total === 0) return '';
+    return split.directions.map(d => `${d.direction} ${d.pct.toFixed(0)}%`).join(' / ');
+}
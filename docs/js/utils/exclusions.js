@@ -0,0 +1,137 @@
+/**
+ * Exclusion rules: drop dates, date ranges and time windows (holidays, rain days,
+ * damaged tubes) from a study's data, and describe them for charts and reports
+ */
+
+import { formatDate } from './dateUtils.js';
+
+// Longest footnote before the remaining rules are summarized as "and N more"
+const MAX_NOTE_RULES = 6;
+
+/**
+ * Convert rules into time spans, each [start, end)
+ * @param {Array} rules - [{type: 'date'|'range'|'window', date|start|end, reason}]
+ * @returns {Array} [{start: Date, end: Date, rule}] sorted by start
+ */
+export function getExclusionSpans(rules) {
+    const dayStart = dateStr => new Date(dateStr + 'T00:00:00');
+    const nextDay = dateStr => {
+        const d = dayStart(dateStr);
+        d.setDate(d.getDate() + 1);
+        return d;
+    };
+
+    return (rules || []).map(rule => {
+        switch (rule.type) {
+            case 'date':
+                return { start: dayStart(rule.date), end: nextDay(rule.date), rule };
+            case 'range':
+                return { start: dayStart(rule.start), end: nextDay(rule.end), rule };
+            case 'window':
+                return { start: new Date(rule.start), end: new Date(rule.end), rule };
+            default:
+                return null;
+        }
+    })
+        .filter(span => span && !isNaN(span.start.getTime()) && !isNaN(span.end.getTime()) && span.end > span.start)
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Whether a moment falls in any excluded span
+ * @param {Date|string} datetime
+ * @param {Array} spans - Output of getExclusionSpans()
+ * @returns {boolean}
+ */
+export function isExcluded(datetime, spans) {
+    const t = new Date(datetime).getTime();
+    return spans.some(span => t >= span.start.getTime() && t < span.end.getTime());
+}
+
+/**
+ * Remove excluded rows or vehicles. An interval row is dropped when it starts in an excluded span.
+ * @param {Array} rows - Rows or per-vehicle records with a datetime field
+ * @param {Array} rules
+ * @returns {Array} The same array when nothing is excluded
+ */
+export function applyExclusions(rows, rules) {
+    const spans = getExclusionSpans(rules);
+    if (!rows || spans.length === 0) return rows;
+    return rows.filter(row => !row.datetime || !isExcluded(row.datetime, spans));
+}
+
+/**
+ * Which points of an aggregated chart series overlap an excluded span:
+ * interval points cover their interval, daily points their whole day
+ * @param {Array} data - Output of aggregateByInterval() or aggregateDaily()
+ * @param {Array} rules
+ * @returns {boolean[]|null} Null when no point is excluded
+ */
+export function getExcludedPoints(data, rules) {
+    const spans = getExclusionSpans(rules);
+    if (spans.length === 0) return null;
+
+    const flags = data.map(d => {
+        const start = d.datetime ? new Date(d.datetime) : new Date(d.date + 'T00:00:00');
+        const end = new Date(start);
+        if (d.datetime) end.setMinutes(end.getMinutes() + (d.minutes || 60)); else end.setDate(end.getDate() + 1);
+        return spans.some(span => span.start < end && span.end > start);
+    });
+    return flags.some(Boolean) ? flags : null;
+}
+
+/**
+ * Rules that overlap a date range
+ * @param {Array} rules
+ * @param {string|null} startDate - YYYY-MM-DD, or null for no lower bound
+ * @param {string|null} endDate - YYYY-MM-DD, or null for no upper bound
+ * @returns {Array}
+ */
+export function getRulesInRange(rules, startDate = null, endDate = null) {
+    const from = startDate ? new Date(startDate + 'T00:00:00') : null;
+    const to = endDate ? new Date(endDate + 'T23:59:59') : null;
+    return getExclusionSpans(rules)
+        .filter(span => (!from || span.end > from) && (!to || span.start <= to))
+        .map(span => span.rule);
+}
+
+/**
+ * Describe one rule, e.g. "11/28/2024 (Thanksgiving)" or "05/02/2024 13:00-15:30 (Tube damaged)"
+ * @param {Object} rule
+ * @returns {string}
+ */
+export function formatExclusionRule(rule) {
+    const time = value => String(value).split('T')[1] || '';
+    let text;
+    switch (rule.type) {
+        case 'range':
+            text = `${formatDate(rule.start + 'T12:00:00')} - ${formatDate(rule.end + 'T12:00:00')}`;
+            break;
+        case 'window': {
+            const sameDay = String(rule.start).split('T')[0] === String(rule.end).split('T')[0];
+            text = sameDay
+                ? `${formatDate(rule.start)} ${time(rule.start)}-${time(rule.end)}`
+                : `${formatDate(rule.start)} ${time(rule.start)} - ${formatDate(rule.end)} ${time(rule.end)}`;
+            break;
+        }
+        default:
+            text = formatDate(rule.date + 'T12:00:00');
+    }
+    return rule.reason ? `${text} (${rule.reason})` : text;
+}
+
+/**
+ * Report footnote listing the rules that overlap a date range
+ * @param {Array} rules
+ * @param {string|null} startDate
+ * @param {string|null} endDate
+ * @returns {string} Empty when nothing in the range is excluded
+ */
+export function formatExclusionNote(rules, startDate = null, endDate = null) {
+    const inRange = getRulesInRange(rules, startDate, endDate);
+    if (inRange.length === 0) return '';
+
+    const shown = inRange.slice(0, MAX_NOTE_RULES).map(formatExclusionRule);
+    if (inRange.length > MAX_NOTE_RULES) shown.push(`and ${inRange.length - MAX_NOTE_RULES} more`);
+    return `Excluded from analysis: ${shown.join('; ')}`;
+}
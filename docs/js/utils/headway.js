@@ -0,0 +1,116 @@
+/**
+ * Headway and gap analysis from per-vehicle timestamps
+ *
+ * Headway is the time between successive vehicles travelling the same direction;
+ * short headways mean vehicles are following in platoons. Gap is the time between
+ * successive vehicles of the whole stream, all directions together, which is what a
+ * pedestrian waiting to cross sees.
+ */
+
+import { HEADWAY_BINS, HEADWAY_MAX_SECONDS, PLATOON_HEADWAY_SECONDS } from '../config.js';
+
+/**
+ * Seconds between successive vehicles
+ * Spans longer than HEADWAY_MAX_SECONDS are breaks in the recording (excluded
+ * or trimmed time, missing data) rather than real headways, so they are skipped.
+ * @param {Array} vehicles - Per-vehicle records with datetime
+ * @returns {Array} [{seconds, datetime}] where datetime is the following vehicle's
+ */
+function getSpacings(vehicles) {
+    const times = vehicles
+        .map(v => new Date(v.datetime).getTime())
+        .sort((a, b) => a - b);
+
+    const spacings = [];
+    for (let i = 1; i < times.length; i++) {
+        const seconds = (times[i] - times[i - 1]) / 1000;
+        if (seconds <= HEADWAY_MAX_SECONDS) spacings.push({ seconds, datetime: new Date(times[i]) });
+    }
+    return spacings;
+}
+
+/**
+ * Headway distribution, platooning and hourly average gap
+ * @param {Array|null} perVehicleData - Per-vehicle records with datetime and direction
+ * @param {number} platoonSeconds - Headways under this many seconds count as platooned
+ * @returns {Object|null} Null without at least two vehicles:
+ *   {vehicles, headways, avgHeadway, medianHeadway, platooned, pctPlatooned, platoonSeconds,
+ *    bins: [{min, max, label, count, pct, platoon}],
+ *    hourly: [{hour, vehicles, gaps, avgGap, pctPlatooned}] one per hour of the day}
+ */
+export function calculateHeadways(perVehicleData, platoonSeconds = PLATOON_HEADWAY_SECONDS) {
+    if (!perVehicleData || perVehicleData.length < 2) return null;
+
+    // Headways within each direction
+    const byDirection = new Map();
+    perVehicleData.forEach(v => {
+        if (!v.datetime) return;
+        const key = v.direction || '';
+        if (!byDirection.has(key)) byDirection.set(key, []);
+        byDirection.get(key).push(v);
+    });
+    const headways = [...byDirection.values()].flatMap(getSpacings);
+    if (headways.length === 0) return null;
+
+    const seconds = headways.map(h => h.seconds).sort((a, b) => a - b);
+    const mid = Math.floor(seconds.length / 2);
+    const platooned = headways.filter(h => h.seconds < platoonSeconds).length;
+
+    const bins = HEADWAY_BINS.map((min, i) => {
+        const max = i < HEADWAY_BINS.length - 1 ? HEADWAY_BINS[i + 1] : Infinity;
+        const count = headways.filter(h => h.seconds >= min && h.seconds < max).length;
+        return {
+            min,
+            max,
+            label: max === Infinity ? `${min}+` : `${min}-${max}`,
+            count,
+            pct: (count / headways.length) * 100,
+            platoon: min < platoonSeconds
+        };
+    });
+
+    // Gaps in the combined stream, by the hour of day the gap ends in
+    const gaps = getSpacings(perVehicleData.filter(v => v.datetime));
+    const hourly = Array.from({ length: 24 }, (_, hour) => ({ hour, vehicles: 0, gaps: 0, gapTotal: 0, headways: 0, platooned: 0 }));
+    perVehicleData.forEach(v => {
+        if (v.datetime) hourly[new Date(v.datetime).getHours()].vehicles++;
+    });
+    gaps.forEach(g => {
+        const h = hourly[g.datetime.getHours()];
+        h.gaps++;
+        h.gapTotal += g.seconds;
+    });
+    headways.forEach(hw => {
+        const h = hourly[hw.datetime.getHours()];
+        h.headways++;
+        if (hw.seconds < platoonSeconds) h.platooned++;
+    });
+
+    return {
+        vehicles: perVehicleData.length,
+        headways: headways.length,
+        avgHeadway: seconds.reduce((a, b) => a + b, 0) / seconds.length,
+        medianHeadway: seconds.length % 2 ? seconds[mid] : (seconds[mid - 1] + seconds[mid]) / 2,
+        platooned,
+        pctPlatooned: (platooned / headways.length) * 100,
+        platoonSeconds,
+        bins,
+        hourly: hourly.map(h => ({
+            hour: h.hour,
+            vehicles: h.vehicles,
+            gaps: h.gaps,
+            avgGap: h.gaps > 0 ? h.gapTotal / h.gaps : null,
+            pctPlatooned: h.headways > 0 ? (h.platooned / h.headways) * 100 : null
+        }))
+    };
+}
+
+/**
+ * Format a number of seconds for tables and labels, e.g. "2.4 s" or "3.5 min"
+ * @param {number|null} seconds
+ * @returns {string}
+ */
+export function formatSeconds(seconds) {
+    if (seconds === null || seconds === undefined) return '-';
+    return seconds >= 120 ? `${(seconds / 60).toFixed(1)} min` : `${seconds.toFixed(1)} s`;
+}
@@ -0,0 +1,99 @@
+/**
+ * Two-way summary of a link group: the studies counting each direction of one
+ * street segment, reported together as a single section
+ */
+
+import { aggregateBy24Hour, aggregateTimeSeries, calculateReportStatistics } from './stats.js';
+import { calculateDirectionalSplit } from './peakHour.js';
+import { calculateVolumeSplit } from './directional.js';
+import { calculateCombinedVolumeStats } from './volume.js';
+import { getDateKey } from './dateUtils.js';
+
+/**
+ * Combine the studies of a link group over the dates every direction recorded,
+ * so a longer count in one direction does not skew the two-way figures
+ * @param {Array} sets - [{studyMeta, data, perVehicleData, extractedPercentiles}] one per study,
+ *                       already filtered to the report dates
+ * @param {Object} options - {timeAgg, finestMinutes, factors}
+ * @returns {Object|null} Null without two directions recorded on the same dates:
+ *   {days: string[], droppedDays: number, labels,
+ *    directions: [{direction, studyMeta, stats, hourly, points}],
+ *    twoWay: {stats, hourly, points}, split: output of calculateVolumeSplit()}
+ *   where points line up with labels (null where a direction has no point)
+ */
+export function buildLinkGroup(sets, options = {}) {
+    const { timeAgg = 'hourly', finestMinutes = 0, factors = null } = options;
+    const recorded = sets.filter(set => set.data && set.data.length > 0);
+    if (recorded.length < 2) return null;
+
+    // Dates every direction recorded
+    const dateSets = recorded.map(set => new Set(set.data.filter(row => row.datetime).map(row => getDateKey(row.datetime))));
+    const allDates = new Set(dateSets.flatMap(dates => [...dates]));
+    const days = [...dateSets[0]].filter(date => dateSets.every(dates => dates.has(date))).sort();
+    if (days.length === 0) return null;
+
+    const common = new Set(days);
+    const onCommonDate = row => row.datetime && common.has(getDateKey(row.datetime));
+    const trimmed = recorded.map(set => ({
+        ...set,
+        data: set.data.filter(onCommonDate),
+        perVehicleData: set.perVehicleData ? set.perVehicleData.filter(onCommonDate) : null
+    }));
+
+    const pointKey = point => point.datetime ? point.datetime.getTime() : point.date;
+    const statsFor = (data, perVehicleData, studyMeta, speedLimit, extractedPercentiles = null) =>
+        calculateReportStatistics(data, extractedPercentiles, perVehicleData, {
+            factors,
+            studyType: studyMeta?.study_type
+        }, speedLimit);
+
+    // Two-way rows; per-vehicle percentiles only when every direction has them
+    const allData = trimmed.flatMap(set => set.data);
+    const allVehicles = trimmed.every(set => set.perVehicleData) ? trimmed.flatMap(set => set.perVehicleData) : null;
+    const limits = [...new Set(trimmed.map(set => set.studyMeta?.speed_limit || null))];
+    const twoWayLimit = limits.length === 1 ? limits[0] : null;
+
+    const twoWayPoints = aggregateTimeSeries(allData, timeAgg, { perVehicleData: allVehicles, finestMinutes });
+    const twoWay = {
+        // Volumes from days complete in every direction, not from the pooled rows
+        stats: {
+            ...statsFor(allData, allVehicles, trimmed[0].studyMeta, twoWayLimit),
+            ...calculateCombinedVolumeStats(trimmed.map(set => set.data), factors, trimmed[0].studyMeta?.study_type)
+        },
+        hourly: aggregateBy24Hour(allData, allVehicles, twoWayLimit),
+        points: twoWayPoints
+    };
+    if (twoWay.stats.peakHours) {
+        twoWay.stats.peakHours.directional = calculateDirectionalSplit(trimmed.map(set => ({
+            direction: set.studyMeta?.direction,
+            data: set.data,
+            perVehicleData: set.perVehicleData
+        })));
+    }
+
+    const directions = trimmed.map(set => {
+        const speedLimit = set.studyMeta?.speed_limit || null;
+        const byKey = new Map(aggregateTimeSeries(set.data, timeAgg, {
+            extractedPercentiles: set.extractedPercentiles || null,
+            perVehicleData: set.perVehicleData,
+            finestMinutes
+        }).map(point => [pointKey(point), point]));
+
+        return {
+            direction: set.studyMeta?.direction || 'Unknown',
+            studyMeta: set.studyMeta,
+            stats: statsFor(set.data, set.perVehicleData, set.studyMeta, speedLimit, set.extractedPercentiles || null),
+            hourly: aggregateBy24Hour(set.data, set.perVehicleData, speedLimit),
+            points: twoWayPoints.map(point => byKey.get(pointKey(point)) || null)
+        };
+    });
+
+    return {
+        days,
+        droppedDays: allDates.size - days.length,
+        labels: twoWayPoints.map(point => point.label),
+        directions,
+        twoWay,
+        split: calculateVolumeSplit(directions.map((d, i) => ({ direction: d.direction, data: trimmed[i].data })))
+    };
+}
@@ -0,0 +1,237 @@
+/**
+ * Peak hour analysis: AM/PM peak hours, peak hour factor (PHF),
+ * K-factor and directional split (D-factor)
+ */
+
+import { getDateKey, formatTimeOfDay } from './dateUtils.js';
+import { detectIntervalMinutes, calculateADT } from './volume.js';
+
+const SLOT_MINUTES = 15;
+const SLOTS_PER_DAY = 96;
+const SLOTS_PER_HOUR = 4;
+const NOON_SLOT = 48;
+
+/**
+ * Bin volumes into 15-minute slots for each day.
+ * Per-vehicle records are counted directly; interval data is used at its own
+ * resolution when it divides evenly into 15 minutes, otherwise by clock hour.
+ * @param {Array} data - Clean data rows
+ * @param {Array|null} perVehicleData - Optional per-vehicle records
+ * @returns {{resolution: number, days: Map<string, {slots: number[], first: number, last: number}>}}
+ */
+function buildDailySlots(data, perVehicleData) {
+    const usePerVehicle = perVehicleData && perVehicleData.length > 0;
+    const interval = usePerVehicle ? SLOT_MINUTES : detectIntervalMinutes(data);
+    const resolution = interval <= SLOT_MINUTES && SLOT_MINUTES % interval === 0 ? SLOT_MINUTES : 60;
+    const days = new Map();
+
+    const addVolume = (datetime, volume) => {
+        const dt = new Date(datetime);
+        const dateKey = getDateKey(dt);
+        if (!days.has(dateKey)) {
+            days.set(dateKey, { slots: new Array(SLOTS_PER_DAY).fill(0), first: SLOTS_PER_DAY, last: -1 });
+        }
+
+        const day = days.get(dateKey);
+        const minutes = dt.getHours() * 60 + dt.getMinutes();
+        const slot = resolution === SLOT_MINUTES
+            ? Math.floor(minutes / SLOT_MINUTES)
+            : dt.getHours() * SLOTS_PER_HOUR;
+        const lastSlot = resolution === SLOT_MINUTES ? slot : slot + SLOTS_PER_HOUR - 1;
+
+        day.slots[slot] += volume;
+        day.first = Math.min(day.first, slot);
+        day.last = Math.max(day.last, lastSlot);
+    };
+
+    if (usePerVehicle) {
+        perVehicleData.forEach(v => { if (v.datetime) addVolume(v.datetime, 1); });
+    } else {
+        (data || []).forEach(row => { if (row.datetime) addVolume(row.datetime, row.vehicles || 0); });
+    }
+
+    return { resolution, days };
+}
+
+/**
+ * Average the daily slot volumes into a single average-day profile.
+ * Each slot is averaged over the days whose recorded span covers it, so
+ * partial first/last days do not pull the profile down.
+ * @param {Map} days - Output of buildDailySlots().days
+ * @returns {{slots: number[], first: number, last: number}}
+ */
+function averageDaySlots(days) {
+    const sums = new Array(SLOTS_PER_DAY).fill(0);
+    const counts = new Array(SLOTS_PER_DAY).fill(0);
+
+    for (const day of days.values()) {
+        for (let s = day.first; s <= day.last; s++) {
+            sums[s] += day.slots[s];
+            counts[s]++;
+        }
+    }
+
+    const slots = sums.map((total, s) => counts[s] > 0 ? total / counts[s] : 0);
+    const covered = counts.map((c, s) => c > 0 ? s : null).filter(s => s !== null);
+
+    return {
+        slots,
+        first: covered.length > 0 ? covered[0] : SLOTS_PER_DAY,
+        last: covered.length > 0 ? covered[covered.length - 1] : -1
+    };
+}
+
+/**
+ * Collapse 15-minute slots onto clock hours (all volume in the first slot of each hour)
+ * @param {{slots: number[], first: number, last: number}} profile
+ * @returns {{slots: number[], first: number, last: number}}
+ */
+function toHourlySlots(profile) {
+    const slots = new Array(SLOTS_PER_DAY).fill(0);
+    profile.slots.forEach((volume, s) => { slots[s - (s % SLOTS_PER_HOUR)] += volume; });
+    return {
+        slots,
+        first: profile.first - (profile.first % SLOTS_PER_HOUR),
+        last: profile.last - (profile.last % SLOTS_PER_HOUR) + SLOTS_PER_HOUR - 1
+    };
+}
+
+/**
+ * Find the highest-volume 60-minute window starting within [fromSlot, toSlot)
+ * @param {{slots: number[], first: number, last: number}} profile
+ * @param {number} resolution - Slot resolution in minutes (15 or 60)
+ * @param {number} fromSlot
+ * @param {number} toSlot
+ * @returns {Object|null} Peak hour {start, end, label, volume, phf}, or null if no traffic
+ */
+function findPeakHour(profile, resolution, fromSlot, toSlot) {
+    const step = resolution / SLOT_MINUTES;
+    let best = null;
+
+    for (let start = fromSlot; start < toSlot; start += step) {
+        const end = start + SLOTS_PER_HOUR - 1;
+        // Only consider windows fully inside the recorded span
+        if (start < profile.first || end > profile.last || end >= SLOTS_PER_DAY) continue;
+
+        const quarters = profile.slots.slice(start, end + 1);
+        const volume = quarters.reduce((a, b) => a + b, 0);
+        if (volume > 0 && (!best || volume > best.volume)) {
+            best = { startSlot: start, volume, maxQuarter: Math.max(...quarters) };
+        }
+    }
+
+    if (!best) return null;
+
+    const startMinutes = best.startSlot * SLOT_MINUTES;
+    return {
+        start: startMinutes,
+        end: startMinutes + 60,
+        label: `${formatTimeOfDay(startMinutes)} - ${formatTimeOfDay(startMinutes + 60)}`,
+        volume: best.volume,
+        // PHF needs true 15-minute counts
+        phf: resolution === SLOT_MINUTES && best.maxQuarter > 0
+            ? best.volume / (SLOTS_PER_HOUR * best.maxQuarter)
+            : null
+    };
+}
+
+/**
+ * Find AM/PM peaks and K-factor for a single profile
+ * @param {{slots: number[], first: number, last: number}} profile
+ * @param {number} resolution
+ * @returns {{total: number, am: Object|null, pm: Object|null, kFactor: number|null}}
+ */
+function analyzeProfile(profile, resolution) {
+    const total = profile.slots.reduce((a, b) => a + b, 0);
+    const am = findPeakHour(profile, resolution, 0, NOON_SLOT);
+    const pm = findPeakHour(profile, resolution, NOON_SLOT, SLOTS_PER_DAY);
+    const peakVolume = Math.max(am?.volume || 0, pm?.volume || 0);
+
+    return {
+        total,
+        am,
+        pm,
+        kFactor: total > 0 && peakVolume > 0 ? (peakVolume / total) * 100 : null
+    };
+}
+
+/**
+ * Calculate AM/PM peak hours for each day and for the average day of the study.
+ * AM peaks start before noon, PM peaks at or after noon. K-factor is the
+ * higher of the two peak hour volumes as a percentage of daily volume
+ * (ADT from complete days for the study as a whole).
+ * @param {Array} data - Clean data rows (vehicles per interval)
+ * @param {Array|null} perVehicleData - Optional per-vehicle records (enables PHF for hourly studies)
+ * @returns {Object|null} {resolution, days: [{date, total, am, pm, kFactor}], am, pm, adt, kFactor}
+ */
+export function calculatePeakHours(data, perVehicleData = null) {
+    const { resolution, days } = buildDailySlots(data, perVehicleData);
+    if (days.size === 0) return null;
+
+    const dailyResults = Array.from(days.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, day]) => ({ date, ...analyzeProfile(day, resolution) }));
+
+    const study = analyzeProfile(averageDaySlots(days), resolution);
+
+    // K-factor against ADT from complete days, falling back to the average-day total
+    const { adt } = calculateADT(data);
+    const studyAdt = adt !== null ? adt : study.total;
+    const peakVolume = Math.max(study.am?.volume || 0, study.pm?.volume || 0);
+
+    return {
+        resolution,
+        days: dailyResults,
+        am: study.am,
+        pm: study.pm,
+        adt: studyAdt,
+        kFactor: studyAdt > 0 && peakVolume > 0 ? (peakVolume / studyAdt) * 100 : null
+    };
+}
+
+/**
+ * Calculate the directional split (D-factor) for linked studies.
+ * Peaks are found on the combined two-way average day; the D-factor is the
+ * share of the two-way peak hour volume carried by the heavier direction.
+ * @param {Array} directionalSets - [{direction, data, perVehicleData}] one per linked study
+ * @returns {Object|null} {am, pm} each with {label, volume, directions: [{direction, volume, pct}], dFactor, peakDirection}
+ */
+export function calculateDirectionalSplit(directionalSets) {
+    if (!directionalSets || directionalSets.length < 2) return null;
+
+    const built = directionalSets.map(set => {
+        const { resolution, days } = buildDailySlots(set.data, set.perVehicleData);
+        return { direction: set.direction || 'Unknown', resolution, profile: averageDaySlots(days) };
+    }).filter(b => b.profile.last >= 0);
+
+    if (built.length < 2) return null;
+
+    // Mixed resolutions are compared by clock hour
+    const resolution = Math.max(...built.map(b => b.resolution));
+    built.forEach(b => {
+        if (b.resolution !== resolution) b.profile = toHourlySlots(b.profile);
+    });
+
+    const twoWay = {
+        slots: new Array(SLOTS_PER_DAY).fill(0),
+        first: Math.max(...built.map(b => b.profile.first)),
+        last: Math.min(...built.map(b => b.profile.last))
+    };
+    built.forEach(b => b.profile.slots.forEach((v, s) => { twoWay.slots[s] += v; }));
+
+    const splitPeak = (peak) => {
+        if (!peak) return null;
+        const startSlot = peak.start / SLOT_MINUTES;
+        const directions = built.map(b => {
+            const volume = b.profile.slots
+                .slice(startSlot, startSlot + SLOTS_PER_HOUR)
+                .reduce((a, c) => a + c, 0);
+            return { direction: b.direction, volume, pct: (volume / peak.volume) * 100 };
+        });
+        const heaviest = directions.reduce((a, b) => (b.volume > a.volume ? b : a));
+        return { ...peak, directions, dFactor: heaviest.pct, peakDirection: heaviest.direction };
+    };
+
+    const { am, pm } = analyzeProfile(twoWay, resolution);
+    return { resolution, am: splitPeak(am), pm: splitPeak(pm) };
+}
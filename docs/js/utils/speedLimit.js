@@ -0,0 +1,215 @@
+/**
+ * Time-of-day speed limits (school zones): the limit in effect at a moment,
+ * and violators recounted against it
+ */
+
+import { getDateKey } from './dateUtils.js';
+import { estimateVehiclesOver } from './stats.js';
+import { detectIntervalMinutes } from './volume.js';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Whether a schedule window applies on a date (weekday and optional from/to dates)
+ * @param {Object} window - Normalized window from the speedLimitSchedules service
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function appliesOn(window, date) {
+    if (!window.days.includes(date.getDay())) return false;
+    const dateKey = getDateKey(date);
+    if (window.from && dateKey < window.from) return false;
+    if (window.to && dateKey > window.to) return false;
+    return true;
+}
+
+/**
+ * Speed limit in effect at a moment. Overlapping windows use the lowest limit.
+ * @param {Date|string} datetime
+ * @param {number} baseLimit - Posted limit from study_index.csv
+ * @param {Array} schedule - Normalized windows [{limit, startMinute, endMinute, days, from, to}]
+ * @returns {number}
+ */
+export function getSpeedLimitAt(datetime, baseLimit, schedule = []) {
+    if (!schedule || schedule.length === 0) return baseLimit;
+
+    const dt = new Date(datetime);
+    const minute = dt.getHours() * 60 + dt.getMinutes();
+    let limit = null;
+    for (const window of schedule) {
+        if (minute >= window.startMinute && minute < window.endMinute && appliesOn(window, dt)) {
+            limit = limit === null ? window.limit : Math.min(limit, window.limit);
+        }
+    }
+    return limit ?? baseLimit;
+}
+
+/**
+ * Split a period into the speed limits in effect during it.
+ * The period is clipped to the end of its starting day.
+ * @param {Date|string} start
+ * @param {number} minutes - Period length
+ * @param {number} baseLimit
+ * @param {Array} schedule
+ * @returns {Array} [{limit, fraction}] in time order, fractions summing to 1
+ */
+export function getLimitSegments(start, minutes, baseLimit, schedule = []) {
+    const dt = new Date(start);
+    const from = dt.getHours() * 60 + dt.getMinutes();
+    const to = Math.min(from + minutes, 1440);
+    if (!schedule || schedule.length === 0 || to <= from) return [{ limit: baseLimit, fraction: 1 }];
+
+    // Window edges inside the period, where the limit can change
+    const edges = new Set([from, to]);
+    for (const window of schedule) {
+        if (!appliesOn(window, dt)) continue;
+        [window.startMinute, window.endMinute].forEach(m => {
+            if (m > from && m < to) edges.add(m);
+        });
+    }
+    const sorted = [...edges].sort((a, b) => a - b);
+
+    const segments = [];
+    for (let i = 0; i < sorted.length - 1; i++) {
+        const at = new Date(dt.getFullYear(), dt.getMonth(), dt.getDate(), 0, sorted[i]);
+        const limit = getSpeedLimitAt(at, baseLimit, schedule);
+        const fraction = (sorted[i + 1] - sorted[i]) / (to - from);
+        const last = segments[segments.length - 1];
+        if (last && last.limit === limit) {
+            last.fraction += fraction;
+        } else {
+            segments.push({ limit, fraction });
+        }
+    }
+    return segments;
+}
+
+/**
+ * Lowest speed limit in effect at any time in a period (for chart reference lines)
+ * @param {Date|string} start
+ * @param {number} minutes
+ * @param {number} baseLimit
+ * @param {Array} schedule
+ * @returns {number}
+ */
+export function getPeriodSpeedLimit(start, minutes, baseLimit, schedule = []) {
+    return Math.min(...getLimitSegments(start, minutes, baseLimit, schedule).map(s => s.limit));
+}
+
+/**
+ * Reference-line limit for each point of an aggregated chart series:
+ * interval points use their interval, daily points their whole day.
+ * @param {Array} data - Output of aggregateByInterval() or aggregateDaily()
+ * @param {number} baseLimit
+ * @param {Array} schedule
+ * @returns {number[]}
+ */
+export function getSeriesSpeedLimits(data, baseLimit, schedule = []) {
+    return data.map(d => d.datetime
+        ? getPeriodSpeedLimit(d.datetime, d.minutes || 60, baseLimit, schedule)
+        : getPeriodSpeedLimit(new Date(d.date + 'T00:00:00'), 1440, baseLimit, schedule));
+}
+
+/**
+ * Recount violators of interval rows that overlap a schedule window.
+ * With per-vehicle records each vehicle is compared to the limit at its own time.
+ * Otherwise the interval is split by the time under each limit: the posted-limit
+ * share keeps the recorded violators, and the scheduled share is estimated from the
+ * interval's speeds (see estimateVehiclesOver).
+ * Rows already counted per vehicle (they carry speed_limit) are left alone.
+ * @param {Array} rows - Clean data rows
+ * @param {Array|null} perVehicleData - Optional per-vehicle records
+ * @param {number} baseLimit - Posted limit from study_index.csv
+ * @param {Array} schedule - Normalized windows
+ * @returns {Array} Rows; recounted rows are copies with violators, pct_speeders,
+ *          speed_limit (lowest limit applied) and violators_estimated set
+ */
+export function applySpeedLimitSchedule(rows, perVehicleData, baseLimit, schedule = []) {
+    if (!schedule || schedule.length === 0 || !rows || rows.length === 0) return rows;
+
+    const interval = detectIntervalMinutes(rows);
+
+    // Per-vehicle records grouped by the start of the interval they fall in
+    const vehiclesByInterval = new Map();
+    for (const v of perVehicleData || []) {
+        const dt = new Date(v.datetime);
+        const minute = Math.floor((dt.getHours() * 60 + dt.getMinutes()) / interval) * interval;
+        const key = new Date(dt.getFullYear(), dt.getMonth(), dt.getDate(), 0, minute).getTime();
+        if (!vehiclesByInterval.has(key)) vehiclesByInterval.set(key, []);
+        vehiclesByInterval.get(key).push(v);
+    }
+
+    return rows.map(row => {
+        if (!row.datetime || row.violators === undefined || row.speed_limit !== undefined) return row;
+
+        const segments = getLimitSegments(row.datetime, interval, baseLimit, schedule);
+        if (segments.length === 1 && segments[0].limit === baseLimit) return row;
+
+        const vehicles = vehiclesByInterval.get(new Date(row.datetime).getTime());
+        let violators;
+        let estimated = false;
+
+        if (vehicles && vehicles.length > 0) {
+            violators = vehicles.filter(v => v.speed > getSpeedLimitAt(v.datetime, baseLimit, schedule)).length;
+        } else {
+            estimated = true;
+            violators = Math.round(segments.reduce((sum, s) => sum + (s.limit === baseLimit
+                ? s.fraction * row.violators
+                : s.fraction * estimateVehiclesOver(row.vehicles, row.avg_speed, row.p85, s.limit)), 0));
+        }
+
+        return {
+            ...row,
+            violators,
+            pct_speeders: row.vehicles > 0 ? (violators / row.vehicles) * 100 : 0,
+            speed_limit: Math.min(...segments.map(s => s.limit)),
+            violators_estimated: estimated
+        };
+    });
+}
+
+/**
+ * Format a time of day in minutes as "7:00" or "14:30"
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatClock(minutes) {
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Describe a set of weekdays, e.g. "weekdays", "Sat-Sun", "Mon, Wed"
+ * @param {number[]} days - Date.getDay() numbers
+ * @returns {string}
+ */
+function formatDays(days) {
+    const key = [...days].sort().join('');
+    if (key === '0123456') return 'daily';
+    if (key === '12345') return 'weekdays';
+    if (key === '06') return 'weekends';
+    return [...days].sort().map(d => DAY_NAMES[d]).join(', ');
+}
+
+/**
+ * One-line summary of a schedule for headers and footnotes,
+ * e.g. "15 mph 7:00-8:30, 14:30-16:00 weekdays"
+ * @param {Array} schedule - Normalized windows
+ * @returns {string} Empty without windows
+ */
+export function formatSpeedSchedule(schedule) {
+    if (!schedule || schedule.length === 0) return '';
+
+    // Group windows that share a limit, days and date range
+    const groups = new Map();
+    for (const w of schedule) {
+        const key = `${w.limit}|${[...w.days].sort().join('')}|${w.from || ''}|${w.to || ''}`;
+        if (!groups.has(key)) groups.set(key, { ...w, times: [] });
+        groups.get(key).times.push(`${formatClock(w.startMinute)}-${formatClock(w.endMinute)}`);
+    }
+
+    return [...groups.values()].map(g => {
+        let text = `${g.limit} mph ${g.times.join(', ')} ${formatDays(g.days)}`;
+        if (g.from || g.to) text += ` (${g.from || '...'} to ${g.to || '...'})`;
+        return text;
+    }).join('; ');
+}
@@ -2,7 +2,10 @@
  * Statistical calculation utilities
  */
 
-import { getDateKey, getHour, formatChartDate, formatHour } from './dateUtils.js';
+import { getDateKey, getHour, formatChartDate, formatHour, formatTimeOfDay } from './dateUtils.js';
+import { TIME_AGGREGATIONS, COMPLIANCE_TIER_SOURCES } from '../config.js';
+import { calculatePeakHours } from './peakHour.js';
+import { calculateVolumeStats } from './volume.js';
 
 /**
  * Calculate the 85th percentile of an array of numbers
@@ -10,13 +13,80 @@ import { getDateKey, getHour, formatChartDate, formatHour } from './dateUtils.js
  * @returns {number}
  */
 export function calculate85thPercentile(values) {
+    return calculatePercentile(values, 85);
+}
+
+/**
+ * Calculate a percentile of an array of numbers (nearest-rank method)
+ * @param {number[]} values
+ * @param {number} percentile - Percentile between 0 and 100
+ * @returns {number}
+ */
+export function calculatePercentile(values, percentile) {
     if (!values || values.length === 0) return 0;
 
     const sorted = [...values].sort((a, b) => a - b);
-    const index = Math.ceil(0.85 * sorted.length) - 1;
+    const index = Math.ceil((percentile / 100) * sorted.length) - 1;
     return sorted[Math.max(0, index)];
 }
 
+/**
+ * Percentiles reported for per-vehicle speed data
+ */
+export const SPEED_PERCENTILES = [10, 15, 50, 85, 95];
+
+/**
+ * Calculate the standard speed percentiles from individual vehicle speeds
+ * @param {number[]} speeds - Array of individual vehicle speeds
+ * @returns {Object|null} {p10, p15, p50, p85, p95} or null if there are no speeds
+ */
+export function calculateSpeedPercentiles(speeds) {
+    if (!speeds || speeds.length === 0) return null;
+
+    const sorted = [...speeds].sort((a, b) => a - b);
+    const result = {};
+    for (const percentile of SPEED_PERCENTILES) {
+        const index = Math.ceil((percentile / 100) * sorted.length) - 1;
+        result[`p${percentile}`] = sorted[Math.max(0, index)];
+    }
+    return result;
+}
+
+/**
+ * Group per-vehicle speeds by a period key
+ * @param {Array} perVehicleData - Per-vehicle records with datetime and speed
+ * @param {Function} keyFn - Maps a record datetime to a grouping key
+ * @param {Function} pick - What to collect for each vehicle (its speed by default)
+ * @returns {Map<string, Array>} Period key -> speeds (or picked values)
+ */
+function groupVehicleSpeeds(perVehicleData, keyFn, pick = vehicle => vehicle.speed) {
+    const groups = new Map();
+    if (!perVehicleData) return groups;
+
+    for (const vehicle of perVehicleData) {
+        if (!vehicle.datetime || !(vehicle.speed > 0)) continue;
+        const key = keyFn(vehicle.datetime);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(pick(vehicle));
+    }
+
+    return groups;
+}
+
+/**
+ * Get interval key for grouping (YYYY-MM-DD-HH:MM of the interval start), matching aggregateByInterval()
+ * @param {Date} date
+ * @param {number} minutes - Interval length
+ * @returns {string}
+ */
+function getIntervalKey(date, minutes) {
+    const d = new Date(date);
+    const start = Math.floor(d.getMinutes() / minutes) * minutes;
+    return `${getDateKey(d)}-${String(d.getHours()).padStart(2, '0')}:${String(start).padStart(2, '0')}`;
+}
+
 /**
  * Calculate sum of array
  * @param {number[]} values
@@ -46,14 +116,185 @@ export function max(values) {
     return Math.max(...values);
 }
 
+// 1 mph bins for merging interval speed distributions
+const MERGE_BINS = Array.from({ length: 100 }, (_, i) => ({
+    min: i,
+    max: i === 99 ? Infinity : i + 1,
+    label: String(i)
+}));
+
+// Standard normal z-score of the 85th percentile
+const Z_85 = 1.0364;
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+ * @param {number} z
+ * @returns {number}
+ */
+export function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-(z * z) / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Add one interval's vehicles to 1 mph bin counts.
+ * With a known 85th percentile the interval is spread as a normal distribution
+ * around its average speed; otherwise all its vehicles go in the average's bin.
+ * @param {number[]} counts - Bin counts (MERGE_BINS), updated in place
+ * @param {number} vehicles
+ * @param {number} avgSpeed
+ * @param {number|null} p85
+ */
+function addIntervalToBins(counts, vehicles, avgSpeed, p85) {
+    const sd = p85 && p85 > avgSpeed ? (p85 - avgSpeed) / Z_85 : 0;
+    if (sd === 0) {
+        counts[Math.min(Math.floor(avgSpeed), counts.length - 1)] += vehicles;
+        return;
+    }
+    MERGE_BINS.forEach((bin, i) => {
+        const lower = i === 0 ? 0 : normalCdf((bin.min - avgSpeed) / sd);
+        const upper = bin.max === Infinity ? 1 : normalCdf((bin.max - avgSpeed) / sd);
+        counts[i] += vehicles * (upper - lower);
+    });
+}
+
+/**
+ * Volume-weighted mean of 85th percentiles
+ * @param {Array} items - [{p85, vehicles}]
+ * @returns {number}
+ */
+function weightP85(items) {
+    const vehicles = items.reduce((sum, item) => sum + item.vehicles, 0);
+    return items.reduce((sum, item) => sum + item.p85 * item.vehicles, 0) / vehicles;
+}
+
+/**
+ * 85th percentile of many intervals from the best measured values they have:
+ * the counter's own speed bins when every interval has them, then the device's
+ * daily 85th percentiles, then each interval's 85th percentile (read from its
+ * bins where it has no p85 column). Daily and interval values are weighted by
+ * volume. Rows with only an average speed are counted in that speed's bin.
+ * @param {Array} rows - Clean data rows with vehicles, avg_speed and optional p85 / speed_bins
+ * @param {Object|null} extractedPercentiles - Optional dict of date -> {p50, p85} from raw file
+ * @returns {Object|null} {p85, p85_source, p85_method}, or null without speed data
+ */
+function mergeIntervalP85(rows, extractedPercentiles) {
+    const speedRows = (rows || []).filter(row => row.vehicles > 0 && (row.speed_bins || row.avg_speed > 0 || row.p85 > 0));
+
+    if (speedRows.length === 0) {
+        // No volumes to weight by - fall back to the spread of interval averages
+        const avgSpeeds = (rows || []).map(row => row.avg_speed).filter(v => v > 0);
+        return avgSpeeds.length > 0
+            ? { p85: calculate85thPercentile(avgSpeeds), p85_source: 'estimated', p85_method: 'unweighted' }
+            : null;
+    }
+
+    if (speedRows.every(row => row.speed_bins)) {
+        const counts = new Array(MERGE_BINS.length).fill(0);
+        speedRows.forEach(row => addDeviceBins(counts, row.speed_bins, MERGE_BINS));
+        return { p85: calculate85thFromBins(counts, MERGE_BINS), p85_source: 'device-bins', p85_method: 'binned' };
+    }
+
+    if (extractedPercentiles) {
+        const days = new Map();
+        for (const row of speedRows) {
+            const date = getDateKey(row.datetime);
+            days.set(date, (days.get(date) || 0) + row.vehicles);
+        }
+        const daily = [...days].map(([date, vehicles]) => ({ p85: extractedPercentiles[date]?.p85, vehicles }));
+        if (daily.every(day => day.p85 > 0)) {
+            return { p85: weightP85(daily), p85_source: 'device', p85_method: 'weighted' };
+        }
+    }
+
+    if (speedRows.some(row => row.p85 > 0)) {
+        const binnedP85 = speedBins => {
+            const counts = new Array(MERGE_BINS.length).fill(0);
+            addDeviceBins(counts, speedBins, MERGE_BINS);
+            return calculate85thFromBins(counts, MERGE_BINS);
+        };
+        const measured = speedRows
+            .map(row => ({ p85: row.p85 > 0 ? row.p85 : row.speed_bins ? binnedP85(row.speed_bins) : null, vehicles: row.vehicles }))
+            .filter(row => row.p85 > 0);
+        return { p85: weightP85(measured), p85_source: 'interval', p85_method: 'weighted' };
+    }
+
+    // Average speeds only: each interval's vehicles go in the bin of its average
+    const { counts, source } = spreadIntervalRows(speedRows);
+    return { p85: calculate85thFromBins(counts, MERGE_BINS), p85_source: source, p85_method: 'binned' };
+}
+
+/**
+ * Pick the most accurate percentile source available for one period
+ * @param {number[]|undefined} vehicleSpeeds - Individual vehicle speeds in the period
+ * @param {Object|null} extracted - Device-calculated {p50, p85} for the period
+ * @param {Array} rows - Clean data rows in the period
+ * @returns {Object} {p85, p85_source} plus p10/p15/p50/p95 when per-vehicle speeds exist
+ */
+function resolvePercentiles(vehicleSpeeds, extracted, rows) {
+    // First choice: True percentiles from individual vehicle speeds
+    const vehiclePercentiles = calculateSpeedPercentiles(vehicleSpeeds);
+    if (vehiclePercentiles) {
+        return { ...vehiclePercentiles, p85_source: 'per-vehicle' };
+    }
+    // Second choice: Directly extracted percentile from raw file (radar firmware calculated)
+    if (extracted && extracted.p85) {
+        return { p85: extracted.p85, p85_source: 'device' };
+    }
+    // Otherwise combine the measured interval values within the period
+    const merged = mergeIntervalP85(rows, null);
+    return merged
+        ? { p85: merged.p85, p85_source: merged.p85_source }
+        : { p85: null, p85_source: null };
+}
+
+/**
+ * Whole-period 85th percentile (and other percentiles with per-vehicle data),
+ * from the counter's bins or volume-weighted measured values (see mergeIntervalP85()).
+ * @param {Array} data - Clean data rows for the period
+ * @param {Array|null} perVehicleData - Optional per-vehicle records
+ * @param {Object|null} extractedPercentiles - Optional dict of date -> {p50, p85} from raw file
+ * @returns {{p85: number|null, p85Source: string|null, p85Method: string|null, percentiles: Object|null}}
+ */
+export function calculatePeriodPercentiles(data, perVehicleData = null, extractedPercentiles = null) {
+    // First choice: pool every vehicle speed in the period
+    if (perVehicleData && perVehicleData.length > 0) {
+        const percentiles = calculateSpeedPercentiles(perVehicleData.map(v => v.speed).filter(s => s > 0));
+        if (percentiles) {
+            return { p85: percentiles.p85, p85Source: 'per-vehicle', p85Method: 'pooled', percentiles };
+        }
+    }
+
+    // A single day with a device value needs no merging
+    const dates = new Set(data.filter(row => row.datetime).map(row => getDateKey(row.datetime)));
+    if (dates.size === 1 && extractedPercentiles) {
+        const device = extractedPercentiles[[...dates][0]]?.p85;
+        if (device) {
+            return { p85: device, p85Source: 'device', p85Method: 'single-period', percentiles: null };
+        }
+    }
+
+    // Otherwise combine the measured values across the whole period (see mergeIntervalP85())
+    const merged = mergeIntervalP85(data, extractedPercentiles);
+    if (!merged) return { p85: null, p85Source: null, p85Method: null, percentiles: null };
+
+    return { p85: merged.p85, p85Source: merged.p85_source, p85Method: merged.p85_method, percentiles: null };
+}
+
 /**
  * Aggregate data by day
  * @param {Array} data - Array of data rows with datetime field
  * @param {Object} extractedPercentiles - Optional dict of date -> {p50, p85} from raw file
+ * @param {Array} perVehicleData - Optional per-vehicle records for true percentiles
+ * @param {number|null} speedLimit - When set, each day also gets compliance tiers
  * @returns {Array} Aggregated data by date
  */
-export function aggregateDaily(data, extractedPercentiles = null) {
+export function aggregateDaily(data, extractedPercentiles = null, perVehicleData = null, speedLimit = null) {
     const grouped = new Map();
+    const vehicleSpeeds = groupVehicleSpeeds(perVehicleData, getDateKey);
+    const vehicleRecords = groupVehicleSpeeds(perVehicleData, getDateKey, vehicle => vehicle);
 
     // Track min and max dates to fill gaps
     let minDate = null;
@@ -77,28 +318,22 @@ export function aggregateDaily(data, extractedPercentiles = null) {
                 violators: 0,
                 sum_speeds: 0,
                 peak_speed: 0,
-                speeds: [],
-                p85_values: []
+                rows: []
             });
         }
 
         const agg = grouped.get(key);
         agg.vehicles += row.vehicles || 0;
         agg.violators += row.violators || 0;
+        agg.rows.push(row);
 
         if (row.avg_speed) {
             agg.sum_speeds += (row.avg_speed * (row.vehicles || 1));
-            agg.speeds.push(row.avg_speed);
         }
 
         if (row.peak_speed) {
             agg.peak_speed = Math.max(agg.peak_speed, row.peak_speed);
         }
-
-        // Collect p85 if directly available, otherwise use avg_speed for estimation
-        if (row.p85 && row.p85 > 0) {
-            agg.p85_values.push(row.p85);
-        }
     }
 
     // Fill in missing days between min and max
@@ -114,8 +349,7 @@ export function aggregateDaily(data, extractedPercentiles = null) {
                     violators: 0,
                     sum_speeds: 0,
                     peak_speed: 0,
-                    speeds: [],
-                    p85_values: []
+                    rows: []
                 });
             }
             current.setDate(current.getDate() + 1);
@@ -125,21 +359,11 @@ export function aggregateDaily(data, extractedPercentiles = null) {
     // Calculate derived values
     const results = [];
     for (const agg of grouped.values()) {
-        // Calculate p85: prioritize extracted values from raw file (most accurate)
-        let p85Value = null;
-
-        // First choice: Use directly extracted percentile from raw file (radar firmware calculated)
-        if (extractedPercentiles && extractedPercentiles[agg.date]) {
-            p85Value = extractedPercentiles[agg.date].p85 || null;
-        }
-        // Second choice: Use pre-calculated p85 from clean data if available
-        if (p85Value === null && agg.p85_values.length > 0) {
-            p85Value = average(agg.p85_values);
-        }
-        // Last resort: Estimate from interval averages (less accurate)
-        if (p85Value === null && agg.speeds.length > 0) {
-            p85Value = calculate85thPercentile(agg.speeds);
-        }
+        const percentiles = resolvePercentiles(
+            vehicleSpeeds.get(agg.date),
+            extractedPercentiles ? extractedPercentiles[agg.date] : null,
+            agg.rows
+        );
 
         results.push({
             date: agg.date,
@@ -150,7 +374,8 @@ export function aggregateDaily(data, extractedPercentiles = null) {
             pct_speeders: agg.vehicles > 0 ? (agg.violators / agg.vehicles) * 100 : null,
             avg_speed: agg.vehicles > 0 ? agg.sum_speeds / agg.vehicles : null,
             peak_speed: agg.peak_speed || null,
-            p85: p85Value
+            ...percentiles,
+            compliance: speedLimit ? calculateComplianceTiers(agg.rows, vehicleRecords.get(agg.date), speedLimit, extractedPercentiles) : null
         });
     }
 
@@ -164,91 +389,93 @@ export function aggregateDaily(data, extractedPercentiles = null) {
  * Aggregate data by hour (chronological - each hour gets its own entry with date)
  * @param {Array} data - Array of data rows with datetime field
  * @param {Object} extractedPercentiles - Optional dict of date -> {p50, p85} from raw file
+ * @param {Array} perVehicleData - Optional per-vehicle records for true percentiles
+ * @param {number|null} speedLimit - When set, each hour also gets compliance tiers
  * @returns {Array} Aggregated data by chronological hour
  */
-export function aggregateHourly(data, extractedPercentiles = null) {
+export function aggregateHourly(data, extractedPercentiles = null, perVehicleData = null, speedLimit = null) {
+    return aggregateByInterval(data, 60, extractedPercentiles, perVehicleData, speedLimit);
+}
+
+/**
+ * Aggregate data into fixed chronological intervals (each interval gets its own entry with date).
+ * Rows are rolled up into the interval they start in, so data recorded at a coarser
+ * interval than requested leaves the in-between intervals empty; see getSeriesInterval().
+ * @param {Array} data - Array of data rows with datetime field
+ * @param {number} minutes - Interval length; divides an hour (5, 15, 30 or 60)
+ * @param {Object} extractedPercentiles - Optional dict of date -> {p50, p85} from raw file
+ * @param {Array} perVehicleData - Optional per-vehicle records for true percentiles
+ * @param {number|null} speedLimit - When set, each interval also gets compliance tiers
+ * @returns {Array} Aggregated data by chronological interval, each with minutes set
+ */
+export function aggregateByInterval(data, minutes, extractedPercentiles = null, perVehicleData = null, speedLimit = null) {
     const grouped = new Map();
+    const vehicleSpeeds = groupVehicleSpeeds(perVehicleData, date => getIntervalKey(date, minutes));
+    const vehicleRecords = groupVehicleSpeeds(perVehicleData, date => getIntervalKey(date, minutes), vehicle => vehicle);
 
-    // Track min and max dates (not hours) to fill all 24 hours per day
+    // Track min and max dates (not intervals) to fill every interval of each day
     let minDate = null;
     let maxDate = null;
 
-    // Helper to create label for an hour (date on line 1, time on line 2)
-    const createLabel = (dt, hour) => {
-        const hour12 = hour === 0 ? 12 : hour > 12 ? hour - 12 : hour;
-        const ampm = hour < 12 ? 'AM' : 'PM';
-        return [`${dt.getMonth() + 1}/${dt.getDate()}`, `${hour12} ${ampm}`];
+    // Helper to create label for an interval (date on line 1, time on line 2)
+    const createLabel = (dt) => {
+        const hour = dt.getHours();
+        const time = minutes === 60 ? formatHour(hour) : formatTimeOfDay(hour * 60 + dt.getMinutes());
+        return [`${dt.getMonth() + 1}/${dt.getDate()}`, time];
     };
 
+    const createEntry = (datetime) => ({
+        datetime,
+        label: createLabel(datetime),
+        vehicles: 0,
+        violators: 0,
+        sum_speeds: 0,
+        peak_speed: 0,
+        count: 0,
+        rows: []
+    });
+
     for (const row of data) {
         if (!row.datetime) continue;
 
         const dt = new Date(row.datetime);
-        // Create key that includes date and hour for chronological ordering
-        const dateStr = `${dt.getFullYear()}-${String(dt.getMonth() + 1).padStart(2, '0')}-${String(dt.getDate()).padStart(2, '0')}`;
-        const hour = dt.getHours();
-        const key = `${dateStr}-${String(hour).padStart(2, '0')}`;
+        // Key includes date and interval start for chronological ordering
+        const key = getIntervalKey(dt, minutes);
 
-        // Track date range (at day precision, not hour)
+        // Track date range (at day precision, not interval)
         const dayDate = new Date(dt.getFullYear(), dt.getMonth(), dt.getDate());
         if (!minDate || dayDate < minDate) minDate = dayDate;
         if (!maxDate || dayDate > maxDate) maxDate = dayDate;
 
         if (!grouped.has(key)) {
-            grouped.set(key, {
-                datetime: new Date(dt.getFullYear(), dt.getMonth(), dt.getDate(), hour),
-                label: createLabel(dt, hour),
-                vehicles: 0,
-                violators: 0,
-                sum_speeds: 0,
-                peak_speed: 0,
-                count: 0,
-                speeds: [],
-                p85_values: []
-            });
+            const start = Math.floor(dt.getMinutes() / minutes) * minutes;
+            grouped.set(key, createEntry(new Date(dt.getFullYear(), dt.getMonth(), dt.getDate(), dt.getHours(), start)));
         }
 
         const agg = grouped.get(key);
         agg.vehicles += row.vehicles || 0;
         agg.violators += row.violators || 0;
         agg.count++;
+        agg.rows.push(row);
 
         if (row.avg_speed) {
             agg.sum_speeds += (row.avg_speed * (row.vehicles || 1));
-            agg.speeds.push(row.avg_speed);
         }
 
         if (row.peak_speed) {
             agg.peak_speed = Math.max(agg.peak_speed, row.peak_speed);
         }
-
-        if (row.p85 && row.p85 > 0) {
-            agg.p85_values.push(row.p85);
-        }
     }
 
-    // Fill in ALL 24 hours for each day from minDate to maxDate
+    // Fill in ALL intervals for each day from minDate to maxDate
     if (minDate && maxDate) {
         const currentDay = new Date(minDate);
         while (currentDay <= maxDate) {
-            // Fill all 24 hours for this day
-            for (let hour = 0; hour < 24; hour++) {
-                const dateStr = `${currentDay.getFullYear()}-${String(currentDay.getMonth() + 1).padStart(2, '0')}-${String(currentDay.getDate()).padStart(2, '0')}`;
-                const key = `${dateStr}-${String(hour).padStart(2, '0')}`;
-
+            for (let offset = 0; offset < 1440; offset += minutes) {
+                const intervalDatetime = new Date(currentDay.getFullYear(), currentDay.getMonth(), currentDay.getDate(), 0, offset);
+                const key = getIntervalKey(intervalDatetime, minutes);
                 if (!grouped.has(key)) {
-                    const hourDatetime = new Date(currentDay.getFullYear(), currentDay.getMonth(), currentDay.getDate(), hour);
-                    grouped.set(key, {
-                        datetime: hourDatetime,
-                        label: createLabel(hourDatetime, hour),
-                        vehicles: 0,
-                        violators: 0,
-                        sum_speeds: 0,
-                        peak_speed: 0,
-                        count: 0,
-                        speeds: [],
-                        p85_values: []
-                    });
+                    grouped.set(key, createEntry(intervalDatetime));
                 }
             }
             currentDay.setDate(currentDay.getDate() + 1);
@@ -262,29 +489,17 @@ export function aggregateHourly(data, extractedPercentiles = null) {
     for (const key of sortedKeys) {
         const agg = grouped.get(key);
 
-        // Get the date portion for looking up extracted percentiles
-        const dt = agg.datetime;
-        const dateKey = `${dt.getFullYear()}-${String(dt.getMonth() + 1).padStart(2, '0')}-${String(dt.getDate()).padStart(2, '0')}`;
-
-        // Calculate p85: prioritize extracted values from raw file
-        let p85Value = null;
-
-        // First choice: Use daily extracted percentile from raw file
-        // Note: For hourly view, we use the daily p85 as a reference (same for all hours in a day)
-        if (extractedPercentiles && extractedPercentiles[dateKey]) {
-            p85Value = extractedPercentiles[dateKey].p85 || null;
-        }
-        // Second choice: Use pre-calculated p85 from clean data
-        if (p85Value === null && agg.p85_values.length > 0) {
-            p85Value = average(agg.p85_values);
-        }
-        // Last resort: Estimate from interval averages
-        if (p85Value === null && agg.speeds.length > 0) {
-            p85Value = calculate85thPercentile(agg.speeds);
-        }
+        // Note: For interval views, a daily extracted p85 is used as a reference (same for all intervals in a day)
+        const dateKey = getDateKey(agg.datetime);
+        const percentiles = resolvePercentiles(
+            vehicleSpeeds.get(key),
+            extractedPercentiles ? extractedPercentiles[dateKey] : null,
+            agg.rows
+        );
 
         results.push({
             datetime: agg.datetime,
+            minutes,
             label: agg.label,
             vehicles: agg.vehicles,
             violators: agg.violators,
@@ -292,28 +507,60 @@ export function aggregateHourly(data, extractedPercentiles = null) {
             pct_speeders: agg.vehicles > 0 ? (agg.violators / agg.vehicles) * 100 : null,
             avg_speed: agg.vehicles > 0 ? agg.sum_speeds / agg.vehicles : null,
             peak_speed: agg.peak_speed || null,
-            p85: p85Value
+            ...percentiles,
+            compliance: speedLimit ? calculateComplianceTiers(agg.rows, vehicleRecords.get(key), speedLimit, extractedPercentiles) : null
         });
     }
 
     return results;
 }
 
+/**
+ * Bucket size for a time aggregation, no finer than the data was recorded at
+ * @param {string} timeAgg - Key of TIME_AGGREGATIONS
+ * @param {number} finestMinutes - Smallest bucket the data supports (studyIndex.getFinestInterval())
+ * @returns {number|null} Minutes, or null for daily
+ */
+export function getSeriesInterval(timeAgg, finestMinutes = 0) {
+    const minutes = TIME_AGGREGATIONS[timeAgg]?.minutes ?? null;
+    return minutes === null ? null : Math.max(minutes, finestMinutes);
+}
+
+/**
+ * Aggregate a time series for a chart: daily, or at the time aggregation's bucket size
+ * @param {Array} data - Array of data rows with datetime field
+ * @param {string} timeAgg - Key of TIME_AGGREGATIONS
+ * @param {Object} options - {extractedPercentiles, perVehicleData, speedLimit, finestMinutes}
+ * @returns {Array} Output of aggregateDaily() or aggregateByInterval()
+ */
+export function aggregateTimeSeries(data, timeAgg, options = {}) {
+    const { extractedPercentiles = null, perVehicleData = null, speedLimit = null, finestMinutes = 0 } = options;
+    const minutes = getSeriesInterval(timeAgg, finestMinutes);
+    return minutes === null
+        ? aggregateDaily(data, extractedPercentiles, perVehicleData, speedLimit)
+        : aggregateByInterval(data, minutes, extractedPercentiles, perVehicleData, speedLimit);
+}
+
 /**
  * Calculate overall statistics for a dataset
  * @param {Array} data - Raw data rows
  * @param {Array} perVehicleData - Optional per-vehicle data for 85th percentile
  * @param {Object} extractedPercentiles - Optional dict of date -> {p50, p85} from raw file
+ * @param {number|null} speedLimit - When set, compliance tiers are included
  * @returns {Object} Statistics object
  */
-export function calculateStats(data, perVehicleData = null, extractedPercentiles = null) {
+export function calculateStats(data, perVehicleData = null, extractedPercentiles = null, speedLimit = null) {
     const stats = {
         totalVehicles: 0,
         totalViolators: 0,
         pctSpeeders: 0,
         avgSpeed: 0,
         peakSpeed: 0,
-        p85: null
+        p85: null,
+        p85Source: null,
+        p85Method: null,
+        percentiles: null,
+        compliance: null
     };
 
     if (!data || data.length === 0) return stats;
@@ -321,8 +568,6 @@ export function calculateStats(data, perVehicleData = null, extractedPercentiles
     // Sum up totals
     let sumSpeeds = 0;
     let speedCount = 0;
-    const p85Values = [];
-    const avgSpeeds = [];
 
     for (const row of data) {
         stats.totalVehicles += row.vehicles || 0;
@@ -331,16 +576,11 @@ export function calculateStats(data, perVehicleData = null, extractedPercentiles
         if (row.avg_speed) {
             sumSpeeds += row.avg_speed * (row.vehicles || 1);
             speedCount += row.vehicles || 1;
-            avgSpeeds.push(row.avg_speed);
         }
 
         if (row.peak_speed) {
             stats.peakSpeed = Math.max(stats.peakSpeed, row.peak_speed);
         }
-
-        if (row.p85 && row.p85 > 0) {
-            p85Values.push(row.p85);
-        }
     }
 
     // Calculate derived values
@@ -352,29 +592,15 @@ export function calculateStats(data, perVehicleData = null, extractedPercentiles
         stats.avgSpeed = sumSpeeds / speedCount;
     }
 
-    // 85th percentile - try multiple sources in order of accuracy
-    // First choice: Use directly extracted percentiles from raw file (radar firmware calculated)
-    if (extractedPercentiles && Object.keys(extractedPercentiles).length > 0) {
-        const extractedP85Values = Object.values(extractedPercentiles)
-            .map(p => p.p85)
-            .filter(v => v && v > 0);
-        if (extractedP85Values.length > 0) {
-            // Use average of daily p85 values as overall p85
-            stats.p85 = average(extractedP85Values);
-        }
-    }
-    // Second choice: Calculate from per-vehicle speeds
-    if (stats.p85 === null && perVehicleData && perVehicleData.length > 0) {
-        const speeds = perVehicleData.map(v => v.speed).filter(s => s > 0);
-        stats.p85 = calculate85thPercentile(speeds);
-    }
-    // Third choice: Use pre-calculated values from clean data
-    if (stats.p85 === null && p85Values.length > 0) {
-        stats.p85 = average(p85Values);
-    }
-    // Last resort: Estimate from interval average speeds (least accurate)
-    if (stats.p85 === null && avgSpeeds.length > 0) {
-        stats.p85 = calculate85thPercentile(avgSpeeds);
+    // Whole-period percentiles from the merged speed distribution
+    const periodPercentiles = calculatePeriodPercentiles(data, perVehicleData, extractedPercentiles);
+    stats.p85 = periodPercentiles.p85;
+    stats.p85Source = periodPercentiles.p85Source;
+    stats.p85Method = periodPercentiles.p85Method;
+    stats.percentiles = periodPercentiles.percentiles;
+
+    if (speedLimit) {
+        stats.compliance = calculateComplianceTiers(data, perVehicleData, speedLimit, extractedPercentiles);
     }
 
     return stats;
@@ -435,6 +661,21 @@ export const SPEED_BINS_12 = [
     { min: 61, max: Infinity, label: '61+' }
 ];
 
+/**
+ * Bin definitions from bin minimums, each bin running up to the next one's minimum
+ * @param {number[]} mins - Increasing bin minimums; the last bin is open-ended
+ * @param {boolean} openBottom - Label the first bin "<x" because it also holds slower speeds
+ * @returns {Array} [{min, max, label}]
+ */
+export function buildSpeedBins(mins, openBottom = false) {
+    return mins.map((min, i) => {
+        const max = i < mins.length - 1 ? mins[i + 1] : Infinity;
+        let label = max === Infinity ? `${min}+` : `${min}-${max}`;
+        if (i === 0 && openBottom) label = `<${max}`;
+        return { min, max, label };
+    });
+}
+
 /**
  * Calculate speed distribution into bins
  * @param {number[]} speeds - Array of individual speeds
@@ -519,12 +760,508 @@ export function calculate50thFromBins(binCounts, bins = SPEED_BINS_12) {
     return bins[bins.length - 1].min + 2;
 }
 
+// ============ Speed Distribution ============
+
+// Width of the pace band in mph
+export const PACE_WIDTH = 10;
+
+/**
+ * Spread a row's device bin counts onto other bins, pro-rated by overlap.
+ * Device bins run from their minimum up to the next bin's minimum (the open top bin
+ * is taken as 5 mph wide); speeds below the first target bin count in it.
+ * @param {number[]} counts - Target counts, added to
+ * @param {{mins: number[], counts: number[]}} speedBins - Row's device bins
+ * @param {Array} bins - Target bin definitions
+ */
+function addDeviceBins(counts, speedBins, bins) {
+    speedBins.counts.forEach((count, i) => {
+        if (!count) return;
+        const low = speedBins.mins[i];
+        const high = i < speedBins.mins.length - 1 ? speedBins.mins[i + 1] : low + 5;
+        bins.forEach((bin, j) => {
+            const binLow = j === 0 ? -Infinity : bin.min;
+            const binHigh = j < bins.length - 1 ? bins[j + 1].min : Infinity;
+            const overlap = Math.min(high, binHigh) - Math.max(low, binLow);
+            if (overlap > 0) counts[j] += count * overlap / (high - low);
+        });
+    });
+}
+
+/**
+ * Combine per-period bin counts, e.g. the hours of a day
+ * @param {Array} binCounts - Outputs of calculateBinCounts()
+ * @returns {{counts: number[], source: string|null}} source is the least accurate one used
+ */
+export function sumBinCounts(binCounts) {
+    const counts = binCounts[0].counts.map((_, i) => binCounts.reduce((sum, b) => sum + b.counts[i], 0));
+    const sources = new Set(binCounts.map(b => b.source));
+    return { counts, source: ['estimated', 'device', 'per-vehicle'].find(s => sources.has(s)) || null };
+}
+
+/**
+ * Vehicles per speed bin from the most accurate source available: individual
+ * vehicle speeds, then the device's own bin counts, then each interval's volume
+ * placed in the bin of its average speed.
+ * Each bin runs up to the next bin's minimum so fractional speeds are not lost.
+ * @param {Array} data - Clean data rows (speed_bins holds device counts when the export has them)
+ * @param {number[]|null} speeds - Individual vehicle speeds in the same period
+ * @param {Array} bins - Bin definitions
+ * @returns {{counts: number[], source: string|null}} source 'per-vehicle', 'device' or
+ *          'estimated' (any interval averages used); null without speed data
+ */
+export function calculateBinCounts(data, speeds = null, bins = SPEED_BINS_8) {
+    const counts = new Array(bins.length).fill(0);
+    const binIndex = speed => {
+        for (let i = bins.length - 1; i > 0; i--) {
+            if (speed >= bins[i].min) return i;
+        }
+        return 0;
+    };
+
+    const vehicleSpeeds = (speeds || []).filter(s => s > 0);
+    if (vehicleSpeeds.length > 0) {
+        vehicleSpeeds.forEach(s => { counts[binIndex(s)]++; });
+        return { counts, source: 'per-vehicle' };
+    }
+
+    let source = null;
+    for (const row of data || []) {
+        if (!row.vehicles) continue;
+        if (row.speed_bins) {
+            addDeviceBins(counts, row.speed_bins, bins);
+            source = source || 'device';
+        } else if (row.avg_speed > 0) {
+            counts[binIndex(row.avg_speed)] += row.vehicles;
+            source = 'estimated';
+        }
+    }
+    return { counts, source };
+}
+
+/**
+ * Speed-distribution statistics from individual vehicle speeds
+ * @param {number[]} speeds
+ * @returns {Object|null} {source, vehicles, mean, median, stdDev, skew, paceStart, paceEnd, pctInPace}
+ */
+export function calculateSpeedDistribution(speeds) {
+    const sorted = (speeds || []).filter(s => s > 0).sort((a, b) => a - b);
+    const n = sorted.length;
+    if (n === 0) return null;
+
+    const mean = sorted.reduce((a, b) => a + b, 0) / n;
+    const m2 = sorted.reduce((sum, s) => sum + (s - mean) ** 2, 0) / n;
+    const m3 = sorted.reduce((sum, s) => sum + (s - mean) ** 3, 0) / n;
+
+    // 10 mph pace: slide a window over whole-mph start speeds, two pointers over sorted speeds
+    let paceStart = Math.floor(sorted[0]);
+    let paceCount = 0;
+    let lo = 0;
+    let hi = 0;
+    for (let start = Math.floor(sorted[0]); start <= Math.floor(sorted[n - 1]); start++) {
+        while (lo < n && sorted[lo] < start) lo++;
+        while (hi < n && sorted[hi] < start + PACE_WIDTH) hi++;
+        if (hi - lo > paceCount) {
+            paceCount = hi - lo;
+            paceStart = start;
+        }
+    }
+
+    return {
+        source: 'per-vehicle',
+        vehicles: n,
+        mean,
+        median: calculatePercentile(sorted, 50),
+        stdDev: n > 1 ? Math.sqrt(m2 * n / (n - 1)) : 0,
+        skew: m2 > 0 ? m3 / Math.pow(m2, 1.5) : 0,
+        paceStart,
+        paceEnd: paceStart + PACE_WIDTH,
+        pctInPace: (paceCount / n) * 100
+    };
+}
+
+/**
+ * Speed-distribution statistics from binned counts.
+ * Vehicles are assumed spread evenly across each bin, which runs from its
+ * minimum up to the next bin's minimum (the open top bin is taken as 5 mph wide).
+ * @param {number[]} binCounts - Count for each bin
+ * @param {Array} bins - Bin definitions
+ * @param {string} source - Where the counts came from (calculateBinCounts() source)
+ * @returns {Object|null} Same shape as calculateSpeedDistribution()
+ */
+export function calculateSpeedDistributionFromBins(binCounts, bins = SPEED_BINS_12, source = 'device') {
+    const total = binCounts.reduce((a, b) => a + b, 0);
+    if (total === 0) return null;
+
+    const edges = bins.map((bin, i) => ({
+        low: bin.min,
+        high: i < bins.length - 1 ? bins[i + 1].min : bin.min + 5
+    }));
+    const mids = edges.map(e => (e.low + e.high) / 2);
+
+    const mean = binCounts.reduce((sum, c, i) => sum + c * mids[i], 0) / total;
+    const m2 = binCounts.reduce((sum, c, i) => sum + c * (mids[i] - mean) ** 2, 0) / total;
+    const m3 = binCounts.reduce((sum, c, i) => sum + c * (mids[i] - mean) ** 3, 0) / total;
+
+    // Vehicles inside [start, start + PACE_WIDTH), pro-rated by bin overlap
+    const countInWindow = (start) => binCounts.reduce((sum, c, i) => {
+        const overlap = Math.min(edges[i].high, start + PACE_WIDTH) - Math.max(edges[i].low, start);
+        return overlap > 0 ? sum + c * overlap / (edges[i].high - edges[i].low) : sum;
+    }, 0);
+
+    let paceStart = edges[0].low;
+    let paceCount = 0;
+    for (let start = edges[0].low; start <= edges[edges.length - 1].high - PACE_WIDTH; start++) {
+        const count = countInWindow(start);
+        if (count > paceCount) {
+            paceCount = count;
+            paceStart = start;
+        }
+    }
+
+    return {
+        source,
+        vehicles: total,
+        mean,
+        median: calculate50thFromBins(binCounts, bins),
+        stdDev: total > 1 ? Math.sqrt(m2 * total / (total - 1)) : 0,
+        skew: m2 > 0 ? m3 / Math.pow(m2, 1.5) : 0,
+        paceStart,
+        paceEnd: paceStart + PACE_WIDTH,
+        pctInPace: (paceCount / total) * 100
+    };
+}
+
+/**
+ * Speed distribution from per-vehicle speeds, falling back to the device's
+ * SPEED_BINS_12 counts. Interval average speeds alone say nothing about the
+ * spread, so data without device bins has no distribution.
+ * @param {Array} data - Clean data rows
+ * @param {Array|null} perVehicleData - Optional per-vehicle records
+ * @returns {Object|null} source 'per-vehicle' or 'device'; null when neither is available
+ */
+export function getSpeedDistribution(data, perVehicleData = null) {
+    if (perVehicleData && perVehicleData.length > 0) {
+        const distribution = calculateSpeedDistribution(perVehicleData.map(v => v.speed));
+        if (distribution) return distribution;
+    }
+    const { counts, source } = calculateBinCounts(data, null, SPEED_BINS_12);
+    return source === 'device' ? calculateSpeedDistributionFromBins(counts, SPEED_BINS_12, source) : null;
+}
+
+/**
+ * Speed histogram in fixed-width bins with cumulative percentages, for the
+ * Speed Distribution and Cumulative Speed Curve charts.
+ * Per-vehicle speeds are counted directly. Interval data is spread into 1 mph
+ * bins with spreadIntervalRows(), as for compliance tiers, then regrouped; its 85th
+ * percentile is the measured one from mergeIntervalP85().
+ * @param {Array} data - Clean data rows
+ * @param {Array|null} perVehicleData - Optional per-vehicle records
+ * @param {number} binSize - Bin width in mph (1 or 5)
+ * @returns {Object|null} {source, binSize, vehicles, p50, p85, bins: [{label, min, max, vehicles, pct, cumulativePct}]}
+ */
+export function calculateSpeedHistogram(data, perVehicleData = null, binSize = 5) {
+    const counts = new Array(MERGE_BINS.length).fill(0);
+    let source = null;
+    let percentiles = null;
+
+    const speeds = perVehicleData ? perVehicleData.map(v => v.speed).filter(s => s > 0) : [];
+    if (speeds.length > 0) {
+        speeds.forEach(s => { counts[Math.min(Math.floor(s), counts.length - 1)]++; });
+        source = 'per-vehicle';
+        percentiles = calculateSpeedPercentiles(speeds);
+    } else {
+        const spread = spreadIntervalRows(data);
+        spread.counts.forEach((c, i) => { counts[i] += c; });
+        source = spread.source;
+    }
+
+    const total = counts.reduce((a, b) => a + b, 0);
+    if (total === 0) return null;
+
+    if (!percentiles) {
+        // The 85th percentile marker matches the headline figure, not the spread
+        percentiles = {
+            p50: calculate50thFromBins(counts, MERGE_BINS),
+            p85: mergeIntervalP85(data, null)?.p85 ?? calculate85thFromBins(counts, MERGE_BINS)
+        };
+    }
+
+    // Trim empty tails (spread fractions below half a vehicle count as empty)
+    const occupied = counts.map((c, i) => (c >= 0.5 ? i : null)).filter(i => i !== null);
+    const first = Math.floor((occupied.length > 0 ? occupied[0] : 0) / binSize) * binSize;
+    const last = occupied.length > 0 ? occupied[occupied.length - 1] : counts.length - 1;
+
+    const bins = [];
+    let cumulative = counts.slice(0, first).reduce((a, b) => a + b, 0);
+    for (let min = first; min <= last; min += binSize) {
+        const vehicles = counts.slice(min, min + binSize).reduce((a, b) => a + b, 0);
+        cumulative += vehicles;
+        bins.push({
+            label: binSize === 1 ? String(min) : `${min}-${min + binSize - 1}`,
+            min,
+            max: min + binSize,
+            vehicles,
+            pct: (vehicles / total) * 100,
+            cumulativePct: Math.min(100, (cumulative / total) * 100)
+        });
+    }
+
+    return {
+        source,
+        binSize,
+        vehicles: total,
+        p50: percentiles.p50,
+        p85: percentiles.p85,
+        bins
+    };
+}
+
+/**
+ * Format the pace band for display (e.g. "26-36 mph")
+ * @param {Object} distribution - Output of calculateSpeedDistribution()
+ * @returns {string}
+ */
+export function formatPace(distribution) {
+    return distribution ? `${distribution.paceStart}-${distribution.paceEnd} mph` : '-';
+}
+
+// ============ Compliance Tiers ============
+
+// Enforcement and traffic calming thresholds, in mph over the posted limit
+export const COMPLIANCE_TIERS = [5, 10, 15, 20];
+
+/**
+ * Spread interval rows into 1 mph bin counts (MERGE_BINS), each row from the best
+ * information it has: the counter's own speed bins, the device daily 85th percentile
+ * shifted onto the interval's average speed, or the interval 85th percentile.
+ * Rows with only an average speed cannot be spread and go in that speed's bin.
+ * The spread shapes compliance tiers and the histogram; whole-period 85th
+ * percentiles come from measured values instead (see mergeIntervalP85()).
+ * @param {Array} rows - Clean data rows
+ * @param {Object|null} extractedPercentiles - Optional dict of date -> {p50, p85} from raw file
+ * @param {Function|null} keyFn - When set, rows are also spread into separate counts per key
+ * @returns {{counts: number[], source: string|null, groups: Map}} source is the least accurate
+ *          input used: 'device-bins', 'modelled' (device daily p85), 'interval' or 'estimated'
+ *          (average speeds only); null without speed data. groups maps key -> counts.
+ */
+function spreadIntervalRows(rows, extractedPercentiles = null, keyFn = null) {
+    const speedRows = (rows || []).filter(row => row.vehicles > 0 && (row.speed_bins || row.avg_speed > 0));
+    const groups = new Map();
+    const sourcesUsed = new Set();
+
+    // Daily volume-weighted average speeds, to turn a device daily p85 into a spread
+    const dailyAvg = new Map();
+    if (extractedPercentiles) {
+        for (const row of speedRows.filter(r => r.avg_speed > 0)) {
+            const key = getDateKey(row.datetime);
+            const day = dailyAvg.get(key) || { sum: 0, vehicles: 0 };
+            day.sum += row.avg_speed * row.vehicles;
+            day.vehicles += row.vehicles;
+            dailyAvg.set(key, day);
+        }
+    }
+
+    for (const row of speedRows) {
+        const key = keyFn ? keyFn(row) : null;
+        if (!groups.has(key)) groups.set(key, new Array(MERGE_BINS.length).fill(0));
+        const counts = groups.get(key);
+
+        if (row.speed_bins) {
+            addDeviceBins(counts, row.speed_bins, MERGE_BINS);
+            sourcesUsed.add('device-bins');
+            continue;
+        }
+
+        const device = extractedPercentiles?.[getDateKey(row.datetime)]?.p85;
+        let p85 = null;
+        if (device) {
+            // Shift the device's daily spread to this interval's average speed
+            const day = dailyAvg.get(getDateKey(row.datetime));
+            p85 = row.avg_speed + (device - day.sum / day.vehicles);
+            sourcesUsed.add('modelled');
+        } else if (row.p85 > 0) {
+            p85 = row.p85;
+            sourcesUsed.add('interval');
+        } else {
+            sourcesUsed.add('estimated');
+        }
+        addIntervalToBins(counts, row.vehicles, row.avg_speed, p85);
+    }
+
+    const counts = new Array(MERGE_BINS.length).fill(0);
+    groups.forEach(group => group.forEach((c, i) => { counts[i] += c; }));
+
+    const source = ['estimated', 'interval', 'modelled', 'device-bins'].find(s => sourcesUsed.has(s)) || null;
+    return { counts, source, groups };
+}
+
+/**
+ * Vehicles in 1 mph bin counts faster than a speed, pro-rating the bin it falls in
+ * @param {number[]} counts - MERGE_BINS counts
+ * @param {number} speed
+ * @returns {number}
+ */
+function countBinsOver(counts, speed) {
+    return counts.reduce((sum, c, i) => {
+        const bin = MERGE_BINS[i];
+        if (bin.min >= speed) return sum + c;
+        return bin.max > speed ? sum + c * (bin.max - speed) / (bin.max - bin.min) : sum;
+    }, 0);
+}
+
+/**
+ * Vehicles over the speed limit (faster than it) by each COMPLIANCE_TIERS margin.
+ * The posted limit is measured as it was in force: rows and vehicle records that
+ * carry a speed_limit (set from a time-of-day schedule) are measured against it.
+ * Per-vehicle speeds are counted directly. Interval data is spread into 1 mph bins
+ * (see spreadIntervalRows()); where the rows record violators, the over-limit count
+ * is the recorded one and the tiers keep the spread's shape scaled to it, so they
+ * agree with the Violators and % Speeders figures. Any other limit (speedLimit
+ * differs from violatorLimit) applies all day, and is read from the spread still
+ * scaled to the recorded violators but not counted exactly. Interval average speeds
+ * alone cannot place anyone above the limit, so their tiers are unknown (null).
+ * @param {Array} rows - Clean data rows in the period
+ * @param {Array|null} speeds - Per-vehicle speeds, or records {speed, speed_limit}, in the period
+ * @param {number} speedLimit
+ * @param {Object|null} extractedPercentiles - Optional dict of date -> {p50, p85} from raw file
+ * @param {number} violatorLimit - Posted limit the rows' violators were counted against
+ * @returns {Object|null} {source, vehicles, recordedViolators, overLimit, tiers, bands} where
+ *          recordedViolators is true when the over-limit count is the recorded one, tiers are
+ *          cumulative ("10+ over" includes "15+ over") and bands split the speeders
+ *          into exclusive ranges for stacking. Each entry is {label, vehicles, pct};
+ *          tier and band entries have null vehicles and pct when unknown.
+ */
+export function calculateComplianceTiers(rows, speeds, speedLimit, extractedPercentiles = null, violatorLimit = speedLimit) {
+    if (!(speedLimit > 0)) return null;
+
+    // Limit in force for a row or vehicle record, against which its violators were counted
+    const posted = speedLimit === violatorLimit;
+    const limitOf = item => (item.speed_limit > 0 ? item.speed_limit : violatorLimit);
+
+    const vehicles = (speeds || [])
+        .map(v => (typeof v === 'number' ? { speed: v } : v))
+        .filter(v => v.speed > 0);
+    let source;
+    let total;
+    let countOver;
+    let recordedViolators = false;
+
+    if (vehicles.length > 0) {
+        source = 'per-vehicle';
+        total = vehicles.length;
+        countOver = margin => vehicles.filter(v => v.speed > (posted ? limitOf(v) : speedLimit) + margin).length;
+    } else {
+        const spread = spreadIntervalRows(rows, extractedPercentiles, limitOf);
+        if (!spread.source) return null;
+        source = spread.source;
+
+        const speedRows = rows.filter(row => row.vehicles > 0 && (row.speed_bins || row.avg_speed > 0));
+        total = speedRows.reduce((sum, row) => sum + row.vehicles, 0);
+        const recorded = speedRows.every(row => row.violators !== undefined)
+            ? speedRows.reduce((sum, row) => sum + row.violators, 0)
+            : null;
+        const spreadTotal = spread.counts.reduce((a, b) => a + b, 0);
+        recordedViolators = recorded !== null && posted;
+
+        // Spread vehicles over each group's limit (or over speedLimit for another limit)
+        const spreadOver = (margin, measured) => {
+            if (spreadTotal === 0) return 0;
+            let over = 0;
+            spread.groups.forEach((counts, limit) => { over += countBinsOver(counts, measured(limit) + margin); });
+            return over / spreadTotal * total;
+        };
+
+        if (source === 'estimated') {
+            if (recorded === null) return null;
+            countOver = margin => (recordedViolators && margin === 0 ? recorded : null);
+        } else {
+            const modelOver = spreadOver(0, limit => limit);
+            const scale = recorded !== null && modelOver > 0 ? recorded / modelOver : 1;
+            countOver = margin => {
+                if (recordedViolators && margin === 0) return recorded;
+                return spreadOver(margin, limit => (posted ? limit : speedLimit)) * scale;
+            };
+        }
+    }
+
+    if (total === 0) return null;
+
+    const entry = (label, vehicles) => ({ label, vehicles, pct: vehicles === null ? null : (vehicles / total) * 100 });
+    const thresholds = [0, ...COMPLIANCE_TIERS].map(margin => ({ margin, vehicles: countOver(margin) }));
+
+    return {
+        source,
+        vehicles: total,
+        recordedViolators,
+        overLimit: entry('Over limit', thresholds[0].vehicles),
+        tiers: thresholds.slice(1).map(t => ({ margin: t.margin, ...entry(`${t.margin}+ mph over`, t.vehicles) })),
+        bands: thresholds.map((t, i) => {
+            const next = thresholds[i + 1];
+            if (!next) return entry(`${t.margin}+ mph over`, t.vehicles);
+            const known = t.vehicles !== null && next.vehicles !== null;
+            return entry(`${t.margin}-${next.margin} mph over`, known ? t.vehicles - next.vehicles : null);
+        })
+    };
+}
+
+/**
+ * One compliance tier percentage for display
+ * @param {Object} tier - Entry of calculateComplianceTiers() tiers
+ * @returns {string} e.g. "12.3%", or "n/a" when the tier is unknown
+ */
+export function formatTierPct(tier) {
+    return tier.pct === null ? 'n/a' : `${tier.pct.toFixed(1)}%`;
+}
+
+/**
+ * Footnote for compliance tiers printed beside speed bin columns, which they are
+ * not counted from unless per-vehicle speeds exist
+ * @param {Object|null} compliance - Output of calculateComplianceTiers()
+ * @returns {string|null} Null for per-vehicle tiers or without tiers
+ */
+export function formatComplianceNote(compliance) {
+    if (!compliance || compliance.source === 'per-vehicle') return null;
+    if (compliance.source === 'estimated') return `Over-limit tiers ${COMPLIANCE_TIER_SOURCES.estimated}.`;
+    const scaled = compliance.recordedViolators ? ' and scaled to the recorded violators' : '';
+    return `Over-limit tiers ${COMPLIANCE_TIER_SOURCES[compliance.source]}${scaled}, not counted from the speed bins.`;
+}
+
+/**
+ * Estimated vehicles over a speed in one interval, spreading its vehicles into
+ * 1 mph bins the same way as calculateComplianceTiers()
+ * @param {number} vehicles
+ * @param {number} avgSpeed
+ * @param {number|null} p85 - Interval 85th percentile, if known
+ * @param {number} speed - Threshold, e.g. a speed limit
+ * @returns {number} Fractional vehicle count (0 without an average speed)
+ */
+export function estimateVehiclesOver(vehicles, avgSpeed, p85, speed) {
+    if (!(vehicles > 0) || !(avgSpeed > 0)) return 0;
+    const counts = new Array(MERGE_BINS.length).fill(0);
+    addIntervalToBins(counts, vehicles, avgSpeed, p85 > 0 ? p85 : null);
+    return countBinsOver(counts, speed);
+}
+
+/**
+ * One-line summary of compliance tiers, e.g. "Over by 5+: 12.3%  10+: 4.1% ..."
+ * @param {Object|null} compliance - Output of calculateComplianceTiers()
+ * @returns {string} Empty without tiers
+ */
+export function formatComplianceTiers(compliance) {
+    if (!compliance) return '';
+    if (compliance.tiers[0].pct === null) return 'Tiers over limit: n/a (interval averages only)';
+    return 'Over by ' + compliance.tiers.map(t => `${t.margin}+: ${formatTierPct(t)}`).join('  ');
+}
+
 /**
  * Aggregate data by hour of day (0-23) for 24-hour summary
  * @param {Array} data - Array of data rows with datetime field
+ * @param {Array|null} perVehicleData - Optional per-vehicle records for compliance tiers and speed bins
+ * @param {number|null} speedLimit - When set, each hour also gets compliance tiers
+ * @param {Array|null} speedBins - When set, each hour also gets speedBins: output of calculateBinCounts()
  * @returns {Array} Array of 24 objects, one per hour
  */
-export function aggregateBy24Hour(data) {
+export function aggregateBy24Hour(data, perVehicleData = null, speedLimit = null, speedBins = null) {
     // Initialize 24 hour slots
     const hourly = Array.from({ length: 24 }, (_, i) => ({
         hour: i,
@@ -533,8 +1270,11 @@ export function aggregateBy24Hour(data) {
         violators: 0,
         sumSpeeds: 0,
         speedCount: 0,
-        speeds: []
+        speeds: [],
+        rows: []
     }));
+    const vehicleSpeeds = groupVehicleSpeeds(perVehicleData, date => new Date(date).getHours());
+    const vehicleRecords = groupVehicleSpeeds(perVehicleData, date => new Date(date).getHours(), vehicle => vehicle);
 
     for (const row of data) {
         if (!row.datetime) continue;
@@ -543,6 +1283,7 @@ export function aggregateBy24Hour(data) {
 
         hourly[hour].vehicles += row.vehicles || 0;
         hourly[hour].violators += row.violators || 0;
+        hourly[hour].rows.push(row);
 
         if (row.avg_speed) {
             hourly[hour].sumSpeeds += row.avg_speed * (row.vehicles || 1);
@@ -557,7 +1298,47 @@ export function aggregateBy24Hour(data) {
         label: h.label,
         vehicles: h.vehicles,
         violators: h.violators,
-        avgSpeed: h.speedCount > 0 ? h.sumSpeeds / h.speedCount : null
+        avgSpeed: h.speedCount > 0 ? h.sumSpeeds / h.speedCount : null,
+        compliance: speedLimit ? calculateComplianceTiers(h.rows, vehicleRecords.get(h.hour), speedLimit) : null,
+        ...(speedBins ? { speedBins: calculateBinCounts(h.rows, vehicleSpeeds.get(h.hour), speedBins) } : {})
+    }));
+}
+
+// Heatmap rows, Monday first (values are Date.getDay() indexes)
+export const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Aggregate data on a day-of-week x hour-of-day grid, as aggregateBy24Hour()
+ * does for a single day but split by weekday.
+ * Volume is averaged over the dates that recorded each weekday/hour cell.
+ * @param {Array} data - Array of data rows with datetime field
+ * @returns {Array} 7 rows (Monday first) of {weekday, dayName, hours: [{hour, label, vehicles, pct_speeders, days}]}
+ */
+export function aggregateByWeekdayHour(data) {
+    const cells = Array.from({ length: 7 }, () =>
+        Array.from({ length: 24 }, () => ({ vehicles: 0, violators: 0, dates: new Set() })));
+
+    for (const row of data) {
+        if (!row.datetime) continue;
+        const dt = new Date(row.datetime);
+        const cell = cells[dt.getDay()][dt.getHours()];
+
+        cell.vehicles += row.vehicles || 0;
+        cell.violators += row.violators || 0;
+        cell.dates.add(getDateKey(dt));
+    }
+
+    return WEEKDAY_ORDER.map(weekday => ({
+        weekday,
+        dayName: WEEKDAY_NAMES[weekday],
+        hours: cells[weekday].map((cell, hour) => ({
+            hour,
+            label: formatHour(hour),
+            vehicles: cell.dates.size > 0 ? cell.vehicles / cell.dates.size : null,
+            pct_speeders: cell.vehicles > 0 ? (cell.violators / cell.vehicles) * 100 : null,
+            days: cell.dates.size
+        }))
     }));
 }
 
@@ -565,16 +1346,28 @@ export function aggregateBy24Hour(data) {
  * Calculate report statistics for PDF header
  * @param {Array} data - Filtered study data
  * @param {Object} extractedPercentiles - Optional dict of date -> {p50, p85} from raw file
+ * @param {Array} perVehicleData - Optional per-vehicle records for true percentiles
+ * @param {Object} aadtOptions - Optional {factors, studyType} for AADT estimation
+ * @param {number|null} speedLimit - When set, compliance tiers are included
  * @returns {Object} Statistics for report header
  */
-export function calculateReportStatistics(data, extractedPercentiles = null) {
+export function calculateReportStatistics(data, extractedPercentiles = null, perVehicleData = null, aadtOptions = null, speedLimit = null) {
     if (!data || data.length === 0) {
         return {
             totalVehicles: 0,
             totalViolators: 0,
             violationRate: 0,
             avgSpeed: 0,
-            p85Speed: null
+            p85Speed: null,
+            p85Source: null,
+            p85Method: null,
+            percentiles: null,
+            compliance: null,
+            peakHours: null,
+            adt: null,
+            aadt: null,
+            completeDays: 0,
+            partialDays: []
         };
     }
 
@@ -582,8 +1375,6 @@ export function calculateReportStatistics(data, extractedPercentiles = null) {
     let totalViolators = 0;
     let sumSpeeds = 0;
     let speedCount = 0;
-    const p85Values = [];
-    const avgSpeeds = [];
 
     for (const row of data) {
         totalVehicles += row.vehicles || 0;
@@ -592,41 +1383,26 @@ export function calculateReportStatistics(data, extractedPercentiles = null) {
         if (row.avg_speed) {
             sumSpeeds += row.avg_speed * (row.vehicles || 1);
             speedCount += row.vehicles || 1;
-            avgSpeeds.push(row.avg_speed);
-        }
-
-        if (row.p85 && row.p85 > 0) {
-            p85Values.push(row.p85);
         }
     }
 
-    // Calculate p85 - prioritize extracted values from raw file
-    let p85Speed = null;
-
-    // First choice: Use directly extracted percentiles from raw file (radar firmware calculated)
-    if (extractedPercentiles && Object.keys(extractedPercentiles).length > 0) {
-        const extractedP85Values = Object.values(extractedPercentiles)
-            .map(p => p.p85)
-            .filter(v => v && v > 0);
-        if (extractedP85Values.length > 0) {
-            // Use average of daily p85 values as overall p85
-            p85Speed = average(extractedP85Values);
-        }
-    }
-    // Second choice: Use pre-calculated values from clean data
-    if (p85Speed === null && p85Values.length > 0) {
-        p85Speed = average(p85Values);
-    }
-    // Last resort: Estimate from interval averages (least accurate)
-    if (p85Speed === null && avgSpeeds.length > 0) {
-        p85Speed = calculate85thPercentile(avgSpeeds);
-    }
+    // Whole-period percentiles from the merged speed distribution
+    const { p85: p85Speed, p85Source, p85Method, percentiles } =
+        calculatePeriodPercentiles(data, perVehicleData, extractedPercentiles);
 
     return {
         totalVehicles,
         totalViolators,
         violationRate: totalVehicles > 0 ? (totalViolators / totalVehicles) * 100 : 0,
         avgSpeed: speedCount > 0 ? sumSpeeds / speedCount : 0,
-        p85Speed
+        p85Speed,
+        p85Source,
+        p85Method,
+        percentiles,
+        compliance: speedLimit
+            ? calculateComplianceTiers(data, perVehicleData, speedLimit, extractedPercentiles)
+            : null,
+        peakHours: calculatePeakHours(data, perVehicleData),
+        ...calculateVolumeStats(data, aadtOptions?.factors, aadtOptions?.studyType)
     };
 }
@@ -0,0 +1,219 @@
+/**
+ * Daily volume utilities: ADT from complete days and AADT estimation
+ */
+
+import { getDateKey } from './dateUtils.js';
+import { PARTIAL_DAY_MIN_COVERAGE } from '../config.js';
+
+/**
+ * Detect the recording interval of clean data (most common gap between rows)
+ * @param {Array} data - Clean data rows with datetime field
+ * @returns {number} Interval length in minutes (60 if it cannot be detected)
+ */
+export function detectIntervalMinutes(data) {
+    const times = [...new Set((data || [])
+        .filter(row => row.datetime)
+        .map(row => new Date(row.datetime).getTime()))]
+        .sort((a, b) => a - b);
+
+    const gapCounts = new Map();
+    for (let i = 1; i < times.length; i++) {
+        const gap = Math.round((times[i] - times[i - 1]) / 60000);
+        if (gap > 0) gapCounts.set(gap, (gapCounts.get(gap) || 0) + 1);
+    }
+
+    let interval = 60;
+    let bestCount = 0;
+    for (const [gap, count] of gapCounts) {
+        if (count > bestCount) {
+            interval = gap;
+            bestCount = count;
+        }
+    }
+    return interval;
+}
+
+/**
+ * Total vehicles per day, flagging partial days.
+ * A day is complete when it records at least PARTIAL_DAY_MIN_COVERAGE of its
+ * expected intervals, wherever it falls in the study.
+ * @param {Array} data - Clean data rows with datetime and vehicles
+ * @returns {Array} [{date, vehicles, complete}] sorted by date
+ */
+export function getDailyVolumes(data) {
+    const totals = new Map();
+    for (const row of data || []) {
+        if (!row.datetime) continue;
+        const dateKey = getDateKey(new Date(row.datetime));
+        totals.set(dateKey, (totals.get(dateKey) || 0) + (row.vehicles || 0));
+    }
+
+    return getDayCoverage(data).map(day => ({
+        date: day.date,
+        vehicles: totals.get(day.date) || 0,
+        complete: day.coverage >= PARTIAL_DAY_MIN_COVERAGE
+    }));
+}
+
+/**
+ * Share of each day's expected intervals that have a record
+ * @param {Array} data - Clean data rows with datetime
+ * @returns {Array} [{date, records, expected, coverage}] sorted by date
+ */
+export function getDayCoverage(data) {
+    const interval = detectIntervalMinutes(data);
+    const expected = Math.round(1440 / interval);
+    const days = new Map();
+
+    for (const row of data || []) {
+        if (!row.datetime) continue;
+        const dt = new Date(row.datetime);
+        const dateKey = getDateKey(dt);
+        if (!days.has(dateKey)) days.set(dateKey, new Set());
+        days.get(dateKey).add(dt.getHours() * 60 + dt.getMinutes());
+    }
+
+    return Array.from(days.entries())
+        .sort((a, b) => a[0].localeCompare(b[0]))
+        .map(([date, minutes]) => ({
+            date,
+            records: minutes.size,
+            expected,
+            coverage: Math.min(1, minutes.size / expected)
+        }));
+}
+
+/**
+ * Partial setup and takedown days: the days at either end of the study that record
+ * less than PARTIAL_DAY_MIN_COVERAGE of their intervals
+ * @param {Array} data - Clean data rows
+ * @returns {string[]} YYYY-MM-DD dates, leading days first
+ */
+export function findPartialDays(data) {
+    const days = getDayCoverage(data);
+    const isPartial = day => day.coverage < PARTIAL_DAY_MIN_COVERAGE;
+
+    const leading = [];
+    for (let i = 0; i < days.length && isPartial(days[i]); i++) leading.push(days[i].date);
+
+    // A study with no complete day keeps everything rather than trimming to nothing
+    if (leading.length === days.length) return [];
+
+    const trailing = [];
+    for (let i = days.length - 1; i >= leading.length && isPartial(days[i]); i--) trailing.unshift(days[i].date);
+
+    return [...leading, ...trailing];
+}
+
+/**
+ * Average Daily Traffic from complete 24-hour days only
+ * @param {Array} data - Clean data rows
+ * @returns {{adt: number|null, completeDays: number, partialDays: string[], days: Array}}
+ */
+export function calculateADT(data) {
+    const days = getDailyVolumes(data);
+    const complete = days.filter(d => d.complete);
+
+    return {
+        adt: complete.length > 0 ? complete.reduce((sum, d) => sum + d.vehicles, 0) / complete.length : null,
+        completeDays: complete.length,
+        partialDays: days.filter(d => !d.complete).map(d => d.date),
+        days
+    };
+}
+
+/**
+ * Get the axle-correction factor for a study type
+ * @param {Object} factors - Normalized AADT factors
+ * @param {string} studyType
+ * @returns {number}
+ */
+function getAxleFactor(factors, studyType) {
+    const axle = factors.axleCorrection;
+    if (typeof axle === 'number') return axle > 0 ? axle : 1;
+    const factor = parseFloat(axle?.[studyType]);
+    return factor > 0 ? factor : 1;
+}
+
+/**
+ * Estimate AADT: each complete day is adjusted by its day-of-week and monthly
+ * factor, the adjusted days are averaged, then the axle correction is applied.
+ * @param {Array} data - Clean data rows
+ * @param {Object|null} factors - Normalized factors from the aadtFactors service
+ * @param {string} studyType - Study type, for the axle-correction factor
+ * @returns {number|null} AADT, or null without factors or complete days
+ */
+export function calculateAADT(data, factors, studyType = '') {
+    return averageAdjustedDays(getDailyVolumes(data).filter(d => d.complete), factors, studyType);
+}
+
+/**
+ * Average complete days adjusted by their day-of-week and monthly factors, with
+ * the axle correction applied
+ * @param {Array} complete - Complete days [{date, vehicles}]
+ * @param {Object|null} factors - Normalized AADT factors
+ * @param {string} studyType
+ * @returns {number|null}
+ */
+function averageAdjustedDays(complete, factors, studyType) {
+    if (!factors || complete.length === 0) return null;
+
+    const adjusted = complete.map(d => {
+        const dt = new Date(d.date + 'T12:00:00');
+        return d.vehicles * factors.dayOfWeek[dt.getDay()] * factors.monthly[dt.getMonth()];
+    });
+
+    const average = adjusted.reduce((a, b) => a + b, 0) / adjusted.length;
+    return average * getAxleFactor(factors, studyType);
+}
+
+/**
+ * ADT and AADT together, for stats panels and report headers
+ * @param {Array} data - Clean data rows
+ * @param {Object|null} factors - Normalized AADT factors
+ * @param {string} studyType
+ * @returns {{adt: number|null, aadt: number|null, completeDays: number, partialDays: string[]}}
+ */
+export function calculateVolumeStats(data, factors = null, studyType = '') {
+    const { adt, completeDays, partialDays } = calculateADT(data);
+    return {
+        adt,
+        aadt: calculateAADT(data, factors, studyType),
+        completeDays,
+        partialDays
+    };
+}
+
+/**
+ * ADT and AADT of several directions counted together. Day coverage is judged per
+ * direction, so a day counts as complete only when every direction recorded all
+ * of it; pooling the rows first would let one direction fill the other's gaps.
+ * @param {Array[]} dataSets - Clean data rows, one array per direction
+ * @param {Object|null} factors - Normalized AADT factors
+ * @param {string} studyType
+ * @returns {{adt: number|null, aadt: number|null, completeDays: number, partialDays: string[]}}
+ */
+export function calculateCombinedVolumeStats(dataSets, factors = null, studyType = '') {
+    const days = new Map();
+    for (const data of dataSets) {
+        for (const day of getDailyVolumes(data)) {
+            const combined = days.get(day.date) || { date: day.date, vehicles: 0, complete: true, directions: 0 };
+            combined.vehicles += day.vehicles;
+            combined.complete = combined.complete && day.complete;
+            combined.directions++;
+            days.set(day.date, combined);
+        }
+    }
+
+    const sorted = Array.from(days.values())
+        .map(day => ({ ...day, complete: day.complete && day.directions === dataSets.length }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    const complete = sorted.filter(d => d.complete);
+
+    return {
+        adt: complete.length > 0 ? complete.reduce((sum, d) => sum + d.vehicles, 0) / complete.length : null,
+        aadt: averageAdjustedDays(complete, factors, studyType),
+        completeDays: complete.length,
+        partialDays: sorted.filter(d => !d.complete).map(d => d.date)
+    };
+}
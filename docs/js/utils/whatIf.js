@@ -0,0 +1,93 @@
+/**
+ * What-if speed limit analysis: violators, % speeders and compliance tiers
+ * recomputed from a study's speeds against hypothetical limits
+ */
+
+import { calculateComplianceTiers } from './stats.js';
+import { formatSpeedSchedule } from './speedLimit.js';
+import { PERCENTILE_SOURCES } from '../config.js';
+
+/**
+ * Parse the hypothetical limits typed into the what-if panel ("30, 35")
+ * @param {string} text
+ * @returns {number[]} Unique positive limits, ascending
+ */
+export function parseSpeedLimits(text) {
+    const limits = String(text || '')
+        .split(/[\s,;]+/)
+        .map(v => parseFloat(v))
+        .filter(v => v > 0 && v < 100);
+    return [...new Set(limits)].sort((a, b) => a - b);
+}
+
+/**
+ * Compliance at the posted limit and at each hypothetical limit.
+ * The posted limit is measured as in force, following any time-of-day schedule
+ * carried on the rows; hypothetical limits apply at all hours.
+ * Per-vehicle speeds are counted at every limit. With interval data the posted
+ * row keeps the violators recorded by the device, and the other limits are read
+ * from the interval speed spread scaled to those violators, so they are estimates
+ * (see calculateComplianceTiers). Interval average speeds alone give no estimate
+ * away from the posted limit: those rows have null violators and percentages.
+ * @param {Array} data - Clean data rows
+ * @param {Array|null} perVehicleData - Optional per-vehicle records
+ * @param {number} postedLimit - Posted limit from study_index.csv
+ * @param {number[]} limits - Hypothetical limits
+ * @returns {{source: string, vehicles: number, rows: Array}|null} rows:
+ *          [{limit, posted, estimated, violators, pctSpeeders, change, compliance}] with the
+ *          posted limit first; estimated is true where the row is not a count
+ */
+export function calculateWhatIf(data, perVehicleData, postedLimit, limits) {
+    const allLimits = [postedLimit, ...limits.filter(l => l !== postedLimit)].filter(l => l > 0);
+
+    const rows = allLimits.map(limit => {
+        const compliance = calculateComplianceTiers(data, perVehicleData, limit, null, postedLimit);
+        return compliance && {
+            limit,
+            posted: limit === postedLimit,
+            estimated: compliance.source !== 'per-vehicle' && !compliance.recordedViolators,
+            violators: compliance.overLimit.vehicles,
+            pctSpeeders: compliance.overLimit.pct,
+            compliance
+        };
+    }).filter(Boolean);
+
+    if (rows.length === 0) return null;
+
+    // Change in % speeders relative to the posted limit (percentage points)
+    const base = rows.find(r => r.posted);
+    rows.forEach(r => {
+        const known = base && !r.posted && r.pctSpeeders !== null && base.pctSpeeders !== null;
+        r.change = known ? r.pctSpeeders - base.pctSpeeders : null;
+    });
+
+    return {
+        source: rows[0].compliance.source,
+        vehicles: rows[0].compliance.vehicles,
+        rows
+    };
+}
+
+/**
+ * Note on where the what-if figures came from, for the panel and the report
+ * @param {Object} whatIf - Output of calculateWhatIf()
+ * @param {Array} schedule - Study's normalized time-of-day windows
+ * @returns {string}
+ */
+export function describeWhatIfSource(whatIf, schedule = []) {
+    const scheduleText = formatSpeedSchedule(schedule);
+    const scheduled = scheduleText
+        ? ` The posted limit follows its time-of-day schedule (${scheduleText}); other limits apply at all hours.`
+        : '';
+
+    if (whatIf.source === 'per-vehicle') {
+        return `Every limit is counted from individual vehicle speeds.${scheduled}`;
+    }
+    const recorded = whatIf.rows.some(r => r.posted && r.compliance.recordedViolators);
+    if (whatIf.source === 'estimated') {
+        return `${recorded ? 'The posted limit shows recorded violators. ' : ''}Interval average speeds alone cannot estimate other limits or the tiers (n/a).${scheduled}`;
+    }
+    return (recorded
+        ? `The posted limit shows recorded violators. Other limits and the tiers are estimated (${PERCENTILE_SOURCES[whatIf.source]}), scaled to those violators.`
+        : `Every limit is estimated (${PERCENTILE_SOURCES[whatIf.source]}).`) + scheduled;
+}